@@ -250,7 +250,8 @@ function selectNewImage() {
                 images.push(tempImageInfo);
 
                 // Create preview
-                addImagePreview(tempImageInfo, true);
+                const preview = addImagePreview(tempImageInfo, true);
+                checkForDuplicateImage(tempImageInfo, preview);
             } catch (error) {
                 console.error('Error saving temporary file:', error);
                 console.error('Error preparing image for upload. Please try again.');
@@ -268,18 +269,7 @@ function selectExistingImage() {
         // Single image selection callback
         (selectedImage) => {
             // Create a reference to the existing image
-            const existingImageRef = {
-                id: selectedImage.id,
-                file_path: selectedImage.file_path,
-                file_name: selectedImage.file_name,
-                file_size: selectedImage.file_size,
-                file_type: selectedImage.file_type,
-                width: selectedImage.width,
-                height: selectedImage.height,
-                title: selectedImage.title,
-                description: selectedImage.description,
-                isExisting: true // Mark as existing image
-            };
+            const existingImageRef = createExistingImageRef(selectedImage);
 
             // Add to images array
             images.push(existingImageRef);
@@ -291,18 +281,7 @@ function selectExistingImage() {
         (selectedImages) => {
             // Handle multiple image selection
             selectedImages.forEach(selectedImage => {
-                const existingImageRef = {
-                    id: selectedImage.id,
-                    file_path: selectedImage.file_path,
-                    file_name: selectedImage.file_name,
-                    file_size: selectedImage.file_size,
-                    file_type: selectedImage.file_type,
-                    width: selectedImage.width,
-                    height: selectedImage.height,
-                    title: selectedImage.title,
-                    description: selectedImage.description,
-                    isExisting: true // Mark as existing image
-                };
+                const existingImageRef = createExistingImageRef(selectedImage);
 
                 // Add to images array
                 images.push(existingImageRef);
@@ -314,12 +293,75 @@ function selectExistingImage() {
     );
 }
 
+// Creates a reference to a picture from the timeline's image library
+function createExistingImageRef(selectedImage) {
+    return {
+        id: selectedImage.id,
+        file_path: selectedImage.file_path,
+        file_name: selectedImage.file_name,
+        file_size: selectedImage.file_size,
+        file_type: selectedImage.file_type,
+        width: selectedImage.width,
+        height: selectedImage.height,
+        title: selectedImage.title,
+        description: selectedImage.description,
+        thumbnails: selectedImage.thumbnails,
+        isExisting: true // Mark as existing image
+    };
+}
+
+/**
+ * Warns when a new image is already in the timeline and offers to use that picture instead
+ * @param {Object} imageInfo - The new image, as kept in images
+ * @param {HTMLElement} preview - The new image's preview
+ *
+ * How it works:
+ * - The main process compares the file with the timeline's pictures by content and
+ *   perceptual hash, so resized or re-saved copies are found too
+ * - "Use existing" swaps the new image for a reference to the closest match, so no second
+ *   copy is saved; "Keep new" just hides the warning
+ */
+async function checkForDuplicateImage(imageInfo, preview) {
+    let result;
+    try {
+        result = await window.api.invoke('find-matching-pictures', imageInfo.temp_path);
+    } catch (error) {
+        console.error('[addItem.js] Error looking for duplicate images:', error);
+        return;
+    }
+    if (!result || !result.success || result.matches.length === 0 || !preview.isConnected) return;
+
+    const match = result.matches[0];
+    const warning = document.createElement('div');
+    warning.className = 'image-duplicate-warning';
+    warning.innerHTML = `
+        <img ${Thumbnails.getImgAttributes(match, 'small')} alt="" onerror="Thumbnails.handleError(this)">
+        <span class="image-duplicate-text"></span>
+        <button type="button" class="btn-use-existing">Use existing</button>
+        <button type="button" class="btn-keep-new">Keep new</button>
+    `;
+    warning.querySelector('.image-duplicate-text').textContent =
+        `${match.match === 'exact' ? 'Already in this timeline' : 'Looks like a picture in this timeline'}: ${match.title || match.file_name}`;
+
+    warning.querySelector('.btn-use-existing').addEventListener('click', () => {
+        const existingImageRef = createExistingImageRef(match);
+        const index = images.indexOf(imageInfo);
+        if (index > -1) {
+            images.splice(index, 1, existingImageRef);
+        }
+        preview.replaceWith(addImagePreview(existingImageRef, false));
+    });
+    warning.querySelector('.btn-keep-new').addEventListener('click', () => warning.remove());
+
+    preview.appendChild(warning);
+}
+
 function addImagePreview(imageInfo, isNew = false) {
     const container = document.querySelector('.image-upload-container');
     const preview = document.createElement('div');
     preview.className = 'image-preview';
     preview.innerHTML = `
-        <img src="file://${imageInfo.file_path || imageInfo.temp_path}" alt="${imageInfo.file_name || 'Image'}">
+        <img ${imageInfo.thumbnails ? Thumbnails.getImgAttributes(imageInfo, 'medium') : `src="file://${imageInfo.file_path || imageInfo.temp_path}"`} alt="${imageInfo.file_name || 'Image'}" onerror="Thumbnails.handleError(this)">
         <button class="image-description-icon ${imageInfo.description ? 'has-description' : ''}" 
                 onclick="toggleImageDescription(this, '${imageInfo.id || Date.now()}')" 
                 title="${imageInfo.description ? 'Edit description' : 'Add description'}">
@@ -340,6 +382,7 @@ function addImagePreview(imageInfo, isNew = false) {
         <button class="remove-image" onclick="removeImage(this, '${imageInfo.id}')">&times;</button>
     `;
     container.insertBefore(preview, document.getElementById('addImageBtn'));
+    return preview;
 }
 
 function closeImageOptions() {
@@ -565,6 +608,10 @@ if (isEditMode && editItemId) {
             document.getElementById('content').value = item.content || '';
             document.getElementById('yearInput').value = item.year || '';
             document.getElementById('subtickInput').value = item.subtick !== undefined ? item.subtick : '';
+            DateUncertainty.fillForm(document, item);
+            CharacterPicker.setSelected(item.characters);
+            RelationshipPicker.setSelected(item.relationships, item.id);
+            CalendarPicker.refreshAll();
             document.getElementById('bookTitle').value = item.book_title || '';
             document.getElementById('chapter').value = item.chapter || '';
             document.getElementById('page').value = item.page || '';
@@ -607,6 +654,12 @@ if (isEditMode && editItemId) {
             // Update form submission handler for editing
             document.getElementById('addItemForm').onsubmit = function(e) {
                 e.preventDefault();
+                const dates = {
+                    year: document.getElementById('yearInput').value,
+                    subtick: document.getElementById('subtickInput').value
+                };
+                if (!DateUncertainty.checkForm(document, dates)) return;
+
                 const formData = {
                     id: item.id, // Keep the same ID
                     title: document.getElementById('title').value,
@@ -629,7 +682,10 @@ if (isEditMode && editItemId) {
                     page: document.getElementById('page').value,
                     year: document.getElementById('yearInput').value,
                     subtick: document.getElementById('subtickInput').value,
-                    story_refs: collectStoryRefs()
+                    ...DateUncertainty.readForm(document),
+                    story_refs: collectStoryRefs(),
+                    characters: CharacterPicker.getSelected(),
+                    relationships: RelationshipPicker.getSelected()
                 };
                 // Send update request
                 window.api.send('updateTimelineItem', formData);
@@ -641,6 +697,12 @@ if (isEditMode && editItemId) {
     // Handle form submission for new items
     document.getElementById('addItemForm').addEventListener('submit', async (e) => {
         e.preventDefault();
+
+        const dates = {
+            year: document.getElementById('yearInput')?.value,
+            subtick: document.getElementById('subtickInput')?.value
+        };
+        if (!DateUncertainty.checkForm(document, dates)) return;
         
         // Use the stored timeline ID
         
@@ -719,7 +781,10 @@ if (isEditMode && editItemId) {
             page: document.getElementById('page')?.value || '',
             year: parseInt(document.getElementById('yearInput')?.value || '0'),
             subtick: parseInt(document.getElementById('subtickInput')?.value || '0'),
+            ...DateUncertainty.readForm(document),
             story_refs: collectStoryRefs(),
+            characters: CharacterPicker.getSelected(),
+            relationships: RelationshipPicker.getSelected(),
             story: '',
             'story-id': '',
             type: (urlParams.get('type') || 'event').charAt(0).toUpperCase() + (urlParams.get('type') || 'event').slice(1),
@@ -830,6 +895,15 @@ window.addEventListener('DOMContentLoaded', function() {
     // Set subtick max
     document.getElementById('subtickInput').setAttribute('max', granularity);
 
+    // Month and day fields when the timeline has a custom calendar
+    CalendarPicker.attach([
+        { yearInput: document.getElementById('yearInput'), subtickInput: document.getElementById('subtickInput') },
+        { yearInput: document.getElementById('earliestYear'), subtickInput: document.getElementById('earliestSubtick') },
+        { yearInput: document.getElementById('latestYear'), subtickInput: document.getElementById('latestSubtick') }
+    ], parseInt(urlParams.get('granularity')) || 4);
+
+    CharacterPicker.attach(document.getElementById('characterPicker'));
+    RelationshipPicker.attach(document.getElementById('relationshipPicker'));
 });
 
 function initializeForm() {
@@ -68,6 +68,9 @@ function initializeForm() {
             document.getElementById('subtickInput').value = itemData.subtick || subtick;
             document.getElementById('endYearInput').value = itemData.end_year || year;
             document.getElementById('endSubtickInput').value = itemData.end_subtick || subtick;
+            DateUncertainty.fillForm(document, itemData);
+            CharacterPicker.setSelected(itemData.characters);
+            RelationshipPicker.setSelected(itemData.relationships, itemData.id);
             document.getElementById('titleInput').value = itemData.title || '';
             document.getElementById('descriptionInput').value = itemData.description || '';
             document.getElementById('contentInput').value = itemData.content || '';
@@ -76,6 +79,7 @@ function initializeForm() {
             document.getElementById('chapterInput').value = itemData.chapter || '';
             document.getElementById('pageInput').value = itemData.page || '';
             document.getElementById('showInNotesInput').checked = itemData.show_in_notes !== false;
+            document.getElementById('exclusiveInput').checked = !!itemData.exclusive;
             
             // Set importance value
             const importanceInput = document.getElementById('importanceInput');
@@ -128,8 +132,20 @@ function initializeForm() {
                 document.getElementById('colorInput').value = color;
             }
         }
+        CalendarPicker.refreshAll();
     });
 
+    // Month and day fields when the timeline has a custom calendar
+    CalendarPicker.attach([
+        { yearInput: document.getElementById('yearInput'), subtickInput: document.getElementById('subtickInput') },
+        { yearInput: document.getElementById('endYearInput'), subtickInput: document.getElementById('endSubtickInput') },
+        { yearInput: document.getElementById('earliestYear'), subtickInput: document.getElementById('earliestSubtick') },
+        { yearInput: document.getElementById('latestYear'), subtickInput: document.getElementById('latestSubtick') }
+    ], parseInt(granularity) || 4);
+
+    CharacterPicker.attach(document.getElementById('characterPicker'));
+    RelationshipPicker.attach(document.getElementById('relationshipPicker'));
+
     // Request the item data from the main process
     window.api.send('get-item-data');
 }
@@ -436,7 +452,8 @@ function selectNewImage() {
                 images.push(tempImageInfo);
 
                 // Create preview
-                addImagePreview(tempImageInfo, true);
+                const preview = addImagePreview(tempImageInfo, true);
+                checkForDuplicateImage(tempImageInfo, preview);
             } catch (error) {
                 console.error('Error saving temporary file:', error);
                 console.error('Error preparing image for upload. Please try again.');
@@ -454,18 +471,7 @@ function selectExistingImage() {
         // Single image selection callback
         (selectedImage) => {
             // Create a reference to the existing image
-            const existingImageRef = {
-                id: selectedImage.id,
-                file_path: selectedImage.file_path,
-                file_name: selectedImage.file_name,
-                file_size: selectedImage.file_size,
-                file_type: selectedImage.file_type,
-                width: selectedImage.width,
-                height: selectedImage.height,
-                title: selectedImage.title,
-                description: selectedImage.description,
-                isExisting: true // Mark as existing image
-            };
+            const existingImageRef = createExistingImageRef(selectedImage);
 
             // Add to images array
             images.push(existingImageRef);
@@ -477,18 +483,7 @@ function selectExistingImage() {
         (selectedImages) => {
             // Handle multiple image selection
             selectedImages.forEach(selectedImage => {
-                const existingImageRef = {
-                    id: selectedImage.id,
-                    file_path: selectedImage.file_path,
-                    file_name: selectedImage.file_name,
-                    file_size: selectedImage.file_size,
-                    file_type: selectedImage.file_type,
-                    width: selectedImage.width,
-                    height: selectedImage.height,
-                    title: selectedImage.title,
-                    description: selectedImage.description,
-                    isExisting: true // Mark as existing image
-                };
+                const existingImageRef = createExistingImageRef(selectedImage);
 
                 // Add to images array
                 images.push(existingImageRef);
@@ -500,12 +495,75 @@ function selectExistingImage() {
     );
 }
 
+// Creates a reference to a picture from the timeline's image library
+function createExistingImageRef(selectedImage) {
+    return {
+        id: selectedImage.id,
+        file_path: selectedImage.file_path,
+        file_name: selectedImage.file_name,
+        file_size: selectedImage.file_size,
+        file_type: selectedImage.file_type,
+        width: selectedImage.width,
+        height: selectedImage.height,
+        title: selectedImage.title,
+        description: selectedImage.description,
+        thumbnails: selectedImage.thumbnails,
+        isExisting: true // Mark as existing image
+    };
+}
+
+/**
+ * Warns when a new image is already in the timeline and offers to use that picture instead
+ * @param {Object} imageInfo - The new image, as kept in images
+ * @param {HTMLElement} preview - The new image's preview
+ *
+ * How it works:
+ * - The main process compares the file with the timeline's pictures by content and
+ *   perceptual hash, so resized or re-saved copies are found too
+ * - "Use existing" swaps the new image for a reference to the closest match, so no second
+ *   copy is saved; "Keep new" just hides the warning
+ */
+async function checkForDuplicateImage(imageInfo, preview) {
+    let result;
+    try {
+        result = await window.api.invoke('find-matching-pictures', imageInfo.temp_path);
+    } catch (error) {
+        console.error('[addItemWithRange.js] Error looking for duplicate images:', error);
+        return;
+    }
+    if (!result || !result.success || result.matches.length === 0 || !preview.isConnected) return;
+
+    const match = result.matches[0];
+    const warning = document.createElement('div');
+    warning.className = 'image-duplicate-warning';
+    warning.innerHTML = `
+        <img ${Thumbnails.getImgAttributes(match, 'small')} alt="" onerror="Thumbnails.handleError(this)">
+        <span class="image-duplicate-text"></span>
+        <button type="button" class="btn-use-existing">Use existing</button>
+        <button type="button" class="btn-keep-new">Keep new</button>
+    `;
+    warning.querySelector('.image-duplicate-text').textContent =
+        `${match.match === 'exact' ? 'Already in this timeline' : 'Looks like a picture in this timeline'}: ${match.title || match.file_name}`;
+
+    warning.querySelector('.btn-use-existing').addEventListener('click', () => {
+        const existingImageRef = createExistingImageRef(match);
+        const index = images.indexOf(imageInfo);
+        if (index > -1) {
+            images.splice(index, 1, existingImageRef);
+        }
+        preview.replaceWith(addImagePreview(existingImageRef, false));
+    });
+    warning.querySelector('.btn-keep-new').addEventListener('click', () => warning.remove());
+
+    preview.appendChild(warning);
+}
+
 function addImagePreview(imageInfo, isNew = false) {
     const container = document.querySelector('.image-upload-container');
     const preview = document.createElement('div');
     preview.className = 'image-preview';
     preview.innerHTML = `
-        <img src="file://${imageInfo.file_path || imageInfo.temp_path}" alt="${imageInfo.file_name || 'Image'}">
+        <img ${imageInfo.thumbnails ? Thumbnails.getImgAttributes(imageInfo, 'medium') : `src="file://${imageInfo.file_path || imageInfo.temp_path}"`} alt="${imageInfo.file_name || 'Image'}" onerror="Thumbnails.handleError(this)">
         <button class="image-description-icon ${imageInfo.description ? 'has-description' : ''}" 
                 onclick="toggleImageDescription(this, '${imageInfo.id || Date.now()}')" 
                 title="${imageInfo.description ? 'Edit description' : 'Add description'}">
@@ -526,6 +584,7 @@ function addImagePreview(imageInfo, isNew = false) {
         <button class="remove-image" onclick="removeImage(this, '${imageInfo.id}')">&times;</button>
     `;
     container.insertBefore(preview, document.getElementById('addImageBtn'));
+    return preview;
 }
 
 function closeImageOptions() {
@@ -632,6 +691,16 @@ function collectStoryRefs() {
     return refs;
 }
 
+// Start and end dates as entered, for checking the uncertainty fields against
+function getRangeDates() {
+    return {
+        year: document.getElementById('yearInput')?.value,
+        subtick: document.getElementById('subtickInput')?.value,
+        end_year: document.getElementById('endYearInput')?.value,
+        end_subtick: document.getElementById('endSubtickInput')?.value
+    };
+}
+
 // Handle form submission for new items
 document.getElementById('addItemForm').addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -642,6 +711,8 @@ document.getElementById('addItemForm').addEventListener('submit', async (e) => {
         console.error('Error: No active timeline found. Please try again.');
         return;
     }
+
+    if (!DateUncertainty.checkForm(document, getRangeDates())) return;
     
     // Process all images before submitting
     const processedImages = [];
@@ -723,7 +794,10 @@ document.getElementById('addItemForm').addEventListener('submit', async (e) => {
         end_year: parseInt(document.getElementById('endYearInput')?.value || '0'),
         end_subtick: parseInt(document.getElementById('endSubtickInput')?.value || '0'),
         original_end_subtick: parseInt(document.getElementById('endSubtickInput')?.value || '0'),
+        ...DateUncertainty.readForm(document),
         story_refs: collectStoryRefs(),
+        characters: CharacterPicker.getSelected(),
+        relationships: RelationshipPicker.getSelected(),
         story: '',
         'story-id': '',
         type: type.charAt(0).toUpperCase() + type.slice(1),
@@ -732,6 +806,7 @@ document.getElementById('addItemForm').addEventListener('submit', async (e) => {
         creation_granularity: parseInt(window.granularity || '4'),
         item_index: 0, // This will be set by the database manager
         show_in_notes: document.getElementById('showInNotesInput').checked,
+        exclusive: document.getElementById('exclusiveInput').checked,
         importance: parseInt(document.getElementById('importanceInput')?.value) || 5
     };
 
@@ -807,10 +882,15 @@ window.api.receive('itemData', (item) => {
         document.getElementById('subtickInput').value = item.subtick || '';
         document.getElementById('endYearInput').value = item.end_year || item.year || '';
         document.getElementById('endSubtickInput').value = item.end_subtick || item.subtick || '';
+        DateUncertainty.fillForm(document, item);
+        CharacterPicker.setSelected(item.characters);
+        RelationshipPicker.setSelected(item.relationships, item.id);
+        CalendarPicker.refreshAll();
         document.getElementById('bookTitleInput').value = item.book_title || '';
         document.getElementById('chapterInput').value = item.chapter || '';
         document.getElementById('pageInput').value = item.page || '';
         document.getElementById('showInNotesInput').checked = item.show_in_notes !== false;
+        document.getElementById('exclusiveInput').checked = !!item.exclusive;
         if (item.color) {
             document.getElementById('colorInput').value = item.color;
         }
@@ -849,6 +929,8 @@ window.api.receive('itemData', (item) => {
         // Update form submission handler for editing
         document.getElementById('addItemForm').onsubmit = function(e) {
             e.preventDefault();
+            if (!DateUncertainty.checkForm(document, getRangeDates())) return;
+
             const formData = {
                 id: item.id, // Keep the same ID
                 title: document.getElementById('titleInput').value,
@@ -873,10 +955,14 @@ window.api.receive('itemData', (item) => {
                 subtick: document.getElementById('subtickInput').value,
                 end_year: document.getElementById('endYearInput').value,
                 end_subtick: document.getElementById('endSubtickInput').value,
+                ...DateUncertainty.readForm(document),
                 story_refs: collectStoryRefs(),
+                characters: CharacterPicker.getSelected(),
+                relationships: RelationshipPicker.getSelected(),
                 story: '',
                 'story-id': '',
                 show_in_notes: document.getElementById('showInNotesInput').checked,
+                exclusive: document.getElementById('exclusiveInput').checked,
                 importance: parseInt(document.getElementById('importanceInput')?.value) || 5
             };
 
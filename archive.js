@@ -11,6 +11,9 @@
  * - Filter items by type
  * - Search functionality for each tab
  * - Item restoration
+ * - Bulk actions on checked items (move, tag, assign a story, recolor, retype, delete)
+ * - Trash tab: restore or permanently delete deleted items, stories, media, tags and characters
+ * - Characters tab: create, edit and delete characters with their lifespans and aliases
  * 
  * Main Functions:
  * - initializeArchive(): Sets up the archive window and loads content
@@ -29,15 +32,23 @@ let filteredItems = [];
 let filteredStories = [];
 let filteredMedia = [];
 let filteredTags = [];
+let trash = [];
+let filteredTrash = [];
+let characters = [];
+let filteredCharacters = [];
 let currentFilter = 'all';
 let currentTab = 'items';
 let searchQueries = {
     items: '',
     stories: '',
     media: '',
-    tags: ''
+    tags: '',
+    trash: '',
+    characters: ''
 };
 let storyReferences = [];
+// Ids of the checked items, which the bulk actions toolbar acts on
+let selectedItemIds = new Set();
 
 let item_types = {
     1: 'Event',
@@ -81,6 +92,7 @@ window.addEventListener('DOMContentLoaded', async function() {
     initializeArchive();
     setupEventListeners();
     setupTabs();
+    setupBulkActions();
 });
 
 /**
@@ -97,6 +109,10 @@ function initializeArchive() {
     window.api.send('getAllMedia');
     // Get all tags
     window.api.send('getAllTags');
+    // Get the trash
+    loadTrash();
+    // Get the characters
+    loadCharacters();
 }
 
 /**
@@ -141,6 +157,35 @@ function setupEventListeners() {
         searchQueries.tags = e.target.value.toLowerCase();
         filterTags();
     });
+
+    document.getElementById('trash-search').addEventListener('input', (e) => {
+        searchQueries.trash = e.target.value.toLowerCase();
+        filterTrash();
+    });
+
+    document.getElementById('characters-search').addEventListener('input', (e) => {
+        searchQueries.characters = e.target.value.toLowerCase();
+        filterCharacters();
+    });
+
+    document.getElementById('characters-new').addEventListener('click', () => {
+        openArchiveModal('character', null);
+    });
+
+    document.getElementById('trash-retention-days').addEventListener('change', async (e) => {
+        const result = await window.api.invoke('set-trash-retention', parseInt(e.target.value) || 0);
+        if (result.success) {
+            loadTrash();
+        }
+    });
+
+    document.getElementById('trash-empty').addEventListener('click', async () => {
+        if (trash.length === 0) return;
+        if (confirm(`Permanently delete all ${trash.length} records in the trash? This cannot be undone.`)) {
+            await window.api.invoke('empty-trash');
+            loadTrash();
+        }
+    });
 }
 
 /**
@@ -245,6 +290,8 @@ function displayItems() {
 
     if (filteredItems.length === 0) {
         content.innerHTML = '<div class="no-items">No items found</div>';
+        updateSelectAll();
+        BulkActions.update();
         return;
     }
 
@@ -263,6 +310,7 @@ function displayItems() {
 
         itemElement.className = 'archive-item';
         itemElement.innerHTML = `
+            <input type="checkbox" class="archive-item-select" title="Select for bulk actions" ${selectedItemIds.has(String(item.id)) ? 'checked' : ''}>
             <div class="archive-item-buttons">
                 <button class="archive-item-button edit" title="Edit item">
                     <i class="ri-quill-pen-line"></i>
@@ -287,12 +335,16 @@ function displayItems() {
 
         // Add click handler to restore item
         itemElement.addEventListener('click', (e) => {
-            // Only trigger restore if the click wasn't on a button
-            if (!e.target.closest('.archive-item-button')) {
+            // Only trigger restore if the click wasn't on a button or the checkbox
+            if (!e.target.closest('.archive-item-button, .archive-item-select')) {
                 restoreItem(item);
             }
         });
 
+        itemElement.querySelector('.archive-item-select').addEventListener('change', (e) => {
+            setItemSelected(item.id, e.target.checked);
+        });
+
         // Add click handlers for edit and delete buttons
         const editButton = itemElement.querySelector('.edit');
         const deleteButton = itemElement.querySelector('.delete');
@@ -321,6 +373,64 @@ function displayItems() {
 
         content.appendChild(itemElement);
     });
+
+    updateSelectAll();
+    BulkActions.update();
+}
+
+// ===== Bulk Actions =====
+/**
+ * Sets up the bulk actions toolbar of the items tab (see bulkActions.js)
+ */
+function setupBulkActions() {
+    BulkActions.attach(document.getElementById('archive-bulk-actions'), {
+        getSelectedIds: () => {
+            const ids = new Set(items.map(item => String(item.id)));
+            return Array.from(selectedItemIds).filter(id => ids.has(id));
+        },
+        getItems: () => items,
+        onDone: () => {
+            clearItemSelection();
+            initializeArchive();
+        },
+        onClear: clearItemSelection
+    });
+
+    // Checks or unchecks every item the filter and search show
+    document.getElementById('items-select-all').addEventListener('change', (e) => {
+        filteredItems.forEach(item => {
+            if (e.target.checked) {
+                selectedItemIds.add(String(item.id));
+            } else {
+                selectedItemIds.delete(String(item.id));
+            }
+        });
+        displayItems();
+    });
+}
+
+function setItemSelected(itemId, selected) {
+    if (selected) {
+        selectedItemIds.add(String(itemId));
+    } else {
+        selectedItemIds.delete(String(itemId));
+    }
+    updateSelectAll();
+    BulkActions.update();
+}
+
+function clearItemSelection() {
+    selectedItemIds.clear();
+    displayItems();
+}
+
+// The select all box is checked when every shown item is
+function updateSelectAll() {
+    const selectAll = document.getElementById('items-select-all');
+    if (!selectAll) return;
+    const checked = filteredItems.filter(item => selectedItemIds.has(String(item.id))).length;
+    selectAll.checked = filteredItems.length > 0 && checked === filteredItems.length;
+    selectAll.indeterminate = checked > 0 && checked < filteredItems.length;
 }
 
 /**
@@ -469,7 +579,7 @@ function displayMedia() {
                     </button>
                 </div>
                 <div class="preview-image">
-                    <img width="100" height="100" src="${file.file_path}" alt="${file.file_name}">
+                    <img width="100" height="100" ${Thumbnails.getImgAttributes(file, 'small')} alt="${file.file_name}" onerror="Thumbnails.handleError(this)">
                 </div>
             </div>
             <div class="media-item-usage-dropdown-container">
@@ -590,6 +700,219 @@ function displayTags() {
     });
 }
 
+// ===== Trash =====
+const trash_kinds = {
+    item: { label: 'Item', icon: 'ri-calendar-event-fill' },
+    story: { label: 'Story', icon: 'ri-book-open-line' },
+    tag: { label: 'Tag', icon: 'ri-price-tag-3-line' },
+    picture: { label: 'Media', icon: 'ri-image-fill' },
+    character: { label: 'Character', icon: 'ri-user-line' }
+};
+
+async function loadTrash() {
+    const result = await window.api.invoke('get-trash');
+    if (!result.success) {
+        console.error('Error loading trash:', result.error);
+        return;
+    }
+    trash = result.entries;
+    document.getElementById('trash-retention-days').value = result.retentionDays;
+    filterTrash();
+}
+
+function filterTrash() {
+    filteredTrash = trash.filter(entry => (entry.title || '').toLowerCase().includes(searchQueries.trash));
+    displayTrash();
+}
+
+// SQLite timestamps are UTC without a zone marker
+function parseDbDate(value) {
+    return new Date(value.replace(' ', 'T') + 'Z');
+}
+
+function displayTrash() {
+    const content = document.getElementById('trash-content');
+    content.innerHTML = '';
+
+    if (filteredTrash.length === 0) {
+        content.innerHTML = '<div class="no-items">The trash is empty</div>';
+        return;
+    }
+
+    filteredTrash.forEach(entry => {
+        const kind = trash_kinds[entry.kind] || { label: entry.kind, icon: 'ri-file-line' };
+        const entryElement = document.createElement('div');
+        entryElement.className = 'archive-item archive-trash-item';
+        entryElement.innerHTML = `
+            <div class="archive-item-buttons">
+                <button class="archive-item-button restore" title="Restore">
+                    <i class="ri-arrow-go-back-line"></i>
+                </button>
+                <button class="archive-item-button purge" title="Delete permanently">
+                    <i class="ri-delete-bin-2-line"></i>
+                </button>
+            </div>
+            <div class="archive-item-title-container"><div class="archive-item-title"></div> <div class="archive-item-type" title="${kind.label}"><i class="${kind.icon}"></i></div></div>
+            <div class="archive-item-date">
+                Deleted ${parseDbDate(entry.deleted_at).toLocaleString()}
+                ${entry.purge_at ? ` · deleted permanently on ${parseDbDate(entry.purge_at).toLocaleDateString()}` : ''}
+            </div>
+        `;
+        entryElement.querySelector('.archive-item-title').textContent = entry.title || '(untitled)';
+
+        entryElement.querySelector('.restore').addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const result = await window.api.invoke('restore-from-trash', entry.id);
+            if (!result.success) {
+                alert('Error restoring: ' + result.error);
+            }
+            initializeArchive();
+        });
+
+        entryElement.querySelector('.purge').addEventListener('click', async (e) => {
+            e.stopPropagation();
+            if (confirm(`Permanently delete "${entry.title}"? This cannot be undone.`)) {
+                await window.api.invoke('purge-from-trash', entry.id);
+                loadTrash();
+            }
+        });
+
+        content.appendChild(entryElement);
+    });
+}
+
+// ===== Characters =====
+async function loadCharacters() {
+    const result = await window.api.invoke('get-characters');
+    if (!result.success) {
+        console.error('Error loading characters:', result.error);
+        return;
+    }
+    characters = result.characters;
+    filterCharacters();
+}
+
+function filterCharacters() {
+    filteredCharacters = characters.filter(character => {
+        const searchableText = [
+            character.name,
+            character.description || '',
+            ...character.aliases
+        ].join(' ').toLowerCase();
+        return searchableText.includes(searchQueries.characters);
+    });
+
+    displayCharacters();
+}
+
+// e.g. "1000.2 – 1060.0", "b. 1000.2" or "d. 1060.0"; empty when neither date is known
+function formatLifespan(character) {
+    const birth = character.birth_year !== null ? `${character.birth_year}.${character.birth_subtick || 0}` : null;
+    const death = character.death_year !== null ? `${character.death_year}.${character.death_subtick || 0}` : null;
+    if (birth && death) return `${birth} – ${death}`;
+    if (birth) return `b. ${birth}`;
+    if (death) return `d. ${death}`;
+    return '';
+}
+
+function displayCharacters() {
+    const content = document.getElementById('characters-content');
+    content.innerHTML = '';
+
+    if (filteredCharacters.length === 0) {
+        content.innerHTML = '<div class="no-items">No characters found</div>';
+        return;
+    }
+
+    filteredCharacters.forEach(character => {
+        const linkedItems = character.item_ids
+            .map(id => items.find(item => item.id === id))
+            .filter(Boolean)
+            .sort((a, b) => (a.year - b.year) || ((a.subtick || 0) - (b.subtick || 0)));
+
+        const characterElement = document.createElement('div');
+        characterElement.className = 'archive-item archive-story archive-character';
+        characterElement.innerHTML = `
+            <div class="archive-story-buttons">
+                <button class="archive-story-button edit" title="Edit character">
+                    <i class="ri-edit-line"></i>
+                </button>
+                <button class="archive-story-button delete" title="Delete character">
+                    <i class="ri-delete-bin-line"></i>
+                </button>
+            </div>
+            <div class="story-header">
+                <div class="story-title-container">
+                    <div class="archive-item-title"></div>
+                    ${linkedItems.length > 0 ? `
+                        <button class="story-toggle-button" title="Show items">
+                            <i class="ri-arrow-right-s-line"></i>
+                        </button>
+                    ` : ''}
+                </div>
+                <div class="archive-character-aliases"></div>
+                <div class="archive-item-date archive-character-lifespan"></div>
+                <div class="archive-item-description"></div>
+            </div>
+            ${linkedItems.length > 0 ? `
+                <div class="story-referenced-items" style="display: none;">
+                    <div class="referenced-items-header">Appears in:</div>
+                    <div class="referenced-items-list">
+                        ${linkedItems.map(item => `
+                            <div class="referenced-item">
+                                <div class="referenced-item-title"><a onclick='jumptoitem("${item.id}")' href='#${item.id}'>${item.title}</a></div>
+                                <div class="referenced-item-date">${item.year}.${item.subtick}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+        `;
+        characterElement.querySelector('.archive-item-title').textContent = character.name;
+        characterElement.querySelector('.archive-character-aliases').textContent =
+            character.aliases.length ? `Also known as ${character.aliases.join(', ')}` : '';
+        characterElement.querySelector('.archive-character-lifespan').textContent = formatLifespan(character);
+        characterElement.querySelector('.archive-item-description').textContent = character.description || '';
+
+        const toggleButton = characterElement.querySelector('.story-toggle-button');
+        if (toggleButton) {
+            toggleButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const itemsContainer = characterElement.querySelector('.story-referenced-items');
+                const icon = toggleButton.querySelector('i');
+
+                if (itemsContainer.style.display === 'none') {
+                    itemsContainer.style.display = 'block';
+                    icon.className = 'ri-arrow-down-s-line';
+                    toggleButton.title = 'Hide items';
+                } else {
+                    itemsContainer.style.display = 'none';
+                    icon.className = 'ri-arrow-right-s-line';
+                    toggleButton.title = 'Show items';
+                }
+            });
+        }
+
+        characterElement.querySelector('.edit').addEventListener('click', (e) => {
+            e.stopPropagation();
+            openArchiveModal('character', character);
+        });
+
+        characterElement.querySelector('.delete').addEventListener('click', async (e) => {
+            e.stopPropagation();
+            if (confirm(`Are you sure you want to delete ${character.name}?`)) {
+                const result = await window.api.invoke('remove-character', character.id);
+                if (!result.success) {
+                    alert('Error deleting character: ' + result.error);
+                }
+                initializeArchive();
+            }
+        });
+
+        content.appendChild(characterElement);
+    });
+}
+
 function jumptoitem(item_id) {
     // switch to items tab
     currentTab = 'items';
@@ -656,6 +979,8 @@ function restoreItem(item) {
 window.api.receive('items', (receivedItems) => {
     items = receivedItems;
     filterItems();
+    // Characters list the items they appear in
+    filterCharacters();
 });
 
 // Listen for stories from main process
@@ -693,6 +1018,8 @@ function openArchiveModal(type, data) {
         form = renderStoryForm(data);
     } else if (type === 'picture') {
         form = renderPictureForm(data);
+    } else if (type === 'character') {
+        form = renderCharacterForm(data);
     }
     content.appendChild(form);
     modal.classList.remove('hidden');
@@ -748,4 +1075,74 @@ function renderPictureForm(picture) {
         form.appendChild(document.createElement('br'));
     }
     return form;
-} 
\ No newline at end of file
+} 
+
+/**
+ * Builds the form for adding or editing a character
+ * @param {Object|null} character - The character to edit, or null for a new one
+ * @returns {HTMLFormElement} The form; saving closes the modal and reloads the characters
+ */
+function renderCharacterForm(character) {
+    const value = field => character && character[field] !== null && character[field] !== undefined ? character[field] : '';
+
+    const form = document.createElement('form');
+    form.className = 'character-form';
+    form.innerHTML = `
+        <h2>${character ? 'Edit Character' : 'New Character'}</h2>
+        <label for="character-name">Name</label>
+        <input type="text" id="character-name" name="name" required>
+        <label for="character-aliases">Aliases (comma separated)</label>
+        <input type="text" id="character-aliases" name="aliases">
+        <div class="character-form-dates">
+            <div>
+                <label for="character-birth-year">Born (year.subyear)</label>
+                <input type="number" id="character-birth-year" name="birth_year">
+                <input type="number" id="character-birth-subtick" name="birth_subtick" min="0">
+            </div>
+            <div>
+                <label for="character-death-year">Died (year.subyear)</label>
+                <input type="number" id="character-death-year" name="death_year">
+                <input type="number" id="character-death-subtick" name="death_subtick" min="0">
+            </div>
+        </div>
+        <label for="character-description">Description</label>
+        <textarea id="character-description" name="description" rows="4"></textarea>
+        <div class="character-form-error" style="display: none;"></div>
+        <div class="character-form-buttons">
+            <button type="submit" class="archive-filter">Save</button>
+        </div>
+    `;
+
+    form.elements.name.value = value('name');
+    form.elements.aliases.value = character ? character.aliases.join(', ') : '';
+    form.elements.birth_year.value = value('birth_year');
+    form.elements.birth_subtick.value = value('birth_subtick');
+    form.elements.death_year.value = value('death_year');
+    form.elements.death_subtick.value = value('death_subtick');
+    form.elements.description.value = value('description');
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const result = await window.api.invoke('save-character', {
+            id: character ? character.id : null,
+            name: form.elements.name.value,
+            aliases: form.elements.aliases.value.split(','),
+            birth_year: form.elements.birth_year.value,
+            birth_subtick: form.elements.birth_subtick.value,
+            death_year: form.elements.death_year.value,
+            death_subtick: form.elements.death_subtick.value,
+            description: form.elements.description.value
+        });
+
+        if (!result.success) {
+            const error = form.querySelector('.character-form-error');
+            error.textContent = result.error;
+            error.style.display = 'block';
+            return;
+        }
+        document.getElementById('archive-modal').classList.add('hidden');
+        loadCharacters();
+    });
+
+    return form;
+}
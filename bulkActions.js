@@ -0,0 +1,230 @@
+/**
+ * Bulk Actions Module
+ *
+ * The toolbar for acting on several items at once. Shared by the timeline window, which acts
+ * on its selected items, and the archive, which acts on its checked items.
+ *
+ * How it works:
+ * - attach() renders the toolbar into a container: the number of items, an action select,
+ *   the inputs of the chosen action, Apply and Clear
+ * - update() shows or hides the toolbar; it is only shown while items are selected
+ * - Every action is one 'bulk-edit-items' call, so it runs in one transaction and is
+ *   one undo step (see the Bulk Item Operations in dbManager.js)
+ * - Tag and story inputs suggest the tags and stories of the items the window has loaded
+ * - Deleting asks first; the items go to the trash
+ *
+ * Possible errors:
+ * - The action fails in the main process; the error is shown and the selection is kept
+ */
+
+class BulkActions {
+    static ACTIONS = [
+        { value: 'shift', label: 'Move by' },
+        { value: 'add-tags', label: 'Add tags' },
+        { value: 'remove-tags', label: 'Remove tags' },
+        { value: 'assign-story', label: 'Assign story' },
+        { value: 'set-color', label: 'Set color' },
+        { value: 'set-type', label: 'Set type' },
+        { value: 'set-show-in-notes', label: 'Show in notes' },
+        { value: 'delete', label: 'Delete' }
+    ];
+
+    // Types items can be changed to; the timeline start and end markers are left out
+    static ITEM_TYPES = ['Event', 'Period', 'Age', 'Picture', 'Note', 'Bookmark'];
+
+    static container = null;
+    static options = null;
+
+    /**
+     * Renders the toolbar
+     * @param {HTMLElement} container - Where the toolbar goes
+     * @param {Object} options
+     * @param {Function} options.getSelectedIds - Returns the ids of the items to act on
+     * @param {Function} options.getItems - Returns the window's items, for the tag and story suggestions
+     * @param {Function} options.onDone - Called with the number of changed items after an action succeeds
+     * @param {Function} options.onClear - Called when Clear is pressed
+     */
+    static attach(container, options) {
+        if (!container) return;
+        BulkActions.container = container;
+        BulkActions.options = options;
+        BulkActions.render();
+        BulkActions.update();
+    }
+
+    static getSelectedIds() {
+        return BulkActions.options ? BulkActions.options.getSelectedIds() : [];
+    }
+
+    /**
+     * Shows the number of selected items, hiding the toolbar when there are none
+     */
+    static update() {
+        const container = BulkActions.container;
+        if (!container) return;
+        const count = BulkActions.getSelectedIds().length;
+        // The suggestions are refreshed each time the toolbar shows up
+        if (count > 0 && !container.classList.contains('active')) {
+            BulkActions.renderInputs(container.querySelector('.bulk-actions-action').value);
+        }
+        container.classList.toggle('active', count > 0);
+        container.querySelector('.bulk-actions-count').textContent = `${count} item${count === 1 ? '' : 's'} selected`;
+        if (count === 0) BulkActions.setStatus('');
+    }
+
+    static render() {
+        const container = BulkActions.container;
+        container.innerHTML = `
+            <span class="bulk-actions-count"></span>
+            <select class="bulk-actions-action">
+                ${BulkActions.ACTIONS.map(action => `<option value="${action.value}">${action.label}</option>`).join('')}
+            </select>
+            <span class="bulk-actions-inputs"></span>
+            <button class="bulk-actions-apply">Apply</button>
+            <button class="bulk-actions-clear" title="Clear the selection">Clear</button>
+            <span class="bulk-actions-status"></span>
+        `;
+        const actionSelect = container.querySelector('.bulk-actions-action');
+        actionSelect.addEventListener('change', () => BulkActions.renderInputs(actionSelect.value));
+        container.querySelector('.bulk-actions-apply').addEventListener('click', () => BulkActions.apply());
+        container.querySelector('.bulk-actions-clear').addEventListener('click', () => {
+            BulkActions.options.onClear && BulkActions.options.onClear();
+        });
+        BulkActions.renderInputs(actionSelect.value);
+    }
+
+    static renderInputs(action) {
+        const inputs = BulkActions.container.querySelector('.bulk-actions-inputs');
+        const items = BulkActions.options.getItems() || [];
+        const escape = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+        const datalist = (id, values) => `<datalist id="${id}">${values.map(value => `<option value="${escape(value)}">`).join('')}</datalist>`;
+
+        switch (action) {
+            case 'shift':
+                inputs.innerHTML = `
+                    <input type="number" class="bulk-shift-years" value="0" step="1" title="Years, negative to move back"> years
+                    <input type="number" class="bulk-shift-subticks" value="0" step="1" title="Subticks, negative to move back"> subticks
+                `;
+                break;
+            case 'add-tags':
+            case 'remove-tags': {
+                const tags = Array.from(new Set(items.flatMap(item => item.tags || []))).sort();
+                inputs.innerHTML = `
+                    <input type="text" class="bulk-tags" list="bulk-tags-list" placeholder="tag, another tag">
+                    ${datalist('bulk-tags-list', tags)}
+                `;
+                break;
+            }
+            case 'assign-story': {
+                inputs.innerHTML = `
+                    <input type="text" class="bulk-story" list="bulk-stories-list" placeholder="Story title">
+                    ${datalist('bulk-stories-list', BulkActions.getStories(items).map(story => story.title))}
+                    <label><input type="checkbox" class="bulk-story-replace"> Replace their other stories</label>
+                `;
+                break;
+            }
+            case 'set-color':
+                inputs.innerHTML = '<input type="color" class="bulk-color" value="#4b2e2e">';
+                break;
+            case 'set-type':
+                inputs.innerHTML = `
+                    <select class="bulk-type">
+                        ${BulkActions.ITEM_TYPES.map(type => `<option value="${type}">${type}</option>`).join('')}
+                    </select>
+                `;
+                break;
+            case 'set-show-in-notes':
+                inputs.innerHTML = `
+                    <select class="bulk-show-in-notes">
+                        <option value="1">Show</option>
+                        <option value="0">Hide</option>
+                    </select>
+                `;
+                break;
+            default:
+                inputs.innerHTML = '';
+        }
+    }
+
+    // Stories referenced by the items, unique by id
+    static getStories(items) {
+        const stories = new Map();
+        items.forEach(item => (item.story_refs || []).forEach(story => {
+            if (story && story.id && !stories.has(String(story.id))) stories.set(String(story.id), story);
+        }));
+        return Array.from(stories.values()).sort((a, b) => String(a.title).localeCompare(String(b.title)));
+    }
+
+    /**
+     * Reads the inputs of an action
+     * @param {string} action - One of ACTIONS
+     * @returns {Object|null} The options for 'bulk-edit-items', null when something is missing
+     */
+    static getOptions(action) {
+        const inputs = BulkActions.container.querySelector('.bulk-actions-inputs');
+        const value = selector => inputs.querySelector(selector).value;
+        const list = text => text.split(',').map(part => part.trim()).filter(Boolean);
+
+        switch (action) {
+            case 'shift': {
+                const years = parseInt(value('.bulk-shift-years')) || 0;
+                const subticks = parseInt(value('.bulk-shift-subticks')) || 0;
+                return years || subticks ? { years, subticks } : null;
+            }
+            case 'add-tags':
+            case 'remove-tags': {
+                const tags = list(value('.bulk-tags'));
+                return tags.length > 0 ? { tags } : null;
+            }
+            case 'assign-story': {
+                const title = value('.bulk-story').trim();
+                if (!title) return null;
+                const known = BulkActions.getStories(BulkActions.options.getItems() || []).find(story => story.title === title);
+                return {
+                    story: known ? { id: known.id, title } : { title },
+                    replace: inputs.querySelector('.bulk-story-replace').checked
+                };
+            }
+            case 'set-color':
+                return { color: value('.bulk-color') };
+            case 'set-type':
+                return { type: value('.bulk-type') };
+            case 'set-show-in-notes':
+                return { show: value('.bulk-show-in-notes') === '1' };
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Runs the chosen action on the selected items
+     */
+    static async apply() {
+        const ids = BulkActions.getSelectedIds();
+        if (ids.length === 0) return;
+        const action = BulkActions.container.querySelector('.bulk-actions-action').value;
+        const options = BulkActions.getOptions(action);
+        if (!options) {
+            BulkActions.setStatus('Fill in the action first');
+            return;
+        }
+        if (action === 'delete' && !confirm(`Move ${ids.length} item${ids.length === 1 ? '' : 's'} to the trash?`)) return;
+
+        try {
+            const result = await window.api.invoke('bulk-edit-items', action, ids, options);
+            if (!result || !result.success) throw new Error(result ? result.error : 'No response');
+            BulkActions.setStatus('');
+            BulkActions.options.onDone && BulkActions.options.onDone(result.count);
+        } catch (error) {
+            console.error('[bulkActions.js] Bulk action failed:', error);
+            BulkActions.setStatus(`Failed: ${error.message}`);
+        }
+    }
+
+    static setStatus(text) {
+        const status = BulkActions.container && BulkActions.container.querySelector('.bulk-actions-status');
+        if (status) status.textContent = text;
+    }
+}
+
+window.BulkActions = BulkActions;
@@ -0,0 +1,301 @@
+/**
+ * Calendar Module
+ *
+ * Custom calendar systems for timelines: named months of unequal length, weeks,
+ * leap rules, named eras and an epoch offset. Shared by the main process (require)
+ * and the renderer windows (<script>, as window.Calendar).
+ *
+ * How it works:
+ * - Dates are still stored as year + subtick with granularity subticks per year;
+ *   the calendar only decides how they are shown and picked
+ * - A subtick covers an equal share of its year, so subtick s starts on day
+ *   ceil(s * daysInYear / granularity); with granularity equal to the days of a
+ *   common year every subtick is exactly one day
+ * - The calendar year is the stored year plus epoch_offset; leap rules, weekdays
+ *   and eras work on calendar years
+ * - An era starting at calendar year N counts that year as year 1 of the era
+ *
+ * Definition (stored as JSON in timelines.calendar):
+ * {
+ *   name: 'Shire Reckoning',
+ *   months: [{ name: 'Afteryule', abbreviation: 'Ayu', days: 30 }, ...],
+ *   weekdays: ['Sterday', 'Sunday', ...],      // optional, one week
+ *   first_weekday: 0,                           // weekday of day 1 of calendar year 0
+ *   leap: { every: 4, except_every: 100, unless_every: 400, month: 1, days: 1 }, // optional
+ *   eras: [{ name: 'Third Age', abbreviation: 'T.A.', start_year: 1 }, ...],     // optional
+ *   epoch_offset: 0
+ * }
+ */
+
+class Calendar {
+    constructor(definition) {
+        const normalized = Calendar.normalize(definition);
+        Object.assign(this, normalized);
+        this.definition = normalized;
+        this.commonYearDays = this.months.reduce((sum, month) => sum + month.days, 0);
+    }
+
+    /**
+     * Creates a calendar from a stored definition
+     * @param {Object|string|null} definition - The definition or its JSON
+     * @returns {Calendar|null} null when the timeline has no calendar or the definition is invalid
+     */
+    static fromDefinition(definition) {
+        if (!definition) return null;
+        try {
+            const parsed = typeof definition === 'string' ? JSON.parse(definition) : definition;
+            if (!Calendar.validate(parsed).valid) return null;
+            return new Calendar(parsed);
+        } catch (error) {
+            console.error('[calendar.js] Invalid calendar definition:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Checks a calendar definition
+     * @param {Object} definition - The definition to check
+     * @returns {Object} { valid, errors } with one message per problem
+     */
+    static validate(definition) {
+        const errors = [];
+        const isInteger = value => Number.isInteger(value);
+        const isName = value => typeof value === 'string' && value.trim() !== '';
+
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            return { valid: false, errors: ['calendar must be an object'] };
+        }
+
+        if (!Array.isArray(definition.months) || definition.months.length === 0) {
+            errors.push('months must be a non-empty list');
+        } else {
+            definition.months.forEach((month, index) => {
+                if (!month || !isName(month.name)) errors.push(`month ${index + 1} needs a name`);
+                if (!month || !isInteger(month.days) || month.days < 1) errors.push(`month ${index + 1} must have at least 1 day`);
+            });
+        }
+
+        if (definition.weekdays !== undefined && definition.weekdays !== null) {
+            if (!Array.isArray(definition.weekdays) || !definition.weekdays.every(isName)) {
+                errors.push('weekdays must be a list of names');
+            }
+        }
+
+        if (definition.first_weekday !== undefined && (!isInteger(definition.first_weekday) || definition.first_weekday < 0)) {
+            errors.push('first_weekday must be a whole number of 0 or more');
+        }
+
+        if (definition.leap) {
+            const leap = definition.leap;
+            ['every', 'except_every', 'unless_every', 'days'].forEach(field => {
+                if (leap[field] !== undefined && (!isInteger(leap[field]) || leap[field] < 0)) {
+                    errors.push(`leap.${field} must be a whole number of 0 or more`);
+                }
+            });
+            const monthCount = Array.isArray(definition.months) ? definition.months.length : 0;
+            if (leap.month !== undefined && (!isInteger(leap.month) || leap.month < 0 || leap.month >= monthCount)) {
+                errors.push('leap.month must be the index of a month');
+            }
+        }
+
+        if (definition.eras !== undefined && definition.eras !== null) {
+            if (!Array.isArray(definition.eras)) {
+                errors.push('eras must be a list');
+            } else {
+                definition.eras.forEach((era, index) => {
+                    if (!era || !isName(era.name)) errors.push(`era ${index + 1} needs a name`);
+                    if (!era || !isInteger(era.start_year)) errors.push(`era ${index + 1} needs a whole start year`);
+                });
+            }
+        }
+
+        if (definition.epoch_offset !== undefined && !isInteger(definition.epoch_offset)) {
+            errors.push('epoch_offset must be a whole number');
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    // Fills in defaults and sorts eras by start year; expects a valid definition
+    static normalize(definition) {
+        const leap = definition.leap || {};
+        return {
+            name: (definition.name || '').trim(),
+            months: definition.months.map(month => ({
+                name: month.name.trim(),
+                abbreviation: (month.abbreviation || '').trim(),
+                days: month.days
+            })),
+            weekdays: (definition.weekdays || []).map(name => name.trim()),
+            first_weekday: definition.first_weekday || 0,
+            leap: {
+                every: leap.every || 0,
+                except_every: leap.except_every || 0,
+                unless_every: leap.unless_every || 0,
+                month: leap.month !== undefined ? leap.month : definition.months.length - 1,
+                days: leap.days !== undefined ? leap.days : 1
+            },
+            eras: (definition.eras || [])
+                .map(era => ({ name: era.name.trim(), abbreviation: (era.abbreviation || '').trim(), start_year: era.start_year }))
+                .sort((a, b) => a.start_year - b.start_year),
+            epoch_offset: definition.epoch_offset || 0
+        };
+    }
+
+    // ===== Years =====
+
+    toCalendarYear(year) {
+        return Math.floor(year) + this.epoch_offset;
+    }
+
+    isLeapYear(year) {
+        const { every, except_every, unless_every, days } = this.leap;
+        if (!every || !days) return false;
+
+        const calendarYear = this.toCalendarYear(year);
+        const divisible = n => n > 0 && calendarYear % n === 0;
+        return divisible(every) && !(divisible(except_every) && !divisible(unless_every));
+    }
+
+    daysInYear(year) {
+        return this.commonYearDays + (this.isLeapYear(year) ? this.leap.days : 0);
+    }
+
+    // Month lengths of a year, with the leap days added to the leap month
+    getMonths(year) {
+        const leapYear = this.isLeapYear(year);
+        return this.months.map((month, index) => ({
+            ...month,
+            days: month.days + (leapYear && index === this.leap.month ? this.leap.days : 0)
+        }));
+    }
+
+    // Days from the start of calendar year 0 to the start of the given year (negative before it)
+    daysBeforeYear(year) {
+        const calendarYear = this.toCalendarYear(year);
+        const { every, except_every, unless_every, days } = this.leap;
+
+        // Multiples of n in [0, calendarYear), negated for years before 0
+        const multiples = n => n > 0 ? Math.floor((calendarYear - 1) / n) + 1 : 0;
+        const leapYears = every && days ? multiples(every) - (except_every ? multiples(except_every) - multiples(unless_every) : 0) : 0;
+        return calendarYear * this.commonYearDays + leapYears * days;
+    }
+
+    /**
+     * Finds the era of a year
+     * @param {number} year - The stored year
+     * @returns {Object|null} { era, year } with the year counted within the era, or null before the first era
+     */
+    getEra(year) {
+        const calendarYear = this.toCalendarYear(year);
+        let current = null;
+        for (const era of this.eras) {
+            if (era.start_year <= calendarYear) current = era;
+        }
+        return current ? { era: current, year: calendarYear - current.start_year + 1 } : null;
+    }
+
+    /**
+     * Formats a year with its era, e.g. "Third Age 3019"
+     * @param {number} year - The stored year
+     * @param {Object} [options]
+     * @param {boolean} [options.short] - Use the era's abbreviation, e.g. "T.A. 3019"
+     * @returns {string} The year label
+     */
+    formatYear(year, options = {}) {
+        const era = this.getEra(year);
+        if (!era) return `${this.toCalendarYear(year)}`;
+
+        const eraName = options.short && era.era.abbreviation ? era.era.abbreviation : era.era.name;
+        return `${eraName} ${era.year}`;
+    }
+
+    // ===== Days =====
+
+    /**
+     * Gets the calendar date a subtick starts on
+     * @param {number} year - The stored year
+     * @param {number} subtick - The subtick within the year
+     * @param {number} granularity - Subticks per year
+     * @returns {Object} { dayOfYear, monthIndex, month, day, weekday } with dayOfYear 0-based and day 1-based
+     */
+    subtickToDate(year, subtick, granularity) {
+        const daysInYear = this.daysInYear(year);
+        const dayOfYear = Math.min(daysInYear - 1, Math.max(0, Math.ceil(subtick * daysInYear / granularity)));
+        return this.dayOfYearToDate(year, dayOfYear);
+    }
+
+    dayOfYearToDate(year, dayOfYear) {
+        const months = this.getMonths(year);
+        let remaining = dayOfYear;
+        let monthIndex = 0;
+        while (monthIndex < months.length - 1 && remaining >= months[monthIndex].days) {
+            remaining -= months[monthIndex].days;
+            monthIndex++;
+        }
+
+        let weekday = null;
+        if (this.weekdays.length > 0) {
+            const dayNumber = this.daysBeforeYear(year) + dayOfYear + this.first_weekday;
+            weekday = this.weekdays[((dayNumber % this.weekdays.length) + this.weekdays.length) % this.weekdays.length];
+        }
+
+        return { dayOfYear, monthIndex, month: months[monthIndex], day: remaining + 1, weekday };
+    }
+
+    /**
+     * Gets the subtick a calendar date falls in
+     * @param {number} year - The stored year
+     * @param {number} monthIndex - 0-based month
+     * @param {number} day - 1-based day of the month; clamped to the month's length
+     * @param {number} granularity - Subticks per year
+     * @returns {number} The subtick, between 0 and granularity - 1
+     */
+    dateToSubtick(year, monthIndex, day, granularity) {
+        const months = this.getMonths(year);
+        const month = months[Math.min(Math.max(0, monthIndex), months.length - 1)];
+        let dayOfYear = Math.min(Math.max(1, day), month.days) - 1;
+        for (let i = 0; i < monthIndex && i < months.length; i++) {
+            dayOfYear += months[i].days;
+        }
+
+        const subtick = Math.floor(dayOfYear * granularity / this.daysInYear(year));
+        return Math.min(granularity - 1, Math.max(0, subtick));
+    }
+
+    /**
+     * Formats a date, e.g. "Sterday, 12 Afteryule, Third Age 3019"
+     * @param {number} year - The stored year
+     * @param {number} subtick - The subtick within the year
+     * @param {number} granularity - Subticks per year
+     * @param {Object} [options]
+     * @param {boolean} [options.weekday] - Start with the weekday, if the calendar has weeks
+     * @param {boolean} [options.short] - Use month and era abbreviations
+     * @returns {string} The date label
+     */
+    formatDate(year, subtick, granularity, options = {}) {
+        const date = this.subtickToDate(year, subtick || 0, granularity);
+        const monthName = options.short && date.month.abbreviation ? date.month.abbreviation : date.month.name;
+        const label = `${date.day} ${monthName}, ${this.formatYear(year, options)}`;
+        return options.weekday && date.weekday ? `${date.weekday}, ${label}` : label;
+    }
+
+    /**
+     * Formats a range of dates, leaving out the end if it is the same date
+     * @returns {string} e.g. "1 Afteryule – 30 Solmath, Third Age 3019"
+     */
+    formatDateRange(year, subtick, endYear, endSubtick, granularity, options = {}) {
+        const start = this.formatDate(year, subtick, granularity, options);
+        if (endYear === null || endYear === undefined) return start;
+
+        const end = this.formatDate(endYear, endSubtick, granularity, options);
+        return start === end ? start : `${start} – ${end}`;
+    }
+}
+
+// Shared by the main process and the renderer windows
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Calendar;
+} else {
+    window.Calendar = Calendar;
+}
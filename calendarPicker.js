@@ -0,0 +1,128 @@
+/**
+ * Calendar Date Picker Module
+ *
+ * Adds month and day fields to the date inputs of the item windows when the timeline
+ * has a custom calendar (see calendar.js).
+ *
+ * How it works:
+ * - The year and subtick inputs stay the source of truth; they are what the form saves
+ * - Picking a month or day sets the subtick the date falls in
+ * - Changing the year or subtick shows the date that subtick starts on, with its weekday and era
+ * - Code that fills the inputs programmatically calls CalendarPicker.refreshAll() afterwards
+ *
+ * Possible errors:
+ * - The calendar can't be loaded; the window keeps its plain year / subtick inputs
+ */
+
+class CalendarPicker {
+    static pickers = [];
+
+    /**
+     * Loads the timeline's calendar and adds a picker to each year / subtick pair
+     * @param {Array<Object>} pairs - { yearInput, subtickInput } elements
+     * @param {number} granularity - Subticks per year
+     */
+    static async attach(pairs, granularity) {
+        let calendar = null;
+        try {
+            const result = await window.api.invoke('get-timeline-calendar');
+            calendar = result.success ? Calendar.fromDefinition(result.calendar) : null;
+        } catch (error) {
+            console.error('[calendarPicker.js] Could not load the calendar:', error);
+        }
+        if (!calendar) return;
+
+        pairs.forEach(({ yearInput, subtickInput }) => {
+            if (yearInput && subtickInput) {
+                CalendarPicker.pickers.push(new CalendarPicker(calendar, yearInput, subtickInput, granularity));
+            }
+        });
+    }
+
+    // Shows the current year / subtick values in every picker but the one being edited
+    static refreshAll() {
+        CalendarPicker.pickers.forEach(picker => {
+            if (!picker.applying) picker.refresh();
+        });
+    }
+
+    constructor(calendar, yearInput, subtickInput, granularity) {
+        this.calendar = calendar;
+        this.yearInput = yearInput;
+        this.subtickInput = subtickInput;
+        this.granularity = granularity || 4;
+
+        this.element = document.createElement('div');
+        this.element.className = 'calendar-picker';
+        this.monthSelect = document.createElement('select');
+        this.monthSelect.className = 'calendar-picker-month';
+        this.dayInput = document.createElement('input');
+        this.dayInput.type = 'number';
+        this.dayInput.min = '1';
+        this.dayInput.className = 'calendar-picker-day';
+        this.label = document.createElement('span');
+        this.label.className = 'calendar-picker-label';
+        this.element.append(this.dayInput, this.monthSelect, this.label);
+
+        // Below the subtick field's own container, so the existing layout stays as it is
+        const anchor = subtickInput.closest('.form-line-2') || subtickInput;
+        anchor.insertAdjacentElement('afterend', this.element);
+
+        this.monthSelect.addEventListener('change', () => this.apply());
+        this.dayInput.addEventListener('input', () => this.apply());
+        const onDateInput = () => {
+            if (!this.applying) this.refresh();
+        };
+        ['input', 'change'].forEach(type => {
+            this.yearInput.addEventListener(type, onDateInput);
+            this.subtickInput.addEventListener(type, onDateInput);
+        });
+
+        this.refresh();
+    }
+
+    getYear() {
+        const year = parseInt(this.yearInput.value);
+        return Number.isNaN(year) ? 0 : year;
+    }
+
+    // Month names change with leap years, so the options are rebuilt for each year
+    updateMonths(year, selectedIndex) {
+        const months = this.calendar.getMonths(year);
+        this.monthSelect.innerHTML = '';
+        months.forEach((month, index) => this.monthSelect.add(new Option(month.name, index)));
+        this.monthSelect.value = selectedIndex;
+        return months;
+    }
+
+    refresh(keepDay = false) {
+        const year = this.getYear();
+        const subtick = parseInt(this.subtickInput.value) || 0;
+        const date = this.calendar.subtickToDate(year, subtick, this.granularity);
+
+        const months = this.updateMonths(year, keepDay ? parseInt(this.monthSelect.value) : date.monthIndex);
+        if (!keepDay) {
+            this.dayInput.value = date.day;
+        }
+        this.dayInput.max = months[parseInt(this.monthSelect.value)].days;
+        this.label.textContent = this.calendar.formatDate(year, subtick, this.granularity, { weekday: true });
+    }
+
+    // Sets the subtick from the picked month and day; the day field is left as typed
+    apply() {
+        const year = this.getYear();
+        const day = parseInt(this.dayInput.value);
+        if (Number.isNaN(day)) return;
+
+        const subtick = this.calendar.dateToSubtick(year, parseInt(this.monthSelect.value), day, this.granularity);
+        this.subtickInput.value = subtick;
+
+        // Lets the window react to the new subtick (e.g. syncing the end date) without resetting the day
+        this.applying = true;
+        this.subtickInput.dispatchEvent(new Event('change', { bubbles: true }));
+        this.applying = false;
+        this.refresh(true);
+    }
+}
+
+window.CalendarPicker = CalendarPicker;
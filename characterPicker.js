@@ -0,0 +1,116 @@
+/**
+ * Character Picker Module
+ *
+ * Lets the item windows choose the characters taking part in an item. Characters
+ * themselves are created and edited in the archive window's Characters tab.
+ *
+ * How it works:
+ * - attach() loads the timeline's characters and renders the picker into a container
+ * - Picked characters show as removable chips; a select below them adds more
+ * - setSelected() may be called before the characters have loaded, the selection is
+ *   shown once they are in
+ * - getSelected() returns the picked character ids, which is what the item windows save
+ *
+ * Possible errors:
+ * - The characters can't be loaded; the picker stays empty and saves no changes
+ */
+
+class CharacterPicker {
+    static container = null;
+    static characters = [];
+    static selected = new Set();
+    static loaded = false;
+
+    /**
+     * Loads the timeline's characters and renders the picker
+     * @param {HTMLElement} container - Where the picker goes
+     */
+    static async attach(container) {
+        if (!container) return;
+        CharacterPicker.container = container;
+
+        try {
+            const result = await window.api.invoke('get-characters');
+            if (result.success) {
+                CharacterPicker.characters = result.characters;
+                CharacterPicker.loaded = true;
+            }
+        } catch (error) {
+            console.error('[characterPicker.js] Could not load the characters:', error);
+        }
+        CharacterPicker.render();
+    }
+
+    /**
+     * Sets the picked characters
+     * @param {Array<string|Object>} characters - Character ids, or objects with an id (as items carry them)
+     */
+    static setSelected(characters) {
+        CharacterPicker.selected = new Set((characters || []).map(character =>
+            typeof character === 'object' ? character.id : character));
+        CharacterPicker.render();
+    }
+
+    /**
+     * Gets the picked character ids
+     * @returns {Array<string>|undefined} undefined while the characters are not loaded, so the
+     *   item's existing characters are left alone
+     */
+    static getSelected() {
+        if (!CharacterPicker.loaded) return undefined;
+        return Array.from(CharacterPicker.selected);
+    }
+
+    static render() {
+        const container = CharacterPicker.container;
+        if (!container) return;
+        container.innerHTML = '';
+
+        if (CharacterPicker.characters.length === 0) {
+            const hint = document.createElement('div');
+            hint.className = 'character-picker-hint';
+            hint.textContent = 'No characters yet. Add them in the Archive\'s Characters tab.';
+            container.appendChild(hint);
+            return;
+        }
+
+        const chips = document.createElement('div');
+        chips.className = 'tag-container character-picker-chips';
+        CharacterPicker.characters
+            .filter(character => CharacterPicker.selected.has(character.id))
+            .forEach(character => {
+                const chip = document.createElement('div');
+                chip.className = 'tag character-chip';
+                chip.textContent = character.name;
+
+                const remove = document.createElement('span');
+                remove.className = 'remove-tag';
+                remove.textContent = '×';
+                remove.addEventListener('click', () => {
+                    CharacterPicker.selected.delete(character.id);
+                    CharacterPicker.render();
+                });
+                chip.appendChild(remove);
+                chips.appendChild(chip);
+            });
+
+        const select = document.createElement('select');
+        select.className = 'input-text character-picker-select';
+        select.add(new Option('Add character...', ''));
+        CharacterPicker.characters
+            .filter(character => !CharacterPicker.selected.has(character.id))
+            .forEach(character => {
+                const aliases = character.aliases.length ? ` (${character.aliases.join(', ')})` : '';
+                select.add(new Option(character.name + aliases, character.id));
+            });
+        select.addEventListener('change', () => {
+            if (!select.value) return;
+            CharacterPicker.selected.add(select.value);
+            CharacterPicker.render();
+        });
+
+        container.append(select, chips);
+    }
+}
+
+window.CharacterPicker = CharacterPicker;
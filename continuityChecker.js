@@ -0,0 +1,269 @@
+/**
+ * Continuity Checker Module
+ *
+ * Finds story logic errors in a timeline: characters taking part in items outside their
+ * lifespan, items ending before they start, items outside the timeline's start and end
+ * markers, exclusive items that overlap, items whose story is gone and items dated outside
+ * the stories they reference.
+ *
+ * How it works:
+ * - check() is given the timeline's data (see dbManager.checkContinuity()) and runs each rule
+ *   over it; it doesn't read or write the database itself
+ * - Each problem is an issue:
+ *   { rule, severity, message, item_id, item_title, year, subtick, character_id?, related_item_id?, story_id? }
+ * - severity is 'error' when the problem is certain, 'warning' when it depends on an
+ *   uncertain date (see dateUncertainty.js)
+ * - Dates compare as year, then subtick
+ */
+
+const DateUncertainty = require('./dateUncertainty');
+
+class ContinuityChecker {
+    // Rule ids with the heading the report groups their issues under, in report order
+    static RULES = {
+        'end-before-start': 'Ends before it starts',
+        'character-lifespan': 'Character outside their lifespan',
+        'outside-markers': 'Outside the timeline start / end',
+        'exclusive-overlap': 'Overlapping exclusive items',
+        'missing-story': 'Story deleted or in the trash',
+        'outside-story': 'Outside a referenced story'
+    };
+
+    static MARKER_TYPES = ['Timeline_start', 'Timeline_end'];
+
+    static compare(a, b) {
+        return (a.year - b.year) || ((a.subtick || 0) - (b.subtick || 0));
+    }
+
+    static getStart(item) {
+        return { year: item.year, subtick: item.subtick || 0 };
+    }
+
+    // Items without an end date end where they start
+    static getEnd(item) {
+        if (item.end_year === null || item.end_year === undefined) return ContinuityChecker.getStart(item);
+        return { year: item.end_year, subtick: item.end_subtick || 0 };
+    }
+
+    /**
+     * Checks a timeline's items
+     * @param {Object} data - { items, characters, stories, trashed_stories }
+     *   items: item rows with type (the type name), character_ids and story_ref_ids
+     *   characters: the timeline's character rows
+     *   stories: rows of the stories the items belong to or reference, where they still exist
+     *   trashed_stories: { id, title } of the stories in the trash
+     * @param {Object} options - { formatDate(year, subtick) } for the dates in messages
+     * @returns {Object} { issues, summary: { errors, warnings, items_checked } }; issues are in date order
+     */
+    static check(data, options = {}) {
+        const formatDate = options.formatDate ||
+            ((year, subtick) => subtick ? `${year}.${subtick.toString().padStart(2, '0')}` : `${year}`);
+        const context = {
+            formatDate: date => formatDate(date.year, date.subtick || 0),
+            items: (data.items || []).filter(item => !ContinuityChecker.MARKER_TYPES.includes(item.type)),
+            markers: (data.items || []).filter(item => ContinuityChecker.MARKER_TYPES.includes(item.type)),
+            characters: new Map((data.characters || []).map(character => [character.id, character])),
+            stories: new Map((data.stories || []).map(story => [story.id, story])),
+            trashedStories: new Map((data.trashed_stories || []).map(story => [story.id, story]))
+        };
+
+        const issues = [
+            ...ContinuityChecker.checkEndBeforeStart(context),
+            ...ContinuityChecker.checkCharacterLifespans(context),
+            ...ContinuityChecker.checkMarkers(context),
+            ...ContinuityChecker.checkExclusiveOverlaps(context),
+            ...ContinuityChecker.checkMissingStories(context),
+            ...ContinuityChecker.checkStorySpans(context)
+        ];
+
+        const ruleOrder = Object.keys(ContinuityChecker.RULES);
+        issues.sort((a, b) => ContinuityChecker.compare(a, b) ||
+            ruleOrder.indexOf(a.rule) - ruleOrder.indexOf(b.rule));
+
+        return {
+            issues,
+            summary: {
+                errors: issues.filter(issue => issue.severity === 'error').length,
+                warnings: issues.filter(issue => issue.severity === 'warning').length,
+                items_checked: context.items.length
+            }
+        };
+    }
+
+    static createIssue(rule, severity, item, message, extra = {}) {
+        return {
+            rule,
+            severity,
+            message,
+            item_id: item.id,
+            item_title: item.title || '(untitled)',
+            year: item.year,
+            subtick: item.subtick || 0,
+            ...extra
+        };
+    }
+
+    // The item's dates in order, so items that end before they start are only reported once
+    static getSpan(item) {
+        const start = ContinuityChecker.getStart(item);
+        const end = ContinuityChecker.getEnd(item);
+        return ContinuityChecker.compare(end, start) < 0 ? { start: end, end: start } : { start, end };
+    }
+
+    // ===== Rules =====
+
+    static checkEndBeforeStart({ items, formatDate }) {
+        return items
+            .filter(item => ContinuityChecker.compare(ContinuityChecker.getEnd(item), ContinuityChecker.getStart(item)) < 0)
+            .map(item => ContinuityChecker.createIssue('end-before-start', 'error', item,
+                `Ends on ${formatDate(ContinuityChecker.getEnd(item))}, before it starts on ${formatDate(ContinuityChecker.getStart(item))}`));
+    }
+
+    /**
+     * Characters must be alive at some point during the items they take part in
+     *
+     * How it works:
+     * - An item that ends before the birth, or starts after the death, is an error
+     * - It is only a warning when the item's uncertain dates could still reach into the lifespan
+     * - Characters without a birth or death date are not checked on that side
+     */
+    static checkCharacterLifespans({ items, characters, formatDate }) {
+        const issues = [];
+        const hasDate = value => value !== null && value !== undefined;
+
+        for (const item of items) {
+            const span = ContinuityChecker.getSpan(item);
+            const extent = DateUncertainty.getExtent(item);
+
+            for (const characterId of item.character_ids || []) {
+                const character = characters.get(characterId);
+                if (!character) continue;
+
+                const birth = hasDate(character.birth_year) ? { year: character.birth_year, subtick: character.birth_subtick || 0 } : null;
+                const death = hasDate(character.death_year) ? { year: character.death_year, subtick: character.death_subtick || 0 } : null;
+                const extra = { character_id: character.id };
+
+                if (birth && ContinuityChecker.compare(span.end, birth) < 0) {
+                    const possible = extent && ContinuityChecker.compare(extent.latest, birth) >= 0;
+                    issues.push(ContinuityChecker.createIssue('character-lifespan', possible ? 'warning' : 'error', item, possible
+                        ? `${character.name} may take part before being born on ${formatDate(birth)}`
+                        : `${character.name} takes part before being born on ${formatDate(birth)}`, extra));
+                } else if (death && ContinuityChecker.compare(span.start, death) > 0) {
+                    const possible = extent && ContinuityChecker.compare(extent.earliest, death) <= 0;
+                    issues.push(ContinuityChecker.createIssue('character-lifespan', possible ? 'warning' : 'error', item, possible
+                        ? `${character.name} may take part after dying on ${formatDate(death)}`
+                        : `${character.name} takes part after dying on ${formatDate(death)}`, extra));
+                }
+            }
+        }
+        return issues;
+    }
+
+    // Items must lie between the Timeline_start and Timeline_end markers, where the timeline has them
+    static checkMarkers({ items, markers, formatDate }) {
+        const starts = markers.filter(marker => marker.type === 'Timeline_start').map(ContinuityChecker.getStart);
+        const ends = markers.filter(marker => marker.type === 'Timeline_end').map(ContinuityChecker.getStart);
+        const timelineStart = starts.sort(ContinuityChecker.compare)[0];
+        const timelineEnd = ends.sort(ContinuityChecker.compare).pop();
+        if (!timelineStart && !timelineEnd) return [];
+
+        const issues = [];
+        for (const item of items) {
+            const span = ContinuityChecker.getSpan(item);
+            if (timelineStart && ContinuityChecker.compare(span.start, timelineStart) < 0) {
+                issues.push(ContinuityChecker.createIssue('outside-markers', 'error', item,
+                    `Starts before the timeline start (${formatDate(timelineStart)})`));
+            }
+            if (timelineEnd && ContinuityChecker.compare(span.end, timelineEnd) > 0) {
+                issues.push(ContinuityChecker.createIssue('outside-markers', 'error', item,
+                    `Ends after the timeline end (${formatDate(timelineEnd)})`));
+            }
+        }
+        return issues;
+    }
+
+    // Exclusive items of the same type must not overlap; touching at an end date is fine
+    static checkExclusiveOverlaps({ items, formatDate }) {
+        const byType = new Map();
+        items.filter(item => item.exclusive).forEach(item => {
+            if (!byType.has(item.type)) byType.set(item.type, []);
+            byType.get(item.type).push({ item, ...ContinuityChecker.getSpan(item) });
+        });
+
+        const issues = [];
+        for (const [type, spans] of byType) {
+            spans.sort((a, b) => ContinuityChecker.compare(a.start, b.start));
+            for (let i = 0; i < spans.length; i++) {
+                for (let j = i + 1; j < spans.length && ContinuityChecker.compare(spans[j].start, spans[i].end) < 0; j++) {
+                    const earlier = spans[i];
+                    issues.push(ContinuityChecker.createIssue('exclusive-overlap', 'error', spans[j].item,
+                        `Overlaps "${earlier.item.title || '(untitled)'}" (${formatDate(earlier.start)} - ${formatDate(earlier.end)}); ` +
+                        `exclusive ${type || 'item'} items must not overlap`,
+                        { related_item_id: earlier.item.id }));
+                }
+            }
+        }
+        return issues;
+    }
+
+    // The story an item belongs to, and the ones it references, must still exist
+    static checkMissingStories({ items, stories, trashedStories }) {
+        const issues = [];
+        for (const item of items) {
+            const checks = [];
+            if (item.story_id) checks.push({ storyId: item.story_id, verb: 'Belongs to' });
+            (item.story_ref_ids || [])
+                .filter(storyId => storyId !== item.story_id)
+                .forEach(storyId => checks.push({ storyId, verb: 'References' }));
+
+            for (const { storyId, verb } of checks) {
+                if (stories.has(storyId)) continue;
+                const trashed = trashedStories.get(storyId);
+                issues.push(ContinuityChecker.createIssue('missing-story', 'error', item, trashed
+                    ? `${verb} the story "${trashed.title || '(untitled)'}", which is in the trash`
+                    : `${verb} a story that no longer exists`, { story_id: storyId }));
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * Items that reference a story should fall within the dates of that story's own items
+     *
+     * How it works:
+     * - A story's span runs from the start of its earliest item to the end of its latest one
+     * - An item referencing the story that ends before or starts after that span is reported
+     * - It is a warning: a reference may look back on, or ahead to, the story's events
+     */
+    static checkStorySpans({ items, stories, formatDate }) {
+        const storySpans = new Map();
+        items.filter(item => item.story_id).forEach(item => {
+            const span = ContinuityChecker.getSpan(item);
+            const storySpan = storySpans.get(item.story_id);
+            if (!storySpan) {
+                storySpans.set(item.story_id, { ...span });
+                return;
+            }
+            if (ContinuityChecker.compare(span.start, storySpan.start) < 0) storySpan.start = span.start;
+            if (ContinuityChecker.compare(span.end, storySpan.end) > 0) storySpan.end = span.end;
+        });
+
+        const issues = [];
+        for (const item of items) {
+            const span = ContinuityChecker.getSpan(item);
+            for (const storyId of item.story_ref_ids || []) {
+                const storySpan = storySpans.get(storyId);
+                if (storyId === item.story_id || !storySpan || !stories.has(storyId)) continue;
+                if (ContinuityChecker.compare(span.end, storySpan.start) >= 0 &&
+                    ContinuityChecker.compare(span.start, storySpan.end) <= 0) continue;
+
+                issues.push(ContinuityChecker.createIssue('outside-story', 'warning', item,
+                    `References "${stories.get(storyId).title || '(untitled)'}", whose items run from ` +
+                    `${formatDate(storySpan.start)} to ${formatDate(storySpan.end)}`, { story_id: storyId }));
+            }
+        }
+        return issues;
+    }
+}
+
+module.exports = ContinuityChecker;
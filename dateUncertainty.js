@@ -0,0 +1,220 @@
+/**
+ * Date Uncertainty Module
+ *
+ * Approximate and uncertain item dates: "circa", earliest / latest bounds and a
+ * confidence. Shared by the main process (require) and the renderer windows
+ * (<script>, as window.DateUncertainty).
+ *
+ * How it works:
+ * - year / subtick (and end_year / end_subtick) stay the item's best guess and decide
+ *   where it is placed; the uncertainty fields only say how far off it may be
+ * - earliest_year / earliest_subtick is the earliest the item can start and
+ *   latest_year / latest_subtick the latest it can end; either bound may be left out
+ * - A circa item without bounds may be off by up to CIRCA_YEARS either way
+ * - date_confidence is a percentage (0-100), null when not given
+ *
+ * Item fields (columns of the items table):
+ * {
+ *   date_circa: 1,                              // 0 or 1
+ *   earliest_year: 340, earliest_subtick: 0,    // null when not given
+ *   latest_year: 360, latest_subtick: 0,        // null when not given
+ *   date_confidence: 60                         // null when not given
+ * }
+ */
+
+class DateUncertainty {
+    // How far a circa date without bounds may be off, in years, either way
+    static CIRCA_YEARS = 1;
+
+    static FIELDS = ['date_circa', 'earliest_year', 'earliest_subtick', 'latest_year', 'latest_subtick', 'date_confidence'];
+
+    /**
+     * Cleans up an item's uncertainty fields for storage
+     * @param {Object} item - Item with any of FIELDS, as numbers or form strings
+     * @returns {Object} FIELDS with integers or null; a bound's subtick defaults to 0
+     */
+    static normalize(item) {
+        const toInteger = value => {
+            if (value === null || value === undefined || value === '') return null;
+            const number = parseInt(value);
+            return Number.isNaN(number) ? null : number;
+        };
+
+        const earliestYear = toInteger(item.earliest_year);
+        const latestYear = toInteger(item.latest_year);
+        const confidence = toInteger(item.date_confidence);
+
+        return {
+            date_circa: item.date_circa && item.date_circa !== '0' ? 1 : 0,
+            earliest_year: earliestYear,
+            earliest_subtick: earliestYear === null ? null : toInteger(item.earliest_subtick) || 0,
+            latest_year: latestYear,
+            latest_subtick: latestYear === null ? null : toInteger(item.latest_subtick) || 0,
+            date_confidence: confidence === null ? null : Math.min(100, Math.max(0, confidence))
+        };
+    }
+
+    static hasBounds(item) {
+        return (item.earliest_year !== null && item.earliest_year !== undefined) ||
+            (item.latest_year !== null && item.latest_year !== undefined);
+    }
+
+    static isUncertain(item) {
+        return !!item && (!!item.date_circa || DateUncertainty.hasBounds(item));
+    }
+
+    // Whether the item ends on a different date than it starts
+    static isRange(item) {
+        return item.end_year !== null && item.end_year !== undefined &&
+            (item.end_year !== item.year || (item.end_subtick || 0) !== (item.subtick || 0));
+    }
+
+    /**
+     * Gets the dates an item could start and end on
+     * @param {Object} item - The item
+     * @returns {Object|null} { earliest, start, end, latest } as { year, subtick }, or null if the date is exact
+     */
+    static getExtent(item) {
+        if (!DateUncertainty.isUncertain(item)) return null;
+
+        const start = { year: item.year, subtick: item.subtick || 0 };
+        const end = DateUncertainty.isRange(item)
+            ? { year: item.end_year, subtick: item.end_subtick || 0 }
+            : start;
+
+        let earliest = start;
+        if (item.earliest_year !== null && item.earliest_year !== undefined) {
+            earliest = { year: item.earliest_year, subtick: item.earliest_subtick || 0 };
+        } else if (item.date_circa) {
+            earliest = { year: start.year - DateUncertainty.CIRCA_YEARS, subtick: start.subtick };
+        }
+
+        let latest = end;
+        if (item.latest_year !== null && item.latest_year !== undefined) {
+            latest = { year: item.latest_year, subtick: item.latest_subtick || 0 };
+        } else if (item.date_circa) {
+            latest = { year: end.year + DateUncertainty.CIRCA_YEARS, subtick: end.subtick };
+        }
+
+        return { earliest, start, end, latest };
+    }
+
+    /**
+     * Checks an item's uncertainty fields against its date
+     * @param {Object} item - Item with year / subtick, end_year / end_subtick and FIELDS
+     * @returns {Array<string>} One message per problem
+     */
+    static validate(item) {
+        const errors = [];
+        const fields = DateUncertainty.normalize(item);
+        const compare = (a, b) => (a.year - b.year) || (a.subtick - b.subtick);
+        const start = { year: parseInt(item.year) || 0, subtick: parseInt(item.subtick) || 0 };
+        const end = item.end_year !== null && item.end_year !== undefined && item.end_year !== ''
+            ? { year: parseInt(item.end_year) || 0, subtick: parseInt(item.end_subtick) || 0 }
+            : start;
+
+        if (fields.earliest_year !== null && compare({ year: fields.earliest_year, subtick: fields.earliest_subtick }, start) > 0) {
+            errors.push('Earliest date must not be after the start date');
+        }
+        if (fields.latest_year !== null && compare({ year: fields.latest_year, subtick: fields.latest_subtick }, end) < 0) {
+            errors.push('Latest date must not be before the end date');
+        }
+        return errors;
+    }
+
+    /**
+     * Formats an item's date with its uncertainty, e.g. "c. 1200" or "340–360?"
+     * @param {Object} item - The item
+     * @param {string} exactLabel - The item's date as shown when it is exact
+     * @param {Function} formatApproximate - (year, subtick) => label used for circa dates and bounds
+     * @returns {string} exactLabel when the date is exact
+     *
+     * How it works:
+     * - Bounds on a single date replace it: "340–360?"
+     * - Bounds on a range are added after it: "1200.00 - 1250.00 (1190–1260?)"
+     * - A circa date without bounds gets a "c." prefix: "c. 1200", "c. 1200–1250"
+     */
+    static formatLabel(item, exactLabel, formatApproximate) {
+        const extent = DateUncertainty.getExtent(item);
+        if (!extent) return exactLabel;
+
+        const format = date => formatApproximate(date.year, date.subtick);
+        const circa = item.date_circa ? 'c. ' : '';
+
+        if (DateUncertainty.hasBounds(item)) {
+            const earliest = format(extent.earliest);
+            const latest = format(extent.latest);
+            const bounds = earliest === latest ? `${earliest}?` : `${earliest}–${latest}?`;
+            return DateUncertainty.isRange(item) ? `${circa}${exactLabel} (${bounds})` : bounds;
+        }
+
+        const start = format(extent.start);
+        const end = format(extent.end);
+        return start === end ? `${circa}${start}` : `${circa}${start}–${end}`;
+    }
+
+    // ===== Item Forms =====
+    // The item windows share these field ids: dateCirca, earliestYear, earliestSubtick,
+    // latestYear, latestSubtick and dateConfidence
+
+    /**
+     * Reads the uncertainty fields of an item window
+     * @param {Document} doc - The window's document
+     * @returns {Object} FIELDS, normalized
+     */
+    static readForm(doc) {
+        const value = id => doc.getElementById(id)?.value;
+        return DateUncertainty.normalize({
+            date_circa: doc.getElementById('dateCirca')?.checked,
+            earliest_year: value('earliestYear'),
+            earliest_subtick: value('earliestSubtick'),
+            latest_year: value('latestYear'),
+            latest_subtick: value('latestSubtick'),
+            date_confidence: value('dateConfidence')
+        });
+    }
+
+    /**
+     * Checks the uncertainty fields of an item window and shows any problems in #uncertaintyError
+     * @param {Document} doc - The window's document
+     * @param {Object} dates - The item's year / subtick and end_year / end_subtick as entered
+     * @returns {boolean} true when the fields can be saved
+     */
+    static checkForm(doc, dates) {
+        const errors = DateUncertainty.validate({ ...dates, ...DateUncertainty.readForm(doc) });
+        const errorElement = doc.getElementById('uncertaintyError');
+        if (errorElement) {
+            errorElement.textContent = errors.join('. ');
+            errorElement.style.display = errors.length ? 'block' : 'none';
+        }
+        return errors.length === 0;
+    }
+
+    /**
+     * Fills the uncertainty fields of an item window
+     * @param {Document} doc - The window's document
+     * @param {Object} item - The item, or null to clear the fields
+     */
+    static fillForm(doc, item) {
+        const fields = DateUncertainty.normalize(item || {});
+        const set = (id, value) => {
+            const input = doc.getElementById(id);
+            if (input) input.value = value === null ? '' : value;
+        };
+
+        const circa = doc.getElementById('dateCirca');
+        if (circa) circa.checked = fields.date_circa === 1;
+        set('earliestYear', fields.earliest_year);
+        set('earliestSubtick', fields.earliest_subtick);
+        set('latestYear', fields.latest_year);
+        set('latestSubtick', fields.latest_subtick);
+        set('dateConfidence', fields.date_confidence);
+    }
+}
+
+// Shared by the main process and the renderer windows
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DateUncertainty;
+} else {
+    window.DateUncertainty = DateUncertainty;
+}
@@ -3,6 +3,15 @@ const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const sharp = require('sharp');
 const crypto = require('crypto');
+const os = require('os');
+const zlib = require('zlib');
+const Calendar = require('./calendar');
+const DateUncertainty = require('./dateUncertainty');
+const ContinuityChecker = require('./continuityChecker');
+const ItemRelationships = require('./itemRelationships');
+const Swimlanes = require('./swimlanes');
+const TimelineFilter = require('./timelineFilter');
+const Thumbnails = require('./thumbnails');
 
 // Try to get Electron app, but don't fail if not in Electron environment
 let app;
@@ -51,6 +60,69 @@ class DatabaseManager {
         'Library', 'Repository', 'Vault', 'Treasury', 'Hoard', 'Cache'
     ];
 
+    // Project export format (see EXPORT_FORMAT.md)
+    static EXPORT_FORMAT = 'story-timeline-export';
+    static EXPORT_SCHEMA_VERSION = 1;
+    // Sections added after schema version 1; files without them are still valid
+    static OPTIONAL_EXPORT_SECTIONS = [
+        'characters', 'character_aliases', 'item_characters', 'item_relationships',
+        'picture_tags', 'picture_collections', 'collection_pictures'
+    ];
+    static PACKAGE_FORMAT = 'story-timeline-package';
+    static PACKAGE_VERSION = 1;
+
+    // Days a trashed record is kept before it is purged, unless the timeline's settings say otherwise
+    static DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+    // Snapshots kept in userData/snapshots before the oldest are pruned
+    static MAX_SNAPSHOTS = 20;
+
+    // Differing bits between two perceptual hashes up to which pictures count as the same image
+    static SIMILAR_PICTURE_DISTANCE = 10;
+
+    // Item fields compared when merging an import into an existing timeline
+    static MERGE_FIELDS = [
+        'title', 'description', 'content', 'type_id', 'year', 'subtick', 'end_year', 'end_subtick',
+        'story_id', 'book_title', 'chapter', 'page', 'color', 'importance', 'show_in_notes', 'exclusive',
+        ...DateUncertainty.FIELDS
+    ];
+
+    // Item columns stored in each revision; tags, story references and pictures are stored alongside
+    static REVISION_FIELDS = [
+        'title', 'description', 'content', 'year', 'subtick', 'end_year', 'end_subtick',
+        'story_id', 'book_title', 'chapter', 'page', 'color', 'importance', 'show_in_notes', 'exclusive',
+        ...DateUncertainty.FIELDS
+    ];
+
+    // SQL for the earliest and latest date an item could fall on, as in DateUncertainty.getExtent().
+    // Items with exact dates keep their start date for both, so date filters treat them as before
+    static DATE_EXTENT_SQL = (() => {
+        const uncertain = '(i.date_circa = 1 OR i.earliest_year IS NOT NULL OR i.latest_year IS NOT NULL)';
+        const circaYears = DateUncertainty.CIRCA_YEARS;
+        return {
+            earliestYear: `CASE WHEN i.earliest_year IS NOT NULL THEN i.earliest_year
+                WHEN i.date_circa = 1 THEN i.year - ${circaYears} ELSE i.year END`,
+            earliestSubtick: 'CASE WHEN i.earliest_year IS NOT NULL THEN COALESCE(i.earliest_subtick, 0) ELSE i.subtick END',
+            latestYear: `CASE WHEN i.latest_year IS NOT NULL THEN i.latest_year
+                WHEN NOT ${uncertain} THEN i.year
+                WHEN i.date_circa = 1 THEN COALESCE(i.end_year, i.year) + ${circaYears}
+                ELSE COALESCE(i.end_year, i.year) END`,
+            latestSubtick: `CASE WHEN i.latest_year IS NOT NULL THEN COALESCE(i.latest_subtick, 0)
+                WHEN NOT ${uncertain} THEN i.subtick
+                ELSE COALESCE(i.end_subtick, i.subtick) END`
+        };
+    })();
+
+    // Full-text indexes: each is an external-content FTS5 table over one source table,
+    // kept in sync by triggers. weights are the bm25 column weights, in column order
+    static SEARCH_INDEXES = {
+        item: { table: 'items', fts: 'items_fts', columns: ['title', 'description', 'content'], weights: [10, 4, 1] },
+        note: { table: 'notes', fts: 'notes_fts', columns: ['content'], weights: [1] },
+        story: { table: 'stories', fts: 'stories_fts', columns: ['title', 'description'], weights: [10, 4] },
+        tag: { table: 'tags', fts: 'tags_fts', columns: ['name'], weights: [1] },
+        picture: { table: 'pictures', fts: 'pictures_fts', columns: ['title', 'description'], weights: [10, 4] }
+    };
+
     static generateEpicTitle() {
         const adjective = DatabaseManager.EPIC_ADJECTIVES[Math.floor(Math.random() * DatabaseManager.EPIC_ADJECTIVES.length)];
         const noun = DatabaseManager.EPIC_NOUNS[Math.floor(Math.random() * DatabaseManager.EPIC_NOUNS.length)];
@@ -72,12 +144,15 @@ class DatabaseManager {
         
         const dbPath = path.join(userDataPath, 'timeline.db');
         console.log('Database path:', dbPath);
+        this.userDataPath = userDataPath;
+        this.lastSnapshot = null;
         
         this.db = require('better-sqlite3')(dbPath);
         this.initializeTables();
         this.migrateDatabase();
         this.initializeDefaultData();
         this.createIndexes();
+        this.ensureSearchIndex();
 
         // Initialize currentTimelineId with the first timeline
         const firstTimeline = this.db.prepare('SELECT id FROM timelines ORDER BY id ASC LIMIT 1').get();
@@ -355,6 +430,118 @@ class DatabaseManager {
             )
         `);
 
+        // Item revisions table (one row per saved version of an item)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS item_revisions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                item_id TEXT NOT NULL,
+                action TEXT NOT NULL,
+                state TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Trash table (deleted items, stories, tags and pictures, stored as undo records)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS trash (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                kind TEXT NOT NULL,
+                record_id TEXT NOT NULL,
+                timeline_id INTEGER,
+                title TEXT,
+                data TEXT NOT NULL,
+                deleted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Characters of a timeline, with their lifespan (birth and death are optional)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS characters (
+                id TEXT PRIMARY KEY,
+                timeline_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                description TEXT,
+                birth_year INTEGER,
+                birth_subtick INTEGER,
+                death_year INTEGER,
+                death_subtick INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (timeline_id) REFERENCES timelines(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Other names a character is known by
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS character_aliases (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                character_id TEXT NOT NULL,
+                alias TEXT NOT NULL,
+                FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE,
+                UNIQUE(character_id, alias)
+            )
+        `);
+
+        // Items a character takes part in
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS item_characters (
+                item_id TEXT NOT NULL,
+                character_id TEXT NOT NULL,
+                PRIMARY KEY (item_id, character_id),
+                FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE,
+                FOREIGN KEY (character_id) REFERENCES characters(id) ON DELETE CASCADE
+            )
+        `);
+
+        // Typed links from one item to another (see itemRelationships.js)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS item_relationships (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                source_item_id TEXT NOT NULL,
+                target_item_id TEXT NOT NULL,
+                type TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (source_item_id) REFERENCES items(id) ON DELETE CASCADE,
+                FOREIGN KEY (target_item_id) REFERENCES items(id) ON DELETE CASCADE,
+                UNIQUE(source_item_id, target_item_id, type)
+            )
+        `);
+
+        // Tags of a picture, for the image library (separate from the items' tags).
+        // No foreign key to pictures, see the Picture Library section
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS picture_tags (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                picture_id INTEGER NOT NULL,
+                tag TEXT NOT NULL,
+                UNIQUE(picture_id, tag)
+            )
+        `);
+
+        // Named collections (albums) of a timeline's pictures
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS picture_collections (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                timeline_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (timeline_id) REFERENCES timelines(id) ON DELETE CASCADE,
+                UNIQUE(timeline_id, name)
+            )
+        `);
+
+        // Pictures in a collection
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS collection_pictures (
+                collection_id INTEGER NOT NULL,
+                picture_id INTEGER NOT NULL,
+                added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (collection_id, picture_id),
+                FOREIGN KEY (collection_id) REFERENCES picture_collections(id) ON DELETE CASCADE
+            )
+        `);
+
         console.log('[dbManager.js] New tables ensured');
     }
 
@@ -404,6 +591,68 @@ class DatabaseManager {
             }
         ]);
 
+        // Check and add trash_retention_days column to settings table (0 keeps trashed records forever)
+        this.ensureTableColumns('settings', [
+            {
+                name: 'trash_retention_days',
+                type: 'INTEGER',
+                default: DatabaseManager.DEFAULT_TRASH_RETENTION_DAYS
+            }
+        ]);
+
+        // Check and add date uncertainty columns to items table (see dateUncertainty.js)
+        this.ensureTableColumns('items', [
+            { name: 'date_circa', type: 'INTEGER', default: '0' },
+            { name: 'earliest_year', type: 'INTEGER' },
+            { name: 'earliest_subtick', type: 'INTEGER' },
+            { name: 'latest_year', type: 'INTEGER' },
+            { name: 'latest_subtick', type: 'INTEGER' },
+            { name: 'date_confidence', type: 'INTEGER' }
+        ]);
+
+        // Check and add exclusive column to items table (exclusive items of a type must not overlap, see continuityChecker.js)
+        this.ensureTableColumns('items', [
+            { name: 'exclusive', type: 'INTEGER', default: '0' }
+        ]);
+
+        // Check and add calendar column to timelines table (JSON calendar definition, see calendar.js)
+        this.ensureTableColumns('timelines', [
+            {
+                name: 'calendar',
+                type: 'TEXT'
+            }
+        ]);
+
+        // Check and add swimlanes column to timelines table (JSON lane layout, see swimlanes.js)
+        this.ensureTableColumns('timelines', [
+            {
+                name: 'swimlanes',
+                type: 'TEXT'
+            }
+        ]);
+
+        // Check and add filter_views column to timelines table (JSON named filter views, see timelineFilter.js)
+        this.ensureTableColumns('timelines', [
+            {
+                name: 'filter_views',
+                type: 'TEXT'
+            }
+        ]);
+
+        // Check and add hash columns to pictures table (duplicate detection, see findMatchingPictures())
+        this.ensureTableColumns('pictures', [
+            { name: 'content_hash', type: 'TEXT' },
+            { name: 'perceptual_hash', type: 'TEXT' }
+        ]);
+
+        // Check and add timeline_id column to notes table so notes can be exported per timeline
+        this.ensureTableColumns('notes', [
+            {
+                name: 'timeline_id',
+                type: 'INTEGER'
+            }
+        ]);
+
         // Migrate CSS columns to consolidate them
         await this.migrateCSSColumns();
         
@@ -580,6 +829,8 @@ class DatabaseManager {
                 height INTEGER,
                 title TEXT,
                 description TEXT,
+                content_hash TEXT,
+                perceptual_hash TEXT,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )`).run();
 
@@ -614,6 +865,9 @@ class DatabaseManager {
 
             this.db.prepare('COMMIT').run();
 
+            // Dropping the old pictures table dropped its search triggers too
+            this.ensureSearchIndex({ rebuild: ['picture'] });
+
 
         } catch (error) {
             this.db.prepare('ROLLBACK').run();
@@ -638,6 +892,7 @@ class DatabaseManager {
             FROM pictures p
             LEFT JOIN item_pictures ip ON p.id = ip.picture_id
             WHERE ip.picture_id IS NULL AND p.item_id IS NULL
+            AND p.id NOT IN (SELECT picture_id FROM collection_pictures)
         `).all();
 
         let deletedCount = 0;
@@ -651,6 +906,8 @@ class DatabaseManager {
                     fs.unlinkSync(image.file_path);
                     console.log(`[dbManager.js] Cleaned up orphaned image: ${image.file_name}`);
                 }
+                this.deleteThumbnails(image);
+                this.deletePictureLibraryData(image.id);
                 deletedCount++;
             } catch (error) {
                 console.error(`[dbManager.js] Failed to cleanup image ${image.file_name}:`, error);
@@ -775,10 +1032,145 @@ class DatabaseManager {
             description: data.description,
             start: data.start_year,
             granularity: data.granularity,
+            calendar: this.getTimelineCalendar(data.id),
             settings: settings
         };
     }
 
+    /**
+     * Gets a timeline's calendar definition
+     * @param {number} timelineId - Defaults to the current timeline
+     * @returns {Object|null} The definition, or null if the timeline uses plain year.subtick dates
+     */
+    getTimelineCalendar(timelineId = this.currentTimelineId) {
+        const row = this.db.prepare('SELECT calendar FROM timelines WHERE id = ?').get(timelineId);
+        if (!row || !row.calendar) return null;
+
+        try {
+            return JSON.parse(row.calendar);
+        } catch (error) {
+            console.error('[dbManager.js] Invalid calendar JSON for timeline', timelineId, error);
+            return null;
+        }
+    }
+
+    /**
+     * Sets or removes a timeline's calendar
+     * @param {number} timelineId - The timeline
+     * @param {Object|null} definition - The calendar definition, or null for plain year.subtick dates
+     * @returns {Object|null} The stored definition, with defaults filled in
+     *
+     * Possible errors:
+     * - Invalid definition; the error message lists every problem
+     */
+    setTimelineCalendar(timelineId, definition) {
+        let stored = null;
+        if (definition) {
+            const { valid, errors } = Calendar.validate(definition);
+            if (!valid) {
+                throw new Error(`Invalid calendar: ${errors.join(', ')}`);
+            }
+            stored = Calendar.normalize(definition);
+        }
+
+        this.db.prepare(`
+            UPDATE timelines SET calendar = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(stored ? JSON.stringify(stored) : null, timelineId);
+        return stored;
+    }
+
+    /**
+     * Gets a timeline's swimlane layout
+     * @param {number} timelineId - Defaults to the current timeline
+     * @returns {Object} { order, collapsed, hidden } lane ids; all empty if the lanes were never arranged
+     */
+    getTimelineSwimlanes(timelineId = this.currentTimelineId) {
+        const row = this.db.prepare('SELECT swimlanes FROM timelines WHERE id = ?').get(timelineId);
+        if (!row || !row.swimlanes) return Swimlanes.normalizeLayout(null);
+
+        try {
+            return Swimlanes.normalizeLayout(JSON.parse(row.swimlanes));
+        } catch (error) {
+            console.error('[dbManager.js] Invalid swimlanes JSON for timeline', timelineId, error);
+            return Swimlanes.normalizeLayout(null);
+        }
+    }
+
+    /**
+     * Sets a timeline's swimlane layout
+     * @param {number} timelineId - The timeline
+     * @param {Object} layout - { order, collapsed, hidden }, see swimlanes.js
+     * @returns {Object} The stored layout
+     */
+    setTimelineSwimlanes(timelineId, layout) {
+        const stored = Swimlanes.normalizeLayout(layout);
+        this.db.prepare(`
+            UPDATE timelines SET swimlanes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(JSON.stringify(stored), timelineId);
+        return stored;
+    }
+
+    /**
+     * Gets a timeline's named filter views
+     * @param {number} timelineId - Defaults to the current timeline
+     * @returns {Array<Object>} { name, filter } sorted by name, see timelineFilter.js
+     */
+    getTimelineFilterViews(timelineId = this.currentTimelineId) {
+        const row = this.db.prepare('SELECT filter_views FROM timelines WHERE id = ?').get(timelineId);
+        if (!row || !row.filter_views) return [];
+
+        try {
+            return TimelineFilter.normalizeViews(JSON.parse(row.filter_views));
+        } catch (error) {
+            console.error('[dbManager.js] Invalid filter views JSON for timeline', timelineId, error);
+            return [];
+        }
+    }
+
+    /**
+     * Sets a timeline's named filter views
+     * @param {number} timelineId - The timeline
+     * @param {Array<Object>} views - { name, filter }
+     * @returns {Array<Object>} The stored views
+     */
+    setTimelineFilterViews(timelineId, views) {
+        const stored = TimelineFilter.normalizeViews(views);
+        this.db.prepare(`
+            UPDATE timelines SET filter_views = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(JSON.stringify(stored), timelineId);
+        return stored;
+    }
+
+    /**
+     * Saves a named filter view, replacing the view of the same name
+     * @param {number} timelineId - The timeline
+     * @param {string} name - The view's name
+     * @param {Object} filter - See timelineFilter.js
+     * @returns {Array<Object>} The timeline's views
+     *
+     * Possible errors:
+     * - The name is empty
+     */
+    saveTimelineFilterView(timelineId, name, filter) {
+        const viewName = typeof name === 'string' ? name.trim() : '';
+        if (!viewName) {
+            throw new Error('A view needs a name');
+        }
+        const views = this.getTimelineFilterViews(timelineId).filter(view => view.name !== viewName);
+        return this.setTimelineFilterViews(timelineId, [...views, { name: viewName, filter }]);
+    }
+
+    /**
+     * Removes a named filter view
+     * @param {number} timelineId - The timeline
+     * @param {string} name - The view's name
+     * @returns {Array<Object>} The timeline's remaining views
+     */
+    removeTimelineFilterView(timelineId, name) {
+        const views = this.getTimelineFilterViews(timelineId).filter(view => view.name !== name);
+        return this.setTimelineFilterViews(timelineId, views);
+    }
+
     // Add a method to set the current timeline
     setCurrentTimeline(timelineId) {
         this.currentTimelineId = timelineId;
@@ -959,25 +1351,55 @@ class DatabaseManager {
 
     }
 
-    getAllPictures() {
-        // Get only pictures that are used within the current timeline
+    /**
+     * Lists the current timeline's pictures: the ones its items use and the ones kept in its collections
+     *
+     * Pictures nothing uses any more are tied to a timeline only by their file sitting in its
+     * media folder, so includeUnused finds them that way (the same pictures cleanupOrphanedImages removes).
+     * @param {Object} options
+     * @param {boolean} options.includeMissing - Also list pictures whose file is gone (file_missing)
+     * @param {boolean} options.includeUnused - Also list pictures of the timeline's media folder
+     *   that no item uses and no collection keeps
+     * @returns {Array<Object>} Picture rows with usage_count, linked_items, tags, collection_ids,
+     *   file_missing and thumbnails
+     */
+    getAllPictures({ includeMissing = false, includeUnused = false } = {}) {
         const stmt = this.db.prepare(`
             SELECT p.*,
-                   COUNT(DISTINCT ip.item_id) as usage_count,
-                   GROUP_CONCAT(DISTINCT ip.item_id) as linked_items
+                   COUNT(DISTINCT i.id) as usage_count,
+                   GROUP_CONCAT(DISTINCT i.id) as linked_items,
+                   (SELECT json_group_array(tag) FROM picture_tags WHERE picture_id = p.id) as tags_json,
+                   (SELECT json_group_array(cp.collection_id) FROM collection_pictures cp
+                    JOIN picture_collections c ON c.id = cp.collection_id AND c.timeline_id = @timelineId
+                    WHERE cp.picture_id = p.id) as collection_ids_json
             FROM pictures p
-            INNER JOIN item_pictures ip ON p.id = ip.picture_id
-            INNER JOIN items i ON ip.item_id = i.id AND i.timeline_id = ?
+            LEFT JOIN item_pictures ip ON p.id = ip.picture_id
+            LEFT JOIN items i ON ip.item_id = i.id AND i.timeline_id = @timelineId
+            WHERE i.id IS NOT NULL OR p.id IN (
+                SELECT cp.picture_id FROM collection_pictures cp
+                JOIN picture_collections c ON c.id = cp.collection_id AND c.timeline_id = @timelineId
+            ) OR (
+                @includeUnused = 1
+                AND NOT EXISTS (SELECT 1 FROM item_pictures WHERE picture_id = p.id)
+                AND p.id NOT IN (SELECT picture_id FROM collection_pictures)
+                AND substr(p.file_path, 1, length(@mediaDir)) = @mediaDir
+            )
             GROUP BY p.id
             ORDER BY p.file_name
         `);
 
-        // Add a filter that filters out pictures that don't exist on the filesystem
         const fs = require('fs');
-        const pictures = stmt.all(this.currentTimelineId);
-        return pictures.filter(pic => fs.existsSync(pic.file_path));
-
-        return stmt.all(this.currentTimelineId);
+        const pictures = stmt.all({
+            timelineId: this.currentTimelineId,
+            includeUnused: includeUnused ? 1 : 0,
+            mediaDir: this.getTimelineMediaDir(this.currentTimelineId) + path.sep
+        }).map(({ tags_json, collection_ids_json, ...picture }) => ({
+            ...picture,
+            tags: JSON.parse(tags_json || '[]').sort(),
+            collection_ids: JSON.parse(collection_ids_json || '[]'),
+            file_missing: !picture.file_path || !fs.existsSync(picture.file_path)
+        }));
+        return this.withThumbnails(includeMissing ? pictures : pictures.filter(picture => !picture.file_missing));
     }
 
     // Item operations
@@ -1022,10 +1444,13 @@ class DatabaseManager {
                 INSERT INTO items (
                     id, title, description, content, year, subtick, original_subtick,
                     end_year, end_subtick, original_end_subtick, creation_granularity,
-                    book_title, chapter, page, type_id, color, timeline_id, item_index, show_in_notes, importance
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    book_title, chapter, page, type_id, color, timeline_id, item_index, show_in_notes, importance,
+                    date_circa, earliest_year, earliest_subtick, latest_year, latest_subtick, date_confidence, exclusive
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `);
 
+            const uncertainty = DateUncertainty.normalize(item);
+
             stmt.run(
                 item.id,
                 item.title,
@@ -1046,7 +1471,14 @@ class DatabaseManager {
                 item.timeline_id || this.currentTimelineId,
                 nextIndex,
                 item.show_in_notes !== undefined ? (item.show_in_notes ? 1 : 0) : 1,
-                item.importance !== undefined ? parseInt(item.importance) : 5
+                item.importance !== undefined ? parseInt(item.importance) : 5,
+                uncertainty.date_circa,
+                uncertainty.earliest_year,
+                uncertainty.earliest_subtick,
+                uncertainty.latest_year,
+                uncertainty.latest_subtick,
+                uncertainty.date_confidence,
+                item.exclusive ? 1 : 0
             );
 
             // Add tags if any
@@ -1059,6 +1491,16 @@ class DatabaseManager {
                 this.addStoryReferencesToItem(itemId, item.story_refs);
             }
 
+            // Link characters if any
+            if (item.characters && item.characters.length > 0) {
+                this.setItemCharacters(itemId, item.characters);
+            }
+
+            // Add relationships to other items if any
+            if (item.relationships && item.relationships.length > 0) {
+                this.setItemRelationships(itemId, item.relationships);
+            }
+
             // Add pictures if any
             if (item.pictures && item.pictures.length > 0) {
                 // Check if any pictures have new image reuse markers
@@ -1115,7 +1557,8 @@ class DatabaseManager {
         if (!item) return null;
 
         // Get pictures
-        const pictures = this.getItemPictures(id);
+        const pictures = this.withThumbnails(this.getItemPictures(id));
+        const relationships = this.getRelationshipsForItems([item]).get(item.id);
 
         // Convert database fields to frontend fields
         return {
@@ -1136,13 +1579,18 @@ class DatabaseManager {
             chapter: item.chapter,
             page: item.page,
             show_in_notes: item.show_in_notes === 1,
+            exclusive: item.exclusive === 1,
             importance: item.importance || 5,
+            ...DateUncertainty.normalize(item),
             tags: item.tags ? item.tags.split(',') : [],
             story_refs: item.story_refs ? item.story_refs.split(',').map(ref => {
                 const [id, title] = ref.split(':');
                 return { id, title };
             }) : [],
-            pictures: pictures
+            pictures: pictures,
+            characters: this.getCharactersForItems([item]).get(item.id),
+            relationships: relationships.outgoing,
+            incoming_relationships: relationships.incoming
         };
     }
 
@@ -1160,19 +1608,27 @@ class DatabaseManager {
             ORDER BY i.year, i.subtick, i.item_index
         `);
         const items = stmt.all(timeline.id);
+        const characters = this.getCharactersForItems(items);
+        const relationships = this.getRelationshipsForItems(items);
         return items.map(item => ({
             ...item,
             tags: this.getItemTags(item.id),
-            pictures: this.getItemPictures(item.id),
-            story_refs: this.getItemStoryReferences(item.id)
+            pictures: this.withThumbnails(this.getItemPictures(item.id)),
+            story_refs: this.getItemStoryReferences(item.id),
+            characters: characters.get(item.id),
+            relationships: relationships.get(item.id).outgoing,
+            incoming_relationships: relationships.get(item.id).incoming
         }));
     }
 
-    updateItem(id, item) {
+    updateItem(id, item, action = 'edit') {
         // First get the existing item to preserve creation_granularity and check if subtick changed
         const existingItem = this.getItem(id);
         if (!existingItem) return null;
 
+        // Items edited for the first time keep their pre-edit state as the first revision
+        this.ensureItemBaselineRevision(id);
+
         // Check if subtick has changed
         const subtickChanged = item.subtick !== existingItem.subtick;
         const endSubtickChanged = item.end_subtick !== existingItem.end_subtick;
@@ -1211,7 +1667,14 @@ class DatabaseManager {
                 page = @page,
                 color = @color,
                 show_in_notes = @show_in_notes,
-                importance = @importance
+                importance = @importance,
+                date_circa = @date_circa,
+                earliest_year = @earliest_year,
+                earliest_subtick = @earliest_subtick,
+                latest_year = @latest_year,
+                latest_subtick = @latest_subtick,
+                date_confidence = @date_confidence,
+                exclusive = @exclusive
             WHERE id = @id
         `);
 
@@ -1225,15 +1688,18 @@ class DatabaseManager {
             year: item.year,
             subtick: item.subtick,
             subtick_changed: subtickChanged ? 1 : 0,
-            end_year: item.end_year || item.year,
-            end_subtick: item.end_subtick || item.subtick,
+            // Ranges may end in year 0 or on subtick 0, so only missing ends fall back to the start
+            end_year: item.end_year === 0 ? 0 : (item.end_year || item.year),
+            end_subtick: item.end_subtick === 0 ? 0 : (item.end_subtick || item.subtick),
             end_subtick_changed: endSubtickChanged ? 1 : 0,
             book_title: item.book_title,
             chapter: item.chapter,
             page: item.page,
             color: item.color,
             show_in_notes: item.show_in_notes !== undefined ? (item.show_in_notes ? 1 : 0) : 1,
-            importance: item.importance !== undefined ? parseInt(item.importance) : 5
+            importance: item.importance !== undefined ? parseInt(item.importance) : 5,
+            exclusive: (item.exclusive !== undefined ? item.exclusive : existingItem.exclusive) ? 1 : 0,
+            ...DateUncertainty.normalize(item)
         });
 
         // Update tags if present
@@ -1242,8 +1708,9 @@ class DatabaseManager {
         }
 
         // Update pictures if present
+        let picturesUpdated = null;
         if (item.pictures) {
-            this.updateItemPictures(id, item.pictures);
+            picturesUpdated = this.updateItemPictures(id, item.pictures);
         }
 
         // Update story references if present
@@ -1255,12 +1722,33 @@ class DatabaseManager {
             this.addStoryReferencesToItem(id, item.story_refs);
         }
 
+        // Update characters if present
+        if (item.characters) {
+            this.setItemCharacters(id, item.characters);
+        }
+
+        // Update relationships if present
+        if (item.relationships) {
+            this.setItemRelationships(id, item.relationships);
+        }
+
+        // New pictures are saved asynchronously, so record the revision once they are in
+        if (picturesUpdated) {
+            picturesUpdated
+                .catch(error => console.error('[dbManager.js] Pictures not fully saved for revision:', error))
+                .then(() => this.recordItemRevision(id, action));
+        } else {
+            this.recordItemRevision(id, action);
+        }
+
         return this.getItem(id);
     }
 
-    deleteItem(id) {
+    deleteItem(id, keepFiles = false) {
+        // Bulk deletes (see trashItems()) already run in a transaction
+        const ownTransaction = !this.db.inTransaction;
         try {
-            this.db.prepare('BEGIN').run();
+            if (ownTransaction) this.db.prepare('BEGIN').run();
 
             // Get pictures that will become orphaned after this item is deleted
             const orphanedPictures = this.db.prepare(`
@@ -1273,20 +1761,25 @@ class DatabaseManager {
                     FROM item_pictures ip2 
                     WHERE ip2.picture_id = p.id AND ip2.item_id != ?
                 ) = 0
+                AND p.id NOT IN (SELECT picture_id FROM collection_pictures)
             `).all(id, id);
 
             // Delete related records first
             this.db.prepare('DELETE FROM item_tags WHERE item_id = ?').run(id);
             this.db.prepare('DELETE FROM item_pictures WHERE item_id = ?').run(id);
+            this.db.prepare('DELETE FROM item_revisions WHERE item_id = ?').run(id);
+            this.db.prepare('DELETE FROM item_characters WHERE item_id = ?').run(id);
+            this.db.prepare('DELETE FROM item_relationships WHERE source_item_id = ? OR target_item_id = ?').run(id, id);
             
             // Delete orphaned pictures from the new system
             for (const pic of orphanedPictures) {
                 this.db.prepare('DELETE FROM pictures WHERE id = ?').run(pic.id);
-                // Also delete the physical file
+                // Also delete the physical file, unless the trash still needs it
                 const fs = require('fs');
-                if (pic.file_path && fs.existsSync(pic.file_path)) {
+                if (!keepFiles && pic.file_path && fs.existsSync(pic.file_path)) {
                     try {
                         fs.unlinkSync(pic.file_path);
+                        this.deleteThumbnails(pic);
                         console.log(`[dbManager.js] Deleted orphaned image file: ${pic.file_path}`);
                     } catch (error) {
                         console.error(`[dbManager.js] Failed to delete image file: ${pic.file_path}`, error);
@@ -1298,10 +1791,10 @@ class DatabaseManager {
             const stmt = this.db.prepare('DELETE FROM items WHERE id = ?');
             const result = stmt.run(id);
 
-            this.db.prepare('COMMIT').run();
+            if (ownTransaction) this.db.prepare('COMMIT').run();
             return result;
         } catch (error) {
-            this.db.prepare('ROLLBACK').run();
+            if (ownTransaction) this.db.prepare('ROLLBACK').run();
             console.error('Error deleting item:', error);
             throw error;
         }
@@ -1312,17 +1805,18 @@ class DatabaseManager {
         return stmt.get(id);
     }
 
-    deleteMedia(id, file_path) {
+    deleteMedia(id, file_path, keepFile = false) {
         try{
             // Delete related records first
             this.db.prepare('DELETE FROM item_pictures WHERE picture_id = ?').run(id);
             this.db.prepare('DELETE FROM pictures WHERE id = ?').run(id);
 
-            // Delete the physical file
+            // Delete the physical file, unless the trash still needs it
             const fs = require('fs');
-            if (file_path && fs.existsSync(file_path)) {
+            if (!keepFile && file_path && fs.existsSync(file_path)) {
                 try {
                     fs.unlinkSync(file_path);
+                    this.deleteThumbnails({ id, file_path });
                     console.log(`[dbManager.js] Deleted orphaned image file: ${file_path}`);
                 } catch (error) {
                     console.error(`[dbManager.js] Failed to delete image file: ${file_path}`, error);
@@ -1450,6 +1944,18 @@ class DatabaseManager {
         });
     }
 
+    updatePictureTitle(pictureId, title) {
+        const stmt = this.db.prepare(`
+            UPDATE pictures 
+            SET title = @title 
+            WHERE id = @pictureId
+        `);
+        return stmt.run({
+            pictureId: pictureId,
+            title: (title || '').trim()
+        });
+    }
+
     async addPicturesToItemEnhanced(itemId, pictures) {
         for (const pic of pictures) {
             console.log(`[dbManager.js] Processing picture for item ${itemId}:`, {
@@ -1616,10 +2122,13 @@ class DatabaseManager {
     // Notes operations
     addNote(note) {
         const stmt = this.db.prepare(`
-            INSERT INTO notes (content, year, subtick)
-            VALUES (@content, @year, @subtick)
+            INSERT INTO notes (content, year, subtick, timeline_id)
+            VALUES (@content, @year, @subtick, @timeline_id)
         `);
-        return stmt.run(note);
+        return stmt.run({
+            timeline_id: this.currentTimelineId,
+            ...note
+        });
     }
 
     getNotes(year = null, subtick = null) {
@@ -1642,13 +2151,27 @@ class DatabaseManager {
 
     // Search operations
     searchItems(criteria) {
+        const params = [];
         let query = `
             SELECT i.*, s.title as story_title 
             FROM items i 
             LEFT JOIN stories s ON i.story_id = s.id 
             WHERE 1=1
         `;
-        const params = [];
+
+        // Free text goes through the full-text index and orders the results by relevance
+        const textQuery = criteria.text ? this.buildSearchQuery(criteria.text) : null;
+        if (criteria.text && !textQuery) return [];
+        if (textQuery) {
+            query = `
+                SELECT i.*, s.title as story_title 
+                FROM items_fts
+                JOIN items i ON i.rowid = items_fts.rowid
+                LEFT JOIN stories s ON i.story_id = s.id 
+                WHERE items_fts MATCH ?
+            `;
+            params.push(textQuery);
+        }
 
         if (criteria.story) {
             query += ' AND s.title LIKE ?';
@@ -1664,28 +2187,53 @@ class DatabaseManager {
             params.push(...criteria.tags);
         }
 
+        // Uncertain dates match if any date they could fall on is inside the filter
+        const extent = DatabaseManager.DATE_EXTENT_SQL;
         if (criteria.startDate) {
-            query += ' AND (i.year > ? OR (i.year = ? AND i.subtick >= ?))';
+            query += ` AND ((${extent.latestYear}) > ? OR ((${extent.latestYear}) = ? AND (${extent.latestSubtick}) >= ?))`;
             params.push(criteria.startDate, criteria.startDate, criteria.startSubtick || 0);
         }
 
         if (criteria.endDate) {
-            query += ' AND (i.year < ? OR (i.year = ? AND i.subtick <= ?))';
+            query += ` AND ((${extent.earliestYear}) < ? OR ((${extent.earliestYear}) = ? AND (${extent.earliestSubtick}) <= ?))`;
             params.push(criteria.endDate, criteria.endDate, criteria.endSubtick || 0);
         }
 
-        if (criteria.text) {
-            query += ' AND (i.title LIKE ? OR i.description LIKE ? OR i.content LIKE ?)';
-            const textParam = `%${criteria.text}%`;
-            params.push(textParam, textParam, textParam);
+        if (textQuery) {
+            query += ` ORDER BY bm25(items_fts, ${DatabaseManager.SEARCH_INDEXES.item.weights.join(', ')})`;
         }
 
-        const stmt = this.db.prepare(query);
-        const items = stmt.all(...params);
+        const items = this.db.prepare(query).all(...params);
+        if (items.length === 0) return [];
+
+        // Load tags and pictures for all results at once instead of once per item
+        const ids = JSON.stringify(items.map(item => item.id));
+        const tagsByItem = new Map();
+        this.db.prepare(`
+            SELECT it.item_id, t.name
+            FROM item_tags it
+            JOIN tags t ON t.id = it.tag_id
+            WHERE it.item_id IN (SELECT value FROM json_each(?))
+        `).all(ids).forEach(row => {
+            if (!tagsByItem.has(row.item_id)) tagsByItem.set(row.item_id, []);
+            tagsByItem.get(row.item_id).push(row.name);
+        });
+
+        const picturesByItem = new Map();
+        this.db.prepare(`
+            SELECT ip.item_id AS linked_item_id, p.*
+            FROM item_pictures ip
+            JOIN pictures p ON p.id = ip.picture_id
+            WHERE ip.item_id IN (SELECT value FROM json_each(?))
+        `).all(ids).forEach(({ linked_item_id, ...picture }) => {
+            if (!picturesByItem.has(linked_item_id)) picturesByItem.set(linked_item_id, []);
+            picturesByItem.get(linked_item_id).push(picture);
+        });
+
         return items.map(item => ({
             ...item,
-            tags: this.getItemTags(item.id),
-            pictures: this.getItemPictures(item.id)
+            tags: tagsByItem.get(item.id) || [],
+            pictures: this.withThumbnails(picturesByItem.get(item.id) || [])
         }));
     }
 
@@ -1868,10 +2416,18 @@ class DatabaseManager {
             // Then delete item-related records
             this.db.prepare('DELETE FROM item_tags WHERE item_id IN (SELECT id FROM items WHERE timeline_id = ?)').run(timelineId);
             this.db.prepare('DELETE FROM item_pictures WHERE item_id IN (SELECT id FROM items WHERE timeline_id = ?)').run(timelineId);
+            this.db.prepare('DELETE FROM collection_pictures WHERE collection_id IN (SELECT id FROM picture_collections WHERE timeline_id = ?)').run(timelineId);
+            this.db.prepare('DELETE FROM picture_collections WHERE timeline_id = ?').run(timelineId);
 
-            // Delete pictures that have no item_pictures references
-            this.db.prepare('DELETE FROM pictures WHERE id NOT IN (SELECT picture_id FROM item_pictures)').run();
+            // Delete pictures that are neither linked to an item nor kept in a collection
+            this.db.prepare('DELETE FROM pictures WHERE id NOT IN (SELECT picture_id FROM item_pictures) AND id NOT IN (SELECT picture_id FROM collection_pictures)').run();
             this.db.prepare('DELETE FROM item_story_refs WHERE item_id IN (SELECT id FROM items WHERE timeline_id = ?)').run(timelineId);
+            this.db.prepare('DELETE FROM item_revisions WHERE item_id IN (SELECT id FROM items WHERE timeline_id = ?)').run(timelineId);
+            this.db.prepare('DELETE FROM item_characters WHERE item_id IN (SELECT id FROM items WHERE timeline_id = ?)').run(timelineId);
+            this.db.prepare('DELETE FROM item_relationships WHERE source_item_id IN (SELECT id FROM items WHERE timeline_id = ?)').run(timelineId);
+            this.db.prepare('DELETE FROM character_aliases WHERE character_id IN (SELECT id FROM characters WHERE timeline_id = ?)').run(timelineId);
+            this.db.prepare('DELETE FROM characters WHERE timeline_id = ?').run(timelineId);
+            this.db.prepare('DELETE FROM trash WHERE timeline_id = ?').run(timelineId);
             
             // Then delete the items themselves
             this.db.prepare('DELETE FROM items WHERE timeline_id = ?').run(timelineId);
@@ -1967,6 +2523,7 @@ class DatabaseManager {
             description: timeline.description,
             start_year: timeline.start_year,
             granularity: timeline.granularity,
+            calendar: this.getTimelineCalendar(timeline.id),
             settings: {
                 font: settings.font,
                 fontSizeScale: settings.font_size_scale,
@@ -2169,11 +2726,16 @@ class DatabaseManager {
         `);
         
         const items = stmt.all({ timelineId });
+        const characters = this.getCharactersForItems(items);
+        const relationships = this.getRelationshipsForItems(items);
         return items.map(item => ({
             ...item,
             tags: this.getItemTags(item.id),
-            pictures: this.getItemPictures(item.id),
-            story_refs: this.getItemStoryReferences(item.id)
+            pictures: this.withThumbnails(this.getItemPictures(item.id)),
+            story_refs: this.getItemStoryReferences(item.id),
+            characters: characters.get(item.id),
+            relationships: relationships.get(item.id).outgoing,
+            incoming_relationships: relationships.get(item.id).incoming
         }));
     }
 
@@ -2232,6 +2794,9 @@ class DatabaseManager {
                 return null;
             }
 
+            // Hash the file as uploaded, so uploading it again is an exact match
+            const hashes = await this.computePictureHashes(imageBuffer);
+
             // Process the image with sharp
             let sharpImage = sharp(imageBuffer);
             const metadata = await sharpImage.metadata();
@@ -2267,17 +2832,20 @@ class DatabaseManager {
                 width: finalMetadata.width,
                 height: finalMetadata.height,
                 title: path.parse(fileInfo.file_name).name,
-                description: fileInfo.description || ''
+                description: fileInfo.description || '',
+                ...hashes
             };
 
             // Insert into pictures table
             const stmt = this.db.prepare(`
                 INSERT INTO pictures (
                     file_path, file_name, file_size, file_type,
-                    width, height, title, description
+                    width, height, title, description,
+                    content_hash, perceptual_hash
                 ) VALUES (
                     @file_path, @file_name, @file_size, @file_type,
-                    @width, @height, @title, @description
+                    @width, @height, @title, @description,
+                    @content_hash, @perceptual_hash
                 )
             `);
 
@@ -2288,6 +2856,14 @@ class DatabaseManager {
             // Add the picture ID to the returned object
             fileInfoObj.id = result.lastInsertRowid;
 
+            // The picture is saved even if its thumbnails fail; a window that misses one asks again
+            try {
+                await this.ensureThumbnails(fileInfoObj);
+            } catch (error) {
+                console.error(`[dbManager.js] Failed to make thumbnails for picture ${fileInfoObj.id}:`, error);
+            }
+            fileInfoObj.thumbnails = this.getThumbnailPaths(fileInfoObj);
+
             return fileInfoObj;
         } catch (error) {
             console.error('Error saving new image:', error);
@@ -2398,6 +2974,29 @@ class DatabaseManager {
             CREATE INDEX IF NOT EXISTS idx_notes_year_subtick ON notes(year, subtick);
         `);
 
+        // Item revisions table indexes
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_item_revisions_item_id ON item_revisions(item_id);
+        `);
+
+        // Trash table indexes
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_trash_timeline_id ON trash(timeline_id);
+            CREATE INDEX IF NOT EXISTS idx_trash_kind_record_id ON trash(kind, record_id);
+        `);
+
+        // Character table indexes
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_characters_timeline_id ON characters(timeline_id);
+            CREATE INDEX IF NOT EXISTS idx_character_aliases_character_id ON character_aliases(character_id);
+            CREATE INDEX IF NOT EXISTS idx_item_characters_character_id ON item_characters(character_id);
+        `);
+
+        // Item relationship indexes
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_item_relationships_target_item_id ON item_relationships(target_item_id);
+        `);
+
         console.log('Database indexes created successfully');
     }
 
@@ -2509,6 +3108,3363 @@ class DatabaseManager {
             throw error;
         }
     }
+
+    // ===== Full-Text Search =====
+
+    /**
+     * Creates the FTS5 search tables and the triggers that keep them in sync
+     *
+     * How it works:
+     * - Each entry of SEARCH_INDEXES gets an external-content FTS5 table, so the text is not
+     *   stored twice; the index is keyed by the source table's rowid
+     * - AFTER INSERT / DELETE / UPDATE triggers on the source table update the index
+     * - A newly created index (or one listed in options.rebuild) is rebuilt from its source table
+     *
+     * Possible errors:
+     * - SQLite built without FTS5; logged, and full-text search stays unavailable
+     *
+     * @param {Object} [options]
+     * @param {Array<string>} [options.rebuild] - Kinds to rebuild even if their index exists
+     */
+    ensureSearchIndex(options = {}) {
+        const rebuild = options.rebuild || [];
+
+        try {
+            for (const [kind, index] of Object.entries(DatabaseManager.SEARCH_INDEXES)) {
+                const exists = this.db.prepare(`
+                    SELECT name FROM sqlite_master WHERE type='table' AND name = ?
+                `).get(index.fts);
+
+                const columns = index.columns.join(', ');
+                const newValues = index.columns.map(column => `new.${column}`).join(', ');
+                const oldValues = index.columns.map(column => `old.${column}`).join(', ');
+
+                this.db.exec(`
+                    CREATE VIRTUAL TABLE IF NOT EXISTS ${index.fts} USING fts5(
+                        ${columns},
+                        content='${index.table}',
+                        content_rowid='rowid',
+                        tokenize='unicode61 remove_diacritics 2',
+                        prefix='2 3'
+                    );
+
+                    CREATE TRIGGER IF NOT EXISTS ${index.fts}_ai AFTER INSERT ON ${index.table} BEGIN
+                        INSERT INTO ${index.fts}(rowid, ${columns}) VALUES (new.rowid, ${newValues});
+                    END;
+
+                    CREATE TRIGGER IF NOT EXISTS ${index.fts}_ad AFTER DELETE ON ${index.table} BEGIN
+                        INSERT INTO ${index.fts}(${index.fts}, rowid, ${columns}) VALUES ('delete', old.rowid, ${oldValues});
+                    END;
+
+                    CREATE TRIGGER IF NOT EXISTS ${index.fts}_au AFTER UPDATE ON ${index.table} BEGIN
+                        INSERT INTO ${index.fts}(${index.fts}, rowid, ${columns}) VALUES ('delete', old.rowid, ${oldValues});
+                        INSERT INTO ${index.fts}(rowid, ${columns}) VALUES (new.rowid, ${newValues});
+                    END;
+                `);
+
+                if (!exists || rebuild.includes(kind)) {
+                    console.log(`[dbManager.js] Building search index ${index.fts}...`);
+                    this.db.prepare(`INSERT INTO ${index.fts}(${index.fts}) VALUES ('rebuild')`).run();
+                }
+            }
+        } catch (error) {
+            console.error('[dbManager.js] Error creating search index:', error);
+        }
+    }
+
+    /**
+     * Turns what the user typed into an FTS5 query
+     *
+     * How it works:
+     * - Text in double quotes is a phrase and must match as written
+     * - Every other word is a prefix term ("bat" matches "battle")
+     * - All terms must match; quotes inside terms are escaped, so FTS5 operators are never
+     *   interpreted and the query cannot be malformed
+     *
+     * @param {string} text - The search text
+     * @returns {string|null} The FTS5 query, or null if the text has no terms
+     */
+    buildSearchQuery(text) {
+        const terms = [];
+        const pattern = /"([^"]*)"?|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(String(text || ''))) !== null) {
+            const phrase = match[1] !== undefined ? match[1].trim() : null;
+            const word = match[2];
+            if (phrase) {
+                terms.push(`"${phrase.replace(/"/g, '""')}"`);
+            } else if (word && /[\p{L}\p{N}]/u.test(word)) {
+                terms.push(`"${word.replace(/"/g, '""')}"*`);
+            }
+        }
+
+        return terms.length ? terms.join(' ') : null;
+    }
+
+    /**
+     * Searches items, notes, story titles, tag names and picture descriptions of a timeline
+     *
+     * How it works:
+     * - The query is built by buildSearchQuery() and run against every requested index
+     * - Stories, tags and pictures are shared between timelines, so they only match if an
+     *   item of the timeline uses them; their date and item_id are those of the earliest such item
+     * - Results are ordered by bm25 rank across all kinds (lower is better); titles weigh more
+     *   than descriptions
+     * - snippet is HTML-escaped with the matched terms wrapped in <mark>
+     *
+     * Possible errors:
+     * - Unknown kind in options.kinds; ignored
+     *
+     * @param {string} text - The search text
+     * @param {Object} [options]
+     * @param {number} [options.timelineId] - Defaults to the current timeline
+     * @param {Array<string>} [options.kinds] - Any of 'item', 'note', 'story', 'tag', 'picture'
+     * @param {number} [options.limit=50] - Maximum number of results
+     * @returns {Array<Object>} { kind, id, title, snippet, rank, year, subtick, item_id }
+     */
+    searchFullText(text, options = {}) {
+        const query = this.buildSearchQuery(text);
+        if (!query) return [];
+
+        const timelineId = options.timelineId || this.currentTimelineId;
+        const kinds = (options.kinds || Object.keys(DatabaseManager.SEARCH_INDEXES))
+            .filter(kind => DatabaseManager.SEARCH_INDEXES[kind]);
+        if (kinds.length === 0) return [];
+
+        const rank = kind => `bm25(${DatabaseManager.SEARCH_INDEXES[kind].fts}, ${DatabaseManager.SEARCH_INDEXES[kind].weights.join(', ')})`;
+        const snippet = kind => `snippet(${DatabaseManager.SEARCH_INDEXES[kind].fts}, -1, char(2), char(3), '…', 12)`;
+
+        const selects = {
+            item: `
+                SELECT 'item' AS kind, i.id AS id, i.title AS title, ${snippet('item')} AS snippet, ${rank('item')} AS rank,
+                       i.year AS year, i.subtick AS subtick, i.id AS item_id
+                FROM items_fts JOIN items i ON i.rowid = items_fts.rowid
+                WHERE items_fts MATCH @query AND i.timeline_id = @timelineId
+            `,
+            note: `
+                SELECT 'note' AS kind, n.id AS id, substr(n.content, 1, 60) AS title, ${snippet('note')} AS snippet, ${rank('note')} AS rank,
+                       n.year AS year, n.subtick AS subtick, NULL AS item_id
+                FROM notes_fts JOIN notes n ON n.rowid = notes_fts.rowid
+                WHERE notes_fts MATCH @query AND n.timeline_id = @timelineId
+            `,
+            story: `
+                SELECT 'story' AS kind, s.id AS id, s.title AS title, ${snippet('story')} AS snippet, ${rank('story')} AS rank,
+                       first.year AS year, first.subtick AS subtick, first.id AS item_id
+                FROM stories_fts JOIN stories s ON s.rowid = stories_fts.rowid
+                JOIN items first ON first.id = (
+                    SELECT i.id FROM items i
+                    WHERE i.timeline_id = @timelineId
+                    AND (i.story_id = s.id OR i.id IN (SELECT item_id FROM item_story_refs WHERE story_id = s.id))
+                    ORDER BY i.year, i.subtick LIMIT 1
+                )
+                WHERE stories_fts MATCH @query
+            `,
+            tag: `
+                SELECT 'tag' AS kind, t.id AS id, t.name AS title, ${snippet('tag')} AS snippet, ${rank('tag')} AS rank,
+                       first.year AS year, first.subtick AS subtick, first.id AS item_id
+                FROM tags_fts JOIN tags t ON t.rowid = tags_fts.rowid
+                JOIN items first ON first.id = (
+                    SELECT i.id FROM item_tags it JOIN items i ON i.id = it.item_id
+                    WHERE it.tag_id = t.id AND i.timeline_id = @timelineId
+                    ORDER BY i.year, i.subtick LIMIT 1
+                )
+                WHERE tags_fts MATCH @query
+            `,
+            picture: `
+                SELECT 'picture' AS kind, p.id AS id, COALESCE(p.title, p.file_name) AS title, ${snippet('picture')} AS snippet, ${rank('picture')} AS rank,
+                       first.year AS year, first.subtick AS subtick, first.id AS item_id
+                FROM pictures_fts JOIN pictures p ON p.rowid = pictures_fts.rowid
+                JOIN items first ON first.id = (
+                    SELECT i.id FROM item_pictures ip JOIN items i ON i.id = ip.item_id
+                    WHERE ip.picture_id = p.id AND i.timeline_id = @timelineId
+                    ORDER BY i.year, i.subtick LIMIT 1
+                )
+                WHERE pictures_fts MATCH @query
+            `
+        };
+
+        const results = this.db.prepare(`
+            ${kinds.map(kind => selects[kind]).join(' UNION ALL ')}
+            ORDER BY rank
+            LIMIT @limit
+        `).all({ query, timelineId, limit: options.limit || 50 });
+
+        return results.map(result => ({
+            ...result,
+            snippet: this.markSnippet(result.snippet)
+        }));
+    }
+
+    // Escapes a snippet for HTML and turns its \u0002 / \u0003 match markers into <mark> tags
+    markSnippet(snippet) {
+        if (snippet === null || snippet === undefined) return '';
+        return String(snippet)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/\u0002/g, '<mark>')
+            .replace(/\u0003/g, '</mark>');
+    }
+
+    // ===== Item Revisions =====
+
+    /**
+     * Collects everything a revision stores about an item
+     * @param {string} itemId - The item's id
+     * @returns {Object|null} The item's fields, tag names, story references and pictures, or null if not found
+     */
+    getItemRevisionState(itemId) {
+        const item = this.db.prepare(`
+            SELECT i.*, t.name AS type_name
+            FROM items i
+            LEFT JOIN item_types t ON i.type_id = t.id
+            WHERE i.id = ?
+        `).get(itemId);
+        if (!item) return null;
+
+        const state = { type: item.type_name || null };
+        for (const field of DatabaseManager.REVISION_FIELDS) {
+            state[field] = item[field] ?? null;
+        }
+        state.tags = this.getItemTags(itemId).sort();
+        state.story_refs = this.getItemStoryReferences(itemId)
+            .map(story => ({ id: story.id, title: story.title }))
+            .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+        state.pictures = this.getItemPictures(itemId)
+            .map(picture => ({ id: picture.id, title: picture.title || picture.file_name }))
+            .sort((a, b) => a.id - b.id);
+        return state;
+    }
+
+    /**
+     * Stores the item's current state as a new revision
+     * @param {string} itemId - The item's id
+     * @param {string} action - What produced this version ('original', 'edit', 'revert', 'merge')
+     * @returns {number|null} The new revision id, or null if nothing changed since the last revision
+     */
+    recordItemRevision(itemId, action) {
+        const state = this.getItemRevisionState(itemId);
+        if (!state) return null;
+
+        const serialized = JSON.stringify(state);
+        const latest = this.db.prepare(`
+            SELECT state FROM item_revisions WHERE item_id = ? ORDER BY id DESC LIMIT 1
+        `).get(itemId);
+        if (latest && latest.state === serialized) return null;
+
+        return this.db.prepare(`
+            INSERT INTO item_revisions (item_id, action, state) VALUES (?, ?, ?)
+        `).run(itemId, action, serialized).lastInsertRowid;
+    }
+
+    /**
+     * Records the item's current state as its 'original' revision if it has no revisions yet,
+     * so items created before revisions existed can be reverted to their pre-edit state
+     * @param {string} itemId - The item's id
+     */
+    ensureItemBaselineRevision(itemId) {
+        const hasRevisions = this.db.prepare('SELECT 1 FROM item_revisions WHERE item_id = ? LIMIT 1').get(itemId);
+        if (!hasRevisions) {
+            this.recordItemRevision(itemId, 'original');
+        }
+    }
+
+    /**
+     * Gets an item's revisions with the fields each one changed
+     * @param {string} itemId - The item's id
+     * @returns {Array} Newest first: [{ id, action, created_at, is_current, diff: [{ field, before, after }] }]
+     *
+     * How it works:
+     * 1. Loads the revisions oldest first
+     * 2. Compares each one to the revision before it; the first revision has an empty diff
+     * 3. Lists (tags, story references, pictures) are shown by name
+     */
+    getItemRevisions(itemId) {
+        const rows = this.db.prepare(`
+            SELECT id, action, state, created_at FROM item_revisions WHERE item_id = ? ORDER BY id
+        `).all(itemId);
+
+        const displayValue = (field, value) => {
+            if (field === 'story_refs' || field === 'pictures') return value.map(entry => entry.title);
+            return value;
+        };
+
+        const fields = ['type', ...DatabaseManager.REVISION_FIELDS, 'tags', 'story_refs', 'pictures'];
+        let previous = null;
+        const revisions = rows.map((row, index) => {
+            const state = JSON.parse(row.state);
+            const diff = [];
+            if (previous) {
+                for (const field of fields) {
+                    if (JSON.stringify(previous[field] ?? null) !== JSON.stringify(state[field] ?? null)) {
+                        diff.push({
+                            field,
+                            before: displayValue(field, previous[field] ?? (Array.isArray(state[field]) ? [] : null)),
+                            after: displayValue(field, state[field] ?? (Array.isArray(previous[field]) ? [] : null))
+                        });
+                    }
+                }
+            }
+            previous = state;
+            return {
+                id: row.id,
+                action: row.action,
+                created_at: row.created_at,
+                is_current: index === rows.length - 1,
+                diff
+            };
+        });
+
+        return revisions.reverse();
+    }
+
+    /**
+     * Puts an item back the way it was in one of its revisions
+     * @param {number} revisionId - The revision to go back to
+     * @returns {Object} { item, missingPictures } where missingPictures counts pictures deleted since
+     *
+     * How it works:
+     * 1. Loads the revision's stored state
+     * 2. Saves it through updateItem(), which records the result as a new 'revert' revision,
+     *    so the revert itself can be undone from the history
+     *
+     * Possible errors:
+     * - Revision or item not found
+     */
+    revertItemToRevision(revisionId) {
+        const revision = this.db.prepare('SELECT * FROM item_revisions WHERE id = ?').get(revisionId);
+        if (!revision) {
+            throw new Error('Revision not found');
+        }
+        const state = JSON.parse(revision.state);
+
+        const getPicture = this.db.prepare('SELECT id, description FROM pictures WHERE id = ?');
+        const pictures = state.pictures
+            .map(picture => getPicture.get(picture.id))
+            .filter(Boolean)
+            .map(picture => ({ id: picture.id, description: picture.description, isReference: true }));
+
+        const item = this.updateItem(revision.item_id, {
+            ...state,
+            'story-id': state.story_id,
+            story_refs: state.story_refs.map(story => ({ story_id: story.id, story_title: story.title })),
+            pictures
+        }, 'revert');
+        if (!item) {
+            throw new Error('Item not found');
+        }
+
+        return { item, missingPictures: state.pictures.length - pictures.length };
+    }
+
+    // ===== Characters =====
+    // Characters belong to a timeline and have an optional lifespan (birth and death as
+    // year + subtick) and any number of aliases. item_characters links them to the items
+    // they take part in, so each item can show how old its characters were at the time.
+
+    /**
+     * Works out a character's age at a date
+     * @param {Object} character - { birth_year, birth_subtick, death_year, death_subtick }
+     * @param {number} year - The year of the date
+     * @param {number} subtick - The subtick of the date
+     * @returns {Object} { age, status } where status is 'unknown' (no birth date), 'unborn',
+     *   'alive' or 'dead'; age is null unless alive or dead, and is the age at death once dead
+     */
+    static getCharacterAge(character, year, subtick = 0) {
+        const hasDate = value => value !== null && value !== undefined;
+        if (!hasDate(character.birth_year)) return { age: null, status: 'unknown' };
+
+        const compare = (aYear, aSubtick, bYear, bSubtick) => (aYear - bYear) || ((aSubtick || 0) - (bSubtick || 0));
+        const yearsBetween = (toYear, toSubtick) => {
+            const years = toYear - character.birth_year;
+            return (toSubtick || 0) < (character.birth_subtick || 0) ? years - 1 : years;
+        };
+
+        if (compare(year, subtick, character.birth_year, character.birth_subtick) < 0) {
+            return { age: null, status: 'unborn' };
+        }
+        if (hasDate(character.death_year) && compare(year, subtick, character.death_year, character.death_subtick) > 0) {
+            return { age: yearsBetween(character.death_year, character.death_subtick), status: 'dead' };
+        }
+        return { age: yearsBetween(year, subtick), status: 'alive' };
+    }
+
+    /**
+     * Lists a timeline's characters by name
+     * @param {number} timelineId - Defaults to the current timeline
+     * @returns {Array} Character rows with aliases (strings) and item_ids
+     */
+    getCharacters(timelineId = this.currentTimelineId) {
+        const characters = this.db.prepare(`
+            SELECT * FROM characters WHERE timeline_id = ? ORDER BY name COLLATE NOCASE
+        `).all(timelineId);
+        const getAliases = this.db.prepare('SELECT alias FROM character_aliases WHERE character_id = ? ORDER BY id');
+        const getItemIds = this.db.prepare('SELECT item_id FROM item_characters WHERE character_id = ?');
+
+        return characters.map(character => ({
+            ...character,
+            aliases: getAliases.all(character.id).map(row => row.alias),
+            item_ids: getItemIds.all(character.id).map(row => row.item_id)
+        }));
+    }
+
+    /**
+     * Gets one character
+     * @param {string} id - The character's id
+     * @returns {Object|null} The character with aliases and item_ids, or null if not found
+     */
+    getCharacter(id) {
+        const character = this.db.prepare('SELECT * FROM characters WHERE id = ?').get(id);
+        if (!character) return null;
+
+        return {
+            ...character,
+            aliases: this.db.prepare('SELECT alias FROM character_aliases WHERE character_id = ? ORDER BY id').all(id).map(row => row.alias),
+            item_ids: this.db.prepare('SELECT item_id FROM item_characters WHERE character_id = ?').all(id).map(row => row.item_id)
+        };
+    }
+
+    /**
+     * Cleans up a character from a form for storage
+     * @param {Object} character - { name, description, birth_year, birth_subtick, death_year, death_subtick, aliases }
+     * @returns {Object} The same fields with integers or null and a list of distinct, trimmed aliases
+     *
+     * Possible errors:
+     * - Missing name, or death before birth
+     */
+    normalizeCharacter(character) {
+        const toInteger = value => {
+            if (value === null || value === undefined || value === '') return null;
+            const number = parseInt(value);
+            return Number.isNaN(number) ? null : number;
+        };
+
+        const name = (character.name || '').trim();
+        if (!name) {
+            throw new Error('Character name is required');
+        }
+
+        const birthYear = toInteger(character.birth_year);
+        const deathYear = toInteger(character.death_year);
+        const normalized = {
+            name,
+            description: character.description || '',
+            birth_year: birthYear,
+            birth_subtick: birthYear === null ? null : toInteger(character.birth_subtick) || 0,
+            death_year: deathYear,
+            death_subtick: deathYear === null ? null : toInteger(character.death_subtick) || 0
+        };
+
+        if (birthYear !== null && deathYear !== null &&
+            ((deathYear - birthYear) || (normalized.death_subtick - normalized.birth_subtick)) < 0) {
+            throw new Error('Death date must not be before the birth date');
+        }
+
+        const aliases = Array.isArray(character.aliases) ? character.aliases : String(character.aliases || '').split(',');
+        normalized.aliases = [...new Set(aliases.map(alias => String(alias).trim()).filter(alias => alias && alias !== name))];
+        return normalized;
+    }
+
+    /**
+     * Replaces a character's aliases
+     * @param {string} characterId - The character's id
+     * @param {Array<string>} aliases - The new aliases
+     */
+    setCharacterAliases(characterId, aliases) {
+        this.db.prepare('DELETE FROM character_aliases WHERE character_id = ?').run(characterId);
+        const addAlias = this.db.prepare('INSERT OR IGNORE INTO character_aliases (character_id, alias) VALUES (?, ?)');
+        aliases.forEach(alias => addAlias.run(characterId, alias));
+    }
+
+    /**
+     * Adds a character to a timeline
+     * @param {Object} character - See normalizeCharacter(); timeline_id defaults to the current timeline
+     * @returns {Object} The stored character
+     *
+     * Possible errors:
+     * - Missing name, or death before birth
+     */
+    addCharacter(character) {
+        const normalized = this.normalizeCharacter(character);
+        const id = uuidv4();
+
+        this.db.prepare(`
+            INSERT INTO characters (id, timeline_id, name, description, birth_year, birth_subtick, death_year, death_subtick)
+            VALUES (@id, @timeline_id, @name, @description, @birth_year, @birth_subtick, @death_year, @death_subtick)
+        `).run({
+            id,
+            timeline_id: character.timeline_id || this.currentTimelineId,
+            name: normalized.name,
+            description: normalized.description,
+            birth_year: normalized.birth_year,
+            birth_subtick: normalized.birth_subtick,
+            death_year: normalized.death_year,
+            death_subtick: normalized.death_subtick
+        });
+        this.setCharacterAliases(id, normalized.aliases);
+        return this.getCharacter(id);
+    }
+
+    /**
+     * Updates a character's name, description, lifespan and aliases
+     * @param {string} id - The character's id
+     * @param {Object} character - See normalizeCharacter()
+     * @returns {Object|null} The stored character, or null if not found
+     *
+     * Possible errors:
+     * - Missing name, or death before birth
+     */
+    updateCharacter(id, character) {
+        const normalized = this.normalizeCharacter(character);
+
+        const result = this.db.prepare(`
+            UPDATE characters SET
+                name = @name,
+                description = @description,
+                birth_year = @birth_year,
+                birth_subtick = @birth_subtick,
+                death_year = @death_year,
+                death_subtick = @death_subtick,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = @id
+        `).run({
+            id,
+            name: normalized.name,
+            description: normalized.description,
+            birth_year: normalized.birth_year,
+            birth_subtick: normalized.birth_subtick,
+            death_year: normalized.death_year,
+            death_subtick: normalized.death_subtick
+        });
+        if (result.changes === 0) return null;
+
+        this.setCharacterAliases(id, normalized.aliases);
+        return this.getCharacter(id);
+    }
+
+    /**
+     * Deletes a character with its aliases and item links
+     * @param {string} id - The character's id
+     */
+    deleteCharacter(id) {
+        this.db.prepare('DELETE FROM item_characters WHERE character_id = ?').run(id);
+        this.db.prepare('DELETE FROM character_aliases WHERE character_id = ?').run(id);
+        return this.db.prepare('DELETE FROM characters WHERE id = ?').run(id);
+    }
+
+    /**
+     * Replaces the characters taking part in an item
+     * @param {string} itemId - The item's id
+     * @param {Array<string|Object>} characters - Character ids, or objects with an id
+     */
+    setItemCharacters(itemId, characters) {
+        this.db.prepare('DELETE FROM item_characters WHERE item_id = ?').run(itemId);
+        // Only link characters that exist
+        const addLink = this.db.prepare(`
+            INSERT OR IGNORE INTO item_characters (item_id, character_id)
+            SELECT ?, id FROM characters WHERE id = ?
+        `);
+        characters.forEach(character => addLink.run(itemId, typeof character === 'object' ? character.id : character));
+    }
+
+    /**
+     * Gets the characters of items with their age at each item's date
+     * @param {Array<Object>} items - Items with id, year and subtick
+     * @returns {Map} Item id to [{ id, name, age, status }] sorted by name (see getCharacterAge())
+     */
+    getCharactersForItems(items) {
+        const byItem = new Map(items.map(item => [item.id, []]));
+        if (items.length === 0) return byItem;
+
+        const links = this.db.prepare(`
+            SELECT ic.item_id, c.id, c.name, c.birth_year, c.birth_subtick, c.death_year, c.death_subtick
+            FROM item_characters ic
+            JOIN characters c ON ic.character_id = c.id
+            WHERE ic.item_id IN (SELECT value FROM json_each(?))
+            ORDER BY c.name COLLATE NOCASE
+        `).all(JSON.stringify(items.map(item => item.id)));
+
+        const itemsById = new Map(items.map(item => [item.id, item]));
+        for (const link of links) {
+            const item = itemsById.get(link.item_id);
+            if (!item) continue;
+            byItem.get(item.id).push({
+                id: link.id,
+                name: link.name,
+                ...DatabaseManager.getCharacterAge(link, item.year, item.subtick)
+            });
+        }
+        return byItem;
+    }
+
+    // ===== Item Relationships =====
+    // Typed, directed links between items of the same timeline (see itemRelationships.js).
+    // A relationship belongs to its source item: editing an item replaces its outgoing links,
+    // and deleting either end deletes the link.
+
+    /**
+     * Replaces the relationships an item points out with
+     * @param {string} itemId - The source item
+     * @param {Array<Object>} relationships - { type, target_id }; links to items of other timelines,
+     *   missing items or the item itself are left out
+     */
+    setItemRelationships(itemId, relationships) {
+        this.db.prepare('DELETE FROM item_relationships WHERE source_item_id = ?').run(itemId);
+        const addLink = this.db.prepare(`
+            INSERT OR IGNORE INTO item_relationships (source_item_id, target_item_id, type)
+            SELECT source.id, target.id, ?
+            FROM items source JOIN items target ON target.timeline_id = source.timeline_id
+            WHERE source.id = ? AND target.id = ?
+        `);
+        ItemRelationships.normalize(relationships, itemId)
+            .forEach(relationship => addLink.run(relationship.type, itemId, relationship.target_id));
+    }
+
+    /**
+     * Gets the relationships of items, both ways
+     * @param {Array<Object>} items - Items with id
+     * @returns {Map} Item id to { outgoing: [{ type, target_id, target_title }],
+     *   incoming: [{ type, source_id, source_title }] }
+     */
+    getRelationshipsForItems(items) {
+        const byItem = new Map(items.map(item => [item.id, { outgoing: [], incoming: [] }]));
+        if (items.length === 0) return byItem;
+
+        const links = this.db.prepare(`
+            SELECT r.type, r.source_item_id, source.title AS source_title, r.target_item_id, target.title AS target_title
+            FROM item_relationships r
+            JOIN items source ON r.source_item_id = source.id
+            JOIN items target ON r.target_item_id = target.id
+            WHERE r.source_item_id IN (SELECT value FROM json_each(@ids))
+               OR r.target_item_id IN (SELECT value FROM json_each(@ids))
+            ORDER BY r.id
+        `).all({ ids: JSON.stringify(items.map(item => item.id)) });
+
+        for (const link of links) {
+            byItem.get(link.source_item_id)?.outgoing.push({
+                type: link.type, target_id: link.target_item_id, target_title: link.target_title
+            });
+            byItem.get(link.target_item_id)?.incoming.push({
+                type: link.type, source_id: link.source_item_id, source_title: link.source_title
+            });
+        }
+        return byItem;
+    }
+
+    // ===== Continuity =====
+
+    /**
+     * Checks a timeline for story logic errors (see continuityChecker.js)
+     * @param {number} timelineId - Defaults to the current timeline
+     * @returns {Object} { issues, summary } from ContinuityChecker.check(), dates in messages
+     *   formatted with the timeline's calendar
+     */
+    checkContinuity(timelineId = this.currentTimelineId) {
+        const items = this.db.prepare(`
+            SELECT i.*, t.name as type
+            FROM items i
+            LEFT JOIN item_types t ON i.type_id = t.id
+            WHERE i.timeline_id = ?
+        `).all(timelineId);
+
+        const characterIds = new Map(items.map(item => [item.id, []]));
+        this.db.prepare('SELECT item_id, character_id FROM item_characters WHERE item_id IN (SELECT value FROM json_each(?))')
+            .all(JSON.stringify(items.map(item => item.id))).forEach(link => characterIds.get(link.item_id).push(link.character_id));
+
+        const storyRefIds = new Map(items.map(item => [item.id, []]));
+        this.db.prepare('SELECT item_id, story_id FROM item_story_refs WHERE item_id IN (SELECT value FROM json_each(?))')
+            .all(JSON.stringify(items.map(item => item.id))).forEach(link => storyRefIds.get(link.item_id).push(link.story_id));
+
+        // Stories are shared between timelines, so only the ones these items use are read
+        const storyIds = new Set(items.map(item => item.story_id).filter(Boolean));
+        storyRefIds.forEach(ids => ids.forEach(id => storyIds.add(id)));
+        const stories = this.db.prepare('SELECT * FROM stories WHERE id IN (SELECT value FROM json_each(?))')
+            .all(JSON.stringify([...storyIds]));
+        const trashedStories = this.db.prepare("SELECT record_id as id, title FROM trash WHERE kind = 'story'").all();
+
+        const definition = this.getTimelineCalendar(timelineId);
+        const calendar = definition ? Calendar.fromDefinition(definition) : null;
+        const timeline = this.db.prepare('SELECT granularity FROM timelines WHERE id = ?').get(timelineId);
+
+        return ContinuityChecker.check({
+            items: items.map(item => ({
+                ...item,
+                character_ids: characterIds.get(item.id),
+                story_ref_ids: storyRefIds.get(item.id)
+            })),
+            characters: this.db.prepare('SELECT * FROM characters WHERE timeline_id = ?').all(timelineId),
+            stories,
+            trashed_stories: trashedStories
+        }, {
+            formatDate: calendar
+                ? (year, subtick) => subtick ? calendar.formatDate(year, subtick, timeline.granularity) : calendar.formatYear(year)
+                : undefined
+        });
+    }
+
+    // ===== Bulk Item Operations =====
+    // Changes to several items at once, from the timeline's selection or the archive's checkboxes.
+    // Each one runs in a single transaction, so either every item changes or none does.
+
+    /**
+     * Runs a change on each of several items in one transaction
+     * @param {Array<string>} itemIds - The items; ids that do not exist are skipped
+     * @param {Function} change - Called with each item's row
+     * @param {boolean} recordRevisions - Whether each changed item gets a revision (not when deleting)
+     * @returns {number} How many items were changed
+     *
+     * Possible errors:
+     * - Database failure (the transaction is rolled back)
+     */
+    runBulkItemChange(itemIds, change, recordRevisions = true) {
+        const ids = Array.from(new Set((itemIds || []).map(String)));
+        const getRow = this.db.prepare('SELECT * FROM items WHERE id = ?');
+        let changed = 0;
+
+        this.db.prepare('BEGIN').run();
+        try {
+            for (const id of ids) {
+                const row = getRow.get(id);
+                if (!row) continue;
+                if (recordRevisions) this.ensureItemBaselineRevision(id);
+                change(row);
+                if (recordRevisions) this.recordItemRevision(id, 'edit');
+                changed++;
+            }
+            this.db.prepare('COMMIT').run();
+        } catch (error) {
+            this.db.prepare('ROLLBACK').run();
+            throw error;
+        }
+        return changed;
+    }
+
+    /**
+     * Moves items by a number of years and subticks
+     * @param {Array<string>} itemIds - The items
+     * @param {number} years - Years to move by, negative to move back
+     * @param {number} subticks - Subticks to move by, counted in each item's timeline granularity
+     * @returns {number} How many items were moved
+     *
+     * How it works:
+     * - Start, end and the uncertainty bounds all move, so ranges keep their length
+     * - Subticks carry over into years (e.g. 3 + 2 subticks at granularity 4 is the next year's 1)
+     */
+    shiftItems(itemIds, years = 0, subticks = 0) {
+        const granularities = new Map();
+        const getGranularity = timelineId => {
+            if (!granularities.has(timelineId)) {
+                const timeline = this.db.prepare('SELECT granularity FROM timelines WHERE id = ?').get(timelineId);
+                granularities.set(timelineId, (timeline && timeline.granularity) || 1);
+            }
+            return granularities.get(timelineId);
+        };
+        const update = this.db.prepare(`
+            UPDATE items SET
+                original_subtick = CASE WHEN subtick IS @subtick THEN original_subtick ELSE @subtick END,
+                original_end_subtick = CASE WHEN end_subtick IS @end_subtick THEN original_end_subtick ELSE @end_subtick END,
+                year = @year, subtick = @subtick,
+                end_year = @end_year, end_subtick = @end_subtick,
+                earliest_year = @earliest_year, earliest_subtick = @earliest_subtick,
+                latest_year = @latest_year, latest_subtick = @latest_subtick
+            WHERE id = @id
+        `);
+
+        return this.runBulkItemChange(itemIds, row => {
+            const granularity = getGranularity(row.timeline_id);
+            const offset = (parseInt(years) || 0) * granularity + (parseInt(subticks) || 0);
+            const shift = (year, subtick) => {
+                if (year === null || year === undefined) return [null, null];
+                const value = year * granularity + (subtick || 0) + offset;
+                const shiftedYear = Math.floor(value / granularity);
+                return [shiftedYear, value - shiftedYear * granularity];
+            };
+            const [year, subtick] = shift(row.year, row.subtick);
+            const [end_year, end_subtick] = shift(row.end_year, row.end_subtick);
+            const [earliest_year, earliest_subtick] = shift(row.earliest_year, row.earliest_subtick);
+            const [latest_year, latest_subtick] = shift(row.latest_year, row.latest_subtick);
+            update.run({
+                id: row.id, year, subtick, end_year, end_subtick,
+                earliest_year, earliest_subtick, latest_year, latest_subtick
+            });
+        });
+    }
+
+    /**
+     * Adds tags to items, creating tags that do not exist yet
+     * @param {Array<string>} itemIds - The items
+     * @param {Array<string>} tagNames - The tags
+     * @returns {number} How many items were changed
+     */
+    addTagsToItems(itemIds, tagNames) {
+        const names = Array.from(new Set((tagNames || []).map(name => String(name).trim()).filter(Boolean)));
+        const addTag = this.db.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)');
+        const getTagId = this.db.prepare('SELECT id FROM tags WHERE name = ?');
+        const addItemTag = this.db.prepare('INSERT OR IGNORE INTO item_tags (item_id, tag_id) VALUES (?, ?)');
+
+        return this.runBulkItemChange(itemIds, row => {
+            for (const name of names) {
+                addTag.run(name);
+                addItemTag.run(row.id, getTagId.get(name).id);
+            }
+        });
+    }
+
+    /**
+     * Removes tags from items; the tags themselves are kept
+     * @param {Array<string>} itemIds - The items
+     * @param {Array<string>} tagNames - The tags
+     * @returns {number} How many items were changed
+     */
+    removeTagsFromItems(itemIds, tagNames) {
+        const names = JSON.stringify((tagNames || []).map(name => String(name).trim()));
+        const removeItemTags = this.db.prepare(`
+            DELETE FROM item_tags
+            WHERE item_id = ? AND tag_id IN (SELECT id FROM tags WHERE name IN (SELECT value FROM json_each(?)))
+        `);
+        return this.runBulkItemChange(itemIds, row => removeItemTags.run(row.id, names));
+    }
+
+    /**
+     * Adds a story to the stories items reference
+     * @param {Array<string>} itemIds - The items
+     * @param {Object} story - { id } of an existing story, { title } of an existing or new one,
+     *   or { id, title } of a new story to create under that id
+     * @param {boolean} replace - Whether the story replaces the items' other story references
+     * @returns {number} How many items were changed
+     *
+     * Possible errors:
+     * - Story has neither id nor title
+     * - Story id does not exist and no title is given
+     */
+    assignStoryToItems(itemIds, story, replace = false) {
+        const title = story && typeof story.title === 'string' ? story.title.trim() : '';
+        let storyId = story && story.id;
+        if (!storyId && !title) throw new Error('A story needs a title');
+        if (storyId && !title && !this.getStory(storyId)) throw new Error(`Story not found: ${storyId}`);
+        if (!storyId) {
+            const existing = this.db.prepare('SELECT id FROM stories WHERE title = ?').get(title);
+            storyId = existing ? existing.id : require('uuid').v4();
+        }
+
+        const removeRefs = this.db.prepare('DELETE FROM item_story_refs WHERE item_id = ?');
+        const addRef = this.db.prepare('INSERT OR IGNORE INTO item_story_refs (item_id, story_id) VALUES (?, ?)');
+        let created = false;
+        return this.runBulkItemChange(itemIds, row => {
+            // Created with the first item, so nothing is left behind when the transaction rolls back
+            if (!created) {
+                this.getOrCreateStory(title || storyId, storyId);
+                created = true;
+            }
+            if (replace) removeRefs.run(row.id);
+            addRef.run(row.id, storyId);
+        });
+    }
+
+    /**
+     * Sets the color of items
+     * @param {Array<string>} itemIds - The items
+     * @param {string|null} color - The color, null for none
+     * @returns {number} How many items were changed
+     */
+    setItemsColor(itemIds, color) {
+        const update = this.db.prepare('UPDATE items SET color = ? WHERE id = ?');
+        return this.runBulkItemChange(itemIds, row => update.run(color || null, row.id));
+    }
+
+    /**
+     * Sets the type of items
+     * @param {Array<string>} itemIds - The items
+     * @param {string} typeName - An item type name, e.g. 'Event'
+     * @returns {number} How many items were changed
+     *
+     * Possible errors:
+     * - Unknown type
+     */
+    setItemsType(itemIds, typeName) {
+        const type = this.db.prepare('SELECT id FROM item_types WHERE name = ?').get(typeName);
+        if (!type) throw new Error(`Unknown item type: ${typeName}`);
+        const update = this.db.prepare('UPDATE items SET type_id = ? WHERE id = ?');
+        return this.runBulkItemChange(itemIds, row => update.run(type.id, row.id));
+    }
+
+    /**
+     * Sets whether items show in the notes
+     * @param {Array<string>} itemIds - The items
+     * @param {boolean} show - Whether they show
+     * @returns {number} How many items were changed
+     */
+    setItemsShowInNotes(itemIds, show) {
+        const update = this.db.prepare('UPDATE items SET show_in_notes = ? WHERE id = ?');
+        return this.runBulkItemChange(itemIds, row => update.run(show ? 1 : 0, row.id));
+    }
+
+    /**
+     * Moves items to the trash
+     * @param {Array<string>} itemIds - The items
+     * @returns {number} How many items were moved
+     */
+    trashItems(itemIds) {
+        // Captured before any item is deleted, so each record keeps its links to the other selected items
+        const records = new Map((itemIds || []).map(id => [String(id), this.captureItemRecord(String(id))]));
+        return this.runBulkItemChange(itemIds, row => this.trashItem(row.id, records.get(String(row.id))), false);
+    }
+
+    // ===== Undo Records =====
+    // Each capture*Record() returns everything needed to put a record back as it is now,
+    // or null if it does not exist. The matching apply*Record() makes the database match
+    // a captured record again; applying null moves the record to the trash.
+    // The trash stores these same records.
+
+    /**
+     * Captures an item with its links, pictures and revision history
+     * @param {string} itemId - The item's id
+     * @returns {Object|null} The captured item
+     */
+    captureItemRecord(itemId) {
+        const item = this.db.prepare('SELECT * FROM items WHERE id = ?').get(itemId);
+        if (!item) return null;
+
+        return {
+            item,
+            tags: this.getItemTags(itemId),
+            story_refs: this.db.prepare(`
+                SELECT s.* FROM item_story_refs r JOIN stories s ON r.story_id = s.id WHERE r.item_id = ?
+            `).all(itemId),
+            pictures: this.db.prepare(`
+                SELECT p.* FROM item_pictures ip JOIN pictures p ON ip.picture_id = p.id WHERE ip.item_id = ?
+            `).all(itemId),
+            character_ids: this.db.prepare('SELECT character_id FROM item_characters WHERE item_id = ?').all(itemId).map(row => row.character_id),
+            relationships: this.db.prepare(`
+                SELECT source_item_id, target_item_id, type FROM item_relationships
+                WHERE source_item_id = @itemId OR target_item_id = @itemId
+            `).all({ itemId }),
+            revisions: this.db.prepare('SELECT * FROM item_revisions WHERE item_id = ? ORDER BY id').all(itemId)
+        };
+    }
+
+    /**
+     * Makes an item match a captured record
+     * @param {string} itemId - The item's id
+     * @param {Object|null} record - From captureItemRecord(); null moves the item to the trash
+     *
+     * How it works:
+     * 1. null goes through trashItem()
+     * 2. Otherwise the row is updated or re-inserted with its original id
+     * 3. Tags, story references, pictures, characters, relationships and revisions are replaced by
+     *    the captured ones; deleted tags, stories and pictures are recreated, deleted characters
+     *    and relationships to deleted items are left out
+     *
+     * Possible errors:
+     * - Database constraint failure (rolled back)
+     */
+    applyItemRecord(itemId, record) {
+        if (!record) {
+            this.trashItem(itemId);
+            return;
+        }
+
+        this.db.prepare('BEGIN').run();
+
+        try {
+            const row = this.pickTableColumns('items', record.item, ['id']);
+            if (this.db.prepare('SELECT 1 FROM items WHERE id = ?').get(itemId)) {
+                this.db.prepare(`
+                    UPDATE items SET ${Object.keys(row).map(column => `${column} = @${column}`).join(', ')}
+                    WHERE id = @undo_target_id
+                `).run({ ...row, undo_target_id: itemId });
+            } else {
+                this.insertRow('items', { ...row, id: itemId });
+            }
+
+            this.db.prepare('DELETE FROM item_tags WHERE item_id = ?').run(itemId);
+            this.db.prepare('DELETE FROM item_story_refs WHERE item_id = ?').run(itemId);
+            this.db.prepare('DELETE FROM item_pictures WHERE item_id = ?').run(itemId);
+            this.db.prepare('DELETE FROM item_revisions WHERE item_id = ?').run(itemId);
+
+            this.addTagsToItem(itemId, record.tags);
+            this.setItemCharacters(itemId, record.character_ids || []);
+            this.db.prepare('DELETE FROM item_relationships WHERE source_item_id = ? OR target_item_id = ?').run(itemId, itemId);
+            const addRelationship = this.db.prepare(`
+                INSERT OR IGNORE INTO item_relationships (source_item_id, target_item_id, type)
+                SELECT @source_item_id, @target_item_id, @type
+                WHERE EXISTS (SELECT 1 FROM items WHERE id = @source_item_id)
+                  AND EXISTS (SELECT 1 FROM items WHERE id = @target_item_id)
+            `);
+            (record.relationships || []).forEach(relationship => addRelationship.run(relationship));
+            for (const story of record.story_refs) {
+                this.insertRow('stories', this.pickTableColumns('stories', story), true);
+                this.db.prepare('INSERT OR IGNORE INTO item_story_refs (item_id, story_id) VALUES (?, ?)').run(itemId, story.id);
+            }
+            for (const picture of record.pictures) {
+                this.insertRow('pictures', this.pickTableColumns('pictures', picture), true);
+                this.addImageReference(itemId, picture.id);
+            }
+            for (const revision of record.revisions) {
+                this.insertRow('item_revisions', this.pickTableColumns('item_revisions', revision), true);
+            }
+            this.removeFromTrash('item', itemId);
+
+            this.db.prepare('COMMIT').run();
+        } catch (error) {
+            this.db.prepare('ROLLBACK').run();
+            console.error('Error applying item record:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Captures a tag and the items it is on
+     * @param {number} tagId - The tag's id
+     * @returns {Object|null} The captured tag
+     */
+    captureTagRecord(tagId) {
+        const tag = this.db.prepare('SELECT * FROM tags WHERE id = ?').get(tagId);
+        if (!tag) return null;
+
+        return {
+            tag,
+            item_ids: this.db.prepare('SELECT item_id FROM item_tags WHERE tag_id = ?').all(tagId).map(row => row.item_id)
+        };
+    }
+
+    /**
+     * Makes a tag match a captured record
+     * @param {number} tagId - The tag's id
+     * @param {Object|null} record - From captureTagRecord(); null moves the tag to the trash
+     */
+    applyTagRecord(tagId, record) {
+        if (!record) {
+            this.trashTag(tagId);
+            return;
+        }
+
+        // A tag with the same name may have been created since; names are unique, so use that one
+        this.insertRow('tags', this.pickTableColumns('tags', record.tag), true);
+        const liveTagId = this.db.prepare('SELECT id FROM tags WHERE name = ?').get(record.tag.name).id;
+        this.db.prepare('DELETE FROM item_tags WHERE tag_id = ?').run(liveTagId);
+        const addItemTag = this.db.prepare('INSERT OR IGNORE INTO item_tags (item_id, tag_id) VALUES (?, ?)');
+        record.item_ids.forEach(itemId => addItemTag.run(itemId, liveTagId));
+        this.removeFromTrash('tag', tagId);
+    }
+
+    /**
+     * Captures a story and the items referencing it
+     * @param {string} storyId - The story's id
+     * @returns {Object|null} The captured story
+     */
+    captureStoryRecord(storyId) {
+        const story = this.db.prepare('SELECT * FROM stories WHERE id = ?').get(storyId);
+        if (!story) return null;
+
+        return {
+            story,
+            item_ids: this.db.prepare('SELECT item_id FROM item_story_refs WHERE story_id = ?').all(storyId).map(row => row.item_id)
+        };
+    }
+
+    /**
+     * Makes a story match a captured record
+     * @param {string} storyId - The story's id
+     * @param {Object|null} record - From captureStoryRecord(); null moves the story to the trash
+     */
+    applyStoryRecord(storyId, record) {
+        if (!record) {
+            this.trashStory(storyId);
+            return;
+        }
+
+        this.insertRow('stories', this.pickTableColumns('stories', record.story), true);
+        const addRef = this.db.prepare('INSERT OR IGNORE INTO item_story_refs (item_id, story_id) VALUES (?, ?)');
+        record.item_ids.forEach(itemId => addRef.run(itemId, storyId));
+        this.removeFromTrash('story', storyId);
+    }
+
+    /**
+     * Captures a picture and the items using it
+     * @param {number} pictureId - The picture's id
+     * @returns {Object|null} The captured picture; the file itself is not part of the record
+     */
+    capturePictureRecord(pictureId) {
+        const picture = this.getMedia(pictureId);
+        if (!picture) return null;
+
+        return {
+            pictures: [picture],
+            item_ids: this.db.prepare('SELECT item_id FROM item_pictures WHERE picture_id = ?').all(pictureId).map(row => row.item_id),
+            tags: this.getPictureTags(pictureId),
+            collection_ids: this.db.prepare('SELECT collection_id FROM collection_pictures WHERE picture_id = ?').all(pictureId).map(row => row.collection_id)
+        };
+    }
+
+    /**
+     * Makes a picture match a captured record
+     * @param {number} pictureId - The picture's id
+     * @param {Object|null} record - From capturePictureRecord(); null moves the picture to the trash
+     */
+    applyPictureRecord(pictureId, record) {
+        if (!record) {
+            this.trashMedia(pictureId);
+            return;
+        }
+
+        const row = this.pickTableColumns('pictures', record.pictures[0], ['id']);
+        if (this.getMedia(pictureId)) {
+            // Edited in the image library
+            this.db.prepare(`
+                UPDATE pictures SET ${Object.keys(row).map(column => `${column} = @${column}`).join(', ')}
+                WHERE id = @undo_target_id
+            `).run({ ...row, undo_target_id: pictureId });
+        } else {
+            this.insertRow('pictures', { ...row, id: pictureId });
+        }
+        // Exactly the record's items show it again, e.g. none of the items a duplicate merge gave it
+        this.db.prepare('DELETE FROM item_pictures WHERE picture_id = ?').run(pictureId);
+        record.item_ids.forEach(itemId => this.addImageReference(itemId, pictureId));
+        // Records from before pictures had tags and collections leave them as they are
+        if (record.tags) this.setPictureTags(pictureId, record.tags);
+        if (record.collection_ids) {
+            this.db.prepare('DELETE FROM collection_pictures WHERE picture_id = ?').run(pictureId);
+            const addToCollection = this.db.prepare(`
+                INSERT OR IGNORE INTO collection_pictures (collection_id, picture_id)
+                SELECT id, ? FROM picture_collections WHERE id = ?
+            `);
+            record.collection_ids.forEach(collectionId => addToCollection.run(pictureId, collectionId));
+        }
+        this.removeFromTrash('picture', pictureId);
+    }
+
+    /**
+     * Captures a character with its aliases and the items it takes part in
+     * @param {string} characterId - The character's id
+     * @returns {Object|null} The captured character
+     */
+    captureCharacterRecord(characterId) {
+        const character = this.db.prepare('SELECT * FROM characters WHERE id = ?').get(characterId);
+        if (!character) return null;
+
+        return {
+            character,
+            aliases: this.db.prepare('SELECT alias FROM character_aliases WHERE character_id = ? ORDER BY id').all(characterId).map(row => row.alias),
+            item_ids: this.db.prepare('SELECT item_id FROM item_characters WHERE character_id = ?').all(characterId).map(row => row.item_id)
+        };
+    }
+
+    /**
+     * Makes a character match a captured record
+     * @param {string} characterId - The character's id
+     * @param {Object|null} record - From captureCharacterRecord(); null moves the character to the trash
+     */
+    applyCharacterRecord(characterId, record) {
+        if (!record) {
+            this.trashCharacter(characterId);
+            return;
+        }
+
+        const row = this.pickTableColumns('characters', record.character, ['id']);
+        if (this.db.prepare('SELECT 1 FROM characters WHERE id = ?').get(characterId)) {
+            this.db.prepare(`
+                UPDATE characters SET ${Object.keys(row).map(column => `${column} = @${column}`).join(', ')}
+                WHERE id = @undo_target_id
+            `).run({ ...row, undo_target_id: characterId });
+        } else {
+            this.insertRow('characters', { ...row, id: characterId });
+        }
+
+        this.setCharacterAliases(characterId, record.aliases);
+        this.db.prepare('DELETE FROM item_characters WHERE character_id = ?').run(characterId);
+        // Items deleted since are left out
+        const addLink = this.db.prepare(`
+            INSERT OR IGNORE INTO item_characters (item_id, character_id)
+            SELECT id, ? FROM items WHERE id = ?
+        `);
+        record.item_ids.forEach(itemId => addLink.run(characterId, itemId));
+        this.removeFromTrash('character', characterId);
+    }
+
+    // ===== Trash =====
+    // Deleting an item, story, tag, picture or character moves its undo record (see Undo Records) into the
+    // trash table and removes the live rows. Picture files stay on disk until the entry is purged.
+
+    /**
+     * Stores a captured record in the trash
+     * @param {string} kind - 'item', 'story', 'tag', 'picture' or 'character'
+     * @param {string|number} recordId - The record's id
+     * @param {Object} record - The captured record
+     * @param {string} title - Shown in the Trash tab
+     * @param {number} timelineId - The timeline the record was deleted from
+     */
+    addToTrash(kind, recordId, record, title, timelineId) {
+        this.db.prepare(`
+            INSERT INTO trash (kind, record_id, timeline_id, title, data) VALUES (?, ?, ?, ?, ?)
+        `).run(kind, String(recordId), timelineId, title, JSON.stringify(record));
+    }
+
+    /**
+     * Drops the trash entries of a record that is live again
+     * @param {string} kind - 'item', 'story', 'tag', 'picture' or 'character'
+     * @param {string|number} recordId - The record's id
+     */
+    removeFromTrash(kind, recordId) {
+        this.db.prepare('DELETE FROM trash WHERE kind = ? AND record_id = ?').run(kind, String(recordId));
+    }
+
+    /**
+     * Moves an item to the trash
+     * @param {string} itemId - The item's id
+     * @param {Object|null} record - The item's record, when it was captured before related items changed
+     * @returns {boolean} False if the item does not exist
+     */
+    trashItem(itemId, record = this.captureItemRecord(itemId)) {
+        if (!record) return false;
+
+        this.deleteItem(itemId, true);
+        this.addToTrash('item', itemId, record, record.item.title, record.item.timeline_id);
+        return true;
+    }
+
+    /**
+     * Moves a story to the trash
+     * @param {string} storyId - The story's id
+     * @returns {boolean} False if the story does not exist
+     */
+    trashStory(storyId) {
+        const record = this.captureStoryRecord(storyId);
+        if (!record) return false;
+
+        this.deleteStory(storyId);
+        this.addToTrash('story', storyId, record, record.story.title, this.currentTimelineId);
+        return true;
+    }
+
+    /**
+     * Moves a tag to the trash
+     * @param {number} tagId - The tag's id
+     * @returns {boolean} False if the tag does not exist
+     */
+    trashTag(tagId) {
+        const record = this.captureTagRecord(tagId);
+        if (!record) return false;
+
+        this.db.prepare('DELETE FROM item_tags WHERE tag_id = ?').run(tagId);
+        this.deleteTag(tagId);
+        this.addToTrash('tag', tagId, record, record.tag.name, this.currentTimelineId);
+        return true;
+    }
+
+    /**
+     * Moves a picture to the trash; its file stays on disk
+     * @param {number} pictureId - The picture's id
+     * @returns {boolean} False if the picture does not exist
+     */
+    trashMedia(pictureId) {
+        const record = this.capturePictureRecord(pictureId);
+        if (!record) return false;
+
+        const picture = record.pictures[0];
+        this.deleteMedia(pictureId, picture.file_path, true);
+        this.addToTrash('picture', pictureId, record, picture.title || picture.file_name, this.currentTimelineId);
+        return true;
+    }
+
+    /**
+     * Moves a character to the trash
+     * @param {string} characterId - The character's id
+     * @returns {boolean} False if the character does not exist
+     */
+    trashCharacter(characterId) {
+        const record = this.captureCharacterRecord(characterId);
+        if (!record) return false;
+
+        this.deleteCharacter(characterId);
+        this.addToTrash('character', characterId, record, record.character.name, record.character.timeline_id);
+        return true;
+    }
+
+    /**
+     * Gets the retention period of a timeline's trash
+     * @param {number} timelineId - The timeline's id
+     * @returns {number} Days; 0 means trashed records are kept until purged by hand
+     */
+    getTrashRetentionDays(timelineId) {
+        const row = this.db.prepare('SELECT trash_retention_days FROM settings WHERE timeline_id = ?').get(timelineId);
+        return row && row.trash_retention_days !== null ? row.trash_retention_days : DatabaseManager.DEFAULT_TRASH_RETENTION_DAYS;
+    }
+
+    /**
+     * Sets the retention period of a timeline's trash
+     * @param {number} timelineId - The timeline's id
+     * @param {number} days - Days to keep trashed records; 0 keeps them until purged by hand
+     */
+    setTrashRetentionDays(timelineId, days) {
+        this.db.prepare('UPDATE settings SET trash_retention_days = ? WHERE timeline_id = ?')
+            .run(Math.max(0, parseInt(days) || 0), timelineId);
+    }
+
+    /**
+     * Lists a timeline's trash, newest first
+     * @param {number} timelineId - The timeline's id
+     * @returns {Array} [{ id, kind, record_id, title, deleted_at, purge_at }]; purge_at is null when kept forever
+     */
+    getTrash(timelineId) {
+        const days = this.getTrashRetentionDays(timelineId);
+        return this.db.prepare(`
+            SELECT id, kind, record_id, title, deleted_at,
+                   CASE WHEN @days > 0 THEN datetime(deleted_at, '+' || @days || ' days') END AS purge_at
+            FROM trash
+            WHERE timeline_id = @timeline_id
+            ORDER BY deleted_at DESC, id DESC
+        `).all({ days, timeline_id: timelineId });
+    }
+
+    /**
+     * Restores a trashed record
+     * @param {number} trashId - The trash entry's id
+     * @returns {Object} { kind, record_id }
+     *
+     * How it works:
+     * - The stored record is applied with the matching apply*Record(), which also
+     *   drops the trash entry. Restoring an item brings back its tags, stories and
+     *   pictures even if those were deleted as well.
+     *
+     * Possible errors:
+     * - Trash entry not found
+     */
+    restoreFromTrash(trashId) {
+        const entry = this.db.prepare('SELECT * FROM trash WHERE id = ?').get(trashId);
+        if (!entry) {
+            throw new Error('Trash entry not found');
+        }
+
+        const record = JSON.parse(entry.data);
+        const recordId = ['item', 'story', 'character'].includes(entry.kind) ? entry.record_id : Number(entry.record_id);
+        if (entry.kind === 'item') this.applyItemRecord(recordId, record);
+        else if (entry.kind === 'story') this.applyStoryRecord(recordId, record);
+        else if (entry.kind === 'tag') this.applyTagRecord(recordId, record);
+        else if (entry.kind === 'picture') this.applyPictureRecord(recordId, record);
+        else if (entry.kind === 'character') this.applyCharacterRecord(recordId, record);
+
+        return { kind: entry.kind, record_id: recordId };
+    }
+
+    /**
+     * Deletes a trash entry for good, with any picture files nothing else uses
+     * @param {number} trashId - The trash entry's id
+     * @returns {boolean} False if the entry does not exist
+     */
+    purgeFromTrash(trashId) {
+        const entry = this.db.prepare('SELECT * FROM trash WHERE id = ?').get(trashId);
+        if (!entry) return false;
+
+        this.db.prepare('DELETE FROM trash WHERE id = ?').run(trashId);
+
+        const record = JSON.parse(entry.data);
+        const pictureInUse = this.db.prepare('SELECT 1 FROM pictures WHERE file_path = ?');
+        const pictureInTrash = this.db.prepare('SELECT 1 FROM trash WHERE instr(data, ?) > 0');
+        for (const picture of record.pictures || []) {
+            if (!picture.file_path || pictureInUse.get(picture.file_path)) continue;
+            if (pictureInTrash.get(JSON.stringify(picture.file_path))) continue;
+            fs.rmSync(picture.file_path, { force: true });
+            this.deleteThumbnails(picture);
+            this.deletePictureLibraryData(picture.id);
+            console.log(`[dbManager.js] Purged image file: ${picture.file_path}`);
+        }
+        return true;
+    }
+
+    /**
+     * Purges every entry in a timeline's trash
+     * @param {number} timelineId - The timeline's id
+     * @returns {number} Number of entries purged
+     */
+    emptyTrash(timelineId) {
+        const ids = this.db.prepare('SELECT id FROM trash WHERE timeline_id = ?').all(timelineId).map(row => row.id);
+        ids.forEach(id => this.purgeFromTrash(id));
+        return ids.length;
+    }
+
+    /**
+     * Purges trash entries older than their timeline's retention period
+     * @returns {number} Number of entries purged
+     */
+    purgeExpiredTrash() {
+        const ids = this.db.prepare(`
+            SELECT t.id
+            FROM trash t
+            LEFT JOIN settings s ON s.timeline_id = t.timeline_id
+            WHERE COALESCE(s.trash_retention_days, @default_days) > 0
+            AND t.deleted_at <= datetime('now', '-' || COALESCE(s.trash_retention_days, @default_days) || ' days')
+        `).all({ default_days: DatabaseManager.DEFAULT_TRASH_RETENTION_DAYS }).map(row => row.id);
+
+        ids.forEach(id => this.purgeFromTrash(id));
+        if (ids.length > 0) {
+            console.log(`[dbManager.js] Purged ${ids.length} expired trash entries`);
+        }
+        return ids.length;
+    }
+
+    // ===== Thumbnails =====
+
+    /**
+     * Gets the folder that holds the thumbnails, next to the pictures folder
+     * @returns {string} Absolute path of the thumbnails folder
+     */
+    getThumbnailDir() {
+        return path.join(path.dirname(this.getMediaBaseDir()), 'thumbnails');
+    }
+
+    /**
+     * Gets where a picture's thumbnails are cached
+     * @param {Object} picture - The picture row, with id and file_path
+     * @returns {Object} Absolute path per size (see Thumbnails.SIZES); the files may not exist yet
+     */
+    getThumbnailPaths(picture) {
+        const paths = {};
+        Object.keys(Thumbnails.SIZES).forEach(size => {
+            paths[size] = path.join(this.getThumbnailDir(), size, Thumbnails.getFileName(picture, size));
+        });
+        return paths;
+    }
+
+    /**
+     * Adds the thumbnail paths to picture rows, for the windows to show
+     * @param {Array<Object>} pictures - Picture rows
+     * @returns {Array<Object>} The rows with thumbnails: { small, medium, large }
+     */
+    withThumbnails(pictures) {
+        return pictures.map(picture => ({ ...picture, thumbnails: this.getThumbnailPaths(picture) }));
+    }
+
+    /**
+     * Makes the missing thumbnails of a picture
+     * @param {Object} picture - The picture row, with id and file_path
+     * @param {boolean} force - Whether to make every size again, even the ones that exist
+     * @returns {Promise<number>} Number of thumbnails made
+     *
+     * How it works:
+     * 1. Leaves out the sizes whose file exists, unless forced
+     * 2. Reads the picture once and makes each missing size from it
+     * 3. A picture that is already being processed is not processed twice at once
+     *
+     * Possible errors:
+     * - The picture's file is missing or is not an image
+     */
+    ensureThumbnails(picture, force = false) {
+        if (!this.thumbnailJobs) this.thumbnailJobs = new Map();
+        const key = `${picture.id}:${picture.file_path}`;
+        if (this.thumbnailJobs.has(key)) return this.thumbnailJobs.get(key);
+
+        const job = (async () => {
+            const paths = this.getThumbnailPaths(picture);
+            const missing = Object.keys(paths).filter(size => force || !fs.existsSync(paths[size]));
+            if (missing.length === 0) return 0;
+            if (!picture.file_path || !fs.existsSync(picture.file_path)) {
+                throw new Error(`Picture file not found: ${picture.file_path}`);
+            }
+
+            const source = await fs.promises.readFile(picture.file_path);
+            for (const size of missing) {
+                await fs.promises.mkdir(path.dirname(paths[size]), { recursive: true });
+                await sharp(source)
+                    .rotate() // Follow the EXIF orientation, like the browser does
+                    .resize({
+                        width: Thumbnails.SIZES[size],
+                        height: Thumbnails.SIZES[size],
+                        fit: 'inside',
+                        withoutEnlargement: true
+                    })
+                    .webp({ quality: 80 })
+                    .toFile(paths[size]);
+            }
+            return missing.length;
+        })();
+
+        this.thumbnailJobs.set(key, job);
+        job.then(() => this.thumbnailJobs.delete(key), () => this.thumbnailJobs.delete(key));
+        return job;
+    }
+
+    /**
+     * Makes the thumbnails of a picture again, when a window could not load one
+     * @param {number} pictureId - The picture's id
+     * @returns {Promise<number>} Number of thumbnails made; 0 when the picture does not exist
+     */
+    async regenerateThumbnails(pictureId) {
+        const picture = this.getMedia(pictureId);
+        if (!picture) return 0;
+        return this.ensureThumbnails(picture);
+    }
+
+    /**
+     * Makes the thumbnails of the pictures that were added before there were thumbnails
+     * @returns {Promise<number>} Number of pictures that got thumbnails
+     *
+     * How it works:
+     * - Runs once: a marker file in the thumbnails folder records that it has run; after
+     *   that, missing thumbnails are made when a window asks for them
+     * - Pictures are done one at a time, so the windows stay responsive
+     * - A picture that fails is logged and skipped
+     */
+    async backfillThumbnails() {
+        const marker = path.join(this.getThumbnailDir(), '.backfilled');
+        if (fs.existsSync(marker)) return 0;
+
+        const pictures = this.db.prepare('SELECT id, file_path FROM pictures').all()
+            .filter(picture => picture.file_path && fs.existsSync(picture.file_path));
+        let count = 0;
+        for (const picture of pictures) {
+            try {
+                if (await this.ensureThumbnails(picture) > 0) count++;
+            } catch (error) {
+                console.error(`[dbManager.js] Failed to make thumbnails for picture ${picture.id}:`, error);
+            }
+        }
+
+        await fs.promises.mkdir(this.getThumbnailDir(), { recursive: true });
+        await fs.promises.writeFile(marker, new Date().toISOString());
+        console.log(`[dbManager.js] Made thumbnails for ${count} existing pictures`);
+        return count;
+    }
+
+    /**
+     * Deletes a picture's thumbnails, along with its file
+     * @param {Object} picture - The picture row, with id and file_path
+     */
+    deleteThumbnails(picture) {
+        Object.values(this.getThumbnailPaths(picture)).forEach(thumbnailPath => {
+            fs.rmSync(thumbnailPath, { force: true });
+        });
+    }
+
+    // ===== Duplicate Pictures =====
+    // Pictures are matched two ways: content_hash is the SHA-256 of the file as it was uploaded,
+    // so uploading the same file again is an exact match; perceptual_hash is a 64-bit difference
+    // hash of a tiny greyscale copy, so resized or re-encoded copies of an image still match.
+
+    /**
+     * Hashes an image
+     * @param {Buffer} source - The image file's contents
+     * @returns {Promise<Object>} { content_hash, perceptual_hash } as hex strings
+     *
+     * How it works:
+     * 1. content_hash: SHA-256 of the bytes
+     * 2. perceptual_hash: shrinks the image to 9×8 grey pixels and sets one bit per pixel
+     *    that is brighter than its right neighbour
+     *
+     * Possible errors:
+     * - The contents are not an image sharp can read
+     */
+    async computePictureHashes(source) {
+        const { data, info } = await sharp(source)
+            .rotate()
+            .flatten({ background: '#ffffff' })
+            .greyscale()
+            .resize(9, 8, { fit: 'fill' })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        let bits = 0n;
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const pixel = (row * 9 + col) * info.channels;
+                bits = (bits << 1n) | (data[pixel] > data[pixel + info.channels] ? 1n : 0n);
+            }
+        }
+
+        return {
+            content_hash: crypto.createHash('sha256').update(source).digest('hex'),
+            perceptual_hash: bits.toString(16).padStart(16, '0')
+        };
+    }
+
+    /**
+     * Counts the differing bits of two perceptual hashes
+     * @param {string} a - Perceptual hash
+     * @param {string} b - Perceptual hash
+     * @returns {number} 0 to 64; Infinity when either hash is missing
+     */
+    getPerceptualDistance(a, b) {
+        if (!a || !b) return Infinity;
+        let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+        let count = 0;
+        while (difference) {
+            count += Number(difference & 1n);
+            difference >>= 1n;
+        }
+        return count;
+    }
+
+    /**
+     * Hashes the pictures that were saved before pictures were hashed, or outside saveNewImage()
+     * @param {Array<Object>} pictures - Picture rows
+     * @returns {Promise<Array<Object>>} The same rows with their hashes; a picture whose file
+     *   cannot be read is logged and keeps null hashes
+     */
+    async ensurePictureHashes(pictures) {
+        const update = this.db.prepare('UPDATE pictures SET content_hash = @content_hash, perceptual_hash = @perceptual_hash WHERE id = @id');
+        for (const picture of pictures) {
+            if (picture.content_hash && picture.perceptual_hash) continue;
+            try {
+                const hashes = await this.computePictureHashes(await fs.promises.readFile(picture.file_path));
+                Object.assign(picture, hashes);
+                update.run({ ...hashes, id: picture.id });
+            } catch (error) {
+                console.error(`[dbManager.js] Failed to hash picture ${picture.id}:`, error);
+            }
+        }
+        return pictures;
+    }
+
+    /**
+     * Finds the current timeline's pictures that match an image about to be uploaded
+     * @param {string} filePath - The image file
+     * @returns {Promise<Array<Object>>} Matching pictures (see getAllPictures()) with
+     *   match: 'exact' or 'similar' and distance, exact matches first, then the closest
+     *
+     * Possible errors:
+     * - The file cannot be read or is not an image
+     */
+    async findMatchingPictures(filePath) {
+        const hashes = await this.computePictureHashes(await fs.promises.readFile(filePath));
+        const pictures = await this.ensurePictureHashes(this.getAllPictures());
+
+        return pictures
+            .map(picture => ({
+                ...picture,
+                match: picture.content_hash === hashes.content_hash ? 'exact' : 'similar',
+                distance: this.getPerceptualDistance(picture.perceptual_hash, hashes.perceptual_hash)
+            }))
+            .filter(picture => picture.match === 'exact' || picture.distance <= DatabaseManager.SIMILAR_PICTURE_DISTANCE)
+            .sort((a, b) => ((a.match === 'exact' ? 0 : 1) - (b.match === 'exact' ? 0 : 1)) || (a.distance - b.distance));
+    }
+
+    /**
+     * Groups the current timeline's pictures that are copies of each other
+     * @returns {Promise<Array<Object>>} { exact, pictures } per group of two or more;
+     *   exact is true when every picture in the group has the same content hash
+     *
+     * How it works:
+     * 1. Pictures match when their content hashes are equal or their perceptual hashes
+     *    are at most SIMILAR_PICTURE_DISTANCE apart
+     * 2. Matches are chained, so A ~ B and B ~ C put all three in one group
+     * 3. Each group starts with the picture to keep: the most used, then the largest, then the oldest
+     */
+    async findDuplicatePictures() {
+        const pictures = await this.ensurePictureHashes(this.getAllPictures());
+        const parent = pictures.map((_, index) => index);
+        const find = index => parent[index] === index ? index : (parent[index] = find(parent[index]));
+
+        for (let i = 0; i < pictures.length; i++) {
+            for (let j = i + 1; j < pictures.length; j++) {
+                const a = pictures[i];
+                const b = pictures[j];
+                const same = (a.content_hash && a.content_hash === b.content_hash) ||
+                    this.getPerceptualDistance(a.perceptual_hash, b.perceptual_hash) <= DatabaseManager.SIMILAR_PICTURE_DISTANCE;
+                if (same) parent[find(j)] = find(i);
+            }
+        }
+
+        const groups = new Map();
+        pictures.forEach((picture, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(picture);
+        });
+
+        const area = picture => (picture.width || 0) * (picture.height || 0);
+        return Array.from(groups.values())
+            .filter(group => group.length > 1)
+            .map(group => ({
+                exact: group.every(picture => picture.content_hash && picture.content_hash === group[0].content_hash),
+                pictures: group.sort((a, b) => (b.usage_count - a.usage_count) || (area(b) - area(a)) || (a.id - b.id))
+            }));
+    }
+
+    /**
+     * Merges duplicate pictures into one
+     * @param {number} keepId - The picture to keep
+     * @param {Array<number>} duplicateIds - The pictures it replaces
+     * @returns {number} Number of pictures merged away
+     *
+     * How it works:
+     * 1. Every item that shows a duplicate shows the kept picture instead; an item that
+     *    already shows both just loses the duplicate; the kept picture also gets the
+     *    duplicates' tags and collections
+     * 2. The duplicates are moved to the trash in the same transaction, so their files stay
+     *    until the trash is purged and undo can put them back through their picture records
+     *
+     * Possible errors:
+     * - The picture to keep does not exist
+     */
+    mergeDuplicatePictures(keepId, duplicateIds) {
+        if (!this.getMedia(keepId)) throw new Error('Picture not found');
+        const duplicates = [...new Set(duplicateIds.map(Number))]
+            .filter(id => id !== Number(keepId))
+            .map(id => this.getMedia(id))
+            .filter(Boolean);
+
+        const dropShared = this.db.prepare(`
+            DELETE FROM item_pictures
+            WHERE picture_id = ? AND item_id IN (SELECT item_id FROM item_pictures WHERE picture_id = ?)
+        `);
+        const moveLinks = this.db.prepare('UPDATE item_pictures SET picture_id = ? WHERE picture_id = ?');
+        // The duplicates keep their own tags and collections, for undo
+        const copyTags = this.db.prepare('INSERT OR IGNORE INTO picture_tags (picture_id, tag) SELECT ?, tag FROM picture_tags WHERE picture_id = ?');
+        const copyCollections = this.db.prepare(`
+            INSERT OR IGNORE INTO collection_pictures (collection_id, picture_id)
+            SELECT collection_id, ? FROM collection_pictures WHERE picture_id = ?
+        `);
+
+        try {
+            this.db.prepare('BEGIN').run();
+            duplicates.forEach(picture => {
+                dropShared.run(picture.id, keepId);
+                moveLinks.run(keepId, picture.id);
+                copyTags.run(keepId, picture.id);
+                copyCollections.run(keepId, picture.id);
+                this.trashMedia(picture.id);
+            });
+            this.db.prepare('COMMIT').run();
+        } catch (error) {
+            this.db.prepare('ROLLBACK').run();
+            console.error('[dbManager.js] Error merging duplicate pictures:', error);
+            throw error;
+        }
+        return duplicates.length;
+    }
+
+    // ===== Picture Library =====
+    // Pictures have tags of their own (picture_tags, separate from the items' tags) and can be
+    // put in named collections of a timeline (picture_collections, collection_pictures). A picture
+    // in a collection is kept even when no item uses it.
+    // picture_tags and collection_pictures have no foreign key to pictures: a deleted picture keeps
+    // its tags and collections by id, so undo and the trash bring them back with it. They are
+    // deleted with the picture's file, when it is gone for good (deletePictureLibraryData()).
+
+    /**
+     * Cleans up picture tags for storage
+     * @param {Array<string>|string} tags - A list, or one comma separated string
+     * @returns {Array<string>} Distinct, trimmed, non-empty tags
+     */
+    normalizePictureTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+    }
+
+    getPictureTags(pictureId) {
+        return this.db.prepare('SELECT tag FROM picture_tags WHERE picture_id = ? ORDER BY tag').all(pictureId).map(row => row.tag);
+    }
+
+    setPictureTags(pictureId, tags) {
+        this.db.prepare('DELETE FROM picture_tags WHERE picture_id = ?').run(pictureId);
+        const addTag = this.db.prepare('INSERT OR IGNORE INTO picture_tags (picture_id, tag) VALUES (?, ?)');
+        this.normalizePictureTags(tags).forEach(tag => addTag.run(pictureId, tag));
+    }
+
+    /**
+     * Updates a picture's title, description and tags
+     * @param {number} pictureId - The picture's id
+     * @param {Object} details - { title, description, tags }; missing fields are left as they are
+     * @returns {Object} The updated picture row with its tags
+     *
+     * Possible errors:
+     * - The picture does not exist
+     */
+    updatePictureDetails(pictureId, details) {
+        if (!this.getMedia(pictureId)) throw new Error('Picture not found');
+
+        try {
+            this.db.prepare('BEGIN').run();
+            if (details.title !== undefined) this.updatePictureTitle(pictureId, details.title);
+            if (details.description !== undefined) this.updatePictureDescription(pictureId, details.description);
+            if (details.tags !== undefined) this.setPictureTags(pictureId, details.tags);
+            this.db.prepare('COMMIT').run();
+        } catch (error) {
+            this.db.prepare('ROLLBACK').run();
+            console.error('[dbManager.js] Error updating picture details:', error);
+            throw error;
+        }
+        return { ...this.getMedia(pictureId), tags: this.getPictureTags(pictureId) };
+    }
+
+    /**
+     * Lists a timeline's picture collections by name
+     * @param {number} timelineId - Defaults to the current timeline
+     * @returns {Array<Object>} Collection rows with picture_count
+     */
+    getPictureCollections(timelineId = this.currentTimelineId) {
+        return this.db.prepare(`
+            SELECT c.*, COUNT(p.id) as picture_count
+            FROM picture_collections c
+            LEFT JOIN collection_pictures cp ON cp.collection_id = c.id
+            LEFT JOIN pictures p ON p.id = cp.picture_id
+            WHERE c.timeline_id = ?
+            GROUP BY c.id
+            ORDER BY c.name COLLATE NOCASE
+        `).all(timelineId);
+    }
+
+    /**
+     * Checks a collection name for the current timeline
+     * @param {string} name - The name
+     * @param {number|null} collectionId - The collection being renamed, if any
+     * @returns {string} The trimmed name
+     *
+     * Possible errors:
+     * - Missing name, or another collection of the timeline has it
+     */
+    normalizeCollectionName(name, collectionId = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Collection name is required');
+        }
+        const existing = this.db.prepare('SELECT id FROM picture_collections WHERE timeline_id = ? AND name = ?')
+            .get(this.currentTimelineId, trimmed);
+        if (existing && existing.id !== collectionId) {
+            throw new Error(`A collection named "${trimmed}" already exists`);
+        }
+        return trimmed;
+    }
+
+    createPictureCollection(name) {
+        const result = this.db.prepare('INSERT INTO picture_collections (timeline_id, name) VALUES (?, ?)')
+            .run(this.currentTimelineId, this.normalizeCollectionName(name));
+        return this.db.prepare('SELECT * FROM picture_collections WHERE id = ?').get(result.lastInsertRowid);
+    }
+
+    /**
+     * Renames a collection
+     * @param {number} collectionId - The collection's id
+     * @param {string} name - The new name
+     * @returns {boolean} False if the collection does not exist
+     */
+    renamePictureCollection(collectionId, name) {
+        const trimmed = this.normalizeCollectionName(name, Number(collectionId));
+        return this.db.prepare('UPDATE picture_collections SET name = ? WHERE id = ?').run(trimmed, collectionId).changes > 0;
+    }
+
+    /**
+     * Deletes a collection; its pictures stay in the library while items use them
+     * @param {number} collectionId - The collection's id
+     * @returns {boolean} False if the collection does not exist
+     */
+    deletePictureCollection(collectionId) {
+        this.db.prepare('DELETE FROM collection_pictures WHERE collection_id = ?').run(collectionId);
+        return this.db.prepare('DELETE FROM picture_collections WHERE id = ?').run(collectionId).changes > 0;
+    }
+
+    /**
+     * Adds pictures to a collection
+     * @param {number} collectionId - The collection's id
+     * @param {Array<number>} pictureIds - The pictures
+     * @returns {number} How many pictures were not in it yet
+     *
+     * Possible errors:
+     * - The collection does not exist
+     */
+    addPicturesToCollection(collectionId, pictureIds) {
+        if (!this.db.prepare('SELECT 1 FROM picture_collections WHERE id = ?').get(collectionId)) {
+            throw new Error('Collection not found');
+        }
+        const add = this.db.prepare(`
+            INSERT OR IGNORE INTO collection_pictures (collection_id, picture_id)
+            SELECT ?, id FROM pictures WHERE id = ?
+        `);
+        return pictureIds.reduce((count, pictureId) => count + add.run(collectionId, pictureId).changes, 0);
+    }
+
+    /**
+     * Takes pictures out of a collection; one no item uses goes with the next orphaned image cleanup
+     * @param {number} collectionId - The collection's id
+     * @param {Array<number>} pictureIds - The pictures
+     * @returns {number} How many pictures were taken out
+     */
+    removePicturesFromCollection(collectionId, pictureIds) {
+        const remove = this.db.prepare('DELETE FROM collection_pictures WHERE collection_id = ? AND picture_id = ?');
+        return pictureIds.reduce((count, pictureId) => count + remove.run(collectionId, pictureId).changes, 0);
+    }
+
+    // Deletes the tags and collection entries of a picture that is gone for good
+    deletePictureLibraryData(pictureId) {
+        this.db.prepare('DELETE FROM picture_tags WHERE picture_id = ?').run(pictureId);
+        this.db.prepare('DELETE FROM collection_pictures WHERE picture_id = ?').run(pictureId);
+    }
+
+    // ===== Project Export / Import =====
+
+    /**
+     * Gets the column names of a table
+     * @param {string} tableName - The table to inspect
+     * @returns {Array<string>} Column names in table order
+     */
+    getTableColumnNames(tableName) {
+        return this.db.prepare(`PRAGMA table_info(${tableName})`).all().map(col => col.name);
+    }
+
+    /**
+     * Keeps only the fields of a record that exist as columns of a table.
+     * Booleans are stored as 0/1 like everywhere else in the schema.
+     * @param {string} tableName - The table whose columns to keep
+     * @param {Object} record - The source record
+     * @param {Array<string>} exclude - Columns to leave out
+     * @returns {Object} Row object that can be bound to a statement
+     */
+    pickTableColumns(tableName, record, exclude = []) {
+        const row = {};
+        for (const column of this.getTableColumnNames(tableName)) {
+            if (exclude.includes(column) || !(column in record)) continue;
+            const value = record[column];
+            row[column] = typeof value === 'boolean' ? (value ? 1 : 0) : value;
+        }
+        return row;
+    }
+
+    /**
+     * Inserts a row built by pickTableColumns()
+     * @param {string} tableName - The table to insert into
+     * @param {Object} row - Column/value pairs
+     * @param {boolean} orIgnore - Use INSERT OR IGNORE
+     * @returns {Object} better-sqlite3 run result
+     */
+    insertRow(tableName, row, orIgnore = false) {
+        const columns = Object.keys(row);
+        const stmt = this.db.prepare(`
+            INSERT ${orIgnore ? 'OR IGNORE ' : ''}INTO ${tableName} (${columns.join(', ')})
+            VALUES (${columns.map(column => '@' + column).join(', ')})
+        `);
+        return stmt.run(row);
+    }
+
+    /**
+     * Gets the media directory of a timeline
+     * @param {number|string} timelineId - The ID of the timeline
+     * @returns {string} Absolute path of the timeline's picture folder
+     */
+    getTimelineMediaDir(timelineId) {
+        return path.join(this.getMediaBaseDir(), timelineId.toString());
+    }
+
+    /**
+     * Gets the folder that holds every timeline's media folder
+     * @returns {string} Absolute path of the pictures folder
+     */
+    getMediaBaseDir() {
+        if (app) {
+            return path.join(app.getPath('userData'), 'media', 'pictures');
+        }
+        return path.join(__dirname, 'test_data', 'media', 'pictures');
+    }
+
+    /**
+     * Exports a timeline as a schema-versioned object (format described in EXPORT_FORMAT.md)
+     * @param {number} timelineId - The ID of the timeline to export
+     * @param {Object} source - Database connection to read from (another file, e.g. a snapshot)
+     * @returns {Object} The export payload, ready for JSON.stringify
+     *
+     * How it works:
+     * 1. Reads the timeline row and its settings
+     * 2. Reads every item of the timeline and its tag, story and picture links
+     * 3. Collects the stories, tags and pictures those links point to, and the pictures kept in
+     *    the timeline's collections
+     * 4. Reads the notes, characters, relationships, picture tags and collections of the timeline
+     *
+     * Possible errors:
+     * - Timeline not found
+     */
+    exportTimeline(timelineId, source = this.db) {
+        const timeline = source.prepare('SELECT * FROM timelines WHERE id = ?').get(timelineId);
+        if (!timeline) {
+            throw new Error(`Timeline ${timelineId} not found`);
+        }
+        delete timeline.id;
+        delete timeline.settings_id;
+
+        let settings = source.prepare('SELECT * FROM settings WHERE timeline_id = ?').get(timelineId) || null;
+        if (settings) {
+            delete settings.id;
+            delete settings.timeline_id;
+            delete settings.updated_at;
+        }
+
+        const items = source.prepare(`
+            SELECT * FROM items
+            WHERE timeline_id = ?
+            ORDER BY year, subtick, item_index
+        `).all(timelineId);
+        items.forEach(item => delete item.timeline_id);
+
+        const itemTags = source.prepare(`
+            SELECT it.item_id, it.tag_id
+            FROM item_tags it
+            JOIN items i ON it.item_id = i.id
+            WHERE i.timeline_id = ?
+            ORDER BY it.item_id, it.tag_id
+        `).all(timelineId);
+
+        const itemStoryRefs = source.prepare(`
+            SELECT r.item_id, r.story_id
+            FROM item_story_refs r
+            JOIN items i ON r.item_id = i.id
+            WHERE i.timeline_id = ?
+            ORDER BY r.item_id, r.story_id
+        `).all(timelineId);
+
+        const itemPictures = source.prepare(`
+            SELECT ip.item_id, ip.picture_id
+            FROM item_pictures ip
+            JOIN items i ON ip.item_id = i.id
+            WHERE i.timeline_id = ?
+            ORDER BY ip.item_id, ip.picture_id
+        `).all(timelineId);
+
+        const stories = source.prepare(`
+            SELECT * FROM stories
+            WHERE id IN (
+                SELECT r.story_id FROM item_story_refs r JOIN items i ON r.item_id = i.id WHERE i.timeline_id = @timelineId
+                UNION
+                SELECT story_id FROM items WHERE timeline_id = @timelineId AND story_id IS NOT NULL
+            )
+            ORDER BY title
+        `).all({ timelineId });
+
+        const tags = source.prepare(`
+            SELECT * FROM tags
+            WHERE id IN (SELECT it.tag_id FROM item_tags it JOIN items i ON it.item_id = i.id WHERE i.timeline_id = ?)
+            ORDER BY name
+        `).all(timelineId);
+
+        // Snapshots taken before the picture library existed have no tag or collection tables
+        const hasPictureLibrary = source.prepare(`
+            SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'picture_collections'
+        `).get();
+
+        // Pictures used by the items, and those kept in the timeline's collections
+        const pictureIdsSql = `
+            SELECT ip.picture_id FROM item_pictures ip JOIN items i ON ip.item_id = i.id WHERE i.timeline_id = @timelineId
+            ${hasPictureLibrary ? `UNION
+            SELECT cp.picture_id FROM collection_pictures cp JOIN picture_collections c ON cp.collection_id = c.id
+            WHERE c.timeline_id = @timelineId` : ''}
+        `;
+
+        const pictures = source.prepare(`
+            SELECT * FROM pictures
+            WHERE id IN (${pictureIdsSql})
+            ORDER BY id
+        `).all({ timelineId });
+        pictures.forEach(picture => {
+            // Legacy columns from before the junction table; the links live in item_pictures
+            delete picture.item_id;
+            delete picture.picture;
+        });
+
+        const notes = source.prepare(`
+            SELECT * FROM notes
+            WHERE timeline_id = ?
+            ORDER BY year, subtick, created_at
+        `).all(timelineId);
+        notes.forEach(note => delete note.timeline_id);
+
+        // Snapshots taken before characters existed have no character tables
+        const hasCharacters = source.prepare(`
+            SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'characters'
+        `).get();
+
+        const characters = hasCharacters ? source.prepare(`
+            SELECT * FROM characters WHERE timeline_id = ? ORDER BY name COLLATE NOCASE
+        `).all(timelineId) : [];
+        characters.forEach(character => delete character.timeline_id);
+
+        const characterAliases = hasCharacters ? source.prepare(`
+            SELECT a.character_id, a.alias
+            FROM character_aliases a
+            JOIN characters c ON a.character_id = c.id
+            WHERE c.timeline_id = ?
+            ORDER BY a.character_id, a.id
+        `).all(timelineId) : [];
+
+        const itemCharacters = hasCharacters ? source.prepare(`
+            SELECT ic.item_id, ic.character_id
+            FROM item_characters ic
+            JOIN items i ON ic.item_id = i.id
+            WHERE i.timeline_id = ?
+            ORDER BY ic.item_id, ic.character_id
+        `).all(timelineId) : [];
+
+        // Likewise for relationships
+        const hasRelationships = source.prepare(`
+            SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'item_relationships'
+        `).get();
+        const itemRelationships = hasRelationships ? source.prepare(`
+            SELECT r.source_item_id, r.target_item_id, r.type
+            FROM item_relationships r
+            JOIN items i ON r.source_item_id = i.id
+            WHERE i.timeline_id = ?
+            ORDER BY r.id
+        `).all(timelineId) : [];
+
+        const pictureTags = hasPictureLibrary ? source.prepare(`
+            SELECT picture_id, tag FROM picture_tags
+            WHERE picture_id IN (SELECT id FROM pictures WHERE id IN (${pictureIdsSql}))
+            ORDER BY picture_id, tag
+        `).all({ timelineId }) : [];
+
+        const pictureCollections = hasPictureLibrary ? source.prepare(`
+            SELECT * FROM picture_collections WHERE timeline_id = ? ORDER BY name COLLATE NOCASE
+        `).all(timelineId) : [];
+        pictureCollections.forEach(collection => delete collection.timeline_id);
+
+        // Trashed pictures keep their collection entries, but are not exported
+        const collectionPictures = hasPictureLibrary ? source.prepare(`
+            SELECT cp.collection_id, cp.picture_id, cp.added_at
+            FROM collection_pictures cp
+            JOIN picture_collections c ON cp.collection_id = c.id
+            JOIN pictures p ON cp.picture_id = p.id
+            WHERE c.timeline_id = ?
+            ORDER BY cp.collection_id, cp.picture_id
+        `).all(timelineId) : [];
+
+        return {
+            format: DatabaseManager.EXPORT_FORMAT,
+            schema_version: DatabaseManager.EXPORT_SCHEMA_VERSION,
+            exported_at: new Date().toISOString(),
+            timeline,
+            settings,
+            stories,
+            tags,
+            pictures,
+            items,
+            item_tags: itemTags,
+            item_story_refs: itemStoryRefs,
+            item_pictures: itemPictures,
+            notes,
+            characters,
+            character_aliases: characterAliases,
+            item_characters: itemCharacters,
+            item_relationships: itemRelationships,
+            picture_tags: pictureTags,
+            picture_collections: pictureCollections,
+            collection_pictures: collectionPictures
+        };
+    }
+
+    /**
+     * Validates an export payload without touching the database
+     * @param {Object} payload - A parsed export file
+     * @returns {Object} { valid, errors } where each error is { section, index, id, message }
+     *
+     * How it works:
+     * 1. Checks the format marker and schema version
+     * 2. Checks every record's required fields and value types
+     * 3. Checks that every link record points to a record present in the file
+     *
+     * Every problem is reported; validation does not stop at the first one.
+     */
+    validateTimelineExport(payload) {
+        const errors = [];
+        const report = (section, index, id, message) => {
+            errors.push({ section, index, id: id === undefined ? null : id, message });
+        };
+        const isOptionalInteger = value => value === null || value === undefined || Number.isInteger(value);
+        const isOptionalNumber = value => value === null || value === undefined || typeof value === 'number';
+        const isOptionalString = value => value === null || value === undefined || typeof value === 'string';
+        const isScalar = value => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+        const checkScalars = (section, index, record) => {
+            for (const [key, value] of Object.entries(record)) {
+                if (!isScalar(value)) {
+                    report(section, index, record.id, `Field "${key}" must be a string, number, boolean or null`);
+                }
+            }
+        };
+
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            report('root', null, null, 'Export must be a JSON object');
+            return { valid: false, errors };
+        }
+
+        if (payload.format !== DatabaseManager.EXPORT_FORMAT) {
+            report('root', null, null, `Unknown format "${payload.format}", expected "${DatabaseManager.EXPORT_FORMAT}"`);
+        }
+        if (!Number.isInteger(payload.schema_version) || payload.schema_version < 1) {
+            report('root', null, null, 'schema_version must be a positive integer');
+        } else if (payload.schema_version > DatabaseManager.EXPORT_SCHEMA_VERSION) {
+            report('root', null, null, `schema_version ${payload.schema_version} is newer than the supported version ${DatabaseManager.EXPORT_SCHEMA_VERSION}`);
+        }
+
+        // Timeline row
+        const timeline = payload.timeline;
+        if (!timeline || typeof timeline !== 'object' || Array.isArray(timeline)) {
+            report('timeline', null, null, 'timeline must be an object');
+        } else {
+            if (typeof timeline.title !== 'string' || timeline.title.trim() === '') {
+                report('timeline', null, null, 'title must be a non-empty string');
+            }
+            if (!isOptionalString(timeline.author)) {
+                report('timeline', null, null, 'author must be a string');
+            }
+            if (!isOptionalInteger(timeline.start_year)) {
+                report('timeline', null, null, 'start_year must be an integer');
+            }
+            if (!isOptionalInteger(timeline.granularity) || timeline.granularity === 0 || timeline.granularity < 0) {
+                report('timeline', null, null, 'granularity must be a positive integer');
+            }
+            if (timeline.calendar !== undefined && timeline.calendar !== null) {
+                let calendarErrors;
+                try {
+                    calendarErrors = Calendar.validate(JSON.parse(timeline.calendar)).errors;
+                } catch (error) {
+                    calendarErrors = ['must be valid JSON'];
+                }
+                calendarErrors.forEach(message => report('timeline', null, null, `calendar: ${message}`));
+            }
+            checkScalars('timeline', null, timeline);
+        }
+
+        // Settings row
+        if (payload.settings !== null && payload.settings !== undefined) {
+            if (typeof payload.settings !== 'object' || Array.isArray(payload.settings)) {
+                report('settings', null, null, 'settings must be an object or null');
+            } else {
+                checkScalars('settings', null, payload.settings);
+                for (const field of ['font_size_scale', 'pixels_per_subtick', 'custom_scale', 'display_radius']) {
+                    if (!isOptionalNumber(payload.settings[field])) {
+                        report('settings', null, null, `${field} must be a number`);
+                    }
+                }
+            }
+        }
+
+        // Every collection must be present as an array
+        const sections = ['stories', 'tags', 'pictures', 'items', 'item_tags', 'item_story_refs', 'item_pictures', 'notes'];
+        const list = {};
+        for (const section of sections) {
+            if (!Array.isArray(payload[section])) {
+                report(section, null, null, `${section} must be an array`);
+                list[section] = [];
+            } else {
+                list[section] = payload[section];
+            }
+        }
+
+        // Files from before characters, relationships or the picture library existed leave these out
+        for (const section of DatabaseManager.OPTIONAL_EXPORT_SECTIONS) {
+            if (payload[section] !== undefined && !Array.isArray(payload[section])) {
+                report(section, null, null, `${section} must be an array`);
+            }
+            list[section] = Array.isArray(payload[section]) ? payload[section] : [];
+        }
+
+        // Checks a record is an object and that its id is unique within its section
+        const checkRecords = (section, idCheck, idDescription, visit) => {
+            const ids = new Set();
+            list[section].forEach((record, index) => {
+                if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                    report(section, index, null, 'Record must be an object');
+                    return;
+                }
+                if (idCheck) {
+                    if (!idCheck(record.id)) {
+                        report(section, index, record.id, `id must be ${idDescription}`);
+                    } else if (ids.has(record.id)) {
+                        report(section, index, record.id, `Duplicate id ${JSON.stringify(record.id)}`);
+                    } else {
+                        ids.add(record.id);
+                    }
+                }
+                checkScalars(section, index, record);
+                visit(record, index);
+            });
+            return ids;
+        };
+        const isNonEmptyString = value => typeof value === 'string' && value !== '';
+
+        const storyIds = checkRecords('stories', isNonEmptyString, 'a non-empty string', (story, index) => {
+            if (typeof story.title !== 'string' || story.title.trim() === '') {
+                report('stories', index, story.id, 'title must be a non-empty string');
+            }
+        });
+
+        const tagIds = checkRecords('tags', Number.isInteger, 'an integer', (tag, index) => {
+            if (typeof tag.name !== 'string' || tag.name.trim() === '') {
+                report('tags', index, tag.id, 'name must be a non-empty string');
+            }
+        });
+
+        const pictureIds = checkRecords('pictures', Number.isInteger, 'an integer', (picture, index) => {
+            if (!isNonEmptyString(picture.file_path)) {
+                report('pictures', index, picture.id, 'file_path must be a non-empty string');
+            }
+            if (!isOptionalString(picture.file_name)) {
+                report('pictures', index, picture.id, 'file_name must be a string');
+            }
+            for (const field of ['file_size', 'width', 'height']) {
+                if (!isOptionalInteger(picture[field])) {
+                    report('pictures', index, picture.id, `${field} must be an integer`);
+                }
+            }
+        });
+
+        const typeIds = new Set(this.db.prepare('SELECT id FROM item_types').all().map(type => type.id));
+        const itemIds = checkRecords('items', isNonEmptyString, 'a non-empty string', (item, index) => {
+            if (!Number.isInteger(item.type_id) || !typeIds.has(item.type_id)) {
+                report('items', index, item.id, `Unknown type_id ${JSON.stringify(item.type_id)}`);
+            }
+            if (!Number.isInteger(item.year)) {
+                report('items', index, item.id, 'year must be an integer');
+            }
+            for (const field of ['subtick', 'original_subtick', 'end_year', 'end_subtick', 'original_end_subtick', 'creation_granularity', 'item_index', 'importance', 'exclusive', ...DateUncertainty.FIELDS]) {
+                if (!isOptionalInteger(item[field])) {
+                    report('items', index, item.id, `${field} must be an integer`);
+                }
+            }
+            for (const field of ['title', 'description', 'content', 'book_title', 'color']) {
+                if (!isOptionalString(item[field])) {
+                    report('items', index, item.id, `${field} must be a string`);
+                }
+            }
+            if (Number.isInteger(item.year) && Number.isInteger(item.end_year) && item.end_year < item.year) {
+                report('items', index, item.id, 'end_year is before year');
+            }
+            if (Number.isInteger(item.date_confidence) && (item.date_confidence < 0 || item.date_confidence > 100)) {
+                report('items', index, item.id, 'date_confidence must be between 0 and 100');
+            }
+            if (Number.isInteger(item.year)) {
+                DateUncertainty.validate(item).forEach(error => report('items', index, item.id, error));
+            }
+            if (item.story_id !== null && item.story_id !== undefined && item.story_id !== '' && !storyIds.has(item.story_id)) {
+                report('items', index, item.id, `story_id ${JSON.stringify(item.story_id)} is not in stories`);
+            }
+        });
+
+        // Link records must point at records present in the file
+        const checkLinks = (section, targets) => {
+            list[section].forEach((link, index) => {
+                if (!link || typeof link !== 'object' || Array.isArray(link)) {
+                    report(section, index, null, 'Record must be an object');
+                    return;
+                }
+                for (const [field, ids, targetSection] of targets) {
+                    if (!ids.has(link[field])) {
+                        report(section, index, null, `${field} ${JSON.stringify(link[field])} is not in ${targetSection}`);
+                    }
+                }
+            });
+        };
+        checkLinks('item_tags', [['item_id', itemIds, 'items'], ['tag_id', tagIds, 'tags']]);
+        checkLinks('item_story_refs', [['item_id', itemIds, 'items'], ['story_id', storyIds, 'stories']]);
+        checkLinks('item_pictures', [['item_id', itemIds, 'items'], ['picture_id', pictureIds, 'pictures']]);
+
+        const characterIds = checkRecords('characters', isNonEmptyString, 'a non-empty string', (character, index) => {
+            if (typeof character.name !== 'string' || character.name.trim() === '') {
+                report('characters', index, character.id, 'name must be a non-empty string');
+            }
+            for (const field of ['birth_year', 'birth_subtick', 'death_year', 'death_subtick']) {
+                if (!isOptionalInteger(character[field])) {
+                    report('characters', index, character.id, `${field} must be an integer`);
+                }
+            }
+            if (Number.isInteger(character.birth_year) && Number.isInteger(character.death_year) &&
+                ((character.death_year - character.birth_year) || ((character.death_subtick || 0) - (character.birth_subtick || 0))) < 0) {
+                report('characters', index, character.id, 'death date is before the birth date');
+            }
+        });
+
+        checkRecords('character_aliases', null, null, (alias, index) => {
+            if (!characterIds.has(alias.character_id)) {
+                report('character_aliases', index, null, `character_id ${JSON.stringify(alias.character_id)} is not in characters`);
+            }
+            if (!isNonEmptyString(alias.alias)) {
+                report('character_aliases', index, null, 'alias must be a non-empty string');
+            }
+        });
+        checkLinks('item_characters', [['item_id', itemIds, 'items'], ['character_id', characterIds, 'characters']]);
+        checkLinks('item_relationships', [['source_item_id', itemIds, 'items'], ['target_item_id', itemIds, 'items']]);
+        list.item_relationships.forEach((relationship, index) => {
+            if (relationship && typeof relationship === 'object' && !ItemRelationships.isValidType(relationship.type)) {
+                report('item_relationships', index, null, `Unknown type ${JSON.stringify(relationship.type)}`);
+            }
+        });
+
+        checkRecords('picture_tags', null, null, (pictureTag, index) => {
+            if (!pictureIds.has(pictureTag.picture_id)) {
+                report('picture_tags', index, null, `picture_id ${JSON.stringify(pictureTag.picture_id)} is not in pictures`);
+            }
+            if (typeof pictureTag.tag !== 'string' || pictureTag.tag.trim() === '') {
+                report('picture_tags', index, null, 'tag must be a non-empty string');
+            }
+        });
+
+        // Collection names are unique within a timeline
+        const collectionNames = new Set();
+        const collectionIds = checkRecords('picture_collections', Number.isInteger, 'an integer', (collection, index) => {
+            if (typeof collection.name !== 'string' || collection.name.trim() === '') {
+                report('picture_collections', index, collection.id, 'name must be a non-empty string');
+            } else if (collectionNames.has(collection.name.trim())) {
+                report('picture_collections', index, collection.id, `Duplicate name ${JSON.stringify(collection.name.trim())}`);
+            } else {
+                collectionNames.add(collection.name.trim());
+            }
+        });
+        checkLinks('collection_pictures', [['collection_id', collectionIds, 'picture_collections'], ['picture_id', pictureIds, 'pictures']]);
+        list.collection_pictures.forEach((link, index) => {
+            if (link && typeof link === 'object' && !isOptionalString(link.added_at)) {
+                report('collection_pictures', index, null, 'added_at must be a string');
+            }
+        });
+
+        checkRecords('notes', null, null, (note, index) => {
+            if (!isOptionalInteger(note.year) || !isOptionalInteger(note.subtick)) {
+                report('notes', index, note.id, 'year and subtick must be integers');
+            }
+            if (!isOptionalString(note.content)) {
+                report('notes', index, note.id, 'content must be a string');
+            }
+        });
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Throws when an export payload does not pass validateTimelineExport()
+     * @param {Object} payload - A parsed export file
+     *
+     * Possible errors:
+     * - Malformed payload (error.validationErrors holds the report)
+     */
+    assertValidTimelineExport(payload) {
+        const { valid, errors } = this.validateTimelineExport(payload);
+        if (!valid) {
+            const error = new Error(`Import file has ${errors.length} problem${errors.length === 1 ? '' : 's'}`);
+            error.validationErrors = errors;
+            throw error;
+        }
+    }
+
+    /**
+     * Imports the stories, tags and pictures of an export payload into a timeline.
+     * Must be called inside a transaction.
+     * @param {Object} payload - A validated export payload
+     * @param {number} timelineId - The timeline that will own the pictures
+     * @param {Object} counts - Counters to update (stories, tags, pictures, missing_files)
+     * @param {Array<string>} copiedFiles - Receives the paths of copied picture files, for cleanup on rollback
+     * @param {Set} pictureIds - Only import these pictures (all when omitted)
+     * @returns {Object} { tagIdMap, pictureIdMap } mapping export ids to database ids
+     */
+    importSharedRecords(payload, timelineId, counts, copiedFiles, pictureIds = null) {
+        // Stories are shared, an existing story with the same id is kept as is
+        for (const story of payload.stories) {
+            const result = this.insertRow('stories', this.pickTableColumns('stories', story), true);
+            counts.stories += result.changes;
+        }
+
+        // Tags are shared and unique by name
+        const tagIdMap = new Map();
+        const addTag = this.db.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)');
+        const getTagId = this.db.prepare('SELECT id FROM tags WHERE name = ?');
+        for (const tag of payload.tags) {
+            counts.tags += addTag.run(tag.name).changes;
+            tagIdMap.set(tag.id, getTagId.get(tag.name).id);
+        }
+
+        // Pictures get new ids and, when the file is available, a copy in the timeline's media folder
+        const pictureIdMap = new Map();
+        const mediaDir = this.getTimelineMediaDir(timelineId);
+        for (const picture of payload.pictures) {
+            if (pictureIds && !pictureIds.has(picture.id)) continue;
+
+            const row = this.pickTableColumns('pictures', picture, ['id', 'item_id', 'picture']);
+
+            if (fs.existsSync(picture.file_path)) {
+                fs.mkdirSync(mediaDir, { recursive: true });
+                const randomStr = Math.random().toString(36).substring(7);
+                const fileName = `img_${Date.now()}_${randomStr}${path.extname(picture.file_path)}`;
+                const filePath = path.join(mediaDir, fileName);
+                fs.copyFileSync(picture.file_path, filePath);
+                copiedFiles.push(filePath);
+                row.file_path = filePath;
+                row.file_name = fileName;
+            } else {
+                console.warn(`[dbManager.js] Import: picture file not found, keeping original path: ${picture.file_path}`);
+                counts.missing_files++;
+            }
+
+            const result = this.insertRow('pictures', row);
+            pictureIdMap.set(picture.id, result.lastInsertRowid);
+            counts.pictures++;
+        }
+
+        return { tagIdMap, pictureIdMap };
+    }
+
+    /**
+     * Imports the characters of an export payload into a timeline. Must be called inside a transaction.
+     * @param {Object} payload - A validated export payload
+     * @param {number} timelineId - The timeline that will own the characters
+     * @param {Object} counts - Counters to update (characters)
+     * @param {boolean} reuseExisting - Reuse a character of the timeline with the same id or name
+     *   (ignoring case) instead of adding a copy; used by merges
+     * @returns {Map} Export character id to database character id
+     */
+    importCharacters(payload, timelineId, counts, reuseExisting = false) {
+        const characterIdMap = new Map();
+        const characterExists = this.db.prepare('SELECT timeline_id FROM characters WHERE id = ?');
+        const findByName = this.db.prepare(`
+            SELECT id FROM characters WHERE timeline_id = ? AND lower(trim(name)) = lower(trim(?))
+        `);
+
+        for (const character of payload.characters || []) {
+            const existing = characterExists.get(character.id);
+            if (reuseExisting) {
+                const match = existing && existing.timeline_id === timelineId
+                    ? { id: character.id }
+                    : findByName.get(timelineId, character.name);
+                if (match) {
+                    characterIdMap.set(character.id, match.id);
+                    continue;
+                }
+            }
+
+            const row = this.pickTableColumns('characters', character, ['timeline_id']);
+            row.id = existing ? uuidv4() : character.id;
+            row.timeline_id = timelineId;
+            this.insertRow('characters', row);
+            characterIdMap.set(character.id, row.id);
+            counts.characters++;
+        }
+
+        // Aliases are added to reused characters too; ones they already have are skipped
+        const addAlias = this.db.prepare('INSERT OR IGNORE INTO character_aliases (character_id, alias) VALUES (?, ?)');
+        for (const alias of payload.character_aliases || []) {
+            addAlias.run(characterIdMap.get(alias.character_id), alias.alias);
+        }
+
+        return characterIdMap;
+    }
+
+    /**
+     * Imports the picture tags and collections of an export payload into a timeline.
+     * Must be called inside a transaction. Records of pictures that are not in pictureIdMap are skipped.
+     * @param {Object} payload - A validated export payload
+     * @param {number} timelineId - The timeline that will own the collections
+     * @param {Map} pictureIdMap - Export picture id to database picture id
+     * @param {Object} counts - Counters to update (collections)
+     * @param {boolean} reuseExisting - Reuse a collection of the timeline with the same name
+     *   instead of adding one; used by merges
+     */
+    importPictureLibrary(payload, timelineId, pictureIdMap, counts, reuseExisting = false) {
+        const addTag = this.db.prepare('INSERT OR IGNORE INTO picture_tags (picture_id, tag) VALUES (?, ?)');
+        for (const pictureTag of payload.picture_tags || []) {
+            if (!pictureIdMap.has(pictureTag.picture_id)) continue;
+            addTag.run(pictureIdMap.get(pictureTag.picture_id), pictureTag.tag.trim());
+        }
+
+        // Collections always get new ids
+        const collectionIdMap = new Map();
+        const findByName = this.db.prepare('SELECT id FROM picture_collections WHERE timeline_id = ? AND name = ?');
+        for (const collection of payload.picture_collections || []) {
+            const name = collection.name.trim();
+            const match = reuseExisting ? findByName.get(timelineId, name) : null;
+            if (match) {
+                collectionIdMap.set(collection.id, match.id);
+                continue;
+            }
+
+            const row = this.pickTableColumns('picture_collections', collection, ['id', 'timeline_id']);
+            row.timeline_id = timelineId;
+            row.name = name;
+            collectionIdMap.set(collection.id, this.insertRow('picture_collections', row).lastInsertRowid);
+            counts.collections++;
+        }
+
+        const addToCollection = this.db.prepare(`
+            INSERT OR IGNORE INTO collection_pictures (collection_id, picture_id, added_at)
+            VALUES (?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+        `);
+        for (const link of payload.collection_pictures || []) {
+            if (!pictureIdMap.has(link.picture_id)) continue;
+            addToCollection.run(collectionIdMap.get(link.collection_id), pictureIdMap.get(link.picture_id), link.added_at ?? null);
+        }
+    }
+
+    /**
+     * Inserts an exported item row into a timeline. Must be called inside a transaction.
+     * @param {Object} item - The exported item row
+     * @param {number} timelineId - The target timeline
+     * @param {string} newId - The id the item gets in this database
+     */
+    insertImportedItem(item, timelineId, newId) {
+        const row = this.pickTableColumns('items', item, ['timeline_id']);
+        row.id = newId;
+        row.timeline_id = timelineId;
+        if (row.story_id === '') {
+            row.story_id = null;
+        }
+        this.insertRow('items', row);
+    }
+
+    /**
+     * Inserts the tag, story, picture, character and relationship links of imported items. Must be
+     * called inside a transaction. Links of items that are not in itemIdMap are skipped.
+     * @param {Object} payload - A validated export payload
+     * @param {Map} itemIdMap - Export item id to database item id
+     * @param {Map} tagIdMap - Export tag id to database tag id
+     * @param {Map} pictureIdMap - Export picture id to database picture id
+     * @param {Map} characterIdMap - Export character id to database character id
+     * @param {Map} targetIdMap - Export item id to database item id for relationship targets, which
+     *   may be items that were not written (e.g. unchanged items of a merge)
+     */
+    importItemLinks(payload, itemIdMap, tagIdMap, pictureIdMap, characterIdMap = new Map(), targetIdMap = itemIdMap) {
+        const addItemTag = this.db.prepare('INSERT OR IGNORE INTO item_tags (item_id, tag_id) VALUES (?, ?)');
+        for (const link of payload.item_tags) {
+            if (!itemIdMap.has(link.item_id)) continue;
+            addItemTag.run(itemIdMap.get(link.item_id), tagIdMap.get(link.tag_id));
+        }
+
+        const addStoryRef = this.db.prepare('INSERT OR IGNORE INTO item_story_refs (item_id, story_id) VALUES (?, ?)');
+        for (const link of payload.item_story_refs) {
+            if (!itemIdMap.has(link.item_id)) continue;
+            addStoryRef.run(itemIdMap.get(link.item_id), link.story_id);
+        }
+
+        const addItemPicture = this.db.prepare('INSERT OR IGNORE INTO item_pictures (item_id, picture_id) VALUES (?, ?)');
+        for (const link of payload.item_pictures) {
+            if (!itemIdMap.has(link.item_id) || !pictureIdMap.has(link.picture_id)) continue;
+            addItemPicture.run(itemIdMap.get(link.item_id), pictureIdMap.get(link.picture_id));
+        }
+
+        const addItemCharacter = this.db.prepare('INSERT OR IGNORE INTO item_characters (item_id, character_id) VALUES (?, ?)');
+        for (const link of payload.item_characters || []) {
+            if (!itemIdMap.has(link.item_id) || !characterIdMap.has(link.character_id)) continue;
+            addItemCharacter.run(itemIdMap.get(link.item_id), characterIdMap.get(link.character_id));
+        }
+
+        const addRelationship = this.db.prepare(`
+            INSERT OR IGNORE INTO item_relationships (source_item_id, target_item_id, type) VALUES (?, ?, ?)
+        `);
+        for (const link of payload.item_relationships || []) {
+            if (!itemIdMap.has(link.source_item_id) || !targetIdMap.has(link.target_item_id)) continue;
+            addRelationship.run(itemIdMap.get(link.source_item_id), targetIdMap.get(link.target_item_id), link.type);
+        }
+    }
+
+    /**
+     * Imports an export payload into a brand-new timeline
+     * @param {Object} payload - A parsed export file (see exportTimeline())
+     * @param {Object} options - { title } to override the imported timeline's title
+     * @returns {Object} { timelineId, title, counts }
+     *
+     * How it works:
+     * 1. Validates the payload and refuses to import anything if it is malformed
+     * 2. Creates the timeline and its settings, picking a free title if needed
+     * 3. Reuses stories by id and tags by name, since both are shared between timelines
+     * 4. Copies picture files into the new timeline's media folder and remaps picture ids
+     * 5. Inserts characters and items (keeping their ids unless already taken) and their links
+     * 6. Inserts the picture tags and collections, and the notes
+     * All database writes happen in one transaction.
+     *
+     * Possible errors:
+     * - Malformed payload (error.validationErrors holds the report)
+     * - Database or file system failure (the transaction is rolled back)
+     */
+    importTimeline(payload, options = {}) {
+        this.assertValidTimelineExport(payload);
+
+        const counts = { items: 0, stories: 0, tags: 0, pictures: 0, notes: 0, characters: 0, collections: 0, missing_files: 0 };
+        const copiedFiles = [];
+
+        this.db.prepare('BEGIN').run();
+
+        try {
+            // Timelines are unique by title and author
+            const author = payload.timeline.author || '';
+            const baseTitle = (options.title || payload.timeline.title).trim();
+            let title = baseTitle;
+            for (let n = 1; this.getTimeline(title, author); n++) {
+                title = n === 1 ? `${baseTitle} (imported)` : `${baseTitle} (imported ${n})`;
+            }
+
+            const timelineId = this.addTimeline({ ...payload.timeline, title, author });
+
+            // Remaining timeline columns (timestamps and anything added later)
+            const timelineExtra = this.pickTableColumns('timelines', payload.timeline,
+                ['id', 'settings_id', 'title', 'author', 'description', 'start_year', 'granularity']);
+            if (Object.keys(timelineExtra).length > 0) {
+                this.db.prepare(`
+                    UPDATE timelines SET ${Object.keys(timelineExtra).map(column => `${column} = @${column}`).join(', ')}
+                    WHERE id = @timeline_id
+                `).run({ ...timelineExtra, timeline_id: timelineId });
+            }
+
+            if (payload.settings) {
+                const settings = this.pickTableColumns('settings', payload.settings, ['id', 'timeline_id', 'updated_at']);
+                if (Object.keys(settings).length > 0) {
+                    this.db.prepare(`
+                        UPDATE settings SET ${Object.keys(settings).map(column => `${column} = @${column}`).join(', ')}
+                        WHERE timeline_id = @timeline_id
+                    `).run({ ...settings, timeline_id: timelineId });
+                }
+            }
+
+            const { tagIdMap, pictureIdMap } = this.importSharedRecords(payload, timelineId, counts, copiedFiles);
+            const characterIdMap = this.importCharacters(payload, timelineId, counts);
+
+            // Items keep their ids unless the id is already used in this database
+            const itemIdMap = new Map();
+            const itemExists = this.db.prepare('SELECT 1 FROM items WHERE id = ?');
+            for (const item of payload.items) {
+                const newId = itemExists.get(item.id) ? uuidv4() : item.id;
+                itemIdMap.set(item.id, newId);
+                this.insertImportedItem(item, timelineId, newId);
+                counts.items++;
+            }
+
+            this.importItemLinks(payload, itemIdMap, tagIdMap, pictureIdMap, characterIdMap);
+            this.importPictureLibrary(payload, timelineId, pictureIdMap, counts);
+
+            for (const note of payload.notes) {
+                const row = this.pickTableColumns('notes', note, ['id', 'timeline_id']);
+                row.timeline_id = timelineId;
+                this.insertRow('notes', row);
+                counts.notes++;
+            }
+
+            this.db.prepare('COMMIT').run();
+            console.log(`[dbManager.js] Imported timeline "${title}" as ${timelineId}:`, counts);
+
+            return { timelineId, title, counts };
+        } catch (error) {
+            this.db.prepare('ROLLBACK').run();
+            copiedFiles.forEach(filePath => fs.rmSync(filePath, { force: true }));
+            console.error('Error importing timeline:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Hashes a file's contents
+     * @param {string} filePath - The file to hash
+     * @returns {string|null} Hex SHA-256 digest, or null if the file cannot be read
+     */
+    hashFile(filePath) {
+        try {
+            return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Builds the comparable view of an item used by the merge diff
+     * @param {Object} item - An item row
+     * @param {Array<string>} tagNames - Names of the item's tags
+     * @param {Array<string>} storyTitles - Titles of the item's story references
+     * @param {Array<string>} pictureKeys - Content hashes (or paths) of the item's pictures
+     * @param {Array<string>|null} characterNames - Names of the item's characters; null leaves them out
+     * @param {Array<string>|null} relationshipLabels - "Causes: Title" per outgoing relationship; null leaves them out
+     * @returns {Object} Field name to display value
+     */
+    getMergeComparable(item, tagNames, storyTitles, pictureKeys, characterNames = null, relationshipLabels = null) {
+        const comparable = {};
+        for (const field of DatabaseManager.MERGE_FIELDS) {
+            const value = item[field];
+            comparable[field] = value === undefined || value === '' ? null : value;
+        }
+        // Files from before date uncertainty have no date_circa; they mean exact dates
+        comparable.date_circa = comparable.date_circa ? 1 : 0;
+        // Likewise files from before the continuity checker have no exclusive flag
+        comparable.exclusive = comparable.exclusive ? 1 : 0;
+        comparable.tags = [...tagNames].sort().join(', ') || null;
+        comparable.stories = [...storyTitles].sort().join(', ') || null;
+        comparable.pictures = pictureKeys.length > 0 ? [...pictureKeys].sort() : null;
+        if (characterNames) {
+            comparable.characters = [...characterNames].sort().join(', ') || null;
+        }
+        if (relationshipLabels) {
+            comparable.relationships = [...relationshipLabels].sort().join(', ') || null;
+        }
+        return comparable;
+    }
+
+    /**
+     * Works out how an export payload would merge into an existing timeline, without writing anything
+     * @param {Object} payload - A parsed export file
+     * @param {number} timelineId - The timeline to merge into
+     * @returns {Object} { items, summary } where each item is
+     *   { incoming_id, title, year, subtick, status: 'new'|'unchanged'|'changed', match_id, matched_by, diff }
+     *   and diff is a list of { field, mine, theirs }
+     *
+     * How it works:
+     * 1. Matches each incoming item to an item of the timeline by id
+     * 2. Falls back to the same title (ignoring case) at the same year and subtick
+     * 3. Compares the matched pair field by field, including tags, stories, characters, relationships and picture contents
+     *
+     * Possible errors:
+     * - Malformed payload (error.validationErrors holds the report)
+     */
+    planTimelineMerge(payload, timelineId) {
+        this.assertValidTimelineExport(payload);
+
+        const mine = this.db.prepare('SELECT * FROM items WHERE timeline_id = ?').all(timelineId);
+        const mineById = new Map(mine.map(item => [item.id, item]));
+        const matchedIds = new Set();
+
+        // Incoming links, grouped by item
+        const tagNameById = new Map(payload.tags.map(tag => [tag.id, tag.name]));
+        const storyTitleById = new Map(payload.stories.map(story => [story.id, story.title]));
+        const pictureById = new Map(payload.pictures.map(picture => [picture.id, picture]));
+        const group = (links, key, value) => {
+            const grouped = new Map();
+            for (const link of links) {
+                if (!grouped.has(link[key])) grouped.set(link[key], []);
+                grouped.get(link[key]).push(value(link));
+            }
+            return grouped;
+        };
+        const theirTags = group(payload.item_tags, 'item_id', link => tagNameById.get(link.tag_id));
+        const theirStories = group(payload.item_story_refs, 'item_id', link => storyTitleById.get(link.story_id));
+        const theirPictures = group(payload.item_pictures, 'item_id', link => {
+            const picture = pictureById.get(link.picture_id);
+            return this.hashFile(picture.file_path) || picture.file_path;
+        });
+        // Files from before characters existed are not compared on characters
+        const compareCharacters = Array.isArray(payload.item_characters);
+        const characterNameById = new Map((payload.characters || []).map(character => [character.id, character.name]));
+        const theirCharacters = group(payload.item_characters || [], 'item_id', link => characterNameById.get(link.character_id));
+        const getMyCharacters = this.db.prepare(`
+            SELECT c.name FROM item_characters ic JOIN characters c ON ic.character_id = c.id WHERE ic.item_id = ?
+        `);
+        // Relationships compare by type and target title, since target ids differ between databases
+        const compareRelationships = Array.isArray(payload.item_relationships);
+        const itemTitleById = new Map(payload.items.map(item => [item.id, item.title]));
+        const relationshipLabel = (type, title) => `${ItemRelationships.getLabel(type)}: ${title || '(untitled)'}`;
+        const theirRelationships = group(payload.item_relationships || [], 'source_item_id',
+            link => relationshipLabel(link.type, itemTitleById.get(link.target_item_id)));
+        const getMyRelationships = this.db.prepare(`
+            SELECT r.type, i.title FROM item_relationships r JOIN items i ON r.target_item_id = i.id WHERE r.source_item_id = ?
+        `);
+
+        const items = [];
+        const summary = { new: 0, unchanged: 0, changed: 0 };
+
+        for (const incoming of payload.items) {
+            const normalizedTitle = (incoming.title || '').trim().toLowerCase();
+            let match = null;
+            let matchedBy = null;
+
+            if (mineById.has(incoming.id) && !matchedIds.has(incoming.id)) {
+                match = mineById.get(incoming.id);
+                matchedBy = 'id';
+            } else {
+                match = mine.find(item => !matchedIds.has(item.id) &&
+                    (item.title || '').trim().toLowerCase() === normalizedTitle &&
+                    item.year === incoming.year &&
+                    (item.subtick || 0) === (incoming.subtick || 0)) || null;
+                matchedBy = match ? 'title_date' : null;
+            }
+
+            const entry = {
+                incoming_id: incoming.id,
+                title: incoming.title,
+                year: incoming.year,
+                subtick: incoming.subtick,
+                status: 'new',
+                match_id: null,
+                matched_by: null,
+                diff: []
+            };
+
+            if (match) {
+                matchedIds.add(match.id);
+                entry.match_id = match.id;
+                entry.matched_by = matchedBy;
+
+                const mineComparable = this.getMergeComparable(
+                    match,
+                    this.getItemTags(match.id),
+                    this.getItemStoryReferences(match.id).map(story => story.title),
+                    this.getItemPictures(match.id).map(picture => this.hashFile(picture.file_path) || picture.file_path),
+                    compareCharacters ? getMyCharacters.all(match.id).map(row => row.name) : null,
+                    compareRelationships ? getMyRelationships.all(match.id).map(row => relationshipLabel(row.type, row.title)) : null
+                );
+                const theirsComparable = this.getMergeComparable(
+                    incoming,
+                    theirTags.get(incoming.id) || [],
+                    theirStories.get(incoming.id) || [],
+                    theirPictures.get(incoming.id) || [],
+                    compareCharacters ? theirCharacters.get(incoming.id) || [] : null,
+                    compareRelationships ? theirRelationships.get(incoming.id) || [] : null
+                );
+
+                for (const field of Object.keys(mineComparable)) {
+                    let mineValue = mineComparable[field];
+                    let theirsValue = theirsComparable[field];
+                    if (field === 'pictures') {
+                        if (JSON.stringify(mineValue) === JSON.stringify(theirsValue)) continue;
+                        // Show picture changes as counts, the hashes mean nothing to the user
+                        mineValue = mineValue ? `${mineValue.length} image${mineValue.length === 1 ? '' : 's'}` : null;
+                        theirsValue = theirsValue ? `${theirsValue.length} image${theirsValue.length === 1 ? '' : 's'}` : null;
+                        if (mineValue === theirsValue) {
+                            mineValue += ' (different)';
+                        }
+                    } else if (String(mineValue) === String(theirsValue)) {
+                        continue;
+                    }
+                    entry.diff.push({ field, mine: mineValue, theirs: theirsValue });
+                }
+                entry.status = entry.diff.length > 0 ? 'changed' : 'unchanged';
+            }
+
+            summary[entry.status]++;
+            items.push(entry);
+        }
+
+        return { items, summary };
+    }
+
+    /**
+     * Merges an export payload into an existing timeline using the user's choices
+     * @param {Object} payload - A parsed export file
+     * @param {number} timelineId - The timeline to merge into
+     * @param {Object} resolutions - Incoming item id to 'keep-mine' | 'take-theirs' | 'keep-both'.
+     *   Changed items without a resolution keep the existing version.
+     * @returns {Object} { counts } with added, updated, kept_both, skipped, notes, pictures, characters, collections
+     *   and missing_files
+     *
+     * How it works:
+     * 1. Re-plans the merge so the decisions apply to the current database state
+     * 2. Adds new items, and the incoming copy of 'keep-both' items under a new id
+     * 3. Overwrites 'take-theirs' items with the incoming fields and replaces their tags, stories, pictures
+     *    and characters; incoming characters are matched to the timeline's by id, then by name
+     * 4. Leaves unchanged and 'keep-mine' items alone
+     * 5. Adds the incoming collections the timeline has no collection of the same name for, and fills
+     *    them with the written items' pictures and the collection pictures the timeline does not have yet
+     * 6. Adds notes that the timeline does not have yet
+     * All database writes happen in one transaction; timeline metadata and settings are not touched.
+     *
+     * Possible errors:
+     * - Malformed payload (error.validationErrors holds the report)
+     * - Database or file system failure (the transaction is rolled back)
+     */
+    mergeTimeline(payload, timelineId, resolutions = {}) {
+        const plan = this.planTimelineMerge(payload, timelineId);
+        const incomingById = new Map(payload.items.map(item => [item.id, item]));
+
+        const counts = { added: 0, updated: 0, kept_both: 0, skipped: 0, notes: 0, stories: 0, tags: 0, pictures: 0, characters: 0, collections: 0, missing_files: 0 };
+        const copiedFiles = [];
+
+        // Decide first, so only the pictures of items that are written get copied
+        const actions = plan.items.map(entry => {
+            if (entry.status === 'new') return { entry, action: 'add' };
+            if (entry.status === 'unchanged') return { entry, action: 'skip' };
+            const resolution = resolutions[entry.incoming_id] || 'keep-mine';
+            if (resolution === 'take-theirs') return { entry, action: 'update' };
+            if (resolution === 'keep-both') return { entry, action: 'add-copy' };
+            return { entry, action: 'skip' };
+        });
+        const writtenIds = new Set(actions.filter(a => a.action !== 'skip').map(a => a.entry.incoming_id));
+        const pictureIds = new Set(payload.item_pictures
+            .filter(link => writtenIds.has(link.item_id))
+            .map(link => link.picture_id));
+
+        // Other collection pictures are matched to the timeline's pictures by file contents,
+        // so merging the same file twice does not copy them again
+        const matchedPictureIds = new Map();
+        const collectionOnlyIds = new Set((payload.collection_pictures || [])
+            .map(link => link.picture_id)
+            .filter(id => !pictureIds.has(id)));
+        if (collectionOnlyIds.size > 0) {
+            const pictureKey = picture => this.hashFile(picture.file_path) || picture.file_path;
+            const mine = new Map(this.db.prepare(`
+                SELECT * FROM pictures
+                WHERE id IN (
+                    SELECT ip.picture_id FROM item_pictures ip JOIN items i ON ip.item_id = i.id WHERE i.timeline_id = @timelineId
+                    UNION
+                    SELECT cp.picture_id FROM collection_pictures cp JOIN picture_collections c ON cp.collection_id = c.id
+                    WHERE c.timeline_id = @timelineId
+                )
+            `).all({ timelineId }).map(picture => [pictureKey(picture), picture.id]));
+            payload.pictures
+                .filter(picture => collectionOnlyIds.has(picture.id))
+                .forEach(picture => {
+                    const match = mine.get(pictureKey(picture));
+                    if (match) {
+                        matchedPictureIds.set(picture.id, match);
+                    } else {
+                        pictureIds.add(picture.id);
+                    }
+                });
+        }
+
+        this.db.prepare('BEGIN').run();
+
+        try {
+            const { tagIdMap, pictureIdMap } = this.importSharedRecords(payload, timelineId, counts, copiedFiles, pictureIds);
+            const characterIdMap = this.importCharacters(payload, timelineId, counts, true);
+
+            const itemIdMap = new Map();
+            const itemExists = this.db.prepare('SELECT 1 FROM items WHERE id = ?');
+
+            for (const { entry, action } of actions) {
+                const incoming = incomingById.get(entry.incoming_id);
+
+                if (action === 'add' || action === 'add-copy') {
+                    const newId = action === 'add' && !itemExists.get(incoming.id) ? incoming.id : uuidv4();
+                    this.insertImportedItem(incoming, timelineId, newId);
+                    itemIdMap.set(incoming.id, newId);
+                    counts[action === 'add' ? 'added' : 'kept_both']++;
+                } else if (action === 'update') {
+                    this.ensureItemBaselineRevision(entry.match_id);
+                    const row = this.pickTableColumns('items', incoming, ['id', 'timeline_id', 'item_index', 'created_at', 'updated_at']);
+                    if (row.story_id === '') {
+                        row.story_id = null;
+                    }
+                    this.db.prepare(`
+                        UPDATE items SET ${Object.keys(row).map(column => `${column} = @${column}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                        WHERE id = @merge_target_id
+                    `).run({ ...row, merge_target_id: entry.match_id });
+
+                    // The incoming links replace the existing ones
+                    this.db.prepare('DELETE FROM item_tags WHERE item_id = ?').run(entry.match_id);
+                    this.db.prepare('DELETE FROM item_story_refs WHERE item_id = ?').run(entry.match_id);
+                    this.db.prepare('DELETE FROM item_pictures WHERE item_id = ?').run(entry.match_id);
+                    // Files from before characters existed say nothing about them
+                    if (Array.isArray(payload.item_characters)) {
+                        this.db.prepare('DELETE FROM item_characters WHERE item_id = ?').run(entry.match_id);
+                    }
+                    if (Array.isArray(payload.item_relationships)) {
+                        this.db.prepare('DELETE FROM item_relationships WHERE source_item_id = ?').run(entry.match_id);
+                    }
+                    itemIdMap.set(incoming.id, entry.match_id);
+                    counts.updated++;
+                } else {
+                    counts.skipped++;
+                }
+            }
+
+            // Relationships may also point at items that matched but were not written
+            const targetIdMap = new Map(actions
+                .filter(({ entry }) => entry.match_id)
+                .map(({ entry }) => [entry.incoming_id, entry.match_id]));
+            itemIdMap.forEach((id, incomingId) => targetIdMap.set(incomingId, id));
+            this.importItemLinks(payload, itemIdMap, tagIdMap, pictureIdMap, characterIdMap, targetIdMap);
+            this.importPictureLibrary(payload, timelineId, new Map([...matchedPictureIds, ...pictureIdMap]), counts, true);
+
+            actions
+                .filter(({ action }) => action === 'update')
+                .forEach(({ entry }) => this.recordItemRevision(entry.match_id, 'merge'));
+
+            // Notes have no stable id, so only add those not already present
+            const noteExists = this.db.prepare(`
+                SELECT 1 FROM notes
+                WHERE timeline_id = ? AND year IS ? AND subtick IS ? AND content IS ?
+            `);
+            for (const note of payload.notes) {
+                if (noteExists.get(timelineId, note.year ?? null, note.subtick ?? null, note.content ?? null)) continue;
+                const row = this.pickTableColumns('notes', note, ['id', 'timeline_id']);
+                row.timeline_id = timelineId;
+                this.insertRow('notes', row);
+                counts.notes++;
+            }
+
+            this.db.prepare('COMMIT').run();
+            console.log(`[dbManager.js] Merged import into timeline ${timelineId}:`, counts);
+
+            return { counts };
+        } catch (error) {
+            this.db.prepare('ROLLBACK').run();
+            copiedFiles.forEach(filePath => fs.rmSync(filePath, { force: true }));
+            console.error('Error merging timeline:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Bundles a timeline's export and all of its picture files into one gzipped package
+     * @param {number} timelineId - The ID of the timeline to package
+     * @returns {Object} { buffer, missingFiles } where missingFiles lists paths that could not be read
+     *
+     * How it works:
+     * 1. Builds the regular export payload with exportTimeline()
+     * 2. Reads every file referenced from pictures.file_path and stores it base64 encoded,
+     *    keyed by the picture id it belongs to
+     * 3. Gzips the JSON of the whole bundle
+     *
+     * Possible errors:
+     * - Timeline not found
+     */
+    exportTimelinePackage(timelineId) {
+        const exportData = this.exportTimeline(timelineId);
+        const files = {};
+        const missingFiles = [];
+
+        for (const picture of exportData.pictures) {
+            if (!picture.file_path || !fs.existsSync(picture.file_path)) {
+                missingFiles.push(picture.file_path);
+                continue;
+            }
+            files[picture.id] = {
+                file_name: path.basename(picture.file_path),
+                data: fs.readFileSync(picture.file_path).toString('base64')
+            };
+        }
+
+        const bundle = {
+            format: DatabaseManager.PACKAGE_FORMAT,
+            package_version: DatabaseManager.PACKAGE_VERSION,
+            export: exportData,
+            files
+        };
+
+        return {
+            buffer: zlib.gzipSync(Buffer.from(JSON.stringify(bundle))),
+            missingFiles
+        };
+    }
+
+    /**
+     * Restores a package made by exportTimelinePackage() into a brand-new timeline
+     * @param {Buffer} buffer - The raw package file contents
+     * @param {Object} options - Passed on to importTimeline()
+     * @returns {Object} The importTimeline() result
+     *
+     * How it works:
+     * 1. Unzips and parses the bundle and checks its format marker
+     * 2. Writes the bundled files to a temporary folder and points the pictures at them
+     * 3. Runs importTimeline(), which copies the files into the new timeline's media folder
+     *    and remaps the picture ids
+     * 4. Removes the temporary folder
+     *
+     * Possible errors:
+     * - Not a package file, or a newer package version
+     * - Malformed export inside the package (error.validationErrors holds the report)
+     */
+    importTimelinePackage(buffer, options = {}) {
+        let bundle;
+        try {
+            bundle = JSON.parse(zlib.gunzipSync(buffer).toString('utf8'));
+        } catch (error) {
+            throw new Error('Not a Story Timeline package file');
+        }
+
+        if (!bundle || bundle.format !== DatabaseManager.PACKAGE_FORMAT) {
+            throw new Error('Not a Story Timeline package file');
+        }
+        if (!Number.isInteger(bundle.package_version) || bundle.package_version > DatabaseManager.PACKAGE_VERSION) {
+            throw new Error(`Package version ${bundle.package_version} is not supported`);
+        }
+
+        const exportData = bundle.export;
+        const files = bundle.files || {};
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'story-timeline-package-'));
+
+        try {
+            if (exportData && Array.isArray(exportData.pictures)) {
+                for (const picture of exportData.pictures) {
+                    const file = picture && files[picture.id];
+                    if (!file || typeof file.data !== 'string') continue;
+
+                    // Prefix with the picture id so equal file names cannot overwrite each other
+                    const filePath = path.join(tempDir, `${picture.id}_${path.basename(file.file_name || '')}`);
+                    fs.writeFileSync(filePath, Buffer.from(file.data, 'base64'));
+                    picture.file_path = filePath;
+                }
+            }
+
+            return this.importTimeline(exportData, options);
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    // ===== Snapshots =====
+
+    /**
+     * Gets the folder snapshots are stored in
+     * @returns {string} Absolute path of the snapshots folder
+     */
+    getSnapshotRoot() {
+        return path.join(this.userDataPath, 'snapshots');
+    }
+
+    /**
+     * Takes a snapshot of the whole database and the media files
+     * @param {string} reason - Why the snapshot is taken ('open', 'interval', 'delete-timeline', ...)
+     * @param {Object} options - { onlyIfChanged, minIntervalMs }
+     *   onlyIfChanged: skip when nothing was written since the last snapshot
+     *   minIntervalMs: skip when the last snapshot is more recent than this
+     * @returns {Promise<Object|null>} The snapshot info, or null when skipped
+     *
+     * How it works:
+     * 1. Copies the live database with better-sqlite3's online backup
+     * 2. Hard-links every media file into the snapshot (copies if linking fails),
+     *    so files deleted later are still available to a restore
+     * 3. Writes snapshot.json with the time and reason
+     * 4. Prunes the oldest snapshots beyond MAX_SNAPSHOTS
+     *
+     * Possible errors:
+     * - Backup or file system failure (the partial snapshot is removed)
+     */
+    async createSnapshot(reason, options = {}) {
+        const changes = this.db.prepare('SELECT total_changes() AS changes').get().changes;
+
+        if (this.lastSnapshot) {
+            if (options.onlyIfChanged && this.lastSnapshot.changes === changes) {
+                return null;
+            }
+            if (options.minIntervalMs && Date.now() - this.lastSnapshot.time < options.minIntervalMs) {
+                return null;
+            }
+        }
+
+        const now = new Date();
+        const stamp = now.toISOString().replace(/[-:]/g, '').replace('T', '-').replace(/\..*/, '');
+        const id = `${stamp}_${Math.random().toString(36).substring(2, 6)}_${reason.replace(/[^a-z0-9-]/gi, '')}`;
+        const snapshotDir = path.join(this.getSnapshotRoot(), id);
+
+        try {
+            fs.mkdirSync(snapshotDir, { recursive: true });
+            await this.db.backup(path.join(snapshotDir, 'timeline.db'));
+
+            // Media files never change once written, so links are enough
+            const mediaBaseDir = this.getMediaBaseDir();
+            if (fs.existsSync(mediaBaseDir)) {
+                for (const timelineDir of fs.readdirSync(mediaBaseDir)) {
+                    const sourceDir = path.join(mediaBaseDir, timelineDir);
+                    if (!fs.statSync(sourceDir).isDirectory()) continue;
+
+                    const targetDir = path.join(snapshotDir, 'media', timelineDir);
+                    fs.mkdirSync(targetDir, { recursive: true });
+                    for (const fileName of fs.readdirSync(sourceDir)) {
+                        const sourceFile = path.join(sourceDir, fileName);
+                        if (!fs.statSync(sourceFile).isFile()) continue;
+                        try {
+                            fs.linkSync(sourceFile, path.join(targetDir, fileName));
+                        } catch (error) {
+                            fs.copyFileSync(sourceFile, path.join(targetDir, fileName));
+                        }
+                    }
+                }
+            }
+
+            const info = { id, reason, created_at: now.toISOString() };
+            fs.writeFileSync(path.join(snapshotDir, 'snapshot.json'), JSON.stringify(info, null, 2));
+
+            this.lastSnapshot = { time: now.getTime(), changes };
+            console.log(`[dbManager.js] Snapshot taken: ${id}`);
+
+            this.pruneSnapshots();
+            return info;
+        } catch (error) {
+            fs.rmSync(snapshotDir, { recursive: true, force: true });
+            console.error('Error taking snapshot:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Removes the oldest snapshots so at most MAX_SNAPSHOTS remain
+     */
+    pruneSnapshots() {
+        const root = this.getSnapshotRoot();
+        if (!fs.existsSync(root)) return;
+
+        // Snapshot folder names start with a sortable timestamp
+        const snapshotIds = fs.readdirSync(root)
+            .filter(name => fs.existsSync(path.join(root, name, 'snapshot.json')))
+            .sort();
+
+        for (const id of snapshotIds.slice(0, Math.max(0, snapshotIds.length - DatabaseManager.MAX_SNAPSHOTS))) {
+            fs.rmSync(path.join(root, id), { recursive: true, force: true });
+            console.log(`[dbManager.js] Pruned snapshot: ${id}`);
+        }
+    }
+
+    /**
+     * Lists the snapshots, newest first, with the timelines each one contains
+     * @returns {Array} [{ id, reason, created_at, timelines: [{ id, title, author, item_count }] }]
+     */
+    listSnapshots() {
+        const root = this.getSnapshotRoot();
+        if (!fs.existsSync(root)) return [];
+
+        const snapshots = [];
+        for (const id of fs.readdirSync(root).sort().reverse()) {
+            const infoFile = path.join(root, id, 'snapshot.json');
+            const dbFile = path.join(root, id, 'timeline.db');
+            if (!fs.existsSync(infoFile) || !fs.existsSync(dbFile)) continue;
+
+            let snapshotDb;
+            try {
+                const info = JSON.parse(fs.readFileSync(infoFile, 'utf8'));
+                snapshotDb = require('better-sqlite3')(dbFile, { readonly: true, fileMustExist: true });
+                const timelines = snapshotDb.prepare(`
+                    SELECT t.id, t.title, t.author, COUNT(i.id) AS item_count
+                    FROM timelines t
+                    LEFT JOIN items i ON i.timeline_id = t.id
+                    GROUP BY t.id
+                    ORDER BY t.title, t.author
+                `).all();
+                snapshots.push({ ...info, id, timelines });
+            } catch (error) {
+                console.error(`[dbManager.js] Skipping unreadable snapshot ${id}:`, error);
+            } finally {
+                if (snapshotDb) snapshotDb.close();
+            }
+        }
+        return snapshots;
+    }
+
+    /**
+     * Restores one timeline from a snapshot as a new timeline
+     * @param {string} snapshotId - The snapshot to restore from
+     * @param {number} timelineId - The timeline's id inside the snapshot
+     * @returns {Promise<Object>} The importTimeline() result
+     *
+     * How it works:
+     * 1. Takes a 'before-restore' snapshot of the current state
+     * 2. Exports the timeline from the snapshot database
+     * 3. Points pictures whose file is gone at the snapshot's copy
+     * 4. Imports it; if the timeline still exists, the copy is titled "(restored <date>)"
+     *
+     * Possible errors:
+     * - Snapshot or timeline not found
+     */
+    async restoreTimelineFromSnapshot(snapshotId, timelineId) {
+        const snapshotDir = path.join(this.getSnapshotRoot(), path.basename(snapshotId));
+        const dbFile = path.join(snapshotDir, 'timeline.db');
+        if (!fs.existsSync(dbFile)) {
+            throw new Error('Snapshot not found');
+        }
+
+        await this.createSnapshot('before-restore', { onlyIfChanged: true });
+
+        const snapshotDb = require('better-sqlite3')(dbFile, { readonly: true, fileMustExist: true });
+        let payload;
+        try {
+            payload = this.exportTimeline(timelineId, snapshotDb);
+        } finally {
+            snapshotDb.close();
+        }
+
+        const mediaBaseDir = this.getMediaBaseDir();
+        for (const picture of payload.pictures) {
+            if (fs.existsSync(picture.file_path)) continue;
+            const relativePath = path.relative(mediaBaseDir, picture.file_path);
+            const snapshotFile = path.join(snapshotDir, 'media', relativePath);
+            if (!relativePath.startsWith('..') && fs.existsSync(snapshotFile)) {
+                picture.file_path = snapshotFile;
+            }
+        }
+
+        const info = JSON.parse(fs.readFileSync(path.join(snapshotDir, 'snapshot.json'), 'utf8'));
+        const { title, author } = payload.timeline;
+        const restoredTitle = this.getTimeline(title, author || '')
+            ? `${title} (restored ${new Date(info.created_at).toLocaleString()})`
+            : title;
+
+        return this.importTimeline(payload, { title: restoredTitle });
+    }
 }
 
 module.exports = new DatabaseManager(); 
\ No newline at end of file
@@ -10,9 +10,14 @@ class DisplayRenderer {
         // New properties for our implementation
         this.isDirty = false;
         this.timelineItems = [];
+        this.allItems = [];
+        this.itemFilter = null; // The timeline's filter bar filter, see timelineFilter.js
         this.densityCache = null;
         this.minYear = Infinity;
         this.maxYear = -Infinity;
+        this.viewState = null; // The main view's position, as sent with 'timeline-updated'
+        this.viewportDrag = null;
+        this.hoveredBookmark = null;
         this.config = {
             colors: {
                 timeline: '#4b2e2e',
@@ -44,7 +49,9 @@ class DisplayRenderer {
                 yearLabelFont: '10px Arial',
                 minMarkerSpacing: 20,  // Minimum pixels between markers to show them separately
                 currentYearFont: '12px Arial',
-                currentYearPadding: 25
+                currentYearPadding: 25,
+                minViewportWidth: 4,     // The viewport rectangle stays grabbable when zoomed far in
+                tooltipMaxItems: 10
             },
             spacing: {
                 timelinePadding: 20,
@@ -62,6 +69,9 @@ class DisplayRenderer {
 
         // Create and set up the now marker element
         this.setupNowMarker();
+
+        // Make the strip a minimap for navigating the main view
+        this.setupMinimap();
     }
 
     setupMessageHandlers() {
@@ -78,6 +88,8 @@ class DisplayRenderer {
         // Handle timeline updates
         window.api.receive('timeline-updated', (state) => {
             //The current year marker needs to be updated, not rerendered
+            this.viewState = state;
+            this.updateViewport();
 
             // Update the now marker position based on the new state
             const nowMarker = document.getElementById('display-now-marker');
@@ -180,13 +192,267 @@ class DisplayRenderer {
         this.render();
     }
 
+    /**
+     * Makes the strip a minimap of the whole timeline for navigating the main view
+     *
+     * How it works:
+     * - A viewport rectangle shows the span the main view shows, moved along with every
+     *   'timeline-updated'
+     * - Pressing outside the rectangle centers the main view there; dragging pans it,
+     *   and dragging the rectangle pans it from where it was grabbed
+     * - The mouse wheel zooms the main view around its center (see zoomBy() in timeline.js)
+     * - Hovering lists the items in the density segment under the mouse, the same
+     *   segments calculateDensity() counts
+     * - Clicking a bookmark jumps to it
+     */
+    setupMinimap() {
+        const content = document.getElementById('display-content');
+        if (!content) return;
+
+        const viewport = document.createElement('div');
+        viewport.id = 'display-viewport';
+        content.appendChild(viewport);
+
+        const tooltip = document.createElement('div');
+        tooltip.id = 'display-tooltip';
+        content.appendChild(tooltip);
+
+        content.addEventListener('mousedown', (e) => this.startViewportDrag(e));
+        document.addEventListener('mousemove', (e) => {
+            if (this.viewportDrag) this.updateViewportDrag(e);
+        });
+        document.addEventListener('mouseup', () => this.endViewportDrag());
+
+        content.addEventListener('mousemove', (e) => this.updateHover(e));
+        content.addEventListener('mouseleave', () => {
+            this.hideTooltip();
+            this.setHoveredBookmark(null);
+        });
+
+        content.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            window.zoomBy(Math.exp(-e.deltaY * 0.002));
+        }, { passive: false });
+    }
+
+    // Years the strip spans, null while there are no items
+    getExtent() {
+        if (this.minYear === Infinity || this.maxYear === -Infinity) return null;
+        return { minYear: this.minYear, span: (this.maxYear - this.minYear) || 1 };
+    }
+
+    yearToX(year) {
+        const extent = this.getExtent();
+        return extent ? ((year - extent.minYear) / extent.span) * this.canvas.width : 0;
+    }
+
+    xToYear(x) {
+        const extent = this.getExtent();
+        return extent ? extent.minYear + (x / this.canvas.width) * extent.span : 0;
+    }
+
+    // Mouse position relative to the strip
+    getMousePosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    /**
+     * Gets the years the main view shows
+     * @returns {Object|null} { startYear, endYear }, null before the main view has reported its position
+     */
+    getVisibleSpan() {
+        const state = this.viewState;
+        const timelineContainer = document.getElementById('timeline-container');
+        if (!state || !timelineContainer) return null;
+
+        const width = timelineContainer.getBoundingClientRect().width;
+        const pixelsPerYear = state.pixelsPerSubtick * state.granularity;
+        const yearAt = x => state.focusYear + (x - width / 2 - state.offsetPx) / pixelsPerYear;
+        return { startYear: yearAt(0), endYear: yearAt(width) };
+    }
+
+    // Moves the viewport rectangle to the main view's span
+    updateViewport() {
+        const viewport = document.getElementById('display-viewport');
+        if (!viewport) return;
+
+        const span = this.getVisibleSpan();
+        if (!span || !this.getExtent()) {
+            viewport.style.display = 'none';
+            return;
+        }
+
+        const width = this.canvas.width;
+        const { minViewportWidth } = this.config.sizes;
+        const startX = this.yearToX(span.startYear);
+        const endX = this.yearToX(span.endYear);
+        let left = Math.max(0, Math.min(width, startX));
+        let right = Math.max(0, Math.min(width, endX));
+        if (right - left < minViewportWidth) {
+            // Zoomed far in, or looking past the items: a small rectangle at the nearest point
+            const center = Math.max(minViewportWidth / 2, Math.min(width - minViewportWidth / 2, (startX + endX) / 2));
+            left = center - minViewportWidth / 2;
+            right = center + minViewportWidth / 2;
+        }
+
+        viewport.style.display = 'block';
+        viewport.style.left = `${left}px`;
+        viewport.style.width = `${right - left}px`;
+    }
+
+    /**
+     * Centers the main view on a year
+     * @param {number} year - Year value (year + subtick / granularity)
+     */
+    centerViewOn(year) {
+        const granularity = this.viewState.granularity;
+        let wholeYear = Math.floor(year);
+        let subtick = Math.round((year - wholeYear) * granularity);
+        if (subtick >= granularity) {
+            wholeYear++;
+            subtick = 0;
+        }
+        window.jumpToDate(wholeYear, subtick);
+    }
+
+    startViewportDrag(e) {
+        if (e.button !== 0 || !this.viewState || !this.getExtent()) return;
+        e.preventDefault();
+
+        const { x, y } = this.getMousePosition(e);
+        const bookmark = this.getBookmarkAt(x, y);
+        if (bookmark) {
+            // Jump to the bookmark's year
+            window.jumpToDate(bookmark.year, bookmark.subtick);
+            return;
+        }
+
+        const viewport = document.getElementById('display-viewport');
+        const viewportLeft = viewport.offsetLeft;
+        const viewportWidth = viewport.offsetWidth;
+        let grabOffset = 0;
+        if (x >= viewportLeft && x <= viewportLeft + viewportWidth) {
+            grabOffset = x - (viewportLeft + viewportWidth / 2);
+        } else {
+            this.centerViewOn(this.xToYear(x));
+        }
+
+        this.viewportDrag = { grabOffset };
+        this.hideTooltip();
+        document.getElementById('display-content').classList.add('dragging');
+    }
+
+    updateViewportDrag(e) {
+        const { x } = this.getMousePosition(e);
+        const centerX = Math.max(0, Math.min(this.canvas.width, x - this.viewportDrag.grabOffset));
+        this.centerViewOn(this.xToYear(centerX));
+    }
+
+    endViewportDrag() {
+        if (!this.viewportDrag) return;
+        this.viewportDrag = null;
+        document.getElementById('display-content').classList.remove('dragging');
+    }
+
+    // The bookmark marker under a point of the strip, if any
+    getBookmarkAt(x, y) {
+        const { specialMarkerSize, specialMarkerHeight } = this.config.sizes;
+        const timelineY = this.canvas.height - this.config.spacing.timelinePadding;
+        if (y < timelineY - specialMarkerHeight || y > timelineY) return null;
+
+        return this.timelineItems.find(item => item.type && item.type.toLowerCase() === 'bookmark' &&
+            Math.abs(x - this.calculateItemPosition(item.year)) < specialMarkerSize * 2) || null;
+    }
+
+    setHoveredBookmark(bookmark) {
+        if (bookmark === this.hoveredBookmark) return;
+        this.hoveredBookmark = bookmark;
+        this.canvas.style.cursor = bookmark ? 'pointer' : '';
+        this.isDirty = true;
+    }
+
+    /**
+     * Gets the items in one density segment
+     * @param {number} index - The segment, 0 to densityGraphSegments - 1
+     * @returns {Array<Object>} The items calculateDensity() counts in it, by date
+     */
+    getSegmentItems(index) {
+        const extent = this.getExtent();
+        if (!extent) return [];
+        const segmentWidth = (this.maxYear - this.minYear) / this.config.sizes.densityGraphSegments;
+
+        return this.timelineItems
+            .filter(item => {
+                const { first, last } = this.getItemSegments(item, this.minYear, segmentWidth);
+                return index >= first && index <= last;
+            })
+            .sort((a, b) => (a.year - b.year) || ((a.subtick || 0) - (b.subtick || 0)));
+    }
+
+    updateHover(e) {
+        if (this.viewportDrag) return;
+        const { x, y } = this.getMousePosition(e);
+
+        const bookmark = this.getBookmarkAt(x, y);
+        this.setHoveredBookmark(bookmark);
+        if (bookmark) {
+            // The bookmark draws its own bubble
+            this.hideTooltip();
+            return;
+        }
+
+        const { densityGraphSegments, tooltipMaxItems } = this.config.sizes;
+        const index = Math.max(0, Math.min(densityGraphSegments - 1, Math.floor((x / this.canvas.width) * densityGraphSegments)));
+        const items = this.getSegmentItems(index);
+        if (items.length === 0) {
+            this.hideTooltip();
+            return;
+        }
+
+        const tooltip = document.getElementById('display-tooltip');
+        tooltip.innerHTML = '';
+
+        const segmentStart = this.xToYear((index / densityGraphSegments) * this.canvas.width);
+        const segmentEnd = this.xToYear(((index + 1) / densityGraphSegments) * this.canvas.width);
+        const header = document.createElement('div');
+        header.className = 'display-tooltip-header';
+        header.textContent = `${getYearLabel(Math.floor(segmentStart))} – ${getYearLabel(Math.ceil(segmentEnd))}: ` +
+            `${items.length} item${items.length === 1 ? '' : 's'}`;
+        tooltip.appendChild(header);
+
+        items.slice(0, tooltipMaxItems).forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'display-tooltip-item';
+            row.textContent = `${getYearLabel(item.year)} ${item.title || `Untitled ${item.type || 'item'}`}`;
+            tooltip.appendChild(row);
+        });
+        if (items.length > tooltipMaxItems) {
+            const more = document.createElement('div');
+            more.className = 'display-tooltip-more';
+            more.textContent = `and ${items.length - tooltipMaxItems} more`;
+            tooltip.appendChild(more);
+        }
+
+        tooltip.style.display = 'block';
+        // Keep the tooltip inside the strip, on the side of the mouse with more room
+        const left = x + tooltip.offsetWidth + 12 <= this.canvas.width ? x + 12 : x - tooltip.offsetWidth - 12;
+        tooltip.style.left = `${Math.max(0, left)}px`;
+    }
+
+    hideTooltip() {
+        const tooltip = document.getElementById('display-tooltip');
+        if (tooltip) tooltip.style.display = 'none';
+    }
+
     clear() {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     }
 
     // New method to update timeline items
     updateItems(items) {
-        this.timelineItems = items;
+        this.allItems = items || [];
+        this.timelineItems = TimelineFilter.apply(this.allItems, this.itemFilter);
         this.densityCache = null; // Clear density cache
         this.isDirty = true;
         
@@ -201,6 +467,12 @@ class DisplayRenderer {
         });
     }
 
+    // Shows only the items the timeline's filter bar lets through
+    setItemFilter(filter) {
+        this.itemFilter = filter;
+        this.updateItems(this.allItems);
+    }
+
     // New method to handle UI scale changes
     updateScale(scale) {
         // Update any scale-dependent properties
@@ -229,6 +501,7 @@ class DisplayRenderer {
         this.renderTimelineBase();
         this.renderYearMarkers();
         this.renderCurrentYear();
+        this.updateViewport();
 
         this.isDirty = false;
     }
@@ -271,15 +544,10 @@ class DisplayRenderer {
 
         // Calculate density for each segment
         this.timelineItems.forEach(item => {
-            const startYear = item.year;
-            const endYear = item.end_year || item.year;
-            
-            // Calculate which segments this item spans
-            const startSegment = Math.floor((startYear - minYear) / segmentWidth);
-            const endSegment = Math.ceil((endYear - minYear) / segmentWidth);
+            const { first, last } = this.getItemSegments(item, minYear, segmentWidth);
             
             // Increment density for each affected segment
-            for (let i = Math.max(0, startSegment); i < Math.min(densityGraphSegments, endSegment + 1); i++) {
+            for (let i = first; i <= last; i++) {
                 density[i]++;
             }
         });
@@ -296,6 +564,28 @@ class DisplayRenderer {
         return density;
     }
 
+    /**
+     * Gets the density segments an item counts towards
+     * @param {Object} item - The item
+     * @param {number} minYear - Year at the start of the first segment
+     * @param {number} segmentWidth - Years per segment
+     * @returns {Object} { first, last } segment indexes, last < first when the item is in none
+     */
+    getItemSegments(item, minYear, segmentWidth) {
+        const { densityGraphSegments } = this.config.sizes;
+        const startYear = item.year;
+        const endYear = item.end_year || item.year;
+
+        // Calculate which segments this item spans
+        const startSegment = Math.floor((startYear - minYear) / segmentWidth);
+        const endSegment = Math.ceil((endYear - minYear) / segmentWidth);
+
+        return {
+            first: Math.max(0, startSegment),
+            last: Math.min(densityGraphSegments - 1, endSegment)
+        };
+    }
+
     renderDensityGraph() {
         const density = this.calculateDensity();
         const { densityGraphHeight } = this.config.sizes;
@@ -523,60 +813,6 @@ class DisplayRenderer {
         const { bookmark, startMarker, endMarker } = this.config.colors;
         const timelineY = this.canvas.height - this.config.spacing.timelinePadding;
 
-        // Add mouse move handler for hover effects
-        this.canvas.addEventListener('mousemove', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-
-            // Check if mouse is over any bookmark
-            let isOverBookmark = false;
-            let hoveredBookmark = null;
-            this.timelineItems.forEach(item => {
-                if (item.type && item.type.toLowerCase() === 'bookmark') {
-                    const itemX = this.calculateItemPosition(item.year);
-                    const distance = Math.abs(x - itemX);
-                    if (distance < specialMarkerSize * 2 && 
-                        y >= timelineY - specialMarkerHeight && 
-                        y <= timelineY) {
-                        isOverBookmark = true;
-                        hoveredBookmark = item;
-                        this.canvas.style.cursor = 'pointer';
-                        return;
-                    }
-                }
-            });
-
-            if (!isOverBookmark) {
-                this.canvas.style.cursor = 'default';
-            }
-
-            // Store the hovered bookmark for rendering
-            this.hoveredBookmark = hoveredBookmark;
-            this.isDirty = true;
-        });
-
-        // Add click handler for bookmarks
-        this.canvas.addEventListener('click', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-
-            this.timelineItems.forEach(item => {
-                if (item.type && item.type.toLowerCase() === 'bookmark') {
-                    const itemX = this.calculateItemPosition(item.year);
-                    const distance = Math.abs(x - itemX);
-                    if (distance < specialMarkerSize * 2 && 
-                        y >= timelineY - specialMarkerHeight && 
-                        y <= timelineY) {
-                        // Jump to the bookmark's year
-                        window.jumpToDate(item.year, item.subtick);
-                        return;
-                    }
-                }
-            });
-        });
-
         this.timelineItems.forEach(item => {
             if (!item.type) return;
 
@@ -654,7 +890,7 @@ class DisplayRenderer {
 
             // Calculate text dimensions
             const title = this.hoveredBookmark.title || 'Untitled Bookmark';
-            const year = Math.round(this.hoveredBookmark.year).toString();
+            const year = getYearLabel(Math.round(this.hoveredBookmark.year));
             const titleWidth = this.ctx.measureText(title).width;
             const yearWidth = this.ctx.measureText(year).width;
             const bubbleWidth = Math.max(titleWidth, yearWidth) + bubblePadding * 2;
@@ -751,7 +987,7 @@ class DisplayRenderer {
                 this.ctx.fillStyle = yearLabel;
                 
                 // Calculate label width for positioning
-                const yearText = Math.round(year).toString();
+                const yearText = getYearLabel(Math.round(year));
                 const labelWidth = this.ctx.measureText(yearText).width;
                 
                 // Adjust position for first and last labels
@@ -790,7 +1026,7 @@ class DisplayRenderer {
         this.ctx.fillStyle = this.config.colors.currentYearLabel;
         this.ctx.textAlign = 'center';
         this.ctx.fillText(
-            Math.round(centerYear).toString(),
+            getYearLabel(Math.round(centerYear)),
             centerX,
             timelineY - this.config.sizes.currentYearPadding
         );
@@ -1,7 +1,9 @@
 // Export functionality for Story Timeline
 class Exporter {
     constructor() {
-        // Initialize any required properties
+        // Set for each export from the timeline being exported
+        this.calendar = null;
+        this.granularity = 4;
     }
 
     /**
@@ -53,6 +55,10 @@ class Exporter {
                 currentTimeline = timelineData;
             }
             
+            // Dates are written with the timeline's calendar, if it has one
+            this.calendar = Calendar.fromDefinition(currentTimeline.calendar);
+            this.granularity = currentTimeline.granularity || 4;
+            
             if (!items) {
                 throw new Error('Items data is undefined');
             }
@@ -576,9 +582,20 @@ class Exporter {
     /**
      * Formats a date range for periods and ages
      * @param {Object} item - Item with start and end dates
-     * @returns {string} Formatted date range
+     * @returns {string} Formatted date range, marked when approximate, e.g. "c. 1200–1250"
      */
     formatDateRange(item) {
+        return DateUncertainty.formatLabel(item, this.formatExactDateRange(item), (year, subtick) => this.formatApproximateDate(year, subtick));
+    }
+
+    // The range as it is printed when it is exact
+    formatExactDateRange(item) {
+        if (this.calendar) {
+            const hasEnd = item.end_year !== null && item.end_year !== undefined;
+            return this.calendar.formatDateRange(item.year, item.subtick || 0,
+                hasEnd ? item.end_year : null, item.end_subtick || 0, this.granularity);
+        }
+
         const start = `${item.year}.${(item.subtick || 0).toString().padStart(2, '0')}`;
         
         if (item.end_year && (item.end_year !== item.year || item.end_subtick !== item.subtick)) {
@@ -592,10 +609,27 @@ class Exporter {
     /**
      * Formats a single date
      * @param {Object} item - Item with date
-     * @returns {string} Formatted date
+     * @returns {string} Formatted date, marked when approximate, e.g. "c. 1200" or "340–360?"
      */
     formatDate(item) {
-        return `${item.year}.${(item.subtick || 0).toString().padStart(2, '0')}`;
+        let exactDate = `${item.year}.${(item.subtick || 0).toString().padStart(2, '0')}`;
+        if (this.calendar) {
+            exactDate = this.calendar.formatDate(item.year, item.subtick || 0, this.granularity);
+        }
+        return DateUncertainty.formatLabel(item, exactDate, (year, subtick) => this.formatApproximateDate(year, subtick));
+    }
+
+    /**
+     * Formats a circa date or an uncertainty bound
+     * @param {number} year - The year
+     * @param {number} subtick - The subtick; 0 prints just the year, e.g. "c. 1200"
+     * @returns {string} Formatted date
+     */
+    formatApproximateDate(year, subtick) {
+        if (this.calendar) {
+            return subtick ? this.calendar.formatDate(year, subtick, this.granularity) : this.calendar.formatYear(year);
+        }
+        return subtick ? `${year}.${subtick.toString().padStart(2, '0')}` : `${year}`;
     }
 }
 
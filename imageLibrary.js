@@ -3,6 +3,15 @@
  * 
  * This component provides functionality for browsing and selecting existing images
  * from the current timeline's media collection.
+ *
+ * Find duplicates lists the pictures that are the same file or look alike (see the
+ * Duplicate Pictures section of dbManager.js); merging a group keeps one picture and
+ * points the items of the others at it.
+ *
+ * Pictures can be tagged, renamed and described in place (the pencil on each tile), and
+ * put in named collections of the timeline (see the Picture Library section of dbManager.js).
+ * The list can be narrowed to used, unused or broken pictures, one tag or one collection,
+ * and sorted by name, date, size or usage.
  */
 
 class ImageLibrary {
@@ -16,6 +25,16 @@ class ImageLibrary {
         this.modal = null;
         this.selectedImages = new Set();
         this.multiSelectMode = false;
+        this.duplicateGroups = null;
+        this.collections = [];
+        this.statusFilter = 'all';
+        this.tagFilter = '';
+        this.collectionFilter = '';
+        this.sortOrder = 'name';
+        this.editingImageId = null;
+        this.collectionEdit = null;
+        // Pictures whose file failed to load, on top of the ones main reports missing
+        this.brokenImages = new Set();
         this.init();
     }
 
@@ -36,10 +55,42 @@ class ImageLibrary {
                     
                     <div class="image-library-search">
                         <input type="text" id="imageLibrarySearch" placeholder="Search images..." />
+                        <button class="btn-find-duplicates" id="findDuplicates" title="Find pictures that are the same or look alike">Find duplicates</button>
                         <div class="image-library-stats">
                             <span id="imageCount">0 images</span>
                         </div>
                     </div>
+
+                    <div class="image-library-filters">
+                        <select id="imageLibraryStatus" title="Which images to show">
+                            <option value="all">All images</option>
+                            <option value="used">Used</option>
+                            <option value="orphaned">Unused</option>
+                            <option value="broken">Broken</option>
+                        </select>
+                        <select id="imageLibraryTag" title="Only images with this tag">
+                            <option value="">All tags</option>
+                        </select>
+                        <select id="imageLibraryCollection" title="Only images in this collection">
+                            <option value="">All collections</option>
+                        </select>
+                        <input type="text" id="collectionNameInput" class="collection-name-input hidden" placeholder="Collection name" />
+                        <button class="btn-collection" id="newCollection" title="New collection"><i class="ri-folder-add-line"></i></button>
+                        <button class="btn-collection hidden" id="renameCollection" title="Rename this collection"><i class="ri-edit-line"></i></button>
+                        <button class="btn-collection hidden" id="deleteCollection" title="Delete this collection (its images stay)"><i class="ri-delete-bin-line"></i></button>
+                        <span class="image-library-filters-spacer"></span>
+                        <label for="imageLibrarySort">Sort</label>
+                        <select id="imageLibrarySort">
+                            <option value="name">Name</option>
+                            <option value="date-desc">Newest first</option>
+                            <option value="date-asc">Oldest first</option>
+                            <option value="size-desc">Largest first</option>
+                            <option value="size-asc">Smallest first</option>
+                            <option value="usage-desc">Most used</option>
+                            <option value="usage-asc">Least used</option>
+                        </select>
+                    </div>
+                    <datalist id="imageLibraryTagList"></datalist>
                     
                     <div class="image-library-grid" id="imageLibraryGrid">
                         <!-- Images will be populated here -->
@@ -49,6 +100,12 @@ class ImageLibrary {
                         <div class="footer-left">
                             <div class="selection-info" id="selectionInfo"></div>
                             <button class="btn-add-selected" id="addSelectedImages">Add Selected Images</button>
+                            <span class="collection-actions" id="collectionActions">
+                                <select id="addToCollection">
+                                    <option value="">Add to collection...</option>
+                                </select>
+                                <button class="btn-secondary hidden" id="removeFromCollection">Remove from collection</button>
+                            </span>
                         </div>
                         <div class="footer-right">
                             <button class="btn-secondary" id="cancelImageSelect">Cancel</button>
@@ -79,11 +136,67 @@ class ImageLibrary {
             this.addSelectedImages();
         });
 
+        // Find duplicates button, which turns into the way back to all images
+        document.getElementById('findDuplicates').addEventListener('click', () => {
+            if (this.duplicateGroups) {
+                this.showAllImages();
+            } else {
+                this.showDuplicates();
+            }
+        });
+
         // Search functionality
         document.getElementById('imageLibrarySearch').addEventListener('input', (e) => {
             this.searchQuery = e.target.value.toLowerCase();
-            this.filterImages();
-            this.renderImages();
+            this.showAllImages();
+        });
+
+        // Filters and sorting
+        document.getElementById('imageLibraryStatus').addEventListener('change', (e) => {
+            this.statusFilter = e.target.value;
+            this.showAllImages();
+        });
+        document.getElementById('imageLibraryTag').addEventListener('change', (e) => {
+            this.setTagFilter(e.target.value);
+        });
+        document.getElementById('imageLibraryCollection').addEventListener('change', (e) => {
+            this.collectionFilter = e.target.value;
+            this.updateCollectionButtons();
+            this.updateSelectionInfo();
+            this.showAllImages();
+        });
+        document.getElementById('imageLibrarySort').addEventListener('change', (e) => {
+            this.sortOrder = e.target.value;
+            this.showAllImages();
+        });
+
+        // Collections
+        document.getElementById('newCollection').addEventListener('click', () => {
+            this.startCollectionEdit('new');
+        });
+        document.getElementById('renameCollection').addEventListener('click', () => {
+            this.startCollectionEdit('rename');
+        });
+        document.getElementById('deleteCollection').addEventListener('click', () => {
+            this.deleteCollection();
+        });
+        const collectionNameInput = document.getElementById('collectionNameInput');
+        collectionNameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.saveCollectionEdit();
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.endCollectionEdit();
+            }
+        });
+        collectionNameInput.addEventListener('blur', () => this.endCollectionEdit());
+        document.getElementById('addToCollection').addEventListener('change', (e) => {
+            const collectionId = e.target.value;
+            e.target.value = '';
+            if (collectionId) this.addSelectedToCollection(collectionId);
+        });
+        document.getElementById('removeFromCollection').addEventListener('click', () => {
+            this.removeSelectedFromCollection();
         });
 
         // Close on outside click
@@ -96,7 +209,10 @@ class ImageLibrary {
         // Listen for API responses
         window.api.receive('media', (media) => {
             this.images = media || [];
+            this.renderTagOptions();
             this.filterImages();
+            // The duplicates list stays up until the user goes back
+            if (this.duplicateGroups) return;
             this.renderImages();
             this.updateStats();
         });
@@ -114,8 +230,9 @@ class ImageLibrary {
         // Get current timeline ID
         this.currentTimeline = await window.api.getCurrentTimelineId();
         
-        // Load images for current timeline
-        window.api.send('getAllMedia');
+        // Load images and collections for current timeline
+        this.editingImageId = null;
+        this.refresh();
         
         // Show modal
         this.modal.classList.remove('hidden');
@@ -132,6 +249,8 @@ class ImageLibrary {
         this.onMultiImageSelect = null;
         this.selectedImages.clear();
         this.multiSelectMode = false;
+        this.editingImageId = null;
+        this.setDuplicatesMode(false);
         
         // Clear search
         document.getElementById('imageLibrarySearch').value = '';
@@ -139,6 +258,20 @@ class ImageLibrary {
         this.updateSelectionInfo();
     }
 
+    // Asks main for the images (broken ones included) and the collections
+    refresh() {
+        window.api.send('getAllMedia', { includeMissing: true, includeUnused: true });
+        this.loadCollections();
+    }
+
+    isBroken(image) {
+        return !!image.file_missing || this.brokenImages.has(image.id);
+    }
+
+    hasFilters() {
+        return !!(this.searchQuery || this.statusFilter !== 'all' || this.tagFilter || this.collectionFilter);
+    }
+
     filterImages() {
         this.filteredImages = this.images.filter(image => {
             // Filter by search query
@@ -146,16 +279,70 @@ class ImageLibrary {
                 const searchText = [
                     image.title || '',
                     image.description || '',
-                    image.file_name || ''
+                    image.file_name || '',
+                    ...(image.tags || [])
                 ].join(' ').toLowerCase();
                 
                 if (!searchText.includes(this.searchQuery)) {
                     return false;
                 }
             }
+
+            // Filter by status
+            if (this.statusFilter === 'used' && !image.usage_count) return false;
+            if (this.statusFilter === 'orphaned' && image.usage_count) return false;
+            if (this.statusFilter === 'broken' && !this.isBroken(image)) return false;
+
+            // Filter by tag and collection
+            if (this.tagFilter && !(image.tags || []).includes(this.tagFilter)) return false;
+            if (this.collectionFilter && !(image.collection_ids || []).includes(Number(this.collectionFilter))) return false;
             
             return true;
         });
+        this.sortImages();
+    }
+
+    sortImages() {
+        const [field, direction] = this.sortOrder.split('-');
+        const name = image => String(image.title || image.file_name || '').toLowerCase();
+        const value = {
+            date: image => String(image.created_at || ''),
+            size: image => image.file_size || 0,
+            usage: image => image.usage_count || 0
+        }[field];
+
+        this.filteredImages.sort((a, b) => {
+            if (value) {
+                const compared = value(a) < value(b) ? -1 : value(a) > value(b) ? 1 : 0;
+                if (compared !== 0) return direction === 'desc' ? -compared : compared;
+            }
+            return name(a).localeCompare(name(b));
+        });
+    }
+
+    // Lists the tags of the loaded images in the tag filter and the editor's suggestions
+    renderTagOptions() {
+        const tags = Array.from(new Set(this.images.flatMap(image => image.tags || []))).sort((a, b) => a.localeCompare(b));
+        if (this.tagFilter && !tags.includes(this.tagFilter)) this.tagFilter = '';
+
+        const select = document.getElementById('imageLibraryTag');
+        select.innerHTML = '<option value="">All tags</option>' +
+            tags.map(tag => `<option value="${this.escapeHtml(tag)}">${this.escapeHtml(tag)}</option>`).join('');
+        select.value = this.tagFilter;
+        document.getElementById('imageLibraryTagList').innerHTML =
+            tags.map(tag => `<option value="${this.escapeHtml(tag)}">`).join('');
+    }
+
+    setTagFilter(tag) {
+        this.tagFilter = tag || '';
+        document.getElementById('imageLibraryTag').value = this.tagFilter;
+        this.showAllImages();
+    }
+
+    // Called when a tile's image fails to load even at full size
+    markBroken(imageId, img) {
+        this.brokenImages.add(imageId);
+        img.parentElement.classList.add('broken-image');
     }
 
     renderImages() {
@@ -165,7 +352,7 @@ class ImageLibrary {
             grid.innerHTML = `
                 <div class="no-images">
                     <p>No images found</p>
-                    ${this.searchQuery ? '<p>Try adjusting your search terms</p>' : '<p>Add some images to your timeline to see them here</p>'}
+                    ${this.hasFilters() ? '<p>Try adjusting your search terms or filters</p>' : '<p>Add some images to your timeline to see them here</p>'}
                 </div>
             `;
             return;
@@ -173,37 +360,248 @@ class ImageLibrary {
 
         grid.innerHTML = this.filteredImages.map(image => {
             const isOrphaned = !image.linked_items;
+            const isBroken = this.isBroken(image);
             const fileSize = this.formatFileSize(image.file_size);
             const dimensions = image.width && image.height ? `${image.width}×${image.height}` : '';
             const isSelected = this.selectedImages.has(image.id);
+            const title = this.escapeHtml(image.title || image.file_name);
             
             return `
                 <div onclick="document.getElementById('image-checkbox-${image.id}').checked = !document.getElementById('image-checkbox-${image.id}').checked; imageLibrary.toggleImageSelection(${image.id}, document.getElementById('image-checkbox-${image.id}').checked)" class="image-library-item ${isOrphaned ? 'orphaned' : ''} ${isSelected ? 'selected' : ''}" data-image-id="${image.id}">
-                    <div class="image-thumbnail">
+                    <div class="image-thumbnail ${image.file_missing ? 'broken-image' : ''}">
                         <input type="checkbox" id="image-checkbox-${image.id}" class="image-checkbox" ${isSelected ? 'checked' : ''} 
                                onchange="imageLibrary.toggleImageSelection(${image.id}, this.checked)">
+                        <button class="edit-details-btn" onclick="event.stopPropagation(); imageLibrary.editImage(${image.id})" title="Edit title, description and tags">
+                            <i class="ri-edit-line"></i>
+                        </button>
                         
-                        <img src="file://${image.file_path}" alt="${image.title || image.file_name}" 
-                             onerror="this.parentElement.classList.add('broken-image')">
+                        ${image.file_missing ? '' : `<img ${Thumbnails.getImgAttributes(image, 'medium')} alt="${title}" 
+                             onerror="Thumbnails.handleError(this) || imageLibrary.markBroken(${image.id}, this)">`}
                     </div>
+                    ${this.editingImageId === image.id ? this.renderEditor(image) : `
                     <div class="image-info">
-                        <div class="image-title">${image.title || image.file_name}</div>
+                        <div class="image-title">${title}</div>
                         <div class="image-details">
                             ${dimensions ? `<span class="dimensions">${dimensions}</span>` : ''}
                             <span class="file-size">${fileSize}</span>
                         </div>
-                        ${image.description ? `<div class="image-description">${image.description}</div>` : ''}
+                        ${image.description ? `<div class="image-description">${this.escapeHtml(image.description)}</div>` : ''}
+                        ${(image.tags || []).length > 0 ? `<div class="image-tags">${image.tags.map(tag => `
+                            <span class="image-tag" data-tag="${this.escapeHtml(tag)}" onclick="event.stopPropagation(); imageLibrary.setTagFilter(this.dataset.tag)" title="Show images tagged ${this.escapeHtml(tag)}">${this.escapeHtml(tag)}</span>`).join('')}
+                        </div>` : ''}
+                        ${isBroken ? '<div class="broken-label">Broken</div>' : ''}
                         ${isOrphaned ? '<div class="orphaned-label">Unused</div>' : ''}
                         <button class="quick-select-btn" onclick="imageLibrary.selectImage(${image.id})" title="Select this image">
                             <i class="ri-check-line"></i>
                         </button>
                         ${image.usage_count > 0 ? `<div class="usage-info">Used in ${image.usage_count} item${image.usage_count !== 1 ? 's' : ''}</div>` : ''}
-                    </div>
+                    </div>`}
                 </div>
             `;
         }).join('');
     }
 
+    // ===== Editing =====
+
+    renderEditor(image) {
+        return `
+            <div class="image-editor" onclick="event.stopPropagation()"
+                 onkeydown="if (event.key === 'Escape') { event.stopPropagation(); imageLibrary.cancelEdit(); }">
+                <input type="text" class="image-edit-title" value="${this.escapeHtml(image.title || '')}" placeholder="Title"
+                       onkeydown="if (event.key === 'Enter') imageLibrary.saveImageDetails(${image.id})">
+                <textarea class="image-edit-description" rows="2" placeholder="Description">${this.escapeHtml(image.description || '')}</textarea>
+                <input type="text" class="image-edit-tags" value="${this.escapeHtml((image.tags || []).join(', '))}" placeholder="tag, another tag"
+                       list="imageLibraryTagList" onkeydown="if (event.key === 'Enter') imageLibrary.saveImageDetails(${image.id})">
+                <div class="image-edit-buttons">
+                    <button class="btn-primary" onclick="imageLibrary.saveImageDetails(${image.id})">Save</button>
+                    <button class="btn-secondary" onclick="imageLibrary.cancelEdit()">Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+
+    editImage(imageId) {
+        this.editingImageId = imageId;
+        this.renderImages();
+        const title = document.querySelector(`[data-image-id="${imageId}"] .image-edit-title`);
+        if (title) title.focus();
+    }
+
+    cancelEdit() {
+        this.editingImageId = null;
+        this.renderImages();
+    }
+
+    /**
+     * Saves the title, description and tags typed in a tile's editor
+     * @param {number} imageId - The picture being edited
+     *
+     * Possible errors:
+     * - The update fails in the main process; the error is shown and the editor stays open
+     */
+    async saveImageDetails(imageId) {
+        const editor = document.querySelector(`[data-image-id="${imageId}"] .image-editor`);
+        if (!editor) return;
+        const details = {
+            title: editor.querySelector('.image-edit-title').value.trim(),
+            description: editor.querySelector('.image-edit-description').value.trim(),
+            tags: editor.querySelector('.image-edit-tags').value.split(',').map(tag => tag.trim()).filter(Boolean)
+        };
+
+        try {
+            const result = await window.api.invoke('update-picture-details', imageId, details);
+            if (!result || !result.success) throw new Error(result ? result.error : 'No response');
+            const image = this.images.find(img => img.id === imageId);
+            if (image) {
+                Object.assign(image, {
+                    title: result.picture.title,
+                    description: result.picture.description,
+                    tags: result.picture.tags
+                });
+            }
+            this.editingImageId = null;
+            this.renderTagOptions();
+            this.showAllImages();
+        } catch (error) {
+            console.error('[imageLibrary.js] Error saving image details:', error);
+            alert(`Could not save the image: ${error.message}`);
+        }
+    }
+
+    // ===== Collections =====
+
+    /**
+     * Loads the current timeline's collections into the filter and the footer
+     *
+     * Possible errors:
+     * - The collections fail to load; the library works without them
+     */
+    async loadCollections() {
+        try {
+            const result = await window.api.invoke('get-picture-collections');
+            if (!result || !result.success) throw new Error(result ? result.error : 'No response');
+            this.collections = result.collections;
+        } catch (error) {
+            console.error('[imageLibrary.js] Error loading collections:', error);
+            this.collections = [];
+        }
+
+        if (this.collectionFilter && !this.collections.some(collection => String(collection.id) === this.collectionFilter)) {
+            this.collectionFilter = '';
+        }
+        const options = this.collections.map(collection =>
+            `<option value="${collection.id}">${this.escapeHtml(collection.name)} (${collection.picture_count})</option>`).join('');
+        const filter = document.getElementById('imageLibraryCollection');
+        filter.innerHTML = '<option value="">All collections</option>' + options;
+        filter.value = this.collectionFilter;
+        document.getElementById('addToCollection').innerHTML = '<option value="">Add to collection...</option>' + options;
+        this.updateCollectionButtons();
+        this.updateSelectionInfo();
+    }
+
+    getCollection(collectionId) {
+        return this.collections.find(collection => String(collection.id) === String(collectionId));
+    }
+
+    updateCollectionButtons() {
+        const editing = !!this.collectionEdit;
+        document.getElementById('imageLibraryCollection').classList.toggle('hidden', editing);
+        document.getElementById('collectionNameInput').classList.toggle('hidden', !editing);
+        document.getElementById('newCollection').classList.toggle('hidden', editing);
+        document.getElementById('renameCollection').classList.toggle('hidden', editing || !this.collectionFilter);
+        document.getElementById('deleteCollection').classList.toggle('hidden', editing || !this.collectionFilter);
+    }
+
+    /**
+     * Shows the name input in place of the collection filter
+     * @param {string} mode - 'new' or 'rename' (the collection being shown)
+     */
+    startCollectionEdit(mode) {
+        const collection = mode === 'rename' ? this.getCollection(this.collectionFilter) : null;
+        if (mode === 'rename' && !collection) return;
+        this.collectionEdit = { mode, collection };
+        this.updateCollectionButtons();
+        const input = document.getElementById('collectionNameInput');
+        input.value = collection ? collection.name : '';
+        input.focus();
+        input.select();
+    }
+
+    endCollectionEdit() {
+        // An error shown while saving takes the focus; the input stays open for another try
+        if (!this.collectionEdit || this.collectionEdit.saving) return;
+        this.collectionEdit = null;
+        this.updateCollectionButtons();
+    }
+
+    /**
+     * Saves the name typed for a new or renamed collection
+     *
+     * Possible errors:
+     * - Empty or duplicate name; the error is shown and the input stays open
+     */
+    async saveCollectionEdit() {
+        const edit = this.collectionEdit;
+        if (!edit || edit.saving) return;
+        const name = document.getElementById('collectionNameInput').value;
+        edit.saving = true;
+
+        try {
+            const collection = edit.collection ? { id: edit.collection.id, name } : { name };
+            const result = await window.api.invoke('save-picture-collection', collection);
+            if (!result || !result.success) throw new Error(result ? result.error : 'No response');
+            this.collectionEdit = null;
+            this.collectionFilter = String(result.collection.id);
+            await this.loadCollections();
+            this.showAllImages();
+        } catch (error) {
+            console.error('[imageLibrary.js] Error saving collection:', error);
+            alert(`Could not save the collection: ${error.message}`);
+            edit.saving = false;
+            document.getElementById('collectionNameInput').focus();
+        }
+    }
+
+    async deleteCollection() {
+        const collection = this.getCollection(this.collectionFilter);
+        if (!collection) return;
+        if (!confirm(`Delete the collection "${collection.name}"? Its images stay in the library while items use them.`)) return;
+
+        try {
+            const result = await window.api.invoke('remove-picture-collection', collection.id);
+            if (!result || !result.success) throw new Error(result ? result.error : 'Collection not found');
+            this.collectionFilter = '';
+            this.refresh();
+        } catch (error) {
+            console.error('[imageLibrary.js] Error deleting collection:', error);
+            alert(`Could not delete the collection: ${error.message}`);
+        }
+    }
+
+    async addSelectedToCollection(collectionId) {
+        try {
+            const result = await window.api.invoke('add-pictures-to-collection', Number(collectionId), Array.from(this.selectedImages));
+            if (!result || !result.success) throw new Error(result ? result.error : 'No response');
+            this.refresh();
+        } catch (error) {
+            console.error('[imageLibrary.js] Error adding images to collection:', error);
+            alert(`Could not add the images to the collection: ${error.message}`);
+        }
+    }
+
+    async removeSelectedFromCollection() {
+        if (!this.collectionFilter) return;
+        try {
+            const result = await window.api.invoke('remove-pictures-from-collection', Number(this.collectionFilter), Array.from(this.selectedImages));
+            if (!result || !result.success) throw new Error(result ? result.error : 'No response');
+            this.selectedImages.clear();
+            this.refresh();
+        } catch (error) {
+            console.error('[imageLibrary.js] Error removing images from collection:', error);
+            alert(`Could not remove the images from the collection: ${error.message}`);
+        }
+    }
+
     toggleImageSelection(imageId, isSelected) {
         if (isSelected) {
             this.selectedImages.add(imageId);
@@ -231,6 +629,11 @@ class ImageLibrary {
             selectionInfo.textContent = '';
             addButton.classList.remove('visible');
         }
+
+        const collectionActions = document.getElementById('collectionActions');
+        collectionActions.classList.toggle('visible', this.selectedImages.size > 0);
+        document.getElementById('addToCollection').classList.toggle('hidden', this.collections.length === 0);
+        document.getElementById('removeFromCollection').classList.toggle('hidden', !this.collectionFilter);
     }
 
     selectImage(imageId) {
@@ -258,13 +661,135 @@ class ImageLibrary {
     updateStats() {
         const count = this.filteredImages.length;
         const total = this.images.length;
-        const countText = this.searchQuery && count !== total 
+        const countText = this.hasFilters() && count !== total 
             ? `${count} of ${total} images` 
             : `${total} image${total !== 1 ? 's' : ''}`;
         
         document.getElementById('imageCount').textContent = countText;
     }
 
+    // ===== Duplicates =====
+
+    setDuplicatesMode(groups) {
+        this.duplicateGroups = groups || null;
+        const button = document.getElementById('findDuplicates');
+        button.textContent = this.duplicateGroups ? 'Back to all images' : 'Find duplicates';
+        document.getElementById('imageLibraryGrid').classList.toggle('duplicates', !!this.duplicateGroups);
+    }
+
+    showAllImages() {
+        this.setDuplicatesMode(false);
+        this.filterImages();
+        this.renderImages();
+        this.updateStats();
+    }
+
+    /**
+     * Looks for duplicate pictures and lists them in place of the images
+     *
+     * Possible errors:
+     * - The search fails in the main process; the error is shown in the grid
+     */
+    async showDuplicates() {
+        const grid = document.getElementById('imageLibraryGrid');
+        this.setDuplicatesMode([]);
+        grid.innerHTML = '<div class="no-images"><p>Looking for duplicates...</p></div>';
+
+        try {
+            const result = await window.api.invoke('find-duplicate-pictures');
+            if (!result || !result.success) throw new Error(result ? result.error : 'No response');
+            // The user may have gone back while the search ran
+            if (!this.duplicateGroups) return;
+            this.setDuplicatesMode(result.groups);
+            this.renderDuplicates();
+        } catch (error) {
+            console.error('[imageLibrary.js] Error finding duplicates:', error);
+            grid.innerHTML = `<div class="no-images"><p>Could not look for duplicates</p><p>${this.escapeHtml(error.message)}</p></div>`;
+        }
+    }
+
+    renderDuplicates() {
+        const grid = document.getElementById('imageLibraryGrid');
+        const groups = this.duplicateGroups || [];
+        const pictureCount = groups.reduce((total, group) => total + group.pictures.length, 0);
+        document.getElementById('imageCount').textContent =
+            `${groups.length} group${groups.length !== 1 ? 's' : ''}, ${pictureCount} images`;
+
+        if (groups.length === 0) {
+            grid.innerHTML = `
+                <div class="no-images">
+                    <p>No duplicates found</p>
+                    <p>Every image in this timeline is different</p>
+                </div>
+            `;
+            return;
+        }
+
+        grid.innerHTML = groups.map((group, index) => `
+            <div class="duplicate-group" data-group-index="${index}">
+                <div class="duplicate-group-header">
+                    <span>${group.exact ? 'Identical files' : 'Images that look alike'} (${group.pictures.length})</span>
+                    <button class="btn-primary" onclick="imageLibrary.mergeDuplicateGroup(${index})" title="Keep the chosen image and use it in every item that shows one of the others">Merge</button>
+                </div>
+                <div class="duplicate-group-pictures">
+                    ${group.pictures.map((picture, pictureIndex) => {
+                        const title = this.escapeHtml(picture.title || picture.file_name);
+                        const dimensions = picture.width && picture.height ? `${picture.width}×${picture.height}` : '';
+                        return `
+                            <label class="duplicate-picture">
+                                <div class="image-thumbnail">
+                                    <img ${Thumbnails.getImgAttributes(picture, 'medium')} alt="${title}"
+                                         onerror="Thumbnails.handleError(this) || this.parentElement.classList.add('broken-image')">
+                                </div>
+                                <div class="image-info">
+                                    <div class="image-title">${title}</div>
+                                    <div class="image-details">
+                                        ${dimensions ? `<span class="dimensions">${dimensions}</span>` : ''}
+                                        <span class="file-size">${this.formatFileSize(picture.file_size)}</span>
+                                    </div>
+                                    <div class="usage-info">Used in ${picture.usage_count || 0} item${picture.usage_count !== 1 ? 's' : ''}</div>
+                                    <span class="duplicate-keep">
+                                        <input type="radio" name="duplicate-keep-${index}" value="${picture.id}" ${pictureIndex === 0 ? 'checked' : ''}> Keep
+                                    </span>
+                                </div>
+                            </label>
+                        `;
+                    }).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Merges one group of duplicates into the picture chosen to keep
+     * @param {number} index - The group's index in duplicateGroups
+     *
+     * Possible errors:
+     * - The merge fails in the main process; the error is shown and the group is kept
+     */
+    async mergeDuplicateGroup(index) {
+        const group = this.duplicateGroups && this.duplicateGroups[index];
+        if (!group) return;
+        const checked = document.querySelector(`input[name="duplicate-keep-${index}"]:checked`);
+        const keepId = checked ? Number(checked.value) : group.pictures[0].id;
+        const duplicateIds = group.pictures.map(picture => picture.id).filter(id => id !== keepId);
+        if (!confirm(`Replace ${duplicateIds.length} image${duplicateIds.length !== 1 ? 's' : ''} with the one you chose to keep? Items that show them will show it instead, and the others go to the trash.`)) return;
+
+        try {
+            const result = await window.api.invoke('merge-duplicate-pictures', keepId, duplicateIds);
+            if (!result || !result.success) throw new Error(result ? result.error : 'No response');
+            this.refresh();
+            await this.showDuplicates();
+        } catch (error) {
+            console.error('[imageLibrary.js] Error merging duplicates:', error);
+            alert(`Could not merge the images: ${error.message}`);
+        }
+    }
+
+    escapeHtml(text) {
+        return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
     formatFileSize(bytes) {
         if (!bytes) return '0 B';
         
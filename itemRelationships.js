@@ -0,0 +1,74 @@
+/**
+ * Item Relationships Module
+ *
+ * Explicit, typed links from one item to another ("The siege causes The famine").
+ * Shared by the main process (require) and the renderer windows (<script>, as
+ * window.ItemRelationships).
+ *
+ * How it works:
+ * - A relationship is directed: it belongs to its source item and points at a target item
+ * - type is one of the keys of TYPES; label reads from the source, inverse from the target
+ * - The timeline draws each relationship as an arc in its type's color
+ *
+ * Relationship (as items carry them):
+ * {
+ *   type: 'causes',
+ *   target_id: '1b9d...'   // the target item's id
+ * }
+ */
+
+class ItemRelationships {
+    static TYPES = {
+        causes: { label: 'Causes', inverse: 'Caused by', color: '#c0392b' },
+        leads_to: { label: 'Leads to', inverse: 'Follows from', color: '#2e7d32' },
+        contradicts: { label: 'Contradicts', inverse: 'Contradicted by', color: '#8e44ad' },
+        flashback_of: { label: 'Flashback of', inverse: 'Has flashback', color: '#1f6fb2' },
+        part_of: { label: 'Part of', inverse: 'Contains', color: '#7a5c4c' }
+    };
+
+    static isValidType(type) {
+        return Object.prototype.hasOwnProperty.call(ItemRelationships.TYPES, type);
+    }
+
+    /**
+     * Cleans up an item's relationships for storage
+     * @param {Array<Object>} relationships - { type, target_id } (target_item_id is accepted too)
+     * @param {string} itemId - The source item, links to itself are dropped
+     * @returns {Array<Object>} { type, target_id } with unknown types and duplicates left out
+     */
+    static normalize(relationships, itemId = null) {
+        const seen = new Set();
+        const result = [];
+        for (const relationship of relationships || []) {
+            if (!relationship) continue;
+            const type = relationship.type;
+            const targetId = relationship.target_id ?? relationship.target_item_id;
+            if (!ItemRelationships.isValidType(type) || !targetId || targetId === itemId) continue;
+
+            const key = `${type}:${targetId}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            result.push({ type, target_id: targetId });
+        }
+        return result;
+    }
+
+    static getLabel(type) {
+        return ItemRelationships.TYPES[type]?.label || type;
+    }
+
+    static getInverseLabel(type) {
+        return ItemRelationships.TYPES[type]?.inverse || type;
+    }
+
+    static getColor(type) {
+        return ItemRelationships.TYPES[type]?.color || '#4b2e2e';
+    }
+}
+
+// Shared by the main process and the renderer windows
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ItemRelationships;
+} else {
+    window.ItemRelationships = ItemRelationships;
+}
@@ -29,8 +29,26 @@
  * - 'addTimelineItem': Handles adding new timeline items
  * - 'updateTimelineItem': Handles updating existing timeline items
  * - 'removeItem': Handles removing timeline items
- * - 'import-timeline-data': Handles importing timeline data from JSON
- * - 'export-timeline-data': Handles exporting timeline data to JSON
+ * - 'import-timeline-data': Handles importing timeline data from JSON (versioned or legacy format)
+ * - 'export-timeline-data': Handles exporting the current timeline to versioned JSON (see EXPORT_FORMAT.md)
+ * - 'export-timeline-package' / 'import-timeline-package': Timeline plus its image files in one .stpkg file
+ * - 'plan-import-merge' / 'confirm-import-merge': Merges an export into the current timeline with per-item choices
+ * - 'list-snapshots' / 'restore-snapshot': Lists database snapshots and restores a timeline from one
+ * - 'get-item-revisions' / 'revert-item-revision': An item's edit history and reverting to an earlier version
+ * - 'undo' / 'redo': Steps through the undo stack kept by undoManager
+ * - 'get-trash' / 'restore-from-trash' / 'purge-from-trash' / 'empty-trash' / 'set-trash-retention': The archive's Trash tab
+ * - 'search-full-text': Ranked full-text search over items, notes, stories, tags and pictures
+ * - 'get-timeline-calendar' / 'set-timeline-calendar': The current timeline's custom calendar (see calendar.js)
+ * - 'get-swimlanes' / 'set-swimlanes': The current timeline's story lane order, collapsed and hidden lanes (see swimlanes.js)
+ * - 'get-filter-views' / 'save-filter-view' / 'remove-filter-view': The current timeline's named filter views (see timelineFilter.js)
+ * - 'regenerate-thumbnails': Makes a picture's missing thumbnails again (see thumbnails.js)
+ * - 'find-matching-pictures' / 'find-duplicate-pictures' / 'merge-duplicate-pictures': Duplicate pictures by content and perceptual hash
+ * - 'update-picture-details': A picture's title, description and tags, from the image library
+ * - 'get-picture-collections' / 'save-picture-collection' / 'remove-picture-collection': The current timeline's picture collections
+ * - 'add-pictures-to-collection' / 'remove-pictures-from-collection': Which pictures are in a collection
+ * - 'bulk-edit-items': Moves, tags, assigns a story to, recolors, retypes or deletes several items in one transaction
+ * - 'get-characters' / 'save-character' / 'remove-character': The current timeline's characters
+ * - 'check-continuity': Story logic errors in the current timeline, for the continuity report
  */
 
 // ===== Imports =====
@@ -39,9 +57,16 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const dbManager = require('./dbManager');
+const undoManager = require('./undoManager');
+const ContinuityChecker = require('./continuityChecker');
 
 const CLOSE_SPLASH_WINDOW = true;
 
+// How often a snapshot is taken while the app runs (skipped if nothing changed)
+const SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+// Deletes in quick succession share one snapshot
+const SNAPSHOT_MIN_INTERVAL_MS = 60 * 1000;
+
 // ===== Constants =====
 /**
  * Application constants
@@ -809,6 +834,9 @@ async function duplicateTimelineComplete(sourceTimelineId, newName) {
 
     const newTimelineId = dbManager.addTimeline(newTimeline);
     console.log(`Created new timeline with ID: ${newTimelineId}`);
+    dbManager.setTimelineCalendar(newTimelineId, dbManager.getTimelineCalendar(sourceTimelineId));
+    dbManager.setTimelineSwimlanes(newTimelineId, dbManager.getTimelineSwimlanes(sourceTimelineId));
+    dbManager.setTimelineFilterViews(newTimelineId, dbManager.getTimelineFilterViews(sourceTimelineId));
 
     // Copy settings
     const sourceSettings = sourceTimeline.settings;
@@ -840,9 +868,21 @@ async function duplicateTimelineComplete(sourceTimelineId, newName) {
     // Create a map to track old picture ID to new picture ID mappings
     const pictureIdMap = new Map();
 
-    // Copy each item
+    // Copy characters, remembering which new characters each source item takes part in
+    const itemCharacterIds = new Map();
+    for (const sourceCharacter of dbManager.getCharacters(sourceTimelineId)) {
+      const newCharacter = dbManager.addCharacter({ ...sourceCharacter, timeline_id: newTimelineId });
+      for (const itemId of sourceCharacter.item_ids) {
+        if (!itemCharacterIds.has(itemId)) itemCharacterIds.set(itemId, []);
+        itemCharacterIds.get(itemId).push(newCharacter.id);
+      }
+    }
+
+    // Copy each item, remembering its new id for the relationships
+    const itemIdMap = new Map();
     for (const sourceItem of sourceItems) {
       const newItemId = require('uuid').v4();
+      itemIdMap.set(sourceItem.id, newItemId);
       
       // Copy item data
       const newItem = {
@@ -864,8 +904,16 @@ async function duplicateTimelineComplete(sourceTimelineId, newName) {
         color: sourceItem.color,
         timeline_id: newTimelineId,
         show_in_notes: sourceItem.show_in_notes,
+        date_circa: sourceItem.date_circa,
+        earliest_year: sourceItem.earliest_year,
+        earliest_subtick: sourceItem.earliest_subtick,
+        latest_year: sourceItem.latest_year,
+        latest_subtick: sourceItem.latest_subtick,
+        date_confidence: sourceItem.date_confidence,
+        exclusive: sourceItem.exclusive,
         tags: sourceItem.tags,
-        story_refs: sourceItem.story_refs
+        story_refs: sourceItem.story_refs,
+        characters: itemCharacterIds.get(sourceItem.id) || []
       };
 
       // Handle pictures - we need to copy the actual image files and create new picture records
@@ -922,6 +970,15 @@ async function duplicateTimelineComplete(sourceTimelineId, newName) {
       await dbManager.addItem(newItem);
     }
 
+    // Relationships can only be copied once both ends exist
+    for (const sourceItem of sourceItems) {
+      if (sourceItem.relationships.length === 0) continue;
+      dbManager.setItemRelationships(itemIdMap.get(sourceItem.id), sourceItem.relationships.map(relationship => ({
+        type: relationship.type,
+        target_id: itemIdMap.get(relationship.target_id)
+      })));
+    }
+
     console.log(`Successfully duplicated timeline ${sourceTimelineId} to ${newTimelineId} with name "${newName}"`);
     return newTimelineId;
 
@@ -1044,6 +1101,7 @@ function setupIpcHandlers() {
   ipcMain.on('addTimelineItem', async (event, data) => {
     try {
       const newItem = await dbManager.addItem(data);
+      undoManager.push(`Add ${describeItemType(data.type)}`, [{ kind: 'item', id: newItem.id, record: null }]);
       const items = dbManager.getItemsByTimeline(data.timeline_id);
       mainWindow.webContents.send('items', items);
       event.sender.send('item-created', { id: newItem.id });
@@ -1076,8 +1134,12 @@ function setupIpcHandlers() {
     event.sender.send('dateSearchResults', results);
   });
 
-  ipcMain.on('removeItem', (event, storyId) => {
-    const success = dbManager.deleteItem(storyId);
+  ipcMain.on('removeItem', async (event, storyId) => {
+    await snapshotBeforeDelete('delete-item');
+    const undoState = undoManager.capture('item', storyId);
+    const removedItem = dbManager.getItem(storyId);
+    const success = dbManager.trashItem(storyId);
+    undoManager.push(`Delete ${describeItemType(removedItem && removedItem.type)}`, [undoState]);
     event.sender.send('itemRemoved', { success, storyId });
   });
 
@@ -1109,7 +1171,9 @@ function setupIpcHandlers() {
   ipcMain.on('updateTimelineItem', (event, data) => {
     try {
       // Use dbManager to update the item (id, data)
+      const undoState = undoManager.capture('item', data.id || data['story-id']);
       const updatedItem = dbManager.updateItem(data.id || data['story-id'], data);
+      undoManager.push('Edit item', [undoState]);
       // Get all updated items
       const allItems = dbManager.getAllItems();
       // Send updated items only to the main window
@@ -1123,10 +1187,14 @@ function setupIpcHandlers() {
     }
   });
 
-  ipcMain.on('removeTimelineItem', (event, data) => {
+  ipcMain.on('removeTimelineItem', async (event, data) => {
+    await snapshotBeforeDelete('delete-item');
     try {
-      // Use dbManager to delete the item
-      const success = dbManager.deleteItem(data.id || data['story-id']);
+      // Use dbManager to move the item to the trash
+      const undoState = undoManager.capture('item', data.id || data['story-id']);
+      const removedItem = dbManager.getItem(data.id || data['story-id']);
+      const success = dbManager.trashItem(data.id || data['story-id']);
+      undoManager.push(`Delete ${describeItemType(removedItem && removedItem.type)}`, [undoState]);
       // Get all updated items
       const allItems = dbManager.getAllItems();
       // Send updated items to renderer
@@ -1139,13 +1207,9 @@ function setupIpcHandlers() {
   });
 
   // ===== Export/Import Handlers =====
-  ipcMain.handle('export-timeline-data', async (event, loaded_data) => {
+  ipcMain.handle('export-timeline-data', async (event) => {
     try {
-        // Get the directory where the executable is located
-        const exportDir = path.join(process.resourcesPath, 'export');
-        if (!fs.existsSync(exportDir)) {
-            fs.mkdirSync(exportDir);
-        }
+        const exportData = dbManager.exportTimeline(data.timeline_id);
 
         // Sanitize title and author for filename
         const sanitizeForFilename = (str) => {
@@ -1162,14 +1226,20 @@ function setupIpcHandlers() {
             String(now.getHours()).padStart(2, '0') +
             String(now.getMinutes()).padStart(2, '0') +
             String(now.getSeconds()).padStart(2, '0');
-        const filename = `${sanitizeForFilename(data.title)}_by_${sanitizeForFilename(data.author)}_timeline_export_${timestamp}.json`;
-        const filePath = path.join(exportDir, filename);
+        const filename = `${sanitizeForFilename(exportData.timeline.title)}_by_${sanitizeForFilename(exportData.timeline.author)}_timeline_export_${timestamp}.json`;
+
+        const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+            title: 'Export Timeline Data',
+            defaultPath: filename,
+            filters: [
+                { name: 'JSON Files', extensions: ['json'] }
+            ]
+        });
+
+        if (canceled || !filePath) return; // User cancelled
 
         // Write the file
-        await fs.promises.writeFile(filePath, JSON.stringify(loaded_data, null, 2));
-        
-        // Open the folder containing the exported file
-        require('electron').shell.openPath(exportDir);
+        await fs.promises.writeFile(filePath, JSON.stringify(exportData, null, 2));
         
         event.sender.send('export-timeline-data-success', filePath);
     } catch (error) {
@@ -1193,7 +1263,24 @@ function setupIpcHandlers() {
         const fileContent = await fs.promises.readFile(filePaths[0], 'utf8');
         const importedData = JSON.parse(fileContent);
 
-        // Validate the imported data structure
+        // Versioned exports are validated up front so the user sees every malformed record
+        if (importedData.format) {
+            const { valid, errors } = dbManager.validateTimelineExport(importedData);
+            if (!valid) {
+                event.sender.send('import-timeline-data-invalid', { filePath: filePaths[0], errors });
+                return;
+            }
+
+            event.sender.send('import-timeline-data-confirm', {
+                itemCount: importedData.items.length,
+                filePath: filePaths[0],
+                title: importedData.timeline.title,
+                data: importedData
+            });
+            return;
+        }
+
+        // Validate the imported data structure (legacy items + storyReferences format)
         if (!importedData.items || !importedData.storyReferences) {
             throw new Error('Invalid import file format');
         }
@@ -1216,6 +1303,13 @@ function setupIpcHandlers() {
   // Add new handler for confirmed imports
   ipcMain.on('confirm-import-timeline-data', async (event, { filePath, data }) => {
     try {
+        // Versioned exports always go into a brand-new timeline
+        if (data.format) {
+            const result = dbManager.importTimeline(data);
+            event.sender.send('import-timeline-data-success', result);
+            return;
+        }
+
         // Get current universe data for granularity
         const universeData = dbManager.getUniverseData();
         const currentGranularity = universeData ? universeData.granularity : 4;
@@ -1241,10 +1335,113 @@ function setupIpcHandlers() {
         event.sender.send('import-timeline-data-success', data);
     } catch (error) {
         console.error('Import error:', error);
+        if (error.validationErrors) {
+            event.sender.send('import-timeline-data-invalid', { filePath, errors: error.validationErrors });
+            return;
+        }
         event.sender.send('import-timeline-data-error', error.message);
     }
   });
 
+  // ===== Merge Import (into the current timeline, with conflict resolution) =====
+  ipcMain.handle('plan-import-merge', async (event) => {
+    let filePath = null;
+    try {
+      const { filePaths } = await dialog.showOpenDialog(mainWindow, {
+        title: 'Merge Timeline Data',
+        filters: [
+          { name: 'JSON Files', extensions: ['json'] }
+        ],
+        properties: ['openFile']
+      });
+
+      if (!filePaths || filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+      filePath = filePaths[0];
+
+      const importedData = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      if (!importedData.format) {
+        return { success: false, filePath, error: 'Only files from File → Export... can be merged' };
+      }
+
+      const plan = dbManager.planTimelineMerge(importedData, data.timeline_id);
+      return { success: true, filePath, plan, data: importedData };
+    } catch (error) {
+      console.error('Merge plan error:', error);
+      return { success: false, filePath, error: error.message, errors: error.validationErrors };
+    }
+  });
+
+  ipcMain.handle('confirm-import-merge', async (event, { data: importedData, resolutions }) => {
+    await snapshotBeforeDelete('merge-import', { onlyIfChanged: true });
+    try {
+      const result = dbManager.mergeTimeline(importedData, data.timeline_id, resolutions);
+
+      mainWindow.webContents.send('items', dbManager.getAllItems());
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Merge error:', error);
+      return { success: false, error: error.message, errors: error.validationErrors };
+    }
+  });
+
+  // ===== Package Export/Import (timeline + image files in one file) =====
+  ipcMain.handle('export-timeline-package', async (event, timelineId) => {
+    try {
+      const sourceTimelineId = timelineId || data.timeline_id;
+      const timeline = dbManager.getTimelineWithSettings(sourceTimelineId);
+      if (!timeline) {
+        return { success: false, error: 'Timeline not found' };
+      }
+
+      const safeTitle = (timeline.title || 'timeline').replace(/[^a-zA-Z0-9\-_]/g, '_');
+      const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Export Timeline Package',
+        defaultPath: `${safeTitle}.stpkg`,
+        filters: [
+          { name: 'Story Timeline Package', extensions: ['stpkg'] }
+        ]
+      });
+
+      if (canceled || !filePath) {
+        return { success: false, canceled: true };
+      }
+
+      const { buffer, missingFiles } = dbManager.exportTimelinePackage(sourceTimelineId);
+      await fs.promises.writeFile(filePath, buffer);
+
+      return { success: true, filePath, missingFiles };
+    } catch (error) {
+      console.error('Package export error:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('import-timeline-package', async (event) => {
+    try {
+      const { filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        title: 'Import Timeline Package',
+        filters: [
+          { name: 'Story Timeline Package', extensions: ['stpkg'] }
+        ],
+        properties: ['openFile']
+      });
+
+      if (!filePaths || filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+
+      const buffer = await fs.promises.readFile(filePaths[0]);
+      const result = dbManager.importTimelinePackage(buffer);
+
+      return { success: true, filePath: filePaths[0], ...result };
+    } catch (error) {
+      console.error('Package import error:', error);
+      return { success: false, error: error.message, errors: error.validationErrors };
+    }
+  });
+
   ipcMain.on('quit-app', () => {
     app.quit();
     //app.exit(0);  // Use exit(0) instead of quit() to ensure immediate closure
@@ -1270,6 +1467,26 @@ function setupIpcHandlers() {
 
 
 
+  // ===== Snapshots =====
+  ipcMain.handle('list-snapshots', async () => {
+    try {
+      return { success: true, snapshots: dbManager.listSnapshots() };
+    } catch (error) {
+      console.error('Error listing snapshots:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('restore-snapshot', async (event, { snapshotId, timelineId }) => {
+    try {
+      const result = await dbManager.restoreTimelineFromSnapshot(snapshotId, timelineId);
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error restoring snapshot:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Handle opening a timeline
   ipcMain.on('open-timeline', (event, timelineId) => {
     const timeline = dbManager.getTimelineWithSettings(timelineId);
@@ -1280,6 +1497,10 @@ function setupIpcHandlers() {
 
     // Set the current timeline in dbManager
     dbManager.setCurrentTimeline(timelineId);
+    undoManager.clear();
+    dbManager.purgeExpiredTrash();
+    dbManager.createSnapshot('open', { onlyIfChanged: true })
+        .catch(error => console.error('Error taking snapshot on open:', error));
 
     // Update the data state with the timeline ID
     data = {
@@ -1290,6 +1511,7 @@ function setupIpcHandlers() {
         description: timeline.description,
         start: timeline.start_year,
         granularity: timeline.granularity,
+        calendar: timeline.calendar,
         settings: timeline.settings
     };
 
@@ -1315,6 +1537,7 @@ function setupIpcHandlers() {
                 description: timeline.description,
                 start: timeline.start_year,
                 granularity: timeline.granularity,
+                calendar: timeline.calendar,
                 items: dbManager.getItemsByTimeline(timelineId)
             });
 
@@ -1366,6 +1589,7 @@ function setupIpcHandlers() {
             description: timeline.description,
             start: timeline.start_year,
             granularity: timeline.granularity,
+            calendar: timeline.calendar,
             items: dbManager.getItemsByTimeline(timelineId)
         });
 
@@ -1428,9 +1652,11 @@ function setupIpcHandlers() {
   });
 
   // Handle deleting a timeline
-  ipcMain.on('delete-timeline', (event, timelineId) => {
+  ipcMain.on('delete-timeline', async (event, timelineId) => {
+    await snapshotBeforeDelete('delete-timeline', { onlyIfChanged: true });
     try {
       dbManager.deleteTimeline(timelineId);
+      undoManager.clear();
       event.reply('timeline-deleted', timelineId);
       // Refresh the timelines list
       const timelines = dbManager.getAllTimelines();
@@ -1664,10 +1890,409 @@ function setupIpcHandlers() {
     }
   });
 
+  // ===== Calendar =====
+  ipcMain.handle('get-timeline-calendar', async () => {
+    try {
+      return { success: true, calendar: dbManager.getTimelineCalendar(data.timeline_id) };
+    } catch (error) {
+      console.error('Error getting timeline calendar:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('set-timeline-calendar', async (event, definition) => {
+    try {
+      const calendar = dbManager.setTimelineCalendar(data.timeline_id, definition);
+      data.calendar = calendar;
+      return { success: true, calendar };
+    } catch (error) {
+      console.error('Error setting timeline calendar:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ===== Swimlanes =====
+  ipcMain.handle('get-swimlanes', async () => {
+    try {
+      return { success: true, layout: dbManager.getTimelineSwimlanes(data.timeline_id) };
+    } catch (error) {
+      console.error('Error getting swimlanes:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('set-swimlanes', async (event, layout) => {
+    try {
+      return { success: true, layout: dbManager.setTimelineSwimlanes(data.timeline_id, layout) };
+    } catch (error) {
+      console.error('Error setting swimlanes:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ===== Filter Views =====
+  ipcMain.handle('get-filter-views', async () => {
+    try {
+      return { success: true, views: dbManager.getTimelineFilterViews(data.timeline_id) };
+    } catch (error) {
+      console.error('Error getting filter views:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('save-filter-view', async (event, name, filter) => {
+    try {
+      return { success: true, views: dbManager.saveTimelineFilterView(data.timeline_id, name, filter) };
+    } catch (error) {
+      console.error('Error saving filter view:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('remove-filter-view', async (event, name) => {
+    try {
+      return { success: true, views: dbManager.removeTimelineFilterView(data.timeline_id, name) };
+    } catch (error) {
+      console.error('Error removing filter view:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ===== Bulk Item Operations =====
+  // One undo step per action, however many items it changes
+  ipcMain.handle('bulk-edit-items', async (event, action, itemIds, options = {}) => {
+    const ids = Array.isArray(itemIds) ? itemIds : [];
+
+    // A story assigned by a title no story has yet gets its id here, so undo can take it away again
+    let story = options.story;
+    const storyStates = [];
+    if (action === 'assign-story' && story && !story.id && typeof story.title === 'string' && story.title.trim()) {
+      const existing = dbManager.getAllStories().find(candidate => candidate.title === story.title.trim());
+      story = { ...story, id: existing ? existing.id : uuidv4() };
+      if (!existing) storyStates.push({ kind: 'story', id: story.id, record: null });
+    }
+
+    const actions = {
+      'shift': { label: 'Move items', run: () => dbManager.shiftItems(ids, options.years, options.subticks) },
+      'add-tags': { label: 'Add tags', run: () => dbManager.addTagsToItems(ids, options.tags) },
+      'remove-tags': { label: 'Remove tags', run: () => dbManager.removeTagsFromItems(ids, options.tags) },
+      'assign-story': { label: 'Assign story', run: () => dbManager.assignStoryToItems(ids, story, options.replace) },
+      'set-color': { label: 'Change color', run: () => dbManager.setItemsColor(ids, options.color) },
+      'set-type': { label: 'Change type', run: () => dbManager.setItemsType(ids, options.type) },
+      'set-show-in-notes': { label: options.show ? 'Show in notes' : 'Hide from notes', run: () => dbManager.setItemsShowInNotes(ids, options.show) },
+      'delete': { label: 'Delete items', run: () => dbManager.trashItems(ids) }
+    };
+    const bulkAction = actions[action];
+    if (!bulkAction) return { success: false, error: `Unknown bulk action: ${action}` };
+
+    if (action === 'delete') await snapshotBeforeDelete('delete-items');
+    try {
+      const undoStates = [...storyStates, ...ids.map(id => undoManager.capture('item', id)).filter(state => state.record)];
+      const count = bulkAction.run();
+      if (count > 0) undoManager.push(`${bulkAction.label} (${count})`, undoStates);
+      if (mainWindow) {
+        mainWindow.webContents.send('items', dbManager.getAllItems());
+      }
+      return { success: true, count };
+    } catch (error) {
+      console.error(`Error running bulk action ${action}:`, error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ===== Duplicate Pictures =====
+  // Pictures in the current timeline that look like an image about to be uploaded
+  ipcMain.handle('find-matching-pictures', async (event, filePath) => {
+    try {
+      return { success: true, matches: await dbManager.findMatchingPictures(filePath) };
+    } catch (error) {
+      console.error('Error finding matching pictures:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('find-duplicate-pictures', async () => {
+    try {
+      return { success: true, groups: await dbManager.findDuplicatePictures() };
+    } catch (error) {
+      console.error('Error finding duplicate pictures:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Repoints the duplicates' items to the kept picture and deletes the duplicates, as one undo step
+  ipcMain.handle('merge-duplicate-pictures', async (event, keepId, duplicateIds) => {
+    await snapshotBeforeDelete('merge-pictures');
+    try {
+      const ids = Array.isArray(duplicateIds) ? duplicateIds : [];
+      // The pictures' records hold the items showing them, so undo brings back the duplicates
+      // on their items and takes the kept picture off them, with its tags and collections as they were
+      const undoStates = [keepId, ...ids].map(id => undoManager.capture('picture', id)).filter(state => state.record);
+
+      const count = dbManager.mergeDuplicatePictures(keepId, ids);
+      if (count > 0) undoManager.push(`Merge duplicate pictures (${count})`, undoStates);
+      if (mainWindow) {
+        mainWindow.webContents.send('items', dbManager.getAllItems());
+      }
+      return { success: true, count };
+    } catch (error) {
+      console.error('Error merging duplicate pictures:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ===== Picture Library =====
+  ipcMain.handle('update-picture-details', async (event, pictureId, details) => {
+    try {
+      const undoState = undoManager.capture('picture', pictureId);
+      const picture = dbManager.updatePictureDetails(pictureId, details || {});
+      undoManager.push('Edit picture', [undoState]);
+      // Picture titles and descriptions show in the item viewer
+      if (mainWindow) {
+        mainWindow.webContents.send('items', dbManager.getAllItems());
+      }
+      return { success: true, picture };
+    } catch (error) {
+      console.error('Error updating picture details:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('get-picture-collections', async () => {
+    try {
+      return { success: true, collections: dbManager.getPictureCollections() };
+    } catch (error) {
+      console.error('Error getting picture collections:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Adds the collection if it has no id yet, otherwise renames it
+  ipcMain.handle('save-picture-collection', async (event, collection) => {
+    try {
+      if (collection.id) {
+        if (!dbManager.renamePictureCollection(collection.id, collection.name)) {
+          return { success: false, error: 'Collection not found' };
+        }
+        return { success: true, collection: { id: collection.id, name: collection.name.trim() } };
+      }
+      return { success: true, collection: dbManager.createPictureCollection(collection.name) };
+    } catch (error) {
+      console.error('Error saving picture collection:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('remove-picture-collection', async (event, collectionId) => {
+    try {
+      return { success: dbManager.deletePictureCollection(collectionId) };
+    } catch (error) {
+      console.error('Error removing picture collection:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('add-pictures-to-collection', async (event, collectionId, pictureIds) => {
+    try {
+      return { success: true, count: dbManager.addPicturesToCollection(collectionId, pictureIds || []) };
+    } catch (error) {
+      console.error('Error adding pictures to collection:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('remove-pictures-from-collection', async (event, collectionId, pictureIds) => {
+    try {
+      return { success: true, count: dbManager.removePicturesFromCollection(collectionId, pictureIds || []) };
+    } catch (error) {
+      console.error('Error removing pictures from collection:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ===== Characters =====
+  ipcMain.handle('get-characters', async () => {
+    try {
+      return { success: true, characters: dbManager.getCharacters(data.timeline_id) };
+    } catch (error) {
+      console.error('Error getting characters:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Adds the character if it has no id yet, otherwise updates it
+  ipcMain.handle('save-character', async (event, character) => {
+    try {
+      let saved;
+      if (character.id) {
+        const undoState = undoManager.capture('character', character.id);
+        saved = dbManager.updateCharacter(character.id, character);
+        if (!saved) {
+          return { success: false, error: 'Character not found' };
+        }
+        undoManager.push('Edit character', [undoState]);
+      } else {
+        saved = dbManager.addCharacter({ ...character, timeline_id: data.timeline_id });
+        undoManager.push('Add character', [{ kind: 'character', id: saved.id, record: null }]);
+      }
+      // Names and lifespans show up next to the items
+      if (mainWindow) {
+        mainWindow.webContents.send('items', dbManager.getAllItems());
+      }
+      return { success: true, character: saved };
+    } catch (error) {
+      console.error('Error saving character:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('remove-character', async (event, characterId) => {
+    await snapshotBeforeDelete('delete-character');
+    try {
+      const undoState = undoManager.capture('character', characterId);
+      const success = dbManager.trashCharacter(characterId);
+      undoManager.push('Delete character', [undoState]);
+      if (mainWindow) {
+        mainWindow.webContents.send('items', dbManager.getAllItems());
+      }
+      return { success };
+    } catch (error) {
+      console.error('Error removing character:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ===== Continuity Check =====
+  ipcMain.handle('check-continuity', async () => {
+    try {
+      const report = dbManager.checkContinuity(data.timeline_id);
+      return { success: true, rules: ContinuityChecker.RULES, ...report };
+    } catch (error) {
+      console.error('Error checking continuity:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ===== Full-Text Search =====
+  ipcMain.handle('search-full-text', async (event, query, options = {}) => {
+    try {
+      const results = dbManager.searchFullText(query, {
+        ...options,
+        timelineId: options.timelineId || data.timeline_id
+      });
+      return { success: true, results };
+    } catch (error) {
+      console.error('Error searching:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ===== Trash =====
+  ipcMain.handle('get-trash', async () => {
+    try {
+      return {
+        success: true,
+        entries: dbManager.getTrash(data.timeline_id),
+        retentionDays: dbManager.getTrashRetentionDays(data.timeline_id)
+      };
+    } catch (error) {
+      console.error('Error getting trash:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('restore-from-trash', async (event, trashId) => {
+    try {
+      const result = dbManager.restoreFromTrash(trashId);
+      if (mainWindow) {
+        mainWindow.webContents.send('items', dbManager.getAllItems());
+      }
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error restoring from trash:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('purge-from-trash', async (event, trashId) => {
+    try {
+      return { success: dbManager.purgeFromTrash(trashId) };
+    } catch (error) {
+      console.error('Error purging from trash:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('empty-trash', async () => {
+    try {
+      return { success: true, count: dbManager.emptyTrash(data.timeline_id) };
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('set-trash-retention', async (event, days) => {
+    try {
+      dbManager.setTrashRetentionDays(data.timeline_id, days);
+      dbManager.purgeExpiredTrash();
+      return { success: true, retentionDays: dbManager.getTrashRetentionDays(data.timeline_id) };
+    } catch (error) {
+      console.error('Error setting trash retention:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // ===== Undo / Redo =====
+  ipcMain.handle('undo', async () => {
+    try {
+      const label = undoManager.undo();
+      return { success: true, label, state: undoManager.getState() };
+    } catch (error) {
+      console.error('Error undoing:', error);
+      return { success: false, error: error.message, state: undoManager.getState() };
+    }
+  });
+
+  ipcMain.handle('redo', async () => {
+    try {
+      const label = undoManager.redo();
+      return { success: true, label, state: undoManager.getState() };
+    } catch (error) {
+      console.error('Error redoing:', error);
+      return { success: false, error: error.message, state: undoManager.getState() };
+    }
+  });
+
+  // ===== Item Revisions =====
+  ipcMain.handle('get-item-revisions', async (event, itemId) => {
+    try {
+      return { success: true, revisions: dbManager.getItemRevisions(itemId) };
+    } catch (error) {
+      console.error('Error getting item revisions:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('revert-item-revision', async (event, revisionId) => {
+    try {
+      const result = dbManager.revertItemToRevision(revisionId);
+      if (mainWindow) {
+        mainWindow.webContents.send('items', dbManager.getAllItems());
+      }
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error reverting item:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   ipcMain.on('update-timeline-item-with-range', (event, item) => {
     try {
       // Use dbManager to update the item
+      const undoState = undoManager.capture('item', item.id);
       const updatedItem = dbManager.updateItem(item.id, item);
+      undoManager.push('Edit item', [undoState]);
       // Get all updated items
       const allItems = dbManager.getAllItems();
       // Send updated items to the main window
@@ -1747,12 +2372,18 @@ function setupIpcHandlers() {
     mainWindow.webContents.send('jumpToYear', item);
   });
 
-  ipcMain.on('getAllMedia', (event) => {
-    // Fetch all pictures from the database
-    const media = dbManager.getAllPictures();
+  ipcMain.on('getAllMedia', (event, options) => {
+    // Fetch all pictures from the database; the image library also asks for the broken ones
+    const media = dbManager.getAllPictures(options || {});
     event.sender.send('media', media);
   });
 
+  // A window could not load a thumbnail and showed the full picture; make it for next time
+  ipcMain.on('regenerate-thumbnails', (event, pictureId) => {
+    dbManager.regenerateThumbnails(pictureId)
+      .catch(error => console.error(`[main.js] Failed to make thumbnails for picture ${pictureId}:`, error));
+  });
+
   ipcMain.on('getAllTags', (event) => {
     const tags = dbManager.getAllTagsWithCounts();
     event.sender.send('tags', tags);
@@ -1760,8 +2391,11 @@ function setupIpcHandlers() {
 
   // Add handler for removing stories
   ipcMain.handle('removeStory', async (event, storyId) => {
+    await snapshotBeforeDelete('delete-story');
     try {
-      const success = dbManager.deleteStory(storyId);
+      const undoState = undoManager.capture('story', storyId);
+      const success = dbManager.trashStory(storyId);
+      undoManager.push('Delete story', [undoState]);
       // Refresh the stories list
       const stories = dbManager.getAllStories();
       mainWindow.webContents.send('stories', stories);
@@ -1774,8 +2408,11 @@ function setupIpcHandlers() {
 
   // Add handler for removing tags
   ipcMain.handle('removeTag', async (event, tagId) => {
+    await snapshotBeforeDelete('delete-tag');
     try {
-      const success = dbManager.deleteTag(tagId);
+      const undoState = undoManager.capture('tag', tagId);
+      const success = dbManager.trashTag(tagId);
+      undoManager.push('Delete tag', [undoState]);
       // Refresh the tags list
       const tags = dbManager.getAllTagsWithCounts();
       mainWindow.webContents.send('tags', tags);
@@ -1787,9 +2424,11 @@ function setupIpcHandlers() {
   });
 
   ipcMain.handle('removeMedia', async (event, mediaId) => {
+    await snapshotBeforeDelete('delete-media');
     try {
-      const mediaFile = dbManager.getMedia(mediaId);
-      const success = dbManager.deleteMedia(mediaId, mediaFile.file_path);
+      const undoState = undoManager.capture('picture', mediaId);
+      const success = dbManager.trashMedia(mediaId);
+      undoManager.push('Delete image', [undoState]);
       // Listen for the deletion confirmation
       mainWindow.webContents.send('mediaRemoved', { success: true });
       return success;
@@ -1810,6 +2449,7 @@ function setupIpcHandlers() {
   });
 
   ipcMain.handle('cleanup-orphaned-images', async (event) => {
+    await snapshotBeforeDelete('cleanup-images', { onlyIfChanged: true });
     try {
       return dbManager.cleanupOrphanedImages();
     } catch (error) {
@@ -1820,7 +2460,10 @@ function setupIpcHandlers() {
 
   ipcMain.handle('add-image-reference', async (event, itemId, pictureId) => {
     try {
-      return dbManager.addImageReference(itemId, pictureId);
+      const undoState = undoManager.capture('item', itemId);
+      const result = dbManager.addImageReference(itemId, pictureId);
+      undoManager.push('Add image to item', [undoState]);
+      return result;
     } catch (error) {
       console.error('Error adding image reference:', error);
       throw error;
@@ -1829,7 +2472,10 @@ function setupIpcHandlers() {
 
   ipcMain.handle('remove-image-reference', async (event, itemId, pictureId) => {
     try {
-      return dbManager.removeImageReference(itemId, pictureId);
+      const undoState = undoManager.capture('item', itemId);
+      const result = dbManager.removeImageReference(itemId, pictureId);
+      undoManager.push('Remove image from item', [undoState]);
+      return result;
     } catch (error) {
       console.error('Error removing image reference:', error);
       throw error;
@@ -2059,8 +2705,44 @@ function setupIpcHandlers() {
 app.whenReady().then(() => {
   createSplashWindow();
   setupIpcHandlers();
+
+  // Pictures added before there were thumbnails get them once, in the background
+  dbManager.backfillThumbnails()
+    .catch(error => console.error('[main.js] Failed to backfill thumbnails:', error));
+
+  setInterval(() => {
+    dbManager.createSnapshot('interval', { onlyIfChanged: true })
+      .catch(error => console.error('Error taking interval snapshot:', error));
+  }, SNAPSHOT_INTERVAL_MS);
 });
 
+/**
+ * Names an item type in undo labels
+ * @param {string} type - The item's type name
+ * @returns {string} 'timeline start', 'timeline end' or 'item'
+ */
+function describeItemType(type) {
+  if (type === 'Timeline_start') return 'timeline start';
+  if (type === 'Timeline_end') return 'timeline end';
+  return 'item';
+}
+
+/**
+ * Takes a snapshot before a destructive operation
+ * @param {string} reason - Recorded with the snapshot
+ * @param {Object} options - Passed to dbManager.createSnapshot; by default
+ *   deletes within SNAPSHOT_MIN_INTERVAL_MS of the last snapshot share it
+ *
+ * A failed snapshot is logged but does not block the operation.
+ */
+async function snapshotBeforeDelete(reason, options = { onlyIfChanged: true, minIntervalMs: SNAPSHOT_MIN_INTERVAL_MS }) {
+  try {
+    await dbManager.createSnapshot(reason, options);
+  } catch (error) {
+    console.error(`Error taking snapshot before ${reason}:`, error);
+  }
+}
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
     app.quit();
@@ -2132,7 +2814,7 @@ function createArchiveWindow() {
 
     archiveWindow.webContents.on('removeStory', (event, storyId) => {
         console.log('removeStory', storyId);
-        dbManager.deleteStory(storyId);
+        dbManager.trashStory(storyId);
         initializeArchive();
     });
 }
\ No newline at end of file
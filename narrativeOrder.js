@@ -0,0 +1,70 @@
+/**
+ * Narrative Order Module
+ *
+ * Puts items in reading order (book, then chapter, then page) instead of in-world date
+ * order, so non-linear stories can be laid out in the order the reader meets them.
+ *
+ * How it works:
+ * - Only items with a book title, chapter or page have a place in the reading order
+ * - Books, chapters and pages compare as text with numbers in them read as numbers,
+ *   so "Chapter 2" comes before "Chapter 10" and "IV" sorts as text
+ * - Missing parts go last within their level (an item without a chapter comes after
+ *   the book's chapters); items at the same place fall back to date order
+ * - The timeline's reading lane (see renderNarrativeLane() in timeline.js) shows the result
+ */
+
+class NarrativeOrder {
+    static MARKER_TYPES = ['Timeline_start', 'Timeline_end'];
+
+    static getPart(value) {
+        return value === null || value === undefined ? '' : String(value).trim();
+    }
+
+    static hasPosition(item) {
+        return ['book_title', 'chapter', 'page'].some(field => NarrativeOrder.getPart(item[field]) !== '');
+    }
+
+    static comparePart(a, b) {
+        if (a === b) return 0;
+        if (a === '') return 1;
+        if (b === '') return -1;
+        return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    static compare(a, b) {
+        return NarrativeOrder.comparePart(NarrativeOrder.getPart(a.book_title), NarrativeOrder.getPart(b.book_title)) ||
+            NarrativeOrder.comparePart(NarrativeOrder.getPart(a.chapter), NarrativeOrder.getPart(b.chapter)) ||
+            NarrativeOrder.comparePart(NarrativeOrder.getPart(a.page), NarrativeOrder.getPart(b.page)) ||
+            (a.year - b.year) || ((a.subtick || 0) - (b.subtick || 0));
+    }
+
+    /**
+     * Gets the items that have a place in the reading order, in that order
+     * @param {Array<Object>} items - The timeline's items
+     * @returns {Array<Object>} A new array; the timeline start and end markers are left out
+     */
+    static sort(items) {
+        return (items || [])
+            .filter(item => item && !NarrativeOrder.MARKER_TYPES.includes(item.type) && NarrativeOrder.hasPosition(item))
+            .sort(NarrativeOrder.compare);
+    }
+
+    /**
+     * Gets where an item is in the book, e.g. "ch. 3, p. 45"
+     * @param {Object} item - The item
+     * @param {boolean} withBook - Whether to start with the book title
+     * @returns {string} Empty when the item has no place in the reading order
+     */
+    static getLabel(item, withBook = true) {
+        const book = NarrativeOrder.getPart(item.book_title);
+        const chapter = NarrativeOrder.getPart(item.chapter);
+        const page = NarrativeOrder.getPart(item.page);
+        return [
+            withBook ? book : '',
+            chapter ? `ch. ${chapter}` : '',
+            page ? `p. ${page}` : ''
+        ].filter(Boolean).join(', ');
+    }
+}
+
+window.NarrativeOrder = NarrativeOrder;
@@ -49,6 +49,7 @@ contextBridge.exposeInMainWorld('api', {
             'getAllStories',
             'getAllStoryReferences',
             'getAllMedia',
+            'regenerate-thumbnails',
             'getAllTags',
             'itemRemoved',
             'updateTimeline',
@@ -68,6 +69,12 @@ contextBridge.exposeInMainWorld('api', {
         const validChannels = [
             'export-timeline-data',
             'import-timeline-data',
+            'export-timeline-package',
+            'import-timeline-package',
+            'plan-import-merge',
+            'confirm-import-merge',
+            'list-snapshots',
+            'restore-snapshot',
             'save-temp-file',
             'save-new-image',
             'get-timeline-data',
@@ -81,7 +88,38 @@ contextBridge.exposeInMainWorld('api', {
             'removeMedia',
             'save-timeline-export',
             'convert-image-to-base64',
-            'open-exported-file'
+            'open-exported-file',
+            'get-item-revisions',
+            'revert-item-revision',
+            'undo',
+            'redo',
+            'get-trash',
+            'search-full-text',
+            'get-timeline-calendar',
+            'set-timeline-calendar',
+            'get-swimlanes',
+            'set-swimlanes',
+            'get-filter-views',
+            'save-filter-view',
+            'remove-filter-view',
+            'get-characters',
+            'save-character',
+            'remove-character',
+            'check-continuity',
+            'bulk-edit-items',
+            'find-matching-pictures',
+            'find-duplicate-pictures',
+            'merge-duplicate-pictures',
+            'update-picture-details',
+            'get-picture-collections',
+            'save-picture-collection',
+            'remove-picture-collection',
+            'add-pictures-to-collection',
+            'remove-pictures-from-collection',
+            'restore-from-trash',
+            'purge-from-trash',
+            'empty-trash',
+            'set-trash-retention'
         ];
         if (validChannels.includes(channel)) {
             return await ipcRenderer.invoke(channel, ...args);
@@ -114,6 +152,7 @@ contextBridge.exposeInMainWorld('api', {
             'import-timeline-data-confirm',
             'import-timeline-data-success',
             'import-timeline-data-error',
+            'import-timeline-data-invalid',
             'new-timeline',
             'quit-app',
             'timelines-list',
@@ -0,0 +1,142 @@
+/**
+ * Relationship Picker Module
+ *
+ * Lets the item windows link the item to other items of the timeline ("causes",
+ * "part of", ... see itemRelationships.js).
+ *
+ * How it works:
+ * - attach() loads the timeline's items and renders the picker into a container
+ * - Each link shows as a row with its type and target; a type select, an item select and
+ *   an Add button below them add more
+ * - setSelected() may be called before the items have loaded, the links are shown once they are in
+ * - getSelected() returns the links as { type, target_id }, which is what the item windows save
+ *
+ * Possible errors:
+ * - The items can't be loaded; the picker stays empty and saves no changes
+ */
+
+class RelationshipPicker {
+    static container = null;
+    static items = [];
+    static itemId = null;
+    static selected = [];
+    static loaded = false;
+
+    /**
+     * Loads the timeline's items and renders the picker
+     * @param {HTMLElement} container - Where the picker goes
+     */
+    static async attach(container) {
+        if (!container) return;
+        RelationshipPicker.container = container;
+
+        try {
+            const items = await window.api.invoke('get-all-items');
+            RelationshipPicker.items = (items || [])
+                .filter(item => item.type !== 'Timeline_start' && item.type !== 'Timeline_end');
+            RelationshipPicker.loaded = true;
+        } catch (error) {
+            console.error('[relationshipPicker.js] Could not load the items:', error);
+        }
+        RelationshipPicker.render();
+    }
+
+    /**
+     * Sets the item's links
+     * @param {Array<Object>} relationships - { type, target_id } as items carry them
+     * @param {string} itemId - The item being edited, so it can't be linked to itself
+     */
+    static setSelected(relationships, itemId = null) {
+        RelationshipPicker.itemId = itemId;
+        RelationshipPicker.selected = ItemRelationships.normalize(relationships, itemId);
+        RelationshipPicker.render();
+    }
+
+    /**
+     * Gets the item's links
+     * @returns {Array<Object>|undefined} undefined while the items are not loaded, so the
+     *   item's existing links are left alone
+     */
+    static getSelected() {
+        if (!RelationshipPicker.loaded) return undefined;
+        return RelationshipPicker.selected.slice();
+    }
+
+    static getItemLabel(item) {
+        return `${item.title || '(untitled)'} (${item.year})`;
+    }
+
+    static render() {
+        const container = RelationshipPicker.container;
+        if (!container) return;
+        container.innerHTML = '';
+
+        const targets = RelationshipPicker.items.filter(item => item.id !== RelationshipPicker.itemId);
+        if (targets.length === 0) {
+            const hint = document.createElement('div');
+            hint.className = 'relationship-picker-hint';
+            hint.textContent = 'There are no other items to link to yet.';
+            container.appendChild(hint);
+            return;
+        }
+
+        const itemsById = new Map(targets.map(item => [item.id, item]));
+        const list = document.createElement('div');
+        list.className = 'relationship-picker-list';
+        RelationshipPicker.selected.forEach((relationship, index) => {
+            const target = itemsById.get(relationship.target_id);
+            if (!target) return;
+
+            const row = document.createElement('div');
+            row.className = 'relationship-picker-row';
+            row.style.borderLeftColor = ItemRelationships.getColor(relationship.type);
+
+            const label = document.createElement('span');
+            label.textContent = `${ItemRelationships.getLabel(relationship.type)} → ${RelationshipPicker.getItemLabel(target)}`;
+
+            const remove = document.createElement('span');
+            remove.className = 'remove-tag';
+            remove.textContent = '×';
+            remove.addEventListener('click', () => {
+                RelationshipPicker.selected.splice(index, 1);
+                RelationshipPicker.render();
+            });
+
+            row.append(label, remove);
+            list.appendChild(row);
+        });
+
+        const addRow = document.createElement('div');
+        addRow.className = 'relationship-picker-add';
+
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'input-text relationship-picker-type';
+        Object.entries(ItemRelationships.TYPES).forEach(([type, { label }]) => typeSelect.add(new Option(label, type)));
+
+        const targetSelect = document.createElement('select');
+        targetSelect.className = 'input-text relationship-picker-target';
+        targetSelect.add(new Option('Link to item...', ''));
+        targets
+            .slice()
+            .sort((a, b) => (a.year - b.year) || ((a.subtick || 0) - (b.subtick || 0)))
+            .forEach(item => targetSelect.add(new Option(RelationshipPicker.getItemLabel(item), item.id)));
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'relationship-picker-button';
+        addButton.textContent = 'Add';
+        addButton.addEventListener('click', () => {
+            if (!targetSelect.value) return;
+            RelationshipPicker.selected = ItemRelationships.normalize([
+                ...RelationshipPicker.selected,
+                { type: typeSelect.value, target_id: targetSelect.value }
+            ], RelationshipPicker.itemId);
+            RelationshipPicker.render();
+        });
+
+        addRow.append(typeSelect, targetSelect, addButton);
+        container.append(list, addRow);
+    }
+}
+
+window.RelationshipPicker = RelationshipPicker;
@@ -155,6 +155,54 @@ window.openItemViewer = function(itemId) {
     setTextContent('item-viewer-year', item.year ?? '');
     setTextContent('item-viewer-subtick', item.subtick ?? '');
 
+    // Show approximate dates and their confidence
+    const uncertaintyRow = document.getElementById('item-viewer-uncertainty-row');
+    if (uncertaintyRow) {
+        const uncertain = DateUncertainty.isUncertain(item);
+        uncertaintyRow.style.display = uncertain ? '' : 'none';
+        if (uncertain) {
+            const exactLabel = `${item.year}.${(item.subtick || 0).toString().padStart(2, '0')}`;
+            const confidence = item.date_confidence !== null && item.date_confidence !== undefined
+                ? ` (${item.date_confidence}% confidence)` : '';
+            setTextContent('item-viewer-uncertainty', getItemDateLabel(item, exactLabel) + confidence);
+        }
+    }
+
+    const charactersRow = document.getElementById('item-viewer-characters-row');
+    if (charactersRow) {
+        const characters = item.characters || [];
+        charactersRow.style.display = characters.length ? '' : 'none';
+        setTextContent('item-viewer-characters', characters.map(getCharacterLabel).join(', '));
+    }
+
+    // Relationships both ways; each one opens the item at its other end
+    const relationshipsRow = document.getElementById('item-viewer-relationships-row');
+    const relationshipsList = document.getElementById('item-viewer-relationships');
+    if (relationshipsRow && relationshipsList) {
+        const relationships = [
+            ...(item.relationships || []).map(link => ({
+                label: ItemRelationships.getLabel(link.type), id: link.target_id, title: link.target_title
+            })),
+            ...(item.incoming_relationships || []).map(link => ({
+                label: ItemRelationships.getInverseLabel(link.type), id: link.source_id, title: link.source_title
+            }))
+        ];
+        relationshipsRow.style.display = relationships.length ? '' : 'none';
+        relationshipsList.innerHTML = '';
+        relationships.forEach((relationship, index) => {
+            const link = document.createElement('a');
+            link.href = '#';
+            link.className = 'item-viewer-relationship';
+            link.textContent = `${relationship.label} ${relationship.title || '(untitled)'}`;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                window.openItemViewer(relationship.id);
+            });
+            if (index > 0) relationshipsList.append(', ');
+            relationshipsList.appendChild(link);
+        });
+    }
+
     // Set description and content
     setTextContent('item-viewer-description', item.description || '');
     setTextContent('item-viewer-content', item.content || '');
@@ -209,7 +257,7 @@ window.openItemViewer = function(itemId) {
                 const pictureElement = document.createElement('div');
                 pictureElement.className = 'image-container';
                 pictureElement.innerHTML = `
-                    <img src="${pic.file_path}" alt="${pic.title || ''}">
+                    <img ${Thumbnails.getImgAttributes(pic, 'large')} alt="${pic.title || ''}" onerror="Thumbnails.handleError(this)">
                     <div class="image-info">
                         <div class="image-title">${pic.title || 'Untitled'}</div>
                         <div class="image-description">${pic.description || ''}</div>
@@ -566,6 +614,60 @@ function toggleGuides(show) {
     }
 }
 
+/**
+ * Shows or hides the relationship arcs between items
+ * @param {boolean} show - Whether to draw them
+ */
+function toggleRelationships(show) {
+    timelineState.showRelationships = show;
+    renderTimeline();
+}
+
+/**
+ * Shows or hides the reading order lane (see renderNarrativeLane() in timeline.js)
+ * @param {boolean} show - Whether to show it
+ */
+function toggleNarrativeOrder(show) {
+    timelineState.narrativeOrder = show;
+    renderTimeline();
+}
+
+/**
+ * Switches between the usual layout and one lane per story (see renderSwimlanes() in timeline.js)
+ * @param {boolean} show - Whether to lay the items out in lanes
+ *
+ * How it works:
+ * - Loads the timeline's saved lane order, collapsed and hidden lanes before showing the lanes
+ *
+ * Possible errors:
+ * - The layout can't be loaded; the lanes are shown in their default order
+ */
+async function toggleSwimlanes(show) {
+    if (show) {
+        try {
+            const result = await window.api.invoke('get-swimlanes');
+            if (result.success) {
+                timelineState.swimlaneLayout = result.layout;
+            } else {
+                console.error('[renderer.js] Could not load the swimlanes:', result.error);
+            }
+        } catch (error) {
+            console.error('[renderer.js] Could not load the swimlanes:', error);
+        }
+    }
+    timelineState.swimlanes = show;
+    renderTimeline();
+}
+
+/**
+ * Shows or hides the pictures' thumbnails along the bottom of the timeline (see renderImageStrip() in timeline.js)
+ * @param {boolean} show - Whether to show them
+ */
+function toggleImageStrip(show) {
+    timelineState.imageStrip = show;
+    renderTimeline();
+}
+
 // ===== Data Management =====
 /**
  * Sets up the timeline data
@@ -627,6 +729,12 @@ function dataSetup(data) {
     if (timelineState) {
         timelineState.focusYear = parseInt(data.start) || 0;
         timelineState.granularity = parseInt(data.granularity) || 4;
+        timelineState.calendar = Calendar.fromDefinition(data.calendar);
+        updateCalendarSummary();
+        // Another timeline has its own lane layout and filter views
+        if (timelineState.swimlanes) toggleSwimlanes(true);
+        clearTimelineFilter();
+        loadFilterViews();
         timelineState.offsetPx = 0;
         // Force a re-render of the timeline with the new data
         renderTimeline(timelineState.focusYear, timelineState.granularity, window.innerWidth);
@@ -948,7 +1056,7 @@ window.api.receive('items', (allItems) => {
     console.log("Received all items:", allItems);
     items = allItems;
     if (timelineState) {
-        timelineState.items = items;
+        setTimelineItems(items);
         renderTimeline();
     }
 });
@@ -1084,33 +1192,19 @@ function searchStories(query) {
 
 // ===== Data Export/Import =====
 /**
- * Exports timeline data to a JSON file
+ * Exports the current timeline to a versioned JSON file
  * 
  * How it works:
- * 1. Collects all items and story references
- * 2. Sends to main process for file save
+ * 1. Asks the main process to export the timeline from the database
+ * 2. The main process shows a save dialog and writes the file
  * 
  * Possible errors:
  * - File save failure
  * - IPC communication failure
  */
 async function exportTimelineData() {
-    // Collect all items and their story references
-    const exportData = {
-        items: items,
-        storyReferences: Object.entries(storyIndex).reduce((acc, [key, value]) => {
-            if (key === value.id) { // Only include the ID-based entries
-                acc[value.id] = {
-                    title: value.title,
-                    id: value.id
-                };
-            }
-            return acc;
-        }, {})
-    };
-    
     try {
-        await window.api.invoke('export-timeline-data', exportData);
+        await window.api.invoke('export-timeline-data');
     } catch (error) {
         showError(`Error exporting timeline data: ${error}`);
     }
@@ -1138,21 +1232,32 @@ async function importTimelineData() {
 
 // Add IPC handlers for export/import
 window.api.receive('export-timeline-data-success', (filePath) => {
-    // Just show a success message without affecting settings
+    showSuccess(`Timeline exported to ${filePath}`);
 });
 
 window.api.receive('export-timeline-data-error', (error) => {
     showError(`Error exporting timeline data: ${error}`);
 });
 
-window.api.receive('import-timeline-data-confirm', ({ itemCount, filePath, data }) => {
-    if (confirm(`Importing ${itemCount} items to your timeline. Continue?`)) {
-        console.log("Sending confirm-import-timeline-data with data:", data);
+window.api.receive('import-timeline-data-confirm', ({ itemCount, filePath, title, data }) => {
+    const message = data.format
+        ? `Importing "${title}" (${itemCount} items) as a new timeline. Continue?`
+        : `Importing ${itemCount} items to your timeline. Continue?`;
+    if (confirm(message)) {
         window.api.send('confirm-import-timeline-data', { filePath, data });
     }
 });
 
 window.api.receive('import-timeline-data-success', (importedData) => {
+    // Versioned imports land in a new timeline, the current one is unchanged
+    if (importedData.timelineId) {
+        showSuccess(`Imported "${importedData.title}" with ${importedData.counts.items} items. Open it from the timeline list.`);
+        if (importedData.counts.missing_files > 0) {
+            showWarning(`${importedData.counts.missing_files} image files could not be found and will show as broken`);
+        }
+        return;
+    }
+
     // Update story index with new references
     Object.entries(importedData.storyReferences).forEach(([id, story]) => {
         storyIndex[id] = story;
@@ -1164,6 +1269,271 @@ window.api.receive('import-timeline-data-success', (importedData) => {
     showSuccess('Timeline data imported successfully');
 });
 
+// Merge import waiting for the user's choices: { data, resolutions }
+let pendingMerge = null;
+
+/**
+ * Merges an exported JSON file into the current timeline
+ * 
+ * How it works:
+ * 1. Main process asks for the file and matches its items against the timeline
+ * 2. Opens the merge dialog so the user can resolve each changed item
+ * 
+ * Possible errors:
+ * - File read failure
+ * - Malformed or legacy-format file
+ * - IPC communication failure
+ */
+async function mergeTimelineData() {
+    try {
+        const result = await window.api.invoke('plan-import-merge');
+        if (!result || result.canceled) return;
+        if (!result.success) {
+            if (result.errors) {
+                showImportValidationErrors(result.filePath, result.errors);
+            } else {
+                showError(`Error merging timeline data: ${result.error}`);
+            }
+            return;
+        }
+        openImportMergeDialog(result.plan, result.data);
+    } catch (error) {
+        showError(`Error merging timeline data: ${error}`);
+    }
+}
+
+/**
+ * Opens the merge dialog for a merge plan
+ * @param {Object} plan - Result of dbManager.planTimelineMerge()
+ * @param {Object} data - The export payload being merged
+ * 
+ * How it works:
+ * 1. Lists every changed item with a Mine/Theirs table of the differing fields
+ * 2. Each changed item gets keep-mine / take-theirs / keep-both choices, keep-mine by default
+ * 3. Lists the new items, which are always added
+ */
+function openImportMergeDialog(plan, data) {
+    const modal = document.getElementById('import-merge-modal');
+    const list = document.getElementById('import-merge-list');
+    const changed = plan.items.filter(entry => entry.status === 'changed');
+    const added = plan.items.filter(entry => entry.status === 'new');
+
+    pendingMerge = { data, resolutions: {} };
+    changed.forEach(entry => pendingMerge.resolutions[entry.incoming_id] = 'keep-mine');
+
+    document.getElementById('import-merge-summary').textContent =
+        `${plan.summary.changed} changed, ${plan.summary.new} new, ${plan.summary.unchanged} unchanged`;
+    document.querySelector('.import-merge-bulk').style.display = changed.length > 0 ? '' : 'none';
+
+    list.innerHTML = '';
+
+    if (changed.length > 0) {
+        const heading = document.createElement('h2');
+        heading.className = 'import-merge-section-title';
+        heading.textContent = `Changed items (${changed.length})`;
+        list.appendChild(heading);
+    }
+
+    changed.forEach((entry, index) => {
+        const card = document.createElement('div');
+        card.className = 'import-merge-item';
+
+        const header = document.createElement('div');
+        header.className = 'import-merge-item-header';
+        const title = document.createElement('span');
+        title.className = 'import-merge-item-title';
+        title.textContent = entry.title || '(Untitled)';
+        const meta = document.createElement('span');
+        meta.className = 'import-merge-item-meta';
+        meta.textContent = `${entry.year}.${entry.subtick || 0} · matched by ${entry.matched_by === 'id' ? 'id' : 'title and date'}`;
+        header.append(title, meta);
+
+        const table = document.createElement('table');
+        table.className = 'import-merge-diff';
+        table.innerHTML = '<tr><th>Field</th><th>Mine</th><th>Theirs</th></tr>';
+        entry.diff.forEach(change => {
+            const row = document.createElement('tr');
+            [change.field.replace(/_/g, ' '), change.mine, change.theirs].forEach((value, column) => {
+                const cell = document.createElement('td');
+                const isEmpty = column > 0 && (value === null || value === undefined || value === '');
+                cell.textContent = isEmpty ? '(empty)' : String(value);
+                if (isEmpty) cell.classList.add('empty');
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+
+        const choices = document.createElement('div');
+        choices.className = 'import-merge-choices';
+        [['keep-mine', 'Keep mine'], ['take-theirs', 'Take theirs'], ['keep-both', 'Keep both']].forEach(([value, label]) => {
+            const option = document.createElement('label');
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = `import-merge-${index}`;
+            radio.value = value;
+            radio.dataset.incomingId = entry.incoming_id;
+            radio.checked = value === 'keep-mine';
+            radio.addEventListener('change', () => {
+                pendingMerge.resolutions[entry.incoming_id] = value;
+            });
+            option.append(radio, label);
+            choices.appendChild(option);
+        });
+
+        card.append(header, table, choices);
+        list.appendChild(card);
+    });
+
+    if (added.length > 0) {
+        const heading = document.createElement('h2');
+        heading.className = 'import-merge-section-title';
+        heading.textContent = `New items (${added.length})`;
+        const newList = document.createElement('ul');
+        newList.className = 'import-merge-new-list';
+        added.forEach(entry => {
+            const li = document.createElement('li');
+            li.textContent = `${entry.title || '(Untitled)'} (${entry.year}.${entry.subtick || 0})`;
+            newList.appendChild(li);
+        });
+        list.append(heading, newList);
+    }
+
+    if (changed.length === 0 && added.length === 0) {
+        list.innerHTML = '<div class="import-merge-summary">Nothing to merge, the timeline already has everything in this file.</div>';
+    }
+
+    modal.classList.add('active');
+}
+
+/**
+ * Closes the merge dialog and forgets the pending merge
+ */
+function closeImportMergeDialog() {
+    pendingMerge = null;
+    document.getElementById('import-merge-modal').classList.remove('active');
+}
+
+/**
+ * Sends the pending merge and the user's choices to the main process
+ */
+async function confirmImportMerge() {
+    if (!pendingMerge) return;
+    const { data, resolutions } = pendingMerge;
+    closeImportMergeDialog();
+
+    try {
+        const result = await window.api.invoke('confirm-import-merge', { data, resolutions });
+        if (!result.success) {
+            showError(`Error merging timeline data: ${result.error}`);
+            return;
+        }
+        const { added, updated, kept_both, skipped } = result.counts;
+        refreshAllItems();
+        showSuccess(`Merged: ${added} added, ${updated} updated, ${kept_both} kept both, ${skipped} unchanged or kept`);
+    } catch (error) {
+        showError(`Error merging timeline data: ${error}`);
+    }
+}
+
+document.getElementById('import-merge-close')?.addEventListener('click', closeImportMergeDialog);
+document.getElementById('import-merge-cancel')?.addEventListener('click', closeImportMergeDialog);
+document.getElementById('import-merge-confirm')?.addEventListener('click', confirmImportMerge);
+document.querySelectorAll('.import-merge-bulk [data-resolution]').forEach(button => {
+    button.addEventListener('click', () => {
+        if (!pendingMerge) return;
+        const resolution = button.dataset.resolution;
+        document.querySelectorAll(`#import-merge-list input[type="radio"][value="${resolution}"]`).forEach(radio => {
+            radio.checked = true;
+            pendingMerge.resolutions[radio.dataset.incomingId] = resolution;
+        });
+    });
+});
+
+/**
+ * Exports the current timeline and its image files as one package file
+ * 
+ * How it works:
+ * 1. Main process shows a save dialog and writes the package
+ * 2. Warns about images that could not be found on disk
+ * 
+ * Possible errors:
+ * - File save failure
+ * - IPC communication failure
+ */
+async function exportTimelinePackage() {
+    try {
+        const result = await window.api.invoke('export-timeline-package');
+        if (!result || result.canceled) return;
+        if (!result.success) {
+            showError(`Error exporting timeline package: ${result.error}`);
+            return;
+        }
+        showSuccess(`Timeline package saved to ${result.filePath}`);
+        if (result.missingFiles.length > 0) {
+            showWarning(`${result.missingFiles.length} image files were missing and are not in the package`);
+        }
+    } catch (error) {
+        showError(`Error exporting timeline package: ${error}`);
+    }
+}
+
+/**
+ * Imports a timeline package as a new timeline
+ * 
+ * How it works:
+ * 1. Main process shows an open dialog and restores the package
+ * 2. Reports the new timeline or the malformed records
+ * 
+ * Possible errors:
+ * - File read failure
+ * - Not a package file
+ * - IPC communication failure
+ */
+async function importTimelinePackage() {
+    try {
+        const result = await window.api.invoke('import-timeline-package');
+        if (!result || result.canceled) return;
+        if (!result.success) {
+            if (result.errors) {
+                showImportValidationErrors(result.filePath, result.errors);
+            } else {
+                showError(`Error importing timeline package: ${result.error}`);
+            }
+            return;
+        }
+        showSuccess(`Imported "${result.title}" with ${result.counts.items} items. Open it from the timeline list.`);
+    } catch (error) {
+        showError(`Error importing timeline package: ${error}`);
+    }
+}
+
+/**
+ * Shows which records of an import file are malformed
+ * @param {string} filePath - The file that was imported
+ * @param {Array} errors - Errors from dbManager.validateTimelineExport()
+ */
+function showImportValidationErrors(filePath, errors) {
+    console.error(`Import file ${filePath} is malformed:`, errors);
+
+    // List the malformed records, capped so the dialog stays readable
+    const MAX_LISTED = 20;
+    const lines = errors.slice(0, MAX_LISTED).map(error => {
+        const where = error.index === null ? error.section : `${error.section}[${error.index}]`;
+        const id = error.id !== null ? ` (id ${error.id})` : '';
+        return `- ${where}${id}: ${error.message}`;
+    });
+    if (errors.length > MAX_LISTED) {
+        lines.push(`...and ${errors.length - MAX_LISTED} more (see console)`);
+    }
+
+    showError(`Import failed: ${errors.length} malformed record${errors.length === 1 ? '' : 's'}`);
+    alert(`Nothing was imported. The file has these problems:\n\n${lines.join('\n')}`);
+}
+
+window.api.receive('import-timeline-data-invalid', ({ filePath, errors }) => {
+    showImportValidationErrors(filePath, errors);
+});
+
 window.api.receive('import-timeline-data-error', (error) => {
     showError(`Error importing timeline data: ${error}`);
 });
@@ -1320,7 +1690,7 @@ window.api.receive('timeline-data', (data) => {
 // Handle items data
 window.api.receive('items', (newItems) => {
     console.log('Received items:', newItems);
-    timelineState.items = newItems;
+    setTimelineItems(newItems);
     renderTimeline();
 });
 
@@ -1347,7 +1717,813 @@ document.addEventListener('keydown', (e) => {
         e.preventDefault();
         // TODO: Implement terminal
     }
+
+    // Search palette with Ctrl + K
+    if (e.ctrlKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        if (document.getElementById('search-palette').classList.contains('active')) {
+            closeSearchPalette();
+        } else {
+            openSearchPalette();
+        }
+    }
+
+    // Undo with Ctrl + Z, redo with Ctrl + Shift + Z; text fields keep their own undo
+    if (e.ctrlKey && e.key.toLowerCase() === 'z' && !e.target.closest('input, textarea, [contenteditable="true"]')) {
+        e.preventDefault();
+        if (e.shiftKey) {
+            redoLastChange();
+        } else {
+            undoLastChange();
+        }
+    }
+});
+
+// ===== Undo / Redo =====
+async function undoLastChange() {
+    const result = await window.api.invoke('undo');
+    handleUndoResult(result, 'Undid', 'Nothing to undo');
+}
+
+async function redoLastChange() {
+    const result = await window.api.invoke('redo');
+    handleUndoResult(result, 'Redid', 'Nothing to redo');
+}
+
+function handleUndoResult(result, verb, emptyMessage) {
+    if (!result.success) {
+        showError(`${verb === 'Undid' ? 'Undo' : 'Redo'} failed: ${result.error}`);
+        reloadItemsAfterUndo();
+        return;
+    }
+    if (!result.label) {
+        showInfo(emptyMessage);
+        return;
+    }
+    showInfo(`${verb}: ${result.label}`);
+    reloadItemsAfterUndo();
+}
+
+// Re-reads the items and checks the timeline start/end markers again
+async function reloadItemsAfterUndo() {
+    setTimelineItems(await window.api.invoke('get-all-items'));
+    checkTimelineMarkers();
+    renderTimeline();
+}
+
+// ===== Search Palette =====
+const SEARCH_PALETTE_KINDS = {
+    item: { label: 'Item', icon: 'ri-calendar-event-fill' },
+    note: { label: 'Note', icon: 'ri-sticky-note-fill' },
+    story: { label: 'Story', icon: 'ri-book-2-fill' },
+    tag: { label: 'Tag', icon: 'ri-price-tag-3-fill' },
+    picture: { label: 'Image', icon: 'ri-image-fill' }
+};
+
+let searchPaletteResults = [];
+let searchPaletteSelected = 0;
+let searchPaletteTimer = null;
+let searchPaletteRequest = 0;
+
+function openSearchPalette() {
+    const palette = document.getElementById('search-palette');
+    const input = document.getElementById('search-palette-input');
+    palette.classList.add('active');
+    input.select();
+    input.focus();
+    if (input.value.trim()) {
+        runSearchPalette(input.value);
+    }
+}
+
+function closeSearchPalette() {
+    clearTimeout(searchPaletteTimer);
+    document.getElementById('search-palette').classList.remove('active');
+}
+
+/**
+ * Searches the current timeline and shows the results in the palette
+ * @param {string} query - What the user typed
+ * 
+ * How it works:
+ * 1. Asks the main process for ranked full-text results
+ * 2. Ignores the answer if the user has typed something else since
+ * 3. Renders the results with the first one selected
+ * 
+ * Possible errors:
+ * - IPC communication failure
+ */
+async function runSearchPalette(query) {
+    const request = ++searchPaletteRequest;
+    if (!query.trim()) {
+        searchPaletteResults = [];
+        renderSearchPalette();
+        return;
+    }
+
+    try {
+        const result = await window.api.invoke('search-full-text', query, { limit: 50 });
+        if (request !== searchPaletteRequest) return;
+        if (!result.success) {
+            showError(`Search failed: ${result.error}`);
+            return;
+        }
+        searchPaletteResults = result.results;
+        searchPaletteSelected = 0;
+        renderSearchPalette();
+    } catch (error) {
+        showError(`Search failed: ${error}`);
+    }
+}
+
+// Formats a result's date the same way as the hover label on the timeline
+function formatSearchResultDate(result) {
+    if (result.year === null || result.year === undefined) return '';
+    return getHoverLabel(result.year + (result.subtick || 0) / timelineState.granularity, timelineState.granularity);
+}
+
+function renderSearchPalette() {
+    const list = document.getElementById('search-palette-results');
+    list.innerHTML = '';
+
+    if (searchPaletteResults.length === 0) {
+        if (document.getElementById('search-palette-input').value.trim()) {
+            list.innerHTML = '<div class="search-palette-empty">No results</div>';
+        }
+        return;
+    }
+
+    searchPaletteResults.forEach((result, index) => {
+        const kind = SEARCH_PALETTE_KINDS[result.kind];
+        const row = document.createElement('div');
+        row.className = 'search-palette-result' + (index === searchPaletteSelected ? ' selected' : '');
+
+        const icon = document.createElement('i');
+        icon.className = `search-palette-icon ${kind.icon}`;
+        icon.title = kind.label;
+
+        const text = document.createElement('div');
+        text.className = 'search-palette-text';
+        const title = document.createElement('div');
+        title.className = 'search-palette-title';
+        title.textContent = result.title || '(No Title)';
+        const snippet = document.createElement('div');
+        snippet.className = 'search-palette-snippet';
+        // The snippet is escaped in the main process; only its <mark> tags are HTML
+        snippet.innerHTML = result.snippet;
+        text.appendChild(title);
+        text.appendChild(snippet);
+
+        const date = document.createElement('div');
+        date.className = 'search-palette-date';
+        date.textContent = formatSearchResultDate(result);
+
+        row.appendChild(icon);
+        row.appendChild(text);
+        row.appendChild(date);
+        row.addEventListener('mousemove', () => {
+            if (searchPaletteSelected !== index) {
+                searchPaletteSelected = index;
+                updateSearchPaletteSelection();
+            }
+        });
+        row.addEventListener('click', () => selectSearchPaletteResult(index));
+        list.appendChild(row);
+    });
+}
+
+function updateSearchPaletteSelection() {
+    const rows = document.querySelectorAll('#search-palette-results .search-palette-result');
+    rows.forEach((row, index) => row.classList.toggle('selected', index === searchPaletteSelected));
+    rows[searchPaletteSelected]?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Jumps to a search result and highlights its item
+ * @param {number} index - Position in searchPaletteResults
+ * 
+ * How it works:
+ * 1. Closes the palette
+ * 2. Centers the timeline on the result's date with jumpToDate
+ * 3. Highlights the item; stories, tags and images highlight the earliest item using them
+ */
+function selectSearchPaletteResult(index) {
+    const result = searchPaletteResults[index];
+    if (!result) return;
+
+    closeSearchPalette();
+    if (result.year === null || result.year === undefined) {
+        showInfo(`${result.title} is not used by any item on this timeline`);
+        return;
+    }
+
+    jumpToDate(result.year, result.subtick || 0);
+    if (result.item_id) {
+        highlightItem(result.item_id);
+    }
+}
+
+document.getElementById('search-palette-input')?.addEventListener('input', (e) => {
+    clearTimeout(searchPaletteTimer);
+    searchPaletteTimer = setTimeout(() => runSearchPalette(e.target.value), 150);
+});
+
+document.getElementById('search-palette-input')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        closeSearchPalette();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (searchPaletteResults.length === 0) return;
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        searchPaletteSelected = (searchPaletteSelected + step + searchPaletteResults.length) % searchPaletteResults.length;
+        updateSearchPaletteSelection();
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        selectSearchPaletteResult(searchPaletteSelected);
+    }
+});
+
+// Clicking the backdrop closes the palette
+document.getElementById('search-palette')?.addEventListener('mousedown', (e) => {
+    if (e.target.id === 'search-palette') {
+        closeSearchPalette();
+    }
+});
+
+// ===== Calendar Editor =====
+const GREGORIAN_CALENDAR = {
+    name: 'Gregorian',
+    months: [
+        { name: 'January', abbreviation: 'Jan', days: 31 },
+        { name: 'February', abbreviation: 'Feb', days: 28 },
+        { name: 'March', abbreviation: 'Mar', days: 31 },
+        { name: 'April', abbreviation: 'Apr', days: 30 },
+        { name: 'May', abbreviation: 'May', days: 31 },
+        { name: 'June', abbreviation: 'Jun', days: 30 },
+        { name: 'July', abbreviation: 'Jul', days: 31 },
+        { name: 'August', abbreviation: 'Aug', days: 31 },
+        { name: 'September', abbreviation: 'Sep', days: 30 },
+        { name: 'October', abbreviation: 'Oct', days: 31 },
+        { name: 'November', abbreviation: 'Nov', days: 30 },
+        { name: 'December', abbreviation: 'Dec', days: 31 }
+    ],
+    weekdays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+    first_weekday: 5,
+    leap: { every: 4, except_every: 100, unless_every: 400, month: 1, days: 1 },
+    eras: [{ name: 'Anno Domini', abbreviation: 'AD', start_year: 1 }],
+    epoch_offset: 0
+};
+
+function updateCalendarSummary() {
+    const summary = document.getElementById('calendar-summary');
+    if (!summary) return;
+    const calendar = timelineState.calendar;
+    summary.textContent = calendar
+        ? `${calendar.name || 'Custom'} (${calendar.months.length} months)`
+        : 'Plain years';
+}
+
+async function openCalendarEditor() {
+    const result = await window.api.invoke('get-timeline-calendar');
+    if (!result.success) {
+        showError(`Could not load the calendar: ${result.error}`);
+        return;
+    }
+    renderCalendarEditor(result.calendar);
+    document.getElementById('calendar-modal').classList.add('active');
+}
+
+function closeCalendarEditor() {
+    document.getElementById('calendar-modal').classList.remove('active');
+}
+
+/**
+ * Fills the calendar editor with a definition
+ * @param {Object|null} definition - The calendar definition, null for an empty editor
+ */
+function renderCalendarEditor(definition) {
+    const calendar = definition || { months: [], eras: [], weekdays: [], leap: {} };
+    const leap = calendar.leap || {};
+
+    document.getElementById('calendar-name').value = calendar.name || '';
+    document.getElementById('calendar-epoch-offset').value = calendar.epoch_offset || 0;
+    document.getElementById('calendar-weekdays').value = (calendar.weekdays || []).join(', ');
+    document.getElementById('calendar-first-weekday').value = calendar.first_weekday || 0;
+    document.getElementById('calendar-leap-every').value = leap.every || 0;
+    document.getElementById('calendar-leap-except').value = leap.except_every || 0;
+    document.getElementById('calendar-leap-unless').value = leap.unless_every || 0;
+    document.getElementById('calendar-leap-days').value = leap.days !== undefined ? leap.days : 1;
+
+    document.getElementById('calendar-months').innerHTML = '';
+    calendar.months.forEach(month => addCalendarMonthRow(month));
+    document.getElementById('calendar-eras').innerHTML = '';
+    (calendar.eras || []).forEach(era => addCalendarEraRow(era));
+
+    updateCalendarLeapMonths(leap.month);
+    updateCalendarPreview();
+}
+
+function addCalendarMonthRow(month = { name: '', abbreviation: '', days: 30 }) {
+    const row = document.createElement('div');
+    row.className = 'calendar-editor-row calendar-month-row';
+    row.innerHTML = `
+        <input type="text" class="calendar-month-name" placeholder="Month name">
+        <input type="text" class="calendar-month-abbreviation" placeholder="Short">
+        <input type="number" class="calendar-month-days" min="1" step="1">
+        <span class="calendar-editor-hint">days</span>
+        <button class="modal-button calendar-remove-row" title="Remove month">&times;</button>
+    `;
+    row.querySelector('.calendar-month-name').value = month.name;
+    row.querySelector('.calendar-month-abbreviation').value = month.abbreviation || '';
+    row.querySelector('.calendar-month-days').value = month.days;
+    row.querySelector('.calendar-remove-row').addEventListener('click', () => {
+        row.remove();
+        updateCalendarLeapMonths();
+        updateCalendarPreview();
+    });
+    document.getElementById('calendar-months').appendChild(row);
+}
+
+function addCalendarEraRow(era = { name: '', abbreviation: '', start_year: 1 }) {
+    const row = document.createElement('div');
+    row.className = 'calendar-editor-row calendar-era-row';
+    row.innerHTML = `
+        <input type="text" class="calendar-era-name" placeholder="Era name">
+        <input type="text" class="calendar-era-abbreviation" placeholder="Short">
+        <span class="calendar-editor-hint">starts in year</span>
+        <input type="number" class="calendar-era-start" step="1">
+        <button class="modal-button calendar-remove-row" title="Remove era">&times;</button>
+    `;
+    row.querySelector('.calendar-era-name').value = era.name;
+    row.querySelector('.calendar-era-abbreviation').value = era.abbreviation || '';
+    row.querySelector('.calendar-era-start').value = era.start_year;
+    row.querySelector('.calendar-remove-row').addEventListener('click', () => {
+        row.remove();
+        updateCalendarPreview();
+    });
+    document.getElementById('calendar-eras').appendChild(row);
+}
+
+// Lists the month names in the leap month select, keeping the selection where possible
+function updateCalendarLeapMonths(selected = null) {
+    const select = document.getElementById('calendar-leap-month');
+    const current = selected !== null && selected !== undefined ? selected : parseInt(select.value);
+    const names = [...document.querySelectorAll('.calendar-month-name')].map(input => input.value || '(unnamed)');
+
+    select.innerHTML = '';
+    names.forEach((name, index) => select.add(new Option(name, index)));
+    select.value = Number.isInteger(current) && current < names.length ? current : Math.max(0, names.length - 1);
+}
+
+/**
+ * Reads the calendar editor into a definition
+ * @returns {Object} The definition; check it with Calendar.validate()
+ */
+function readCalendarEditor() {
+    const number = id => parseInt(document.getElementById(id).value) || 0;
+    const weekdays = document.getElementById('calendar-weekdays').value
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    return {
+        name: document.getElementById('calendar-name').value.trim(),
+        months: [...document.querySelectorAll('.calendar-month-row')].map(row => ({
+            name: row.querySelector('.calendar-month-name').value.trim(),
+            abbreviation: row.querySelector('.calendar-month-abbreviation').value.trim(),
+            days: parseInt(row.querySelector('.calendar-month-days').value)
+        })),
+        weekdays,
+        first_weekday: number('calendar-first-weekday'),
+        leap: {
+            every: number('calendar-leap-every'),
+            except_every: number('calendar-leap-except'),
+            unless_every: number('calendar-leap-unless'),
+            month: number('calendar-leap-month'),
+            days: number('calendar-leap-days')
+        },
+        eras: [...document.querySelectorAll('.calendar-era-row')].map(row => ({
+            name: row.querySelector('.calendar-era-name').value.trim(),
+            abbreviation: row.querySelector('.calendar-era-abbreviation').value.trim(),
+            start_year: parseInt(row.querySelector('.calendar-era-start').value)
+        })),
+        epoch_offset: number('calendar-epoch-offset')
+    };
+}
+
+// Shows the date at the center of the timeline with the edited calendar, or what is wrong with it
+function updateCalendarPreview() {
+    const preview = document.getElementById('calendar-preview');
+    const definition = readCalendarEditor();
+    const { valid, errors } = Calendar.validate(definition);
+
+    if (!valid) {
+        preview.textContent = errors.join(', ');
+        preview.classList.add('invalid');
+        return;
+    }
+
+    const calendar = new Calendar(definition);
+    const value = calculateYearFromPosition(container.getBoundingClientRect().width / 2 + container.getBoundingClientRect().left);
+    const year = Math.floor(value);
+    const subtick = Math.min(timelineState.granularity - 1, Math.floor((value - year) * timelineState.granularity));
+    preview.textContent = `Center of the timeline: ${calendar.formatDate(year, subtick, timelineState.granularity, { weekday: true })}`;
+    preview.classList.remove('invalid');
+}
+
+async function saveCalendar(definition) {
+    const result = await window.api.invoke('set-timeline-calendar', definition);
+    if (!result.success) {
+        showError(result.error);
+        return;
+    }
+
+    loadedData = { ...loadedData, calendar: result.calendar };
+    setTimelineCalendar(result.calendar);
+    updateCalendarSummary();
+    closeCalendarEditor();
+    showInfo(result.calendar ? 'Calendar saved' : 'Timeline uses plain years again');
+}
+
+document.getElementById('calendar-add-month')?.addEventListener('click', () => {
+    addCalendarMonthRow();
+    updateCalendarLeapMonths();
+    updateCalendarPreview();
+});
+document.getElementById('calendar-add-era')?.addEventListener('click', () => {
+    addCalendarEraRow();
+    updateCalendarPreview();
+});
+document.getElementById('calendar-load-gregorian')?.addEventListener('click', () => renderCalendarEditor(GREGORIAN_CALENDAR));
+document.querySelector('#calendar-modal .calendar-editor')?.addEventListener('input', (e) => {
+    if (e.target.classList.contains('calendar-month-name')) updateCalendarLeapMonths();
+    updateCalendarPreview();
+});
+document.getElementById('calendar-save')?.addEventListener('click', () => {
+    const definition = readCalendarEditor();
+    const { valid, errors } = Calendar.validate(definition);
+    if (!valid) {
+        showError(`The calendar is not valid: ${errors.join(', ')}`);
+        return;
+    }
+    saveCalendar(definition);
+});
+document.getElementById('calendar-remove')?.addEventListener('click', () => saveCalendar(null));
+document.getElementById('calendar-cancel')?.addEventListener('click', closeCalendarEditor);
+document.getElementById('calendar-close')?.addEventListener('click', closeCalendarEditor);
+
+// ===== Continuity Check =====
+/**
+ * Runs the continuity check on the current timeline and shows the report
+ *
+ * How it works:
+ * 1. The main process checks the timeline (see continuityChecker.js)
+ * 2. The issues are listed under their rule's heading, in date order
+ * 3. Clicking an issue closes the report, jumps to the item and highlights it
+ *
+ * Possible errors:
+ * - The check fails; an error toast is shown and the report stays closed
+ */
+async function openContinuityReport() {
+    const result = await window.api.invoke('check-continuity');
+    if (!result.success) {
+        showError(`Could not check continuity: ${result.error}`);
+        return;
+    }
+    renderContinuityReport(result);
+    document.getElementById('continuity-modal').classList.add('active');
+}
+
+function closeContinuityReport() {
+    document.getElementById('continuity-modal').classList.remove('active');
+}
+
+function renderContinuityReport({ rules, issues, summary }) {
+    const list = document.getElementById('continuity-list');
+    const summaryElement = document.getElementById('continuity-summary');
+    list.innerHTML = '';
+
+    const counts = [];
+    if (summary.errors > 0) counts.push(`${summary.errors} error${summary.errors === 1 ? '' : 's'}`);
+    if (summary.warnings > 0) counts.push(`${summary.warnings} warning${summary.warnings === 1 ? '' : 's'}`);
+    summaryElement.textContent = counts.length > 0
+        ? `${counts.join(' and ')} in ${summary.items_checked} items`
+        : `No problems found in ${summary.items_checked} items`;
+    summaryElement.classList.toggle('clean', counts.length === 0);
+
+    Object.entries(rules).forEach(([rule, label]) => {
+        const ruleIssues = issues.filter(issue => issue.rule === rule);
+        if (ruleIssues.length === 0) return;
+
+        const heading = document.createElement('h2');
+        heading.className = 'continuity-section-title';
+        heading.textContent = `${label} (${ruleIssues.length})`;
+
+        const ruleList = document.createElement('ul');
+        ruleList.className = 'continuity-issues';
+        ruleIssues.forEach(issue => {
+            const row = document.createElement('li');
+            row.className = `continuity-issue ${issue.severity}`;
+            row.title = 'Show on the timeline';
+
+            const icon = document.createElement('i');
+            icon.className = issue.severity === 'error' ? 'ri-error-warning-fill' : 'ri-alert-line';
+            const title = document.createElement('span');
+            title.className = 'continuity-issue-title';
+            title.textContent = issue.item_title;
+            const date = document.createElement('span');
+            date.className = 'continuity-issue-date';
+            date.textContent = getYearLabel(issue.year);
+            const message = document.createElement('span');
+            message.className = 'continuity-issue-message';
+            message.textContent = issue.message;
+
+            row.append(icon, title, date, message);
+            row.addEventListener('click', () => {
+                closeContinuityReport();
+                jumpToDate(issue.year, issue.subtick);
+                highlightItem(issue.item_id);
+            });
+            ruleList.appendChild(row);
+        });
+
+        list.append(heading, ruleList);
+    });
+}
+
+document.getElementById('continuity-recheck')?.addEventListener('click', openContinuityReport);
+document.getElementById('continuity-done')?.addEventListener('click', closeContinuityReport);
+document.getElementById('continuity-close')?.addEventListener('click', closeContinuityReport);
+
+// ===== Gallery =====
+/**
+ * Shows every picture of the items in view, in date order
+ *
+ * How it works:
+ * 1. Takes the items the filter shows whose dates overlap the visible part of the timeline
+ *    (see getVisibleYearRange() in timeline.js); periods and ages count while any part is in view
+ * 2. Lists each item's pictures under its date, with the item's title
+ * 3. Clicking a picture closes the gallery, jumps to its item and opens it
+ */
+function openGallery() {
+    renderGallery();
+    document.getElementById('gallery-modal').classList.add('active');
+}
+
+function closeGallery() {
+    document.getElementById('gallery-modal').classList.remove('active');
+}
+
+function renderGallery() {
+    const list = document.getElementById('gallery-list');
+    const summaryElement = document.getElementById('gallery-summary');
+    list.innerHTML = '';
+
+    const { start, end } = getVisibleYearRange();
+    const { granularity } = timelineState;
+    const position = (year, subtick) => parseFloat(year || 0) + parseFloat(subtick || 0) / granularity;
+    const galleryItems = timelineState.pictureItems.filter(item => {
+        const itemStart = position(item.year, item.subtick);
+        const itemEnd = position(item.end_year ?? item.year, item.end_subtick ?? item.subtick);
+        return itemStart <= end && itemEnd >= start;
+    });
+
+    const pictureCount = galleryItems.reduce((count, item) => count + item.pictures.length, 0);
+    const range = `${getYearLabel(Math.floor(start))} to ${getYearLabel(Math.ceil(end))}`;
+    summaryElement.textContent = pictureCount > 0
+        ? `${pictureCount} picture${pictureCount === 1 ? '' : 's'} from ${galleryItems.length} item${galleryItems.length === 1 ? '' : 's'}, ${range}`
+        : `No pictures from ${range}. Scroll or zoom out to see more of the timeline.`;
+
+    galleryItems.forEach(item => {
+        const exactLabel = `${item.year}.${(item.subtick || 0).toString().padStart(2, '0')}`;
+        item.pictures.forEach(picture => {
+            const figure = document.createElement('figure');
+            figure.className = 'gallery-picture';
+            figure.title = 'Open this item';
+
+            const img = document.createElement('img');
+            img.alt = picture.title || item.title || '';
+            Thumbnails.setImage(img, picture, 'medium');
+
+            const caption = document.createElement('figcaption');
+            const title = document.createElement('span');
+            title.className = 'gallery-picture-title';
+            title.textContent = item.title || '(No Title)';
+            const date = document.createElement('span');
+            date.className = 'gallery-picture-date';
+            date.textContent = getItemDateLabel(item, exactLabel);
+            caption.append(title, date);
+
+            figure.append(img, caption);
+            figure.addEventListener('click', () => {
+                closeGallery();
+                jumpToDate(item.year, item.subtick || 0);
+                highlightItem(item.id);
+                window.openItemViewer(item.id);
+            });
+            list.appendChild(figure);
+        });
+    });
+}
+
+document.getElementById('gallery-done')?.addEventListener('click', closeGallery);
+document.getElementById('gallery-close')?.addEventListener('click', closeGallery);
+
+// ===== Filter Bar =====
+// The timeline's named filter views, { name, filter }
+let filterViews = [];
+let filterTextTimeout = null;
+
+/**
+ * Changes part of the timeline filter and shows the items it lets through
+ * @param {Object} changes - The filter parts to change, see timelineFilter.js
+ *
+ * How it works:
+ * - The rest of the filter stays as it is; the match mode always comes from the bar
+ * - setTimelineFilter() (timeline.js) filters the timeline, center panel and minimap
+ */
+function updateTimelineFilter(changes) {
+    const mode = document.querySelector('input[name="filter-mode"]:checked')?.value || 'and';
+    setTimelineFilter({ ...TimelineFilter.normalize(timelineState.filter), mode, ...changes });
+}
+
+function clearTimelineFilter() {
+    document.getElementById('filter-text').value = '';
+    document.getElementById('filter-view-select').value = '';
+    setTimelineFilter(null);
+    renderFilterOptions();
+}
+
+// Shows how many items the filter lets through; setTimelineItems() (timeline.js) calls it when the items change
+function updateFilterSummary() {
+    const countItems = list => list.filter(item => !TimelineFilter.MARKER_TYPES.includes(item.type)).length;
+    const summary = document.getElementById('filter-summary');
+    summary.textContent = timelineState.filter
+        ? `${countItems(timelineState.items)} of ${countItems(timelineState.allItems)} items`
+        : 'All items';
+    document.getElementById('filter-bar').classList.toggle('active', !!timelineState.filter);
+}
+
+function toggleFilterPanel() {
+    const panel = document.getElementById('filter-panel');
+    const open = !panel.classList.contains('active');
+    if (open) renderFilterOptions();
+    panel.classList.toggle('active', open);
+}
+
+/**
+ * Lists the tags, stories, types and colors of the timeline's items as options to filter by
+ *
+ * How it works:
+ * - Options come from all items, not just the shown ones, so picking one doesn't hide the others
+ * - Picked options are the ones in the current filter
+ */
+function renderFilterOptions() {
+    const filter = TimelineFilter.normalize(timelineState.filter);
+    const items = timelineState.allItems.filter(item => !TimelineFilter.MARKER_TYPES.includes(item.type));
+
+    const tags = new Map();
+    const stories = new Map();
+    const types = new Map();
+    const colors = new Map();
+    items.forEach(item => {
+        (item.tags || []).forEach(tag => tags.set(String(tag), String(tag)));
+        (item.story_refs || []).forEach(story => stories.set(String(story.id), story.title || '(untitled story)'));
+        if (item.type) types.set(String(item.type), String(item.type));
+        if (item.color && item.color.toLowerCase() !== 'transparent') colors.set(item.color.toLowerCase(), item.color);
+    });
+
+    const renderOptions = (containerId, part, options, isColor = false) => {
+        const container = document.getElementById(containerId);
+        container.innerHTML = '';
+        if (options.size === 0) {
+            const hint = document.createElement('span');
+            hint.className = 'filter-hint';
+            hint.textContent = 'None';
+            container.appendChild(hint);
+            return;
+        }
+
+        Array.from(options.entries())
+            .sort((a, b) => a[1].localeCompare(b[1]))
+            .forEach(([value, label]) => {
+                const option = document.createElement('label');
+                option.className = 'filter-option' + (isColor ? ' color' : '');
+                option.title = label;
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = filter[part].includes(value);
+                checkbox.addEventListener('change', () => {
+                    const values = TimelineFilter.normalize(timelineState.filter)[part].filter(v => v !== value);
+                    if (checkbox.checked) values.push(value);
+                    updateTimelineFilter({ [part]: values });
+                });
+                option.appendChild(checkbox);
+
+                if (isColor) {
+                    const swatch = document.createElement('span');
+                    swatch.className = 'filter-swatch';
+                    swatch.style.backgroundColor = label;
+                    option.appendChild(swatch);
+                } else {
+                    option.appendChild(document.createTextNode(label));
+                }
+                container.appendChild(option);
+            });
+    };
+
+    renderOptions('filter-tags', 'tags', tags);
+    renderOptions('filter-stories', 'stories', stories);
+    renderOptions('filter-types', 'types', types);
+    renderOptions('filter-colors', 'colors', colors, true);
+}
+
+/**
+ * Loads the timeline's named views into the views select
+ *
+ * Possible errors:
+ * - The views can't be loaded; the select only offers the placeholder
+ */
+async function loadFilterViews() {
+    try {
+        const result = await window.api.invoke('get-filter-views');
+        if (!result.success) {
+            console.error('[renderer.js] Could not load the filter views:', result.error);
+            return;
+        }
+        filterViews = result.views;
+    } catch (error) {
+        console.error('[renderer.js] Could not load the filter views:', error);
+    }
+    renderFilterViews();
+}
+
+function renderFilterViews(selected = '') {
+    const select = document.getElementById('filter-view-select');
+    select.innerHTML = '';
+    select.add(new Option('Views...', ''));
+    filterViews.forEach(view => select.add(new Option(view.name, view.name)));
+    select.value = selected;
+}
+
+// Shows the items of a named view and puts its filter into the bar
+function applyFilterView(name) {
+    const view = filterViews.find(entry => entry.name === name);
+    if (!view) return;
+
+    const filter = TimelineFilter.normalize(view.filter);
+    document.getElementById('filter-text').value = filter.text;
+    document.querySelector(`input[name="filter-mode"][value="${filter.mode}"]`).checked = true;
+    document.getElementById('filter-view-name').value = view.name;
+    setTimelineFilter(filter);
+    renderFilterOptions();
+}
+
+async function saveFilterView() {
+    const name = document.getElementById('filter-view-name').value.trim();
+    if (!name) {
+        showError('Give the view a name first');
+        return;
+    }
+
+    const mode = document.querySelector('input[name="filter-mode"]:checked')?.value || 'and';
+    const result = await window.api.invoke('save-filter-view', name, { ...TimelineFilter.normalize(timelineState.filter), mode });
+    if (!result.success) {
+        showError(`Could not save the view: ${result.error}`);
+        return;
+    }
+    filterViews = result.views;
+    renderFilterViews(name);
+    showInfo(`View "${name}" saved`);
+}
+
+async function removeFilterView() {
+    const name = document.getElementById('filter-view-select').value || document.getElementById('filter-view-name').value.trim();
+    if (!filterViews.some(view => view.name === name)) {
+        showError('Pick a saved view to delete');
+        return;
+    }
+
+    const result = await window.api.invoke('remove-filter-view', name);
+    if (!result.success) {
+        showError(`Could not delete the view: ${result.error}`);
+        return;
+    }
+    filterViews = result.views;
+    renderFilterViews();
+    document.getElementById('filter-view-name').value = '';
+    showInfo(`View "${name}" deleted`);
+}
+
+document.getElementById('filter-text')?.addEventListener('input', (e) => {
+    clearTimeout(filterTextTimeout);
+    filterTextTimeout = setTimeout(() => updateTimelineFilter({ text: e.target.value }), 200);
 });
+document.querySelectorAll('input[name="filter-mode"]').forEach(radio =>
+    radio.addEventListener('change', () => updateTimelineFilter({})));
+document.getElementById('filter-view-select')?.addEventListener('change', (e) => applyFilterView(e.target.value));
 
 
 function openEditItemWithRangeWindow(item) {
@@ -4,9 +4,16 @@ const ITEM_INSERTER_VISIBLE = false;
 // Get DOM elements
 const splashTimelinesList = document.getElementById('splash_timelines_list');
 const splashCreateTimelineButton = document.getElementById('splash_create_timeline_button');
+const splashImportPackageButton = document.getElementById('splash_import_package_button');
+const splashSnapshotsButton = document.getElementById('splash_snapshots_button');
 
 // Add event listeners
 splashCreateTimelineButton.addEventListener('click', createNewTimeline);
+splashImportPackageButton.addEventListener('click', importTimelinePackage);
+splashSnapshotsButton.addEventListener('click', openSnapshotsModal);
+document.getElementById('snapshots-close').addEventListener('click', () => {
+    document.getElementById('snapshots-modal').style.display = 'none';
+});
 
 // Load timelines when the page loads
 window.addEventListener('DOMContentLoaded', async () => {
@@ -86,6 +93,143 @@ function createNewTimeline() {
     window.api.send('new-timeline');
 }
 
+// Function to import a timeline package (.stpkg) as a new timeline
+async function importTimelinePackage() {
+    const result = await window.api.invoke('import-timeline-package');
+    if (!result || result.canceled) return;
+
+    if (result.success) {
+        window.showSuccess(`Imported "${result.title}" with ${result.counts.items} items`);
+        if (result.counts.missing_files > 0) {
+            window.showWarning(`${result.counts.missing_files} images were missing from the package`);
+        }
+        loadTimelines();
+    } else {
+        if (result.errors) {
+            console.error('Malformed records in package:', result.errors);
+        }
+        window.showError(`Failed to import package: ${result.error}`);
+    }
+}
+
+// Function to export a timeline package (.stpkg)
+async function exportTimelinePackage(timelineId, event) {
+    if (event) {
+        event.stopPropagation();
+        event.preventDefault();
+    }
+    const result = await window.api.invoke('export-timeline-package', timelineId);
+    if (!result || result.canceled) return;
+
+    if (result.success) {
+        window.showSuccess('Timeline package exported');
+        if (result.missingFiles.length > 0) {
+            window.showWarning(`${result.missingFiles.length} image files were missing and are not in the package`);
+        }
+    } else {
+        window.showError(`Failed to export package: ${result.error}`);
+    }
+}
+
+// Readable names for the reasons snapshots are taken
+const SNAPSHOT_REASONS = {
+    'open': 'Opened a timeline',
+    'interval': 'Automatic',
+    'delete-timeline': 'Before deleting a timeline',
+    'delete-item': 'Before deleting an item',
+    'delete-story': 'Before deleting a story',
+    'delete-tag': 'Before deleting a tag',
+    'delete-media': 'Before deleting an image',
+    'cleanup-images': 'Before cleaning up images',
+    'merge-import': 'Before a merge import',
+    'before-restore': 'Before a restore'
+};
+
+// Function to show the snapshots modal
+async function openSnapshotsModal() {
+    const modal = document.getElementById('snapshots-modal');
+    const list = document.getElementById('snapshots-list');
+    list.textContent = 'Loading snapshots...';
+    modal.style.display = 'block';
+
+    const result = await window.api.invoke('list-snapshots');
+    if (!result.success) {
+        list.textContent = '';
+        window.showError(`Failed to load snapshots: ${result.error}`);
+        return;
+    }
+    renderSnapshots(result.snapshots);
+}
+
+// Function to render the snapshots, one group per snapshot with its timelines
+function renderSnapshots(snapshots) {
+    const list = document.getElementById('snapshots-list');
+    list.textContent = '';
+
+    if (snapshots.length === 0) {
+        list.textContent = 'No snapshots yet.';
+        return;
+    }
+
+    snapshots.forEach(snapshot => {
+        const group = document.createElement('div');
+        group.className = 'splash_snapshot';
+
+        const header = document.createElement('div');
+        header.className = 'splash_snapshot_header';
+        header.textContent = new Date(snapshot.created_at).toLocaleString();
+        const reason = document.createElement('span');
+        reason.className = 'splash_snapshot_reason';
+        reason.textContent = SNAPSHOT_REASONS[snapshot.reason] || snapshot.reason;
+        header.appendChild(reason);
+        group.appendChild(header);
+
+        if (snapshot.timelines.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'splash_snapshot_timeline';
+            empty.textContent = 'No timelines';
+            group.appendChild(empty);
+        }
+
+        snapshot.timelines.forEach(timeline => {
+            const row = document.createElement('div');
+            row.className = 'splash_snapshot_timeline';
+
+            const label = document.createElement('span');
+            label.textContent = `${timeline.title}${timeline.author ? ` by ${timeline.author}` : ''} (${timeline.item_count} items)`;
+            row.appendChild(label);
+
+            const restoreButton = document.createElement('button');
+            restoreButton.className = 'splash_modal_button splash_modal_button_primary';
+            restoreButton.textContent = 'Restore';
+            restoreButton.addEventListener('click', () => restoreSnapshot(snapshot.id, timeline.id, restoreButton));
+            row.appendChild(restoreButton);
+
+            group.appendChild(row);
+        });
+
+        list.appendChild(group);
+    });
+}
+
+// Function to restore one timeline from a snapshot as a new timeline
+async function restoreSnapshot(snapshotId, timelineId, button) {
+    button.disabled = true;
+    const result = await window.api.invoke('restore-snapshot', { snapshotId, timelineId });
+    button.disabled = false;
+
+    if (result.success) {
+        window.showSuccess(`Restored "${result.title}" with ${result.counts.items} items`);
+        if (result.counts.missing_files > 0) {
+            window.showWarning(`${result.counts.missing_files} images could not be found`);
+        }
+        loadTimelines();
+        openSnapshotsModal();
+    } else {
+        window.showError(`Failed to restore: ${result.error}`);
+    }
+}
+
 // Function to load timelines
 function loadTimelines() {
     window.api.send('get-all-timelines');
@@ -181,6 +325,9 @@ function renderTimelines(timelines) {
                     ⋯
                 </button>
                     <div class="splash_timeline_menu" id="menu-${timeline.id}">
+                        <button class="splash_timeline_menu_item" onclick="exportTimelinePackage('${timeline.id}', event)">
+                            📦 Export Package
+                        </button>
                         <button class="splash_timeline_menu_item" onclick="resetTimelineCSS('${timeline.id}', event)">
                             🔧 Disable Custom CSS
                         </button>
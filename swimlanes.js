@@ -0,0 +1,132 @@
+/**
+ * Swimlanes Module
+ *
+ * Splits a timeline's items into one horizontal lane per story, for series told from
+ * several points of view. Shared by the main process (require), which stores the lane
+ * layout, and the timeline window (<script>, as window.Swimlanes), which draws the lanes.
+ *
+ * How it works:
+ * - An item goes into the lane of every story it references (item_story_refs); items
+ *   without story references go into the "No story" lane
+ * - The layout is the timeline's choice of lane order, collapsed lanes and hidden lanes;
+ *   lanes missing from the order go after the ordered ones, by title
+ * - The layout only holds lane ids, so stories added later simply show up as new lanes
+ *
+ * Layout (as stored per timeline):
+ * {
+ *   order: ['3f2a...', 'none'],   // lane ids, see NO_STORY_ID
+ *   collapsed: ['none'],
+ *   hidden: []
+ * }
+ */
+
+class Swimlanes {
+    // Lane id of the items that reference no story
+    static NO_STORY_ID = 'none';
+
+    /**
+     * Cleans up a layout for storage
+     * @param {Object} layout - { order, collapsed, hidden }, any of them may be missing
+     * @returns {Object} { order, collapsed, hidden } as arrays of unique lane id strings
+     */
+    static normalizeLayout(layout) {
+        const ids = list => Array.from(new Set((Array.isArray(list) ? list : [])
+            .filter(id => id !== null && id !== undefined && id !== '')
+            .map(String)));
+        return {
+            order: ids(layout && layout.order),
+            collapsed: ids(layout && layout.collapsed),
+            hidden: ids(layout && layout.hidden)
+        };
+    }
+
+    /**
+     * Gets the lanes for a set of items
+     * @param {Array<Object>} items - Items with story_refs ([{ id, title }])
+     * @param {Object} layout - See normalizeLayout()
+     * @returns {Array<Object>} { id, title, items, collapsed, hidden } in lane order; hidden lanes are included
+     */
+    static getLanes(items, layout) {
+        const { order, collapsed, hidden } = Swimlanes.normalizeLayout(layout);
+        const lanes = new Map();
+        const addTo = (id, title, item) => {
+            if (!lanes.has(id)) lanes.set(id, { id, title, items: [] });
+            lanes.get(id).items.push(item);
+        };
+
+        (items || []).forEach(item => {
+            const refs = (item.story_refs || []).filter(story => story && story.id);
+            if (refs.length === 0) {
+                addTo(Swimlanes.NO_STORY_ID, 'No story', item);
+                return;
+            }
+            const seen = new Set();
+            refs.forEach(story => {
+                const id = String(story.id);
+                if (seen.has(id)) return;
+                seen.add(id);
+                addTo(id, story.title || '(untitled story)', item);
+            });
+        });
+
+        const rank = lane => {
+            const index = order.indexOf(lane.id);
+            return index === -1 ? order.length : index;
+        };
+        return Array.from(lanes.values())
+            .sort((a, b) => (rank(a) - rank(b)) ||
+                // "No story" goes after the stories unless it was moved
+                ((a.id === Swimlanes.NO_STORY_ID) - (b.id === Swimlanes.NO_STORY_ID)) ||
+                a.title.localeCompare(b.title))
+            .map(lane => ({
+                ...lane,
+                collapsed: collapsed.includes(lane.id),
+                hidden: hidden.includes(lane.id)
+            }));
+    }
+
+    /**
+     * Moves a lane one place up or down among the lanes shown
+     * @param {Object} layout - See normalizeLayout()
+     * @param {Array<string>} laneIds - The current lane ids in order (see getLanes())
+     * @param {string} laneId - The lane to move
+     * @param {number} direction - -1 to move up, 1 to move down
+     * @returns {Object} The new layout; the order then lists every current lane
+     */
+    static moveLane(layout, laneIds, laneId, direction) {
+        const normalized = Swimlanes.normalizeLayout(layout);
+        const order = laneIds.slice();
+        const index = order.indexOf(laneId);
+        // Hidden lanes are stepped over, the lane swaps with the next one shown
+        let target = index + direction;
+        while (target >= 0 && target < order.length && normalized.hidden.includes(order[target])) {
+            target += direction;
+        }
+        if (index !== -1 && target >= 0 && target < order.length) {
+            [order[index], order[target]] = [order[target], order[index]];
+        }
+        return { ...normalized, order };
+    }
+
+    /**
+     * Adds a lane to, or removes it from, the collapsed or hidden lanes
+     * @param {Object} layout - See normalizeLayout()
+     * @param {string} list - 'collapsed' or 'hidden'
+     * @param {string} laneId - The lane
+     * @param {boolean} on - Whether the lane should be in the list
+     * @returns {Object} The new layout
+     */
+    static setLaneFlag(layout, list, laneId, on) {
+        const normalized = Swimlanes.normalizeLayout(layout);
+        const ids = normalized[list].filter(id => id !== laneId);
+        if (on) ids.push(laneId);
+        return { ...normalized, [list]: ids };
+    }
+}
+
+// Shared by the main process and the renderer windows
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Swimlanes;
+} else {
+    window.Swimlanes = Swimlanes;
+}
@@ -0,0 +1,107 @@
+/**
+ * Thumbnails Module
+ *
+ * Names the cached thumbnails of a picture and picks which one a window shows. Shared by
+ * the main process (require), which generates the thumbnails (see the Thumbnails section
+ * of dbManager.js), and the renderer windows (<script>, as window.Thumbnails), which show them.
+ *
+ * How it works:
+ * - Every picture has one thumbnail per size in SIZES, fitted inside a square of that many
+ *   pixels and never enlarged
+ * - A thumbnail's file name holds the picture's id and its file's name, so a picture id that
+ *   is reused for another file (after an import or a restore) never shows a stale thumbnail
+ * - Picture rows from dbManager carry the paths of their thumbnails as picture.thumbnails;
+ *   the files are made on upload, by the first-run backfill, or when a window finds one missing
+ * - A window that fails to load a thumbnail falls back to the full picture and asks the
+ *   main process to make the thumbnail again ('regenerate-thumbnails')
+ */
+
+class Thumbnails {
+    // Longest side in pixels, per size
+    static SIZES = {
+        small: 160,     // timeline picture boxes, archive previews
+        medium: 400,    // image library tiles, notes
+        large: 1024     // period and age images, item viewer
+    };
+
+    static EXTENSION = '.webp';
+
+    /**
+     * Gets the file name of a picture's thumbnail
+     * @param {Object} picture - The picture row, with id and file_path
+     * @param {string} size - One of SIZES
+     * @returns {string} e.g. "42_img_1717171717_ab12cd.webp"
+     */
+    static getFileName(picture, size) {
+        const baseName = String(picture.file_path || picture.file_name || '')
+            .split(/[\\/]/).pop()
+            .replace(/\.[^.]*$/, '')
+            .replace(/[^\w-]/g, '_');
+        return `${picture.id}_${baseName}${Thumbnails.EXTENSION}`;
+    }
+
+    static toFileUrl(filePath) {
+        return 'file://' + String(filePath).replace(/\\/g, '/');
+    }
+
+    /**
+     * Gets the URL to show a picture at a size
+     * @param {Object} picture - The picture row
+     * @param {string} size - One of SIZES
+     * @returns {string} The thumbnail's URL, or the full picture's when there is no thumbnail path
+     */
+    static getSrc(picture, size) {
+        const thumbnail = picture.thumbnails && picture.thumbnails[size];
+        return Thumbnails.toFileUrl(thumbnail || picture.file_path);
+    }
+
+    /**
+     * Gets the attributes of an <img> that shows a thumbnail, for HTML strings
+     * @param {Object} picture - The picture row
+     * @param {string} size - One of SIZES
+     * @returns {string} src and the data attributes handleError() needs
+     */
+    static getImgAttributes(picture, size) {
+        const escape = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+        return `src="${escape(Thumbnails.getSrc(picture, size))}" ` +
+            `data-full-src="${escape(Thumbnails.toFileUrl(picture.file_path))}" data-picture-id="${escape(picture.id)}"`;
+    }
+
+    /**
+     * Points an <img> at a thumbnail, falling back to the full picture when it fails to load
+     * @param {HTMLImageElement} img - The image element
+     * @param {Object} picture - The picture row
+     * @param {string} size - One of SIZES
+     */
+    static setImage(img, picture, size) {
+        img.dataset.fullSrc = Thumbnails.toFileUrl(picture.file_path);
+        img.dataset.pictureId = picture.id;
+        img.addEventListener('error', () => Thumbnails.handleError(img));
+        img.src = Thumbnails.getSrc(picture, size);
+    }
+
+    /**
+     * Handles an <img> whose thumbnail failed to load
+     * @param {HTMLImageElement} img - An image set up by setImage() or getImgAttributes()
+     * @returns {boolean} False when the full picture failed too, so the image is broken
+     */
+    static handleError(img) {
+        const fullSrc = img.dataset.fullSrc;
+        if (!fullSrc || img.dataset.thumbnailFailed) return false;
+
+        img.dataset.thumbnailFailed = 'true';
+        if (img.dataset.pictureId) {
+            window.api.send('regenerate-thumbnails', img.dataset.pictureId);
+        }
+        if (img.src === fullSrc) return false;
+        img.src = fullSrc;
+        return true;
+    }
+}
+
+// Shared by the main process and the renderer windows
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Thumbnails;
+} else {
+    window.Thumbnails = Thumbnails;
+}
@@ -0,0 +1,85 @@
+/**
+ * Tick Scale Module
+ *
+ * Picks which ticks the timeline axis draws at a zoom level, so it reads as millennia,
+ * centuries, decades, years or subticks and its labels never overlap.
+ *
+ * How it works:
+ * - Steps are counted in subticks, so ticks always fall on whole subticks
+ * - Labelled (major) ticks are the smallest 1, 2, 5 × 10^n years step whose labels are
+ *   at least minLabelSpacing apart
+ * - When a single subtick is that wide, the ticks are years and every subtick is labelled
+ * - Unlabelled (minor) ticks split the major step where they are at least MIN_TICK_SPACING apart:
+ *   into smaller year steps that divide it, or into subticks within a year
+ */
+
+class TickScale {
+    // Pixels between unlabelled ticks, below which they are left out
+    static MIN_TICK_SPACING = 6;
+
+    // 1, 2, 5, 10, 20, 50, ... years
+    static YEAR_STEPS = Array.from({ length: 30 }, (_, i) => [1, 2, 5][i % 3] * Math.pow(10, Math.floor(i / 3)));
+
+    /**
+     * Picks the ticks for a zoom level
+     * @param {number} pixelsPerSubtick - The zoom level
+     * @param {number} granularity - Subticks per year
+     * @param {number} minLabelSpacing - Pixels a label needs, including the gap to the next one
+     * @returns {Object} { major, minor, labelMinor, unit }
+     *   major: subticks between labelled ticks (always whole years)
+     *   minor: subticks between unlabelled ticks, null when there are none
+     *   labelMinor: whether the minor ticks get labels too
+     *   unit: 'subtick', 'year', 'decade', 'century' or 'millennium', what the labelled ticks count
+     */
+    static choose(pixelsPerSubtick, granularity, minLabelSpacing = 80) {
+        const pixelsPerYear = pixelsPerSubtick * granularity;
+
+        if (pixelsPerSubtick >= minLabelSpacing) {
+            return { major: granularity, minor: 1, labelMinor: true, unit: 'subtick' };
+        }
+
+        const yearStep = TickScale.YEAR_STEPS.find(step => step * pixelsPerYear >= minLabelSpacing) ||
+            TickScale.YEAR_STEPS[TickScale.YEAR_STEPS.length - 1];
+
+        let minor = null;
+        if (yearStep === 1) {
+            // The smallest whole share of a year whose ticks have room
+            for (let subticks = 1; subticks < granularity; subticks++) {
+                if (granularity % subticks === 0 && subticks * pixelsPerSubtick >= TickScale.MIN_TICK_SPACING) {
+                    minor = subticks;
+                    break;
+                }
+            }
+        } else {
+            const minorYears = TickScale.YEAR_STEPS.find(step => step < yearStep && yearStep % step === 0 &&
+                step * pixelsPerYear >= TickScale.MIN_TICK_SPACING);
+            if (minorYears) minor = minorYears * granularity;
+        }
+
+        return { major: yearStep * granularity, minor, labelMinor: false, unit: TickScale.getUnit(yearStep) };
+    }
+
+    static getUnit(yearStep) {
+        if (yearStep >= 1000) return 'millennium';
+        if (yearStep >= 100) return 'century';
+        if (yearStep >= 10) return 'decade';
+        return 'year';
+    }
+
+    /**
+     * Gets the ticks of one step between two subticks
+     * @param {number} from - First subtick (counted from year 0)
+     * @param {number} to - Last subtick
+     * @param {number} step - Subticks between ticks
+     * @returns {Array<number>} The subticks that are multiples of step, from first to last
+     */
+    static values(from, to, step) {
+        const values = [];
+        for (let value = Math.ceil(from / step) * step; value <= to; value += step) {
+            values.push(value);
+        }
+        return values;
+    }
+}
+
+window.TickScale = TickScale;
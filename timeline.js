@@ -10,6 +10,9 @@ const hoverMarker = document.getElementById("timeline-hover-marker");
 const hoverMarkerStick = document.getElementById("timeline-hover-marker-stick");
 const globalHoverBubble = document.getElementById('global-hover-bubble');
 const timelineCanvas = document.getElementById('timeline-canvas');
+const narrativeLane = document.getElementById('narrative-lane');
+const swimlanePanel = document.getElementById('swimlanes');
+const imageStrip = document.getElementById('image-strip');
 
 // ===== TimelineCanvas Class =====
 class TimelineCanvas {
@@ -42,7 +45,7 @@ class TimelineCanvas {
         });
     }
 
-    drawTick(x, isFullYear, year = null) {
+    drawTick(x, isFullYear, year = null, monthLabel = null) {
         const ctx = this.ctx;
         const containerRect = container.getBoundingClientRect();
         const centerY = containerRect.height / 2;
@@ -66,12 +69,28 @@ class TimelineCanvas {
             ctx.fillStyle = '#4b2e2e';
             ctx.textAlign = 'center';
             ctx.textBaseline = 'top';
-            ctx.fillText(year.toString(), x, centerY + 25);
+            ctx.fillText(getYearLabel(year), x, centerY + 25);
         }
-    }
 
-    drawConnectingLine(x, startY, endY, isHighlighted = false) {
+        // Draw month label for ticks where a calendar month starts
+        if (monthLabel) {
+            ctx.save();
+            ctx.fillStyle = '#7a5c4c';
+            ctx.font = '10px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            ctx.fillText(monthLabel, x, centerY + 14);
+            ctx.restore();
+        }
+    }
 
+    /**
+     * Strokes a connector in the style shared by the connecting lines and relationship arcs
+     * @param {Function} tracePath - Adds the connector's path to the context
+     * @param {boolean} isHighlighted - Draws it blue with a glow when the item is highlighted
+     * @param {string} color - Line color when not highlighted
+     */
+    strokeConnector(tracePath, isHighlighted = false, color = '#000') {
         const ctx = this.ctx;
         ctx.beginPath();
         
@@ -82,18 +101,218 @@ class TimelineCanvas {
             ctx.strokeStyle = '#4a90e2'; // Brighter blue for the line
             ctx.lineWidth = 2;
         } else {
-            ctx.strokeStyle = '#000';
+            ctx.strokeStyle = color;
             ctx.lineWidth = 1;
         }
         
-        ctx.moveTo(x, startY);
-        ctx.lineTo(x, endY);
+        tracePath(ctx);
         ctx.stroke();
         
         // Reset shadow
         ctx.shadowBlur = 0;
     }
 
+    drawConnectingLine(x, startY, endY, isHighlighted = false) {
+        this.strokeConnector(ctx => {
+            ctx.moveTo(x, startY);
+            ctx.lineTo(x, endY);
+        }, isHighlighted);
+    }
+
+    /**
+     * Draws a relationship between two items as an arc with an arrowhead at the target
+     * @param {Object} from - { x, y } anchor of the source item (see getItemAnchor())
+     * @param {Object} to - { x, y } anchor of the target item
+     * @param {string} type - The relationship type, which sets the color (see itemRelationships.js)
+     * @param {boolean} isHighlighted - Whether either item is highlighted
+     *
+     * How it works:
+     * - Items on the same side of the axis are joined by a curve that dips towards the axis,
+     *   so it runs between the item boxes and the axis instead of through the boxes
+     * - Items on opposite sides are joined by a curve through the axis
+     */
+    drawRelationshipArc(from, to, type, isHighlighted = false) {
+        const centerY = container.getBoundingClientRect().height / 2;
+        const fromAbove = from.y < centerY;
+        const sameSide = fromAbove === (to.y < centerY);
+        const control = {
+            x: (from.x + to.x) / 2,
+            y: sameSide ? centerY + (fromAbove ? -12 : 12) : centerY
+        };
+        const color = ItemRelationships.getColor(type);
+
+        this.strokeConnector(ctx => {
+            ctx.moveTo(from.x, from.y);
+            ctx.quadraticCurveTo(control.x, control.y, to.x, to.y);
+        }, isHighlighted, color);
+
+        // The arrowhead points along the end of the curve
+        const ctx = this.ctx;
+        const angle = Math.atan2(to.y - control.y, to.x - control.x);
+        const size = 7;
+        ctx.save();
+        ctx.fillStyle = isHighlighted ? '#4a90e2' : color;
+        ctx.beginPath();
+        ctx.moveTo(to.x, to.y);
+        ctx.lineTo(to.x - size * Math.cos(angle - Math.PI / 7), to.y - size * Math.sin(angle - Math.PI / 7));
+        ctx.lineTo(to.x - size * Math.cos(angle + Math.PI / 7), to.y - size * Math.sin(angle + Math.PI / 7));
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+    }
+
+    /**
+     * Gets where relationship arcs attach to an item
+     * @param {Object} item - The item
+     * @returns {Object} { x, y, highlighted } relative to the container
+     *
+     * How it works:
+     * - Item and picture boxes: the middle of the edge facing the axis
+     * - Periods, ages and bookmarks: the middle of their element
+     * - Items that are not rendered (e.g. off screen): their date on the axis
+     */
+    getItemAnchor(item) {
+        const { focusYear, granularity, pixelsPerSubtick, offsetPx } = timelineState;
+        const containerRect = container.getBoundingClientRect();
+        const id = CSS.escape(String(item.id));
+
+        const box = container.querySelector(`.timeline-item-box[data-id="${id}"], .timeline-picture-box[data-id="${id}"]`);
+        const element = box || container.querySelector(`[data-id="${id}"]`);
+        if (element) {
+            const rect = element.getBoundingClientRect();
+            let y = rect.top + rect.height / 2 - containerRect.top;
+            if (box) {
+                y = box.classList.contains('above') ? rect.bottom - containerRect.top : rect.top - containerRect.top;
+            }
+            return {
+                x: rect.left + rect.width / 2 - containerRect.left,
+                y,
+                highlighted: element.classList.contains('highlighted')
+            };
+        }
+
+        const year = parseFloat(item.year || 0) + parseInt(item.subtick || 0) / granularity;
+        return {
+            x: containerRect.width / 2 + (year - focusYear) * pixelsPerSubtick * granularity + offsetPx,
+            y: containerRect.height / 2,
+            highlighted: false
+        };
+    }
+
+    // Draws the relationship arcs of all items with at least one end on screen
+    drawRelationships() {
+        const itemsById = new Map(timelineState.items.map(item => [String(item.id), item]));
+        const anchors = new Map();
+        const getAnchor = item => {
+            if (!anchors.has(item.id)) anchors.set(item.id, this.getItemAnchor(item));
+            return anchors.get(item.id);
+        };
+
+        timelineState.items.forEach(item => {
+            (item.relationships || []).forEach(relationship => {
+                const target = itemsById.get(String(relationship.target_id));
+                if (!target) return;
+
+                const from = getAnchor(item);
+                const to = getAnchor(target);
+                if ((from.x < 0 && to.x < 0) || (from.x > this.canvas.width && to.x > this.canvas.width)) return;
+                this.drawRelationshipArc(from, to, relationship.type, from.highlighted || to.highlighted);
+            });
+        });
+    }
+
+    /**
+     * Draws lines from the reading lane's chips down to the items' dates on the axis
+     *
+     * How it works:
+     * - Each chip (see renderNarrativeLane()) is joined to its item's start date by a curve,
+     *   so crossing lines show where the reading order jumps back or forward in time
+     * - Chips scrolled out of the lane are skipped; dates off screen still get their line,
+     *   which runs off the edge towards them
+     * - The line of the chip under the mouse or of a highlighted item is highlighted
+     */
+    drawNarrativeLines() {
+        if (!narrativeLane || narrativeLane.style.display === 'none') return;
+
+        const { focusYear, granularity, pixelsPerSubtick, offsetPx } = timelineState;
+        const containerRect = container.getBoundingClientRect();
+        const laneRect = narrativeLane.getBoundingClientRect();
+        const centerX = containerRect.width / 2;
+        const centerY = containerRect.height / 2;
+        const startY = laneRect.bottom - containerRect.top;
+        const itemsById = new Map(timelineState.items.map(item => [String(item.id), item]));
+
+        narrativeLane.querySelectorAll('.narrative-chip').forEach(chip => {
+            const item = itemsById.get(chip.dataset.itemId);
+            if (!item) return;
+
+            const chipRect = chip.getBoundingClientRect();
+            if (chipRect.right < laneRect.left || chipRect.left > laneRect.right) return;
+
+            const fromX = chipRect.left + chipRect.width / 2 - containerRect.left;
+            const year = parseFloat(item.year || 0) + parseInt(item.subtick || 0) / granularity;
+            const toX = centerX + (year - focusYear) * pixelsPerSubtick * granularity + offsetPx;
+            const middleY = (startY + centerY) / 2;
+            const isHighlighted = chip.classList.contains('hovered') ||
+                !!container.querySelector(`[data-id="${CSS.escape(chip.dataset.itemId)}"]:is(.highlighted, .search-highlight)`);
+            const color = item.color && item.color.toLowerCase() !== 'transparent' ? item.color : '#7a5c4c';
+
+            this.ctx.save();
+            this.ctx.globalAlpha = isHighlighted ? 1 : 0.6;
+            this.strokeConnector(ctx => {
+                ctx.moveTo(fromX, startY);
+                ctx.bezierCurveTo(fromX, middleY, toX, middleY, toX, centerY);
+            }, isHighlighted, color);
+            this.ctx.fillStyle = isHighlighted ? '#4a90e2' : color;
+            this.ctx.beginPath();
+            this.ctx.arc(toX, centerY, 3, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.restore();
+        });
+    }
+
+    /**
+     * Draws the range an uncertain item's date could fall in as a band along the axis
+     * @param {Object} item - The item
+     * @param {Object} extent - DateUncertainty.getExtent() of the item
+     *
+     * How it works:
+     * - The band is solid between the item's start and end, and fades out towards
+     *   the earliest and latest dates it could fall on
+     * - Higher confidence draws a stronger band; no confidence counts as 50%
+     */
+    drawUncertainty(item, extent) {
+        const ctx = this.ctx;
+        const { focusYear, granularity, pixelsPerSubtick, offsetPx } = timelineState;
+        const containerRect = container.getBoundingClientRect();
+        const centerX = containerRect.width / 2;
+        const centerY = containerRect.height / 2;
+        const toX = date => centerX + (date.year + date.subtick / granularity - focusYear) * pixelsPerSubtick * granularity + offsetPx;
+
+        const earliestX = toX(extent.earliest);
+        const latestX = toX(extent.latest);
+        const width = latestX - earliestX;
+        if (width < 1 || latestX < 0 || earliestX > this.canvas.width) return;
+
+        const color = item.color && item.color.toLowerCase() !== 'transparent' ? item.color : '#7a5c4c';
+        const confidence = item.date_confidence ?? 50;
+        const offset = x => Math.min(1, Math.max(0, (x - earliestX) / width));
+        const startOffset = offset(toX(extent.start));
+        const endOffset = offset(toX(extent.end));
+
+        const gradient = ctx.createLinearGradient(earliestX, 0, latestX, 0);
+        gradient.addColorStop(0, startOffset > 0 ? 'transparent' : color);
+        gradient.addColorStop(startOffset, color);
+        gradient.addColorStop(endOffset, color);
+        gradient.addColorStop(1, endOffset < 1 ? 'transparent' : color);
+
+        ctx.save();
+        ctx.globalAlpha = 0.15 + 0.45 * confidence / 100;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(earliestX, centerY - 6, width, 12);
+        ctx.restore();
+    }
+
     update() {
         const { focusYear, granularity, pixelsPerSubtick, offsetPx } = timelineState;
         const containerRect = container.getBoundingClientRect();
@@ -117,23 +336,46 @@ class TimelineCanvas {
         const leftYear = focusYear - ((centerX + offsetPx) / (granularity * pixelsPerSubtick));
         const rightYear = focusYear + ((containerRect.width - centerX - offsetPx) / (granularity * pixelsPerSubtick));
 
-        // Add a buffer of subticks on both sides for edge safety
-        const bufferSubticks = granularity * (granularity < 60 ? 10 : 2);
-        const startSubtick = Math.floor(leftYear * granularity) - bufferSubticks;
-        const endSubtick = Math.ceil(rightYear * granularity) + bufferSubticks;
+        // Which ticks to draw at this zoom level, with one step of buffer on both sides
+        const scale = getTickScale();
+        const startSubtick = Math.floor(leftYear * granularity) - scale.major;
+        const endSubtick = Math.ceil(rightYear * granularity) + scale.major;
+        const toX = subtick => centerX + (subtick / granularity - focusYear) * pixelsPerSubtick * granularity + offsetPx;
+        const isOnCanvas = x => x >= 0 && x <= this.canvas.width;
+
+        // Uncertain dates go under the ticks
+        timelineState.items.forEach(item => {
+            if (!item || item.type === 'Timeline_start' || item.type === 'Timeline_end') return;
+            const extent = DateUncertainty.getExtent(item);
+            if (extent) this.drawUncertainty(item, extent);
+        });
 
-        // Draw ticks
-        for (let i = startSubtick; i <= endSubtick; i++) {
-            const year = i / granularity;
-            const x = centerX + (year - focusYear) * pixelsPerSubtick * granularity + offsetPx;
-            const isFullYear = i % granularity === 0;
-            
-            // Only draw if the tick is within the canvas bounds
-            if (x >= 0 && x <= this.canvas.width) {
-                this.drawTick(x, isFullYear, isFullYear ? Math.floor(year) : null);
+        // Unlabelled ticks between the labelled ones, labelled too when zoomed in to single subticks
+        if (scale.minor) {
+            TickScale.values(startSubtick, endSubtick, scale.minor).forEach(i => {
+                if (i % scale.major === 0 || !isOnCanvas(toX(i))) return;
+                const label = scale.labelMinor ? getNumberLineLabel(i / granularity, granularity) : null;
+                this.drawTick(toX(i), false, null, label);
+            });
+        }
+
+        // Month names are only drawn when there is room for them
+        const calendar = timelineState.calendar;
+        const showMonths = calendar && !scale.labelMinor && (pixelsPerSubtick * granularity) / calendar.months.length >= 40;
+        if (showMonths) {
+            for (let year = Math.floor(startSubtick / granularity); year <= Math.ceil(endSubtick / granularity); year++) {
+                getMonthStartSubticks(year).forEach((monthLabel, subtick) => {
+                    const x = toX(year * granularity + subtick);
+                    if (subtick !== 0 && isOnCanvas(x)) this.drawTick(x, false, null, monthLabel);
+                });
             }
         }
 
+        // Labelled ticks: millennia, centuries, decades or years depending on the zoom
+        TickScale.values(startSubtick, endSubtick, scale.major).forEach(i => {
+            if (isOnCanvas(toX(i))) this.drawTick(toX(i), true, i / granularity);
+        });
+
         // get center year from center of the screen
         const new_centerYear = calculateYearFromPosition(centerX + containerRect.left);
 
@@ -173,6 +415,15 @@ class TimelineCanvas {
                 }
             }
         });
+
+        // Relationship arcs go over the connecting lines
+        if (timelineState.showRelationships) {
+            this.drawRelationships();
+        }
+
+        if (timelineState.narrativeOrder) {
+            this.drawNarrativeLines();
+        }
     }
 }
 
@@ -185,9 +436,17 @@ const canvas = new TimelineCanvas(timelineCanvas);
  * @type {Object} timelineState - Current timeline state
  * @property {number} focusYear - Currently focused year
  * @property {number} granularity - Timeline granularity (subticks per year)
- * @property {number} pixelsPerSubtick - Pixels per subtick unit
+ * @property {number} pixelsPerSubtick - Pixels per subtick unit, the zoom level (see setZoom())
  * @property {number} offsetPx - Current horizontal offset in pixels
- * @property {Array} items - List of timeline items
+ * @property {Array} items - List of timeline items the filter shows
+ * @property {Array} allItems - List of all timeline items
+ * @property {Object|null} filter - The filter bar's filter (see timelineFilter.js), null shows every item
+ * @property {Calendar|null} calendar - The timeline's custom calendar, null for plain year.subtick dates
+ * @property {boolean} showRelationships - Whether relationship arcs are drawn
+ * @property {boolean} narrativeOrder - Whether the reading order lane is shown
+ * @property {boolean} swimlanes - Whether items are laid out in one lane per story
+ * @property {Object} swimlaneLayout - The lanes' order, collapsed and hidden lanes (see swimlanes.js)
+ * @property {boolean} imageStrip - Whether the pictures' thumbnails are shown along the bottom
  */
 const timelineState = {
     focusYear: 0,
@@ -195,7 +454,19 @@ const timelineState = {
     pixelsPerSubtick: 1,
     offsetPx: 0,
     items: [],
-    displayRadius: 10
+    allItems: [],
+    // The items in reading order (see narrativeOrder.js), sorted when the items change
+    narrativeItems: [],
+    // The items that have pictures, in date order, for the image strip and the gallery
+    pictureItems: [],
+    filter: null,
+    displayRadius: 10,
+    calendar: null,
+    showRelationships: true,
+    narrativeOrder: false,
+    swimlanes: false,
+    swimlaneLayout: { order: [], collapsed: [], hidden: [] },
+    imageStrip: false
 };
 
 /**
@@ -209,6 +480,12 @@ const timelineMarkers = {
     end: null
 };
 
+/**
+ * Item highlighted after jumping to it from the search palette
+ * @type {Object|null} searchHighlight - { id, timeout } while the highlight lasts
+ */
+let searchHighlight = null;
+
 /**
  * Mouse interaction state
  * @type {boolean} isDragging - Whether timeline is being dragged
@@ -431,6 +708,10 @@ function getNumberLineLabel(v, granularity) {
         subtick = 0;
     }
 
+    if (timelineState.calendar) {
+        return formatCalendarValue(snapped, granularity, { short: true });
+    }
+
     return `${year}.${subtick}`;
 }
 
@@ -472,6 +753,10 @@ function getHoverLabel(v, granularity) {
         subtick = 0;
     }
 
+    if (timelineState.calendar) {
+        return formatCalendarValue(snapped, granularity, { weekday: true });
+    }
+
     if(year === 0 && snapped < 0){
         return `-${year}. ${subtick}`;
     }
@@ -479,6 +764,112 @@ function getHoverLabel(v, granularity) {
     return `${year}. ${subtick}`;
 }
 
+/**
+ * Formats a position on the timeline with the timeline's calendar
+ * @param {number} v - Year value (year + subtick / granularity), already snapped to a subtick
+ * @param {number} granularity - Timeline granularity
+ * @param {Object} options - Passed to Calendar.formatDate()
+ * @returns {string} Formatted date
+ * 
+ * How it works:
+ * 1. Splits the value the same way items are placed (year + subtick / granularity)
+ * 2. Lets the calendar name the day, month and era
+ */
+function formatCalendarValue(v, granularity, options = {}) {
+    let year = Math.floor(v);
+    let subtick = Math.round((v - year) * granularity);
+    if (subtick >= granularity) {
+        year++;
+        subtick = 0;
+    }
+    return timelineState.calendar.formatDate(year, subtick, granularity, options);
+}
+
+/**
+ * Gets the label of a full-year tick
+ * @param {number} year - The year
+ * @returns {string} The year, with its era if the timeline has a calendar
+ */
+function getYearLabel(year) {
+    return timelineState.calendar ? timelineState.calendar.formatYear(year, { short: true }) : year.toString();
+}
+
+/**
+ * Adds an item's date uncertainty to its date label
+ * @param {Object} item - The item
+ * @param {string} exactLabel - The date as shown when it is exact
+ * @returns {string} e.g. "c. 1200" or "340–360?"; exactLabel for exact dates
+ */
+function getItemDateLabel(item, exactLabel) {
+    const { calendar, granularity } = timelineState;
+    return DateUncertainty.formatLabel(item, exactLabel, (year, subtick) => {
+        // Approximate dates on the first subtick of a year are shown as just the year
+        if (calendar) {
+            return subtick ? calendar.formatDate(year, subtick, granularity) : calendar.formatYear(year);
+        }
+        return subtick ? `${year}.${subtick.toString().padStart(2, '0')}` : `${year}`;
+    });
+}
+
+/**
+ * Labels a character taking part in an item with their age at the item's date
+ * @param {Object} character - { name, age, status } as attached to items by dbManager
+ * @returns {string} e.g. "Aria (age 34)", "Aria (not yet born)", "Aria (died aged 60)" or just "Aria"
+ */
+function getCharacterLabel(character) {
+    if (character.status === 'alive') return `${character.name} (age ${character.age})`;
+    if (character.status === 'unborn') return `${character.name} (not yet born)`;
+    if (character.status === 'dead') return `${character.name} (died aged ${character.age})`;
+    return character.name;
+}
+
+/**
+ * Adds the characters of an item to its note in the main content panel
+ * @param {HTMLElement} contentDiv - The note's .note-content
+ * @param {Object} item - The item
+ */
+function appendNoteCharacters(contentDiv, item) {
+    if (!item.characters || item.characters.length === 0) return;
+
+    const charactersDiv = document.createElement('div');
+    charactersDiv.className = 'note-characters';
+    item.characters.forEach(character => {
+        const characterSpan = document.createElement('span');
+        characterSpan.className = `note-character ${character.status}`;
+        characterSpan.textContent = getCharacterLabel(character);
+        charactersDiv.appendChild(characterSpan);
+    });
+    contentDiv.appendChild(charactersDiv);
+}
+
+/**
+ * Finds the ticks of a year where a calendar month starts
+ * @param {number} year - The year
+ * @returns {Map} Subtick to month label
+ */
+function getMonthStartSubticks(year) {
+    const calendar = timelineState.calendar;
+    const granularity = timelineState.granularity;
+    const starts = new Map();
+
+    calendar.getMonths(year).forEach((month, index) => {
+        const subtick = calendar.dateToSubtick(year, index, 1, granularity);
+        if (!starts.has(subtick)) {
+            starts.set(subtick, month.abbreviation || month.name);
+        }
+    });
+    return starts;
+}
+
+/**
+ * Sets the timeline's calendar and redraws the timeline
+ * @param {Object|string|null} definition - Calendar definition from the database
+ */
+function setTimelineCalendar(definition) {
+    timelineState.calendar = Calendar.fromDefinition(definition);
+    renderTimeline();
+}
+
 /**
  * Updates the main content area based on items at the center position
  * @param {number} centerX - X position of the center
@@ -598,6 +989,7 @@ function updateMainContent(centerX, centerYear) {
             const title = document.createElement('h2');
             title.textContent = picture.title || '(No Title)';
             contentDiv.appendChild(title);
+            appendNoteCharacters(contentDiv, picture);
 
             pictureDiv.appendChild(contentDiv);
 
@@ -605,7 +997,7 @@ function updateMainContent(centerX, centerYear) {
                 if (picture.pictures.length === 1) {
                     const img = document.createElement('img');
                     img.className = 'note-image';
-                    img.src = `file://${picture.pictures[0].file_path}`;
+                    Thumbnails.setImage(img, picture.pictures[0], 'medium');
                     pictureDiv.appendChild(img);
                 } else {
                     const imagesContainer = document.createElement('div');
@@ -618,7 +1010,7 @@ function updateMainContent(centerX, centerYear) {
                     picture.pictures.forEach(pic => {
                         const img = document.createElement('img');
                         img.className = 'note-image';
-                        img.src = `file://${pic.file_path}`;
+                        Thumbnails.setImage(img, pic, 'medium');
                         imagesContainer.appendChild(img);
                     });
 
@@ -688,12 +1080,14 @@ function updateMainContent(centerX, centerYear) {
                 contentDiv.appendChild(tagsDiv);
             }
 
+            appendNoteCharacters(contentDiv, note);
+
             noteDiv.appendChild(contentDiv);
 
             if (note.pictures && note.pictures.length > 0) {
                 const img = document.createElement('img');
                 img.className = 'note-image';
-                img.src = `file://${note.pictures[0].file_path}`;
+                Thumbnails.setImage(img, note.pictures[0], 'medium');
                 noteDiv.appendChild(img);
             }
 
@@ -749,6 +1143,18 @@ function getVisibleItems(centerX, centerYear) {
     });
 }
 
+/**
+ * Gets the years at the left and right edges of the timeline
+ * @returns {Object} { start, end } as fractional years
+ */
+function getVisibleYearRange() {
+    const containerRect = container.getBoundingClientRect();
+    return {
+        start: calculateYearFromPosition(containerRect.left),
+        end: calculateYearFromPosition(containerRect.right)
+    };
+}
+
 // Add this function near the top of the file
 function sendTimelineUpdate() {
     window.api.send('timeline-updated', {
@@ -803,6 +1209,9 @@ function renderTimeline() {
     // Store current frame time
     lastFrameTime = now;
 
+    // The reading lane goes first, the canvas draws lines from it
+    renderNarrativeLane();
+
     // Update canvas
     canvas.update();
 
@@ -905,8 +1314,7 @@ function renderTimeline() {
                 const img = document.createElement('img');
                 img.className = 'cascading-image age-image';
                 img.setAttribute('data-item-id', age.id);
-                const fileUrl = 'file://' + picture.file_path.replace(/\\/g, '/');
-                img.src = fileUrl;
+                Thumbnails.setImage(img, picture, 'large');
                 img.alt = age.title || 'Age Image';
                 imageContainer.appendChild(img);
                 renderedItemCount++;
@@ -939,8 +1347,7 @@ function renderTimeline() {
                 img.setAttribute('data-item-id', period.id);
                 // Set z-index based on item_index
                 img.style.zIndex = period.item_index || 0;
-                const fileUrl = 'file://' + picture.file_path.replace(/\\/g, '/');
-                img.src = fileUrl;
+                Thumbnails.setImage(img, picture, 'large');
                 img.alt = period.title || 'Period Image';
                 imageContainer.appendChild(img);
                 renderedItemCount++;
@@ -981,8 +1388,8 @@ function renderTimeline() {
             // Calculate start and end positions
             const startYear = parseFloat(item.year || item.date || 0);
             const startSubtick = parseFloat(item.subtick || 0);
-            const endYear = parseFloat(item.end_year || item.year || 0);
-            const endSubtick = parseFloat(item.end_subtick || item.subtick || 0);
+            const endYear = parseFloat(item.end_year ?? item.year ?? 0);
+            const endSubtick = parseFloat(item.end_subtick ?? item.subtick ?? 0);
             
             // Calculate positions relative to the timeline's center
             const containerRect = container.getBoundingClientRect();
@@ -1005,6 +1412,7 @@ function renderTimeline() {
                 ageItem.setAttribute('data-id', item.id);
                 ageItem.setAttribute('data-year', item.year);
                 ageItem.setAttribute('data-end-year', item.end_year);
+                appendRangeHandles(ageItem, startPosition, endPosition, containerRect.width);
                 
                 // Set the background color from the database
                 if (item.color) {
@@ -1020,7 +1428,7 @@ function renderTimeline() {
                         const formattedYear = `${year}.${subtick.toString().padStart(2, '0')}`;
                         
                         // Set the content
-                        globalHoverBubble.textContent = `${item.title} (${formattedYear})`;
+                        globalHoverBubble.textContent = `${item.title} (${getItemDateLabel(item, formattedYear)})`;
                         
                         // Position the bubble
                         const bubbleWidth = globalHoverBubble.offsetWidth;
@@ -1072,8 +1480,8 @@ function renderTimeline() {
             // Calculate start and end positions
             const startYear = parseFloat(item.year || item.date || 0);
             const startSubtick = parseFloat(item.subtick || 0);
-            const endYear = parseFloat(item.end_year || item.year || 0);
-            const endSubtick = parseFloat(item.end_subtick || item.subtick || 0);
+            const endYear = parseFloat(item.end_year ?? item.year ?? 0);
+            const endSubtick = parseFloat(item.end_subtick ?? item.subtick ?? 0);
             
             // Calculate positions relative to the timeline's center
             const containerRect = container.getBoundingClientRect();
@@ -1109,6 +1517,7 @@ function renderTimeline() {
                 periodItem.setAttribute('data-year', item.year);
                 periodItem.setAttribute('data-end-year', item.end_year);
                 periodItem.setAttribute('data-ystack', stackLevel);
+                appendRangeHandles(periodItem, startPosition, endPosition, containerRect.width);
 
                 // Add mousemove event listener to update bubble position
                 periodItem.addEventListener('mousemove', (e) => {
@@ -1119,7 +1528,7 @@ function renderTimeline() {
                         const formattedYear = `${year}.${subtick.toString().padStart(2, '0')}`;
                         
                         // Set the content
-                        globalHoverBubble.textContent = `${item.title} (${formattedYear})`;
+                        globalHoverBubble.textContent = `${item.title} (${getItemDateLabel(item, formattedYear)})`;
                         
                         // Position the bubble
                         const bubbleWidth = globalHoverBubble.offsetWidth;
@@ -1236,6 +1645,9 @@ function renderTimeline() {
                 bookmarkDot.addEventListener('mouseleave', leaveHandler);
                 renderedItemCount += 2; // Count both the line and dot
             } else {
+                // In the swimlane layout these items go into their stories' lanes instead
+                if (timelineState.swimlanes) return;
+
                 // Use the stable item_index to determine above/below placement
                 let isAbove = (item.item_index % 2 === 0);
                 let y;
@@ -1301,7 +1713,7 @@ function renderTimeline() {
                 if (item.type.toLowerCase() === 'picture' || (item.pictures && item.pictures.length > 0 && item.type.toLowerCase() !== 'note' && item.type.toLowerCase() !== 'event')) {
                     box.className = 'timeline-picture-box' + (isAbove ? ' above' : ' below');
                     const img = document.createElement('img');
-                    img.src = 'file://' + item.pictures[0].file_path.replace(/\\/g, '/');
+                    Thumbnails.setImage(img, item.pictures[0], 'small');
                     img.alt = item.title || 'Timeline Image';
                     box.appendChild(img);
                     box.style.position = 'absolute';
@@ -1381,6 +1793,9 @@ function renderTimeline() {
                 box.setAttribute('data-year', `${itemYear}.${itemSubtick.toString().padStart(2, '0')}`);
                 //box.setAttribute('data-line-id', lineId);
                 box.setAttribute('data-type', item.type); // Add type for debugging
+                if (DateUncertainty.isUncertain(item)) {
+                    box.classList.add('uncertain');
+                }
 
                 // Add click handler
                 box.addEventListener('click', function(e) {
@@ -1406,7 +1821,7 @@ function renderTimeline() {
                         const title = item.title || '(No Title)';
                         
                         // Set the content
-                        globalHoverBubble.textContent = `${title} (${year})`;
+                        globalHoverBubble.textContent = `${title} (${getItemDateLabel(item, year)})`;
                         
                         // Position the bubble
                         const boxRect = box.getBoundingClientRect();
@@ -1438,6 +1853,9 @@ function renderTimeline() {
         return;
     }
 
+    renderSwimlanes();
+    renderImageStrip();
+
     // Step 2: After rendering, log all visible periods and their stack info
     try {
         const visiblePeriods = visibleItems.filter(item => item && item.type === 'Period').map(item => {
@@ -1620,6 +2038,9 @@ function renderTimeline() {
         endOverlay.style.width = `${containerRect.width - endX}px`;
         container.appendChild(endOverlay);
     }
+
+    applySearchHighlight();
+    applySelection();
 }
 
 /**
@@ -1903,7 +2324,20 @@ container.addEventListener("mouseleave", () => {
 });
 
 container.addEventListener("wheel", (event) => {
-    if(!isPositionWholeYear()){
+    // Ctrl + wheel (and trackpad pinch) zooms around the pointer
+    if (event.ctrlKey) {
+        event.preventDefault();
+        zoomBy(Math.exp(-event.deltaY * 0.002), event.clientX - container.getBoundingClientRect().left);
+        return;
+    }
+
+    // Scroll by one labelled tick, or one subtick when zoomed in that far
+    const scale = getTickScale();
+    const stepSubticks = scale.unit === 'subtick' ? 1 : scale.major;
+    if (stepSubticks !== timelineState.granularity) {
+        const stepPx = stepSubticks * timelineState.pixelsPerSubtick;
+        timelineState.offsetPx += event.deltaY > 0 ? stepPx : -stepPx;
+    } else if(!isPositionWholeYear()){
         const nearestYear = getNearestYearFromPosition(null, event.deltaY > 0 ? -1 : 1);
         jumpToYear(nearestYear);
     } else {
@@ -1919,7 +2353,7 @@ container.addEventListener("wheel", (event) => {
     checkAndCorrectEndBoundary();
     
     renderTimeline();
-});
+}, { passive: false });
 
 /**
  * Jumps to a specific year
@@ -2066,10 +2500,11 @@ function setInitialSettings({ focusYear, granularity, items, pixelsPerSubtick =
 
     timelineState.focusYear = focusYear;
     timelineState.granularity = granularity;
-    timelineState.items = items;
+    setTimelineItems(items);
     timelineState.pixelsPerSubtick = pixelsPerSubtick;
     timelineState.offsetPx = 0;
     timelineState.displayRadius = displayRadius;
+    updateZoomControls();
     // Step 1: Check for timeline markers when timeline loads
     checkTimelineMarkers();
     
@@ -2661,7 +3096,7 @@ function refreshTimeline() {
 
 // Add listener for the response
 window.api.receive('all-items', (items) => {
-    timelineState.items = items;
+    setTimelineItems(items);
     checkTimelineMarkers(); // Check markers after items are refreshed
     renderTimeline();
 });
@@ -2682,9 +3117,9 @@ window.api.receive('all-items', (items) => {
  */
 function jumpToDate(i_year = null, i_subtick = null) {
     const floatYear = i_year + (i_subtick / timelineState.granularity);
+    const input = document.getElementById('jump-to-date');
     let value = 0;
-    if(!i_year) {
-        const input = document.getElementById('jump-to-date');
+    if(i_year === null) {
         value = parseFloat(input.value);
     } else {
         value = floatYear;
@@ -2707,9 +3142,7 @@ function jumpToDate(i_year = null, i_subtick = null) {
             year = startYear;
             subtick = startSubtick;
             // Update input value to show the actual position
-            input = document.getElementById('jump-to-date');
-            if(!input) return;
-            input.value = `${year}.${subtick.toString().padStart(2, '0')}`;
+            if(input) input.value = `${year}.${subtick.toString().padStart(2, '0')}`;
         }
     }
 
@@ -2727,7 +3160,7 @@ function jumpToDate(i_year = null, i_subtick = null) {
             year = endYear;
             subtick = endSubtick;
             // Update input value to show the actual position
-            input.value = `${year}.${subtick.toString().padStart(2, '0')}`;
+            if(input) input.value = `${year}.${subtick.toString().padStart(2, '0')}`;
         }
     }
     
@@ -2743,6 +3176,1082 @@ function jumpToDate(i_year = null, i_subtick = null) {
     renderTimeline();
 }
 
+/**
+ * Highlights an item for a few seconds, e.g. after jumping to it from the search palette
+ * @param {string} itemId - The item's id
+ * @param {number} duration - How long the highlight lasts in milliseconds
+ * 
+ * How it works:
+ * 1. Remembers the item, so the highlight survives re-renders while scrolling
+ * 2. Marks the item's boxes and bookmarks
+ * 3. Clears the highlight once the duration has passed
+ */
+function highlightItem(itemId, duration = 3000) {
+    if (searchHighlight) clearTimeout(searchHighlight.timeout);
+
+    searchHighlight = {
+        id: String(itemId),
+        timeout: setTimeout(() => {
+            searchHighlight = null;
+            applySearchHighlight();
+        }, duration)
+    };
+    applySearchHighlight();
+}
+
+function applySearchHighlight() {
+    container.querySelectorAll('.search-highlight').forEach(el => el.classList.remove('search-highlight'));
+    if (!searchHighlight) return;
+
+    container.querySelectorAll(`[data-id="${CSS.escape(searchHighlight.id)}"]`)
+        .forEach(el => el.classList.add('search-highlight'));
+}
+
+// ===== Zoom =====
+// Zoom limits: about 10,000 years across a screen at the far end, single subticks filling it at the near end
+const ZOOM_MIN_PIXELS_PER_YEAR = 0.01;
+const ZOOM_MAX_PIXELS_PER_SUBTICK = 1000;
+
+// What the labelled ticks count, as shown next to the zoom slider
+const ZOOM_UNIT_LABELS = {
+    subtick: 'Subticks',
+    year: 'Years',
+    decade: 'Decades',
+    century: 'Centuries',
+    millennium: 'Millennia'
+};
+
+/**
+ * Gets the ticks to draw at the current zoom level
+ * @returns {Object} See TickScale.choose()
+ *
+ * How it works:
+ * - A label needs the width of the focus year's label plus a gap, so long era names
+ *   get fewer ticks than plain numbers
+ */
+function getTickScale() {
+    const ctx = canvas.ctx;
+    const labelWidth = ctx.measureText(getYearLabel(Math.round(timelineState.focusYear))).width;
+    return TickScale.choose(timelineState.pixelsPerSubtick, timelineState.granularity, Math.max(60, labelWidth + 40));
+}
+
+/**
+ * Sets the zoom level, keeping the date under a point of the timeline in place
+ * @param {number} pixelsPerSubtick - The new zoom level; kept within the zoom limits
+ * @param {number|null} anchorX - Point that stays put, in pixels from the container's left (null for center)
+ *
+ * How it works:
+ * 1. Works out which date is under the anchor
+ * 2. Changes the zoom and moves the center so that date stays under the anchor
+ * 3. Keeps focusYear a whole year and puts the rest into offsetPx, like scrolling does
+ *
+ * Possible errors:
+ * - Invalid zoom level (ignored)
+ */
+function setZoom(pixelsPerSubtick, anchorX = null) {
+    const { granularity } = timelineState;
+    const minPixelsPerSubtick = ZOOM_MIN_PIXELS_PER_YEAR / granularity;
+    const next = Math.min(ZOOM_MAX_PIXELS_PER_SUBTICK, Math.max(minPixelsPerSubtick, pixelsPerSubtick));
+    if (!Number.isFinite(next) || next === timelineState.pixelsPerSubtick) return;
+
+    const containerRect = container.getBoundingClientRect();
+    const centerX = containerRect.width / 2;
+    if (anchorX === null) anchorX = centerX;
+    const anchorYear = calculateYearFromPosition(anchorX + containerRect.left);
+
+    const centerYear = anchorYear - (anchorX - centerX) / (next * granularity);
+    timelineState.pixelsPerSubtick = next;
+    timelineState.focusYear = Math.floor(centerYear);
+    timelineState.offsetPx = -(centerYear - timelineState.focusYear) * next * granularity;
+
+    checkAndCorrectStartBoundary();
+    checkAndCorrectEndBoundary();
+
+    updateZoomControls();
+    renderTimeline();
+}
+
+/**
+ * Zooms in or out by a factor
+ * @param {number} factor - Above 1 zooms in, below 1 zooms out
+ * @param {number|null} anchorX - See setZoom()
+ */
+function zoomBy(factor, anchorX = null) {
+    setZoom(timelineState.pixelsPerSubtick * factor, anchorX);
+}
+
+/**
+ * Goes back to the zoom level in the settings
+ */
+function resetZoom() {
+    const settingsInput = document.querySelector('#pixels-per-subtick');
+    setZoom(parseFloat(settingsInput && settingsInput.value) || 20);
+}
+
+/**
+ * Shows the current zoom level on the zoom slider and its label
+ *
+ * How it works:
+ * - The slider is logarithmic: its value is log10 of pixels per subtick, so every
+ *   step zooms by the same factor from millennia down to subticks
+ */
+function updateZoomControls() {
+    const slider = document.getElementById('zoom-slider');
+    const label = document.getElementById('zoom-level');
+    if (slider) {
+        slider.min = Math.log10(ZOOM_MIN_PIXELS_PER_YEAR / timelineState.granularity);
+        slider.max = Math.log10(ZOOM_MAX_PIXELS_PER_SUBTICK);
+        slider.value = Math.log10(timelineState.pixelsPerSubtick);
+    }
+    if (label) {
+        label.textContent = ZOOM_UNIT_LABELS[getTickScale().unit];
+    }
+}
+
+// Pinch to zoom on touch screens; trackpad pinches arrive as Ctrl + wheel (see the wheel handler)
+let pinchStart = null;
+
+container.addEventListener('touchstart', (e) => {
+    if (e.touches.length !== 2) return;
+    const [a, b] = e.touches;
+    pinchStart = {
+        distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+        pixelsPerSubtick: timelineState.pixelsPerSubtick
+    };
+}, { passive: true });
+
+container.addEventListener('touchmove', (e) => {
+    if (!pinchStart || e.touches.length !== 2) return;
+    e.preventDefault();
+    const [a, b] = e.touches;
+    const distance = Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+    const anchorX = (a.clientX + b.clientX) / 2 - container.getBoundingClientRect().left;
+    setZoom(pinchStart.pixelsPerSubtick * distance / pinchStart.distance, anchorX);
+}, { passive: false });
+
+container.addEventListener('touchend', (e) => {
+    if (e.touches.length < 2) pinchStart = null;
+});
+
+// ===== Drag to Move and Resize =====
+// The item being dragged, see startItemDrag()
+let itemDrag = null;
+// Set when a drag ends so the click that follows it does not open the item viewer
+let suppressItemClick = false;
+const dragDateTooltip = document.createElement('div');
+dragDateTooltip.className = 'drag-date-tooltip';
+document.body.appendChild(dragDateTooltip);
+
+// Item types drawn as bars, which are resized by their ends and saved as ranges
+const RANGE_ITEM_TYPES = ['Age', 'Period'];
+
+// Elements that can be dragged; they all carry the item's id in data-id
+const DRAGGABLE_ITEM_SELECTOR = '.timeline-item-box, .timeline-picture-box, .timeline-bookmark-dot, .timeline-age-item, .timeline-period-item';
+
+/**
+ * Adds the resize handles to an Age or Period bar, for the ends that are on screen
+ * @param {HTMLElement} bar - The bar
+ * @param {number} startPosition - X of the item's start, may be off screen
+ * @param {number} endPosition - X of the item's end, may be off screen
+ * @param {number} width - Width of the container
+ */
+function appendRangeHandles(bar, startPosition, endPosition, width) {
+    [['start', startPosition >= 0], ['end', endPosition <= width]].forEach(([end, isOnScreen]) => {
+        if (!isOnScreen) return;
+        const handle = document.createElement('div');
+        handle.className = `timeline-range-handle ${end}`;
+        handle.setAttribute('data-drag', end);
+        bar.appendChild(handle);
+    });
+}
+
+// Item dates as whole subticks counted from year 0, and back
+function toSubticks(year, subtick) {
+    return parseInt(year || 0) * timelineState.granularity + parseInt(subtick || 0);
+}
+
+function fromSubticks(value) {
+    const year = Math.floor(value / timelineState.granularity);
+    return { year, subtick: value - year * timelineState.granularity };
+}
+
+/**
+ * Gets the step dragged items snap to
+ * @param {boolean} fine - Snap to single subticks whatever the zoom (Shift held)
+ * @returns {number} Subticks per step
+ *
+ * How it works:
+ * - Zoomed in, items snap to subticks
+ * - Zoomed out, they snap to the smallest ticks drawn, so they land on years, decades and so on
+ */
+function getDragSnapStep(fine = false) {
+    if (fine) return 1;
+    const scale = getTickScale();
+    return scale.unit === 'subtick' ? 1 : (scale.minor || scale.major);
+}
+
+/**
+ * Starts dragging an item; the drag only begins once the mouse moves a few pixels,
+ * so a plain click still opens the item
+ * @param {MouseEvent} e - The mousedown event
+ * @param {Object} item - The item
+ * @param {string} mode - 'move', or 'start' / 'end' to resize an Age or Period
+ */
+function startItemDrag(e, item, mode) {
+    const start = toSubticks(item.year, item.subtick);
+    const hasEnd = item.end_year !== null && item.end_year !== undefined;
+    itemDrag = {
+        item,
+        mode,
+        startX: e.clientX,
+        moved: false,
+        start,
+        end: hasEnd ? toSubticks(item.end_year, item.end_subtick) : start,
+        original: {
+            year: item.year,
+            subtick: item.subtick,
+            end_year: item.end_year,
+            end_subtick: item.end_subtick,
+            earliest_year: item.earliest_year,
+            earliest_subtick: item.earliest_subtick,
+            latest_year: item.latest_year,
+            latest_subtick: item.latest_subtick
+        }
+    };
+}
+
+/**
+ * Moves or resizes the dragged item to follow the mouse
+ * @param {MouseEvent} e - The mousemove event
+ *
+ * How it works:
+ * 1. Turns the distance moved into subticks and snaps the dragged end to the snap step
+ * 2. Moving shifts the whole item, its end and its uncertainty bounds with it;
+ *    resizing keeps the start before the end and within the earliest / latest bounds
+ * 3. Changes the item in place and redraws, showing the new date next to the mouse
+ */
+function updateItemDrag(e) {
+    const drag = itemDrag;
+    const dx = e.clientX - drag.startX;
+    if (!drag.moved && Math.abs(dx) <= 3) return;
+    if (!drag.moved) {
+        drag.moved = true;
+        document.body.classList.add('item-dragging');
+        closeItemSelector();
+        if (globalHoverBubble) globalHoverBubble.style.opacity = '0';
+    }
+
+    const step = getDragSnapStep(e.shiftKey);
+    const snap = value => Math.round(value / step) * step;
+    const dragged = dx / timelineState.pixelsPerSubtick;
+    const item = drag.item;
+    const original = drag.original;
+    const bound = (name, fallback) => original[`${name}_year`] === null || original[`${name}_year`] === undefined
+        ? fallback : toSubticks(original[`${name}_year`], original[`${name}_subtick`]);
+    let start = drag.start;
+    let end = drag.end;
+    if (drag.mode === 'move') {
+        start = snap(drag.start + dragged);
+        end = drag.end + (start - drag.start);
+    } else if (drag.mode === 'start') {
+        start = Math.min(Math.max(snap(drag.start + dragged), bound('earliest', -Infinity)), drag.end);
+    } else {
+        end = Math.max(Math.min(snap(drag.end + dragged), bound('latest', Infinity)), drag.start);
+    }
+
+    Object.assign(item, fromSubticks(start));
+    const newEnd = fromSubticks(end);
+    if (original.end_year !== null && original.end_year !== undefined) {
+        item.end_year = newEnd.year;
+        item.end_subtick = newEnd.subtick;
+    }
+    if (drag.mode === 'move') {
+        const shift = start - drag.start;
+        ['earliest', 'latest'].forEach(bound => {
+            if (original[`${bound}_year`] === null || original[`${bound}_year`] === undefined) return;
+            const moved = fromSubticks(toSubticks(original[`${bound}_year`], original[`${bound}_subtick`]) + shift);
+            item[`${bound}_year`] = moved.year;
+            item[`${bound}_subtick`] = moved.subtick;
+        });
+    }
+
+    const g = timelineState.granularity;
+    const label = value => getHoverLabel(value / g, g);
+    dragDateTooltip.textContent = drag.mode === 'end' ? label(end)
+        : (RANGE_ITEM_TYPES.includes(item.type) && drag.mode === 'move' ? `${label(start)} – ${label(end)}` : label(start));
+    dragDateTooltip.style.left = `${e.clientX + 12}px`;
+    dragDateTooltip.style.top = `${e.clientY - 30}px`;
+    dragDateTooltip.style.display = 'block';
+
+    if (item.type === 'Period') computePeriodStackLevels();
+    renderTimeline();
+}
+
+/**
+ * Finishes a drag, saving the new dates, or putting the old ones back when cancelled or when
+ * they fall outside the item's uncertainty bounds (see DateUncertainty.validate())
+ * @param {boolean} cancel - Whether the drag was cancelled (Escape)
+ */
+function endItemDrag(cancel = false) {
+    const drag = itemDrag;
+    itemDrag = null;
+    dragDateTooltip.style.display = 'none';
+    document.body.classList.remove('item-dragging');
+    if (!drag || !drag.moved) return;
+
+    // The click that ends the drag is not a click on the item
+    suppressItemClick = true;
+    setTimeout(() => { suppressItemClick = false; });
+
+    const item = drag.item;
+    const unchanged = toSubticks(item.year, item.subtick) === drag.start &&
+        (item.end_year === null || item.end_year === undefined || toSubticks(item.end_year, item.end_subtick) === drag.end);
+    const errors = cancel || unchanged ? [] : DateUncertainty.validate(item);
+    if (cancel || unchanged || errors.length > 0) {
+        Object.assign(item, drag.original);
+        if (item.type === 'Period') computePeriodStackLevels();
+        renderTimeline();
+        if (errors.length > 0 && window.showError) {
+            window.showError(`Could not move "${item.title || 'item'}": ${errors.join('; ')}`);
+        }
+        return;
+    }
+    saveItemDates(item);
+}
+
+/**
+ * Saves an item's dates after a drag; the main process sends back the updated items
+ * @param {Object} item - The item as loaded into the timeline, with its new dates
+ *
+ * How it works:
+ * - Sends every field the update writes, so only the dates change
+ * - Leaves out tags, pictures, story references, characters and relationships, which are
+ *   only rewritten when present
+ * - Ages and Periods go through 'update-timeline-item-with-range', other items through 'updateTimelineItem'
+ */
+function saveItemDates(item) {
+    const data = {
+        id: item.id,
+        title: item.title,
+        description: item.description,
+        content: item.content,
+        'story-id': item.story_id,
+        type: item.type,
+        year: item.year,
+        subtick: item.subtick,
+        end_year: item.end_year,
+        end_subtick: item.end_subtick,
+        book_title: item.book_title,
+        chapter: item.chapter,
+        page: item.page,
+        color: item.color,
+        show_in_notes: item.show_in_notes,
+        importance: item.importance,
+        exclusive: item.exclusive,
+        date_circa: item.date_circa,
+        earliest_year: item.earliest_year,
+        earliest_subtick: item.earliest_subtick,
+        latest_year: item.latest_year,
+        latest_subtick: item.latest_subtick,
+        date_confidence: item.date_confidence
+    };
+    window.api.send(RANGE_ITEM_TYPES.includes(item.type) ? 'update-timeline-item-with-range' : 'updateTimelineItem', data);
+}
+
+// Pressing on an item drags it instead of the timeline; with Shift held it selects instead (see Selection)
+container.addEventListener('mousedown', (e) => {
+    if (e.button !== 0 || e.shiftKey) return;
+    const element = e.target.closest(DRAGGABLE_ITEM_SELECTOR);
+    if (!element) return;
+    const item = timelineState.items.find(candidate => candidate && String(candidate.id) === element.getAttribute('data-id'));
+    if (!item) return;
+    e.stopPropagation();
+    e.preventDefault();
+    const handle = e.target.closest('.timeline-range-handle');
+    startItemDrag(e, item, handle ? handle.getAttribute('data-drag') : 'move');
+}, true);
+
+document.addEventListener('mousemove', (e) => {
+    if (itemDrag) updateItemDrag(e);
+});
+
+document.addEventListener('mouseup', (e) => {
+    if (itemDrag && e.button === 0) endItemDrag();
+});
+
+document.addEventListener('keydown', (e) => {
+    if (itemDrag && e.key === 'Escape') {
+        endItemDrag(true);
+        // Only the drag is cancelled, the selection stays
+        e.stopImmediatePropagation();
+    }
+});
+
+document.addEventListener('click', (e) => {
+    if (!suppressItemClick) return;
+    suppressItemClick = false;
+    e.stopPropagation();
+    e.preventDefault();
+}, true);
+
+// ===== Selection =====
+// Ids of the selected items, which the bulk actions toolbar (see bulkActions.js) acts on.
+// Shift-click toggles an item, Shift-drag on the background selects every item in the
+// rectangle, Escape clears the selection.
+const selectedItemIds = new Set();
+const bulkActionsBar = document.getElementById('bulk-actions');
+// The rectangle being drawn, see startSelectionBand()
+let selectionBand = null;
+
+// Elements that stand for an item; they all carry the item's id in data-id
+const SELECTABLE_ITEM_SELECTOR = `${DRAGGABLE_ITEM_SELECTOR}, .swimlane-item`;
+
+/**
+ * Gets the selected items that are still on the timeline
+ * @returns {Array<string>} Item ids
+ */
+function getSelectedItemIds() {
+    const ids = new Set(timelineState.allItems.map(item => String(item.id)));
+    return Array.from(selectedItemIds).filter(id => ids.has(id));
+}
+
+function toggleItemSelection(itemId) {
+    if (selectedItemIds.has(itemId)) {
+        selectedItemIds.delete(itemId);
+    } else {
+        selectedItemIds.add(itemId);
+    }
+    applySelection();
+}
+
+function clearSelection() {
+    selectedItemIds.clear();
+    applySelection();
+}
+
+/**
+ * Marks the selected items' elements and updates the bulk actions toolbar; called after every render
+ */
+function applySelection() {
+    container.querySelectorAll(SELECTABLE_ITEM_SELECTOR).forEach(element => {
+        element.classList.toggle('selected', selectedItemIds.has(element.getAttribute('data-id')));
+    });
+    BulkActions.update();
+}
+
+/**
+ * Starts drawing a selection rectangle
+ * @param {MouseEvent} e - The mousedown event
+ */
+function startSelectionBand(e) {
+    const element = document.createElement('div');
+    element.className = 'selection-band';
+    container.appendChild(element);
+    selectionBand = { startX: e.clientX, startY: e.clientY, element };
+    updateSelectionBand(e);
+}
+
+function getSelectionBandRect(e) {
+    return {
+        left: Math.min(selectionBand.startX, e.clientX),
+        right: Math.max(selectionBand.startX, e.clientX),
+        top: Math.min(selectionBand.startY, e.clientY),
+        bottom: Math.max(selectionBand.startY, e.clientY)
+    };
+}
+
+function updateSelectionBand(e) {
+    const rect = getSelectionBandRect(e);
+    const containerRect = container.getBoundingClientRect();
+    Object.assign(selectionBand.element.style, {
+        left: `${rect.left - containerRect.left}px`,
+        top: `${rect.top - containerRect.top}px`,
+        width: `${rect.right - rect.left}px`,
+        height: `${rect.bottom - rect.top}px`
+    });
+}
+
+/**
+ * Adds every item whose element touches the rectangle to the selection
+ * @param {MouseEvent} e - The mouseup event
+ */
+function endSelectionBand(e) {
+    const rect = getSelectionBandRect(e);
+    selectionBand.element.remove();
+    selectionBand = null;
+
+    // The click that ends the rectangle does not open the item selector
+    suppressItemClick = true;
+    setTimeout(() => { suppressItemClick = false; });
+
+    container.querySelectorAll(SELECTABLE_ITEM_SELECTOR).forEach(element => {
+        const box = element.getBoundingClientRect();
+        if (box.right >= rect.left && box.left <= rect.right && box.bottom >= rect.top && box.top <= rect.bottom) {
+            selectedItemIds.add(element.getAttribute('data-id'));
+        }
+    });
+    applySelection();
+}
+
+// Shift + press: on an item it is a selection click, on the background it starts a rectangle
+container.addEventListener('mousedown', (e) => {
+    if (e.button !== 0 || !e.shiftKey || e.target.closest('.narrative-lane, .swimlane-title')) return;
+    e.stopPropagation();
+    e.preventDefault();
+    if (!e.target.closest(SELECTABLE_ITEM_SELECTOR)) startSelectionBand(e);
+}, true);
+
+container.addEventListener('click', (e) => {
+    if (!e.shiftKey) return;
+    const element = e.target.closest(SELECTABLE_ITEM_SELECTOR);
+    if (!element) return;
+    e.stopPropagation();
+    e.preventDefault();
+    toggleItemSelection(element.getAttribute('data-id'));
+}, true);
+
+document.addEventListener('mousemove', (e) => {
+    if (selectionBand) updateSelectionBand(e);
+});
+
+document.addEventListener('mouseup', (e) => {
+    if (selectionBand && e.button === 0) endSelectionBand(e);
+});
+
+document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || selectedItemIds.size === 0 || e.target.closest('input, textarea, select')) return;
+    clearSelection();
+});
+
+BulkActions.attach(bulkActionsBar, {
+    getSelectedIds: getSelectedItemIds,
+    getItems: () => timelineState.allItems,
+    onDone: clearSelection,
+    onClear: clearSelection
+});
+
+// ===== Filtering =====
+/**
+ * Sets the timeline's items; only the ones the filter shows go into timelineState.items
+ * @param {Array<Object>} items - All items of the timeline
+ */
+function setTimelineItems(items) {
+    timelineState.allItems = items || [];
+    timelineState.items = TimelineFilter.apply(timelineState.allItems, timelineState.filter);
+    // Sorted here rather than in renderTimeline(), which runs on every frame of a scroll or zoom
+    timelineState.narrativeItems = NarrativeOrder.sort(timelineState.items);
+    timelineState.pictureItems = getPictureItems(timelineState.items);
+    narrativeLaneStale = true;
+    window.updateFilterSummary && window.updateFilterSummary();
+}
+
+/**
+ * Sets the filter bar's filter and shows the items it lets through
+ * @param {Object|null} filter - See timelineFilter.js; null or an empty filter shows every item
+ *
+ * How it works:
+ * - The timeline, its canvas and the center content panel only see the filtered items
+ * - The minimap (see displayRenderer.js) is given the same filter
+ */
+function setTimelineFilter(filter) {
+    timelineState.filter = filter && !TimelineFilter.isEmpty(filter) ? TimelineFilter.normalize(filter) : null;
+    setTimelineItems(timelineState.allItems);
+    if (window.displayRenderer) {
+        window.displayRenderer.setItemFilter(timelineState.filter);
+    }
+    renderTimeline();
+}
+
+// ===== Narrative Order =====
+// Whether the items changed since the reading lane was last built, so it is only rebuilt then
+let narrativeLaneStale = true;
+
+/**
+ * Renders the reading lane: the items in reading order (book, chapter, page) along the top
+ * of the timeline, with lines down to their dates (see TimelineCanvas.drawNarrativeLines())
+ *
+ * How it works:
+ * - Shown while timelineState.narrativeOrder is on; the order comes from NarrativeOrder.sort()
+ * - Chips are numbered in reading order and grouped under their book's title
+ * - Clicking a chip jumps to the item's date and highlights it, hovering it highlights its line
+ * - The lane keeps its own scroll position and is only rebuilt when the items change
+ *
+ * Possible errors:
+ * - The lane element is missing; nothing is shown
+ */
+function renderNarrativeLane() {
+    if (!narrativeLane) return;
+    if (!timelineState.narrativeOrder) {
+        narrativeLane.style.display = 'none';
+        return;
+    }
+    narrativeLane.style.display = '';
+
+    if (!narrativeLaneStale) return;
+    narrativeLaneStale = false;
+    const items = timelineState.narrativeItems;
+
+    narrativeLane.innerHTML = '';
+    if (items.length === 0) {
+        const hint = document.createElement('div');
+        hint.className = 'narrative-lane-hint';
+        hint.textContent = 'No items have a book, chapter or page yet.';
+        narrativeLane.appendChild(hint);
+        return;
+    }
+
+    let group = null;
+    let chips = null;
+    items.forEach((item, index) => {
+        const book = NarrativeOrder.getPart(item.book_title);
+        if (!group || group.dataset.book !== book) {
+            group = document.createElement('div');
+            group.className = 'narrative-book';
+            group.dataset.book = book;
+
+            const heading = document.createElement('div');
+            heading.className = 'narrative-book-title';
+            heading.textContent = book || 'No book';
+
+            chips = document.createElement('div');
+            chips.className = 'narrative-book-chips';
+            group.append(heading, chips);
+            narrativeLane.appendChild(group);
+        }
+
+        const chip = document.createElement('div');
+        chip.className = 'narrative-chip';
+        chip.dataset.itemId = String(item.id);
+        const exactLabel = `${item.year}.${(item.subtick || 0).toString().padStart(2, '0')}`;
+        chip.title = `${NarrativeOrder.getLabel(item, false) || 'No chapter or page'} - ${getItemDateLabel(item, exactLabel)}`;
+
+        const number = document.createElement('span');
+        number.className = 'narrative-chip-index';
+        number.textContent = index + 1;
+
+        const title = document.createElement('span');
+        title.textContent = item.title || '(untitled)';
+
+        chip.append(number, title);
+        chip.addEventListener('click', () => {
+            jumpToDate(item.year, item.subtick || 0);
+            highlightItem(item.id);
+        });
+        chip.addEventListener('mouseenter', () => {
+            chip.classList.add('hovered');
+            canvas.update();
+        });
+        chip.addEventListener('mouseleave', () => {
+            chip.classList.remove('hovered');
+            canvas.update();
+        });
+        chips.appendChild(chip);
+    });
+}
+
+// ===== Swimlanes =====
+const SWIMLANE_TITLE_HEIGHT = 20;
+const SWIMLANE_ROW_HEIGHT = 24;
+const SWIMLANE_CHIP_WIDTH = 150;
+
+/**
+ * Renders the swimlane layout: one lane per story under the axis, each with a title bar
+ * that moves, collapses or hides it (see swimlanes.js)
+ *
+ * How it works:
+ * - Shown while timelineState.swimlanes is on; renderTimeline() then leaves out the item
+ *   boxes, ages, periods and bookmarks stay on the axis
+ * - Lanes are built from all items so they don't come and go while scrolling, but only the
+ *   items near the screen get a chip
+ * - Chips that would overlap go on another row of the lane
+ * - Collapsed lanes show their items as dots; hidden lanes are listed at the bottom to show them again
+ * - Items in several lanes are joined by a vertical connector through their chips
+ * - Layout changes are saved for the timeline (see saveSwimlaneLayout())
+ *
+ * Possible errors:
+ * - The panel element is missing; nothing is shown
+ */
+function renderSwimlanes() {
+    if (!swimlanePanel) return;
+    if (!timelineState.swimlanes) {
+        swimlanePanel.style.display = 'none';
+        return;
+    }
+    swimlanePanel.style.display = '';
+
+    const { focusYear, granularity, pixelsPerSubtick, offsetPx } = timelineState;
+    const width = container.getBoundingClientRect().width;
+    const getX = item => width / 2 +
+        (parseFloat(item.year || 0) + parseInt(item.subtick || 0) / granularity - focusYear) * pixelsPerSubtick * granularity + offsetPx;
+
+    const laneItems = timelineState.items.filter(item => item && item.type &&
+        !['Timeline_start', 'Timeline_end', 'Age', 'Period'].includes(item.type) && item.type.toLowerCase() !== 'bookmark');
+    const lanes = Swimlanes.getLanes(laneItems, timelineState.swimlaneLayout);
+    const laneIds = lanes.map(lane => lane.id);
+    const shownLanes = lanes.filter(lane => !lane.hidden);
+
+    const scrollTop = swimlanePanel.scrollTop;
+    swimlanePanel.innerHTML = '';
+    const content = document.createElement('div');
+    content.className = 'swimlanes-content';
+    swimlanePanel.appendChild(content);
+
+    // Vertical centers of each item's chips or dots, for the connectors
+    const anchors = new Map();
+    const addAnchor = (item, x, y) => {
+        if (!anchors.has(item.id)) anchors.set(item.id, { x, ys: [] });
+        anchors.get(item.id).ys.push(y);
+    };
+
+    let top = 0;
+    shownLanes.forEach((lane, index) => {
+        const visible = lane.items
+            .map(item => ({ item, x: getX(item) }))
+            .filter(({ x }) => x > -SWIMLANE_CHIP_WIDTH && x < width + SWIMLANE_CHIP_WIDTH)
+            .sort((a, b) => a.x - b.x);
+
+        const element = document.createElement('div');
+        element.className = 'swimlane' + (lane.collapsed ? ' collapsed' : '');
+        element.style.top = `${top}px`;
+        element.appendChild(createSwimlaneTitle(lane, index, shownLanes.length, laneIds));
+
+        let height;
+        if (lane.collapsed) {
+            height = SWIMLANE_TITLE_HEIGHT + 8;
+            visible.forEach(({ item, x }) => {
+                const dot = document.createElement('div');
+                dot.className = 'swimlane-dot';
+                dot.setAttribute('data-id', item.id);
+                dot.style.left = `${x}px`;
+                element.appendChild(dot);
+                addAnchor(item, x, top + SWIMLANE_TITLE_HEIGHT + 4);
+            });
+        } else {
+            // Each row's right edge, to find the first row a chip fits on
+            const rowEnds = [];
+            visible.forEach(({ item, x }) => {
+                let row = rowEnds.findIndex(end => x > end);
+                if (row === -1) row = rowEnds.push(0) - 1;
+                rowEnds[row] = x + SWIMLANE_CHIP_WIDTH;
+
+                const chipTop = SWIMLANE_TITLE_HEIGHT + 2 + row * SWIMLANE_ROW_HEIGHT;
+                element.appendChild(createSwimlaneChip(item, x, chipTop));
+                addAnchor(item, x, top + chipTop + SWIMLANE_ROW_HEIGHT / 2);
+            });
+            height = SWIMLANE_TITLE_HEIGHT + 4 + Math.max(1, rowEnds.length) * SWIMLANE_ROW_HEIGHT;
+        }
+
+        element.style.height = `${height}px`;
+        content.appendChild(element);
+        top += height;
+    });
+
+    anchors.forEach(({ x, ys }, id) => {
+        if (ys.length < 2) return;
+        const connector = document.createElement('div');
+        connector.className = 'swimlane-connector';
+        connector.setAttribute('data-connector-id', id);
+        connector.style.left = `${x}px`;
+        connector.style.top = `${Math.min(...ys)}px`;
+        connector.style.height = `${Math.max(...ys) - Math.min(...ys)}px`;
+        content.appendChild(connector);
+    });
+
+    const hiddenLanes = lanes.filter(lane => lane.hidden);
+    if (hiddenLanes.length > 0) {
+        const footer = document.createElement('div');
+        footer.className = 'swimlanes-hidden';
+        footer.style.top = `${top}px`;
+        footer.appendChild(document.createTextNode('Hidden lanes:'));
+        hiddenLanes.forEach(lane => {
+            footer.appendChild(createSwimlaneButton(`${lane.title} (${lane.items.length})`, 'Show this lane again', () =>
+                saveSwimlaneLayout(Swimlanes.setLaneFlag(timelineState.swimlaneLayout, 'hidden', lane.id, false))));
+        });
+        content.appendChild(footer);
+        top += SWIMLANE_TITLE_HEIGHT + 8;
+    }
+
+    if (lanes.length === 0) {
+        const hint = document.createElement('div');
+        hint.className = 'swimlanes-hint';
+        hint.textContent = 'There are no items to put into lanes yet.';
+        content.appendChild(hint);
+        top = SWIMLANE_TITLE_HEIGHT + 8;
+    }
+
+    content.style.height = `${top}px`;
+    swimlanePanel.scrollTop = scrollTop;
+}
+
+function createSwimlaneButton(label, title, action) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'swimlane-button';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('mousedown', e => e.stopPropagation());
+    button.addEventListener('click', e => {
+        e.stopPropagation();
+        action();
+    });
+    return button;
+}
+
+// The lane's title bar: its story, item count and the move, collapse and hide buttons
+function createSwimlaneTitle(lane, index, laneCount, laneIds) {
+    const title = document.createElement('div');
+    title.className = 'swimlane-title';
+
+    const name = document.createElement('span');
+    name.className = 'swimlane-name';
+    name.textContent = `${lane.title} (${lane.items.length})`;
+    title.appendChild(name);
+
+    const layout = () => timelineState.swimlaneLayout;
+    if (index > 0) {
+        title.appendChild(createSwimlaneButton('▲', 'Move lane up', () =>
+            saveSwimlaneLayout(Swimlanes.moveLane(layout(), laneIds, lane.id, -1))));
+    }
+    if (index < laneCount - 1) {
+        title.appendChild(createSwimlaneButton('▼', 'Move lane down', () =>
+            saveSwimlaneLayout(Swimlanes.moveLane(layout(), laneIds, lane.id, 1))));
+    }
+    title.appendChild(createSwimlaneButton(lane.collapsed ? '+' : '−', lane.collapsed ? 'Expand lane' : 'Collapse lane', () =>
+        saveSwimlaneLayout(Swimlanes.setLaneFlag(layout(), 'collapsed', lane.id, !lane.collapsed))));
+    title.appendChild(createSwimlaneButton('×', 'Hide lane', () =>
+        saveSwimlaneLayout(Swimlanes.setLaneFlag(layout(), 'hidden', lane.id, true))));
+    return title;
+}
+
+// An item in a lane: a marker at its date with its title next to it
+function createSwimlaneChip(item, x, top) {
+    const chip = document.createElement('div');
+    chip.className = 'swimlane-item';
+    chip.setAttribute('data-id', item.id);
+    chip.style.left = `${x}px`;
+    chip.style.top = `${top}px`;
+    chip.style.maxWidth = `${SWIMLANE_CHIP_WIDTH - 10}px`;
+    if (item.color && item.color.toLowerCase() !== 'transparent') {
+        chip.style.borderLeftColor = item.color;
+    }
+    if (DateUncertainty.isUncertain(item)) {
+        chip.classList.add('uncertain');
+    }
+    chip.textContent = item.title || '(No Title)';
+
+    // The item's chips in every lane highlight together, with their connector
+    const setHighlighted = on => {
+        container.querySelectorAll(`.swimlane-item[data-id="${CSS.escape(String(item.id))}"], .swimlane-connector[data-connector-id="${CSS.escape(String(item.id))}"]`)
+            .forEach(el => el.classList.toggle('highlighted', on));
+    };
+
+    chip.addEventListener('click', e => {
+        e.stopPropagation();
+        window.openItemViewer && window.openItemViewer(item.id);
+    });
+    chip.addEventListener('mouseenter', () => {
+        setHighlighted(true);
+        if (globalHoverBubble) {
+            const exactLabel = `${item.year}.${(item.subtick || 0).toString().padStart(2, '0')}`;
+            const chipRect = chip.getBoundingClientRect();
+            globalHoverBubble.textContent = `${item.title || '(No Title)'} (${getItemDateLabel(item, exactLabel)})`;
+            globalHoverBubble.style.left = `${chipRect.left + chipRect.width / 2}px`;
+            globalHoverBubble.style.top = `${chipRect.top - 25}px`;
+            globalHoverBubble.style.opacity = '1';
+        }
+        canvas.update();
+    });
+    chip.addEventListener('mouseleave', () => {
+        setHighlighted(false);
+        if (globalHoverBubble) {
+            globalHoverBubble.style.opacity = '0';
+        }
+        canvas.update();
+    });
+    return chip;
+}
+
+/**
+ * Applies a new swimlane layout and saves it for the timeline
+ * @param {Object} layout - { order, collapsed, hidden }, see swimlanes.js
+ *
+ * Possible errors:
+ * - The layout can't be saved; it still applies until the timeline is reloaded
+ */
+async function saveSwimlaneLayout(layout) {
+    timelineState.swimlaneLayout = Swimlanes.normalizeLayout(layout);
+    renderTimeline();
+
+    try {
+        const result = await window.api.invoke('set-swimlanes', timelineState.swimlaneLayout);
+        if (!result.success) {
+            console.error('[timeline.js] Could not save the swimlanes:', result.error);
+        }
+    } catch (error) {
+        console.error('[timeline.js] Could not save the swimlanes:', error);
+    }
+}
+
+if (swimlanePanel) {
+    // The lanes scroll up and down when there are more than fit, instead of moving the timeline
+    swimlanePanel.addEventListener('wheel', e => {
+        if (swimlanePanel.scrollHeight <= swimlanePanel.clientHeight) return;
+        e.stopPropagation();
+        e.preventDefault();
+        swimlanePanel.scrollTop += e.deltaY;
+    }, { passive: false });
+    swimlanePanel.addEventListener('scroll', () => canvas.update());
+}
+
+if (narrativeLane) {
+    // The lane scrolls on its own; the timeline's dragging, wheel and menus stay out of it
+    ['mousedown', 'click', 'contextmenu'].forEach(type =>
+        narrativeLane.addEventListener(type, e => e.stopPropagation()));
+    narrativeLane.addEventListener('wheel', e => {
+        e.stopPropagation();
+        e.preventDefault();
+        narrativeLane.scrollLeft += e.deltaY || e.deltaX;
+    }, { passive: false });
+    narrativeLane.addEventListener('scroll', () => canvas.update());
+}
+
+// ===== Image Strip =====
+const IMAGE_STRIP_THUMB_SIZE = 48;
+const IMAGE_STRIP_ROWS = 2;
+// The strip's thumbnails by item id, kept between renders so scrolling only moves them
+const imageStripThumbs = new Map();
+
+/**
+ * Gets the items that have pictures, in date order
+ * @param {Array<Object>} items - The items to look through
+ * @returns {Array<Object>} Items with at least one picture; the timeline markers are left out
+ */
+function getPictureItems(items) {
+    return items
+        .filter(item => item && item.pictures && item.pictures.length > 0 && !TimelineFilter.MARKER_TYPES.includes(item.type))
+        .sort((a, b) => (parseFloat(a.year || 0) - parseFloat(b.year || 0)) || ((a.subtick || 0) - (b.subtick || 0)));
+}
+
+/**
+ * Renders the image strip: the first picture of each item along the bottom of the timeline,
+ * at the item's date
+ *
+ * How it works:
+ * - Shown while timelineState.imageStrip is on, for the items the filter shows
+ * - A thumbnail that would overlap the one before it goes on the next row; once every row
+ *   is taken, the item is counted on the thumbnail in its way instead ("+2")
+ * - Clicking a thumbnail opens its item, hovering it shows the item's title and date
+ * - Thumbnails are kept between renders and only moved, so their images don't reload while scrolling
+ */
+function renderImageStrip() {
+    if (!imageStrip) return;
+    if (!timelineState.imageStrip) {
+        imageStrip.style.display = 'none';
+        return;
+    }
+    imageStrip.style.display = '';
+
+    const width = container.getBoundingClientRect().width;
+    const { granularity } = timelineState;
+    const shown = new Set();
+    // Right edge and last thumbnail of each row
+    const rows = [];
+
+    timelineState.pictureItems.forEach(item => {
+        const x = calculatePositionFromYear(parseFloat(item.year || 0) + parseInt(item.subtick || 0) / granularity);
+        if (x < -IMAGE_STRIP_THUMB_SIZE || x > width + IMAGE_STRIP_THUMB_SIZE) return;
+
+        const left = x - IMAGE_STRIP_THUMB_SIZE / 2;
+        let row = rows.findIndex(({ end }) => left > end);
+        if (row === -1 && rows.length < IMAGE_STRIP_ROWS) row = rows.push({ end: -Infinity, thumb: null }) - 1;
+        if (row === -1) {
+            // Every row is taken here; the thumbnail that ends first is the one in the way
+            const blocking = rows.reduce((first, current) => current.end < first.end ? current : first);
+            blocking.thumb.hiddenItems.push(item);
+            return;
+        }
+
+        const thumb = getImageStripThumb(item);
+        thumb.hiddenItems = [];
+        thumb.element.style.left = `${left}px`;
+        thumb.element.style.top = `${4 + row * (IMAGE_STRIP_THUMB_SIZE + 4)}px`;
+        rows[row] = { end: left + IMAGE_STRIP_THUMB_SIZE + 2, thumb };
+        shown.add(String(item.id));
+    });
+
+    imageStripThumbs.forEach((thumb, id) => {
+        if (!shown.has(id)) {
+            thumb.element.remove();
+            imageStripThumbs.delete(id);
+            return;
+        }
+        const count = thumb.item.pictures.length;
+        thumb.count.textContent = count > 1 ? count : '';
+        thumb.count.style.display = count > 1 ? '' : 'none';
+        thumb.more.textContent = `+${thumb.hiddenItems.length}`;
+        thumb.more.style.display = thumb.hiddenItems.length > 0 ? '' : 'none';
+    });
+    imageStrip.style.height = `${4 + Math.max(1, rows.length) * (IMAGE_STRIP_THUMB_SIZE + 4)}px`;
+}
+
+// Gets the strip's thumbnail of an item, making it if the item has none or its first picture changed
+function getImageStripThumb(item) {
+    const id = String(item.id);
+    const picture = item.pictures[0];
+    const existing = imageStripThumbs.get(id);
+    if (existing && existing.pictureId === picture.id) {
+        existing.item = item;
+        return existing;
+    }
+    if (existing) existing.element.remove();
+
+    const element = document.createElement('div');
+    element.className = 'image-strip-thumb';
+    element.setAttribute('data-id', id);
+    element.style.width = element.style.height = `${IMAGE_STRIP_THUMB_SIZE}px`;
+    if (item.color && item.color.toLowerCase() !== 'transparent') {
+        element.style.borderColor = item.color;
+    }
+
+    const img = document.createElement('img');
+    img.alt = item.title || '';
+    img.draggable = false;
+    Thumbnails.setImage(img, picture, 'small');
+    const count = document.createElement('span');
+    count.className = 'image-strip-count';
+    const more = document.createElement('span');
+    more.className = 'image-strip-more';
+    element.append(img, count, more);
+
+    const thumb = { element, img, count, more, item, pictureId: picture.id, hiddenItems: [] };
+    element.addEventListener('click', () => window.openItemViewer && window.openItemViewer(thumb.item.id));
+    element.addEventListener('mouseenter', () => {
+        if (!globalHoverBubble) return;
+        const current = thumb.item;
+        const exactLabel = `${current.year}.${(current.subtick || 0).toString().padStart(2, '0')}`;
+        const hidden = thumb.hiddenItems.length;
+        const rect = element.getBoundingClientRect();
+        globalHoverBubble.textContent = `${current.title || '(No Title)'} (${getItemDateLabel(current, exactLabel)})` +
+            (hidden > 0 ? ` and ${hidden} more nearby` : '');
+        globalHoverBubble.style.left = `${rect.left + rect.width / 2}px`;
+        globalHoverBubble.style.top = `${rect.top - 25}px`;
+        globalHoverBubble.style.opacity = '1';
+    });
+    element.addEventListener('mouseleave', () => {
+        if (globalHoverBubble) globalHoverBubble.style.opacity = '0';
+    });
+
+    imageStrip.appendChild(element);
+    imageStripThumbs.set(id, thumb);
+    return thumb;
+}
+
+if (imageStrip) {
+    // Clicks on the strip open items; the timeline's dragging and menus stay out of it
+    ['mousedown', 'click', 'contextmenu'].forEach(type =>
+        imageStrip.addEventListener(type, e => e.stopPropagation()));
+}
+
 /**
  * Gets the nearest year from a position
  * @param {number|null} x - X position (null for center)
@@ -2812,6 +4321,9 @@ function generatePastelColor() {
 
 // Add these functions to the window object so they can be called from HTML
 window.jumpToDate = jumpToDate;
+window.highlightItem = highlightItem;
+window.getHoverLabel = getHoverLabel;
+window.setTimelineCalendar = setTimelineCalendar;
 window.jumpToYear = jumpToYear;
 window.scrollBy = scrollBy;
 window.setInitialSettings = setInitialSettings;
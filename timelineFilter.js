@@ -0,0 +1,126 @@
+/**
+ * Timeline Filter Module
+ *
+ * Decides which items the timeline window shows, by tag, story, type, color and text.
+ * Shared by the main process (require), which stores named views, and the timeline
+ * window (<script>, as window.TimelineFilter), which applies the filter.
+ *
+ * How it works:
+ * - Each part of the filter that has values is one condition; empty parts are left out,
+ *   so an empty filter shows every item
+ * - mode 'and': an item must meet every condition, and must have every picked tag and story
+ * - mode 'or': an item must meet at least one condition, with at least one picked tag or story
+ * - Types and colors are one per item, so they always match any of the picked values
+ * - Text matches the title, description and content, ignoring case
+ * - The timeline start and end markers are never filtered out
+ *
+ * Filter (as saved in a named view):
+ * {
+ *   mode: 'and',
+ *   tags: ['battle'],          // tag names
+ *   stories: ['3f2a...'],      // story ids
+ *   types: ['Event'],          // type names
+ *   colors: ['#c0392b'],       // lower case
+ *   text: 'siege'
+ * }
+ */
+
+class TimelineFilter {
+    static MARKER_TYPES = ['Timeline_start', 'Timeline_end'];
+
+    /**
+     * Cleans up a filter for use and storage
+     * @param {Object} filter - Any of the filter's parts, the rest may be missing
+     * @returns {Object} A filter with every part present
+     */
+    static normalize(filter) {
+        const values = (list, lowerCase = false) => Array.from(new Set((Array.isArray(list) ? list : [])
+            .filter(value => value !== null && value !== undefined && value !== '')
+            .map(value => lowerCase ? String(value).toLowerCase() : String(value))));
+        return {
+            mode: filter && filter.mode === 'or' ? 'or' : 'and',
+            tags: values(filter && filter.tags),
+            stories: values(filter && filter.stories),
+            types: values(filter && filter.types),
+            colors: values(filter && filter.colors, true),
+            text: filter && typeof filter.text === 'string' ? filter.text.trim() : ''
+        };
+    }
+
+    static isEmpty(filter) {
+        const { tags, stories, types, colors, text } = TimelineFilter.normalize(filter);
+        return tags.length === 0 && stories.length === 0 && types.length === 0 && colors.length === 0 && text === '';
+    }
+
+    static getStoryIds(item) {
+        const ids = (item.story_refs || []).map(story => String(story.id));
+        const storyId = item.story_id ?? item['story-id'];
+        if (storyId) ids.push(String(storyId));
+        return ids;
+    }
+
+    /**
+     * Checks one item against a filter
+     * @param {Object} item - The item, with tags (names) and story_refs
+     * @param {Object} filter - See normalize()
+     * @returns {boolean} Whether the item is shown
+     */
+    static matches(item, filter) {
+        if (TimelineFilter.MARKER_TYPES.includes(item.type)) return true;
+
+        const { mode, tags, stories, types, colors, text } = TimelineFilter.normalize(filter);
+        const matchValues = (picked, values) => mode === 'and'
+            ? picked.every(value => values.includes(value))
+            : picked.some(value => values.includes(value));
+
+        const conditions = [];
+        if (tags.length > 0) conditions.push(() => matchValues(tags, (item.tags || []).map(String)));
+        if (stories.length > 0) conditions.push(() => matchValues(stories, TimelineFilter.getStoryIds(item)));
+        if (types.length > 0) conditions.push(() => types.includes(String(item.type)));
+        if (colors.length > 0) conditions.push(() => colors.includes(String(item.color || '').toLowerCase()));
+        if (text !== '') {
+            const needle = text.toLowerCase();
+            conditions.push(() => [item.title, item.description, item.content]
+                .some(value => value && String(value).toLowerCase().includes(needle)));
+        }
+
+        if (conditions.length === 0) return true;
+        return mode === 'and'
+            ? conditions.every(condition => condition())
+            : conditions.some(condition => condition());
+    }
+
+    /**
+     * Gets the items a filter shows
+     * @param {Array<Object>} items - All items
+     * @param {Object|null} filter - See normalize(); null shows every item
+     * @returns {Array<Object>} The shown items, in their original order
+     */
+    static apply(items, filter) {
+        if (!items) return [];
+        if (!filter || TimelineFilter.isEmpty(filter)) return items;
+        const normalized = TimelineFilter.normalize(filter);
+        return items.filter(item => item && TimelineFilter.matches(item, normalized));
+    }
+
+    /**
+     * Cleans up a timeline's named views for storage
+     * @param {Array<Object>} views - { name, filter }
+     * @returns {Array<Object>} Views with a name, the last one of each name kept, sorted by name
+     */
+    static normalizeViews(views) {
+        const byName = new Map();
+        (Array.isArray(views) ? views : []).forEach(view => {
+            const name = view && typeof view.name === 'string' ? view.name.trim() : '';
+            if (name) byName.set(name, { name, filter: TimelineFilter.normalize(view.filter) });
+        });
+        return Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+}
+
+// Shared by the main process and the renderer windows
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimelineFilter;
+} else {
+    window.TimelineFilter = TimelineFilter;
+}
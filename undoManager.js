@@ -0,0 +1,181 @@
+/**
+ * Undo Manager Module
+ *
+ * Keeps the undo and redo stacks of the main process. Every mutating IPC handler that
+ * supports undo captures the records it is about to change and pushes them as one command.
+ *
+ * How it works:
+ * - A command is a label plus a list of states: { kind, id, record }
+ * - kind is 'item', 'tag', 'story', 'picture' or 'character' and maps to dbManager's
+ *   capture*Record() / apply*Record() pair; record is the captured record or null
+ *   if the record did not exist
+ * - Undo and redo are the same operation: capture the current state of each record,
+ *   apply the stored one, and keep the captured one for the way back
+ * - Picture files are hard-linked (or copied) into userData/undo while a command
+ *   holds them, because deleting an item or picture deletes its files
+ *
+ * The stacks live in memory only and are cleared when another timeline is opened.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dbManager = require('./dbManager');
+
+class UndoManager {
+    // Commands kept on the undo stack before the oldest are dropped
+    static MAX_COMMANDS = 100;
+
+    static KINDS = {
+        item: { capture: id => dbManager.captureItemRecord(id), apply: (id, record) => dbManager.applyItemRecord(id, record) },
+        tag: { capture: id => dbManager.captureTagRecord(id), apply: (id, record) => dbManager.applyTagRecord(id, record) },
+        story: { capture: id => dbManager.captureStoryRecord(id), apply: (id, record) => dbManager.applyStoryRecord(id, record) },
+        picture: { capture: id => dbManager.capturePictureRecord(id), apply: (id, record) => dbManager.applyPictureRecord(id, record) },
+        character: { capture: id => dbManager.captureCharacterRecord(id), apply: (id, record) => dbManager.applyCharacterRecord(id, record) }
+    };
+
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.backupDir = path.join(dbManager.userDataPath, 'undo');
+        this.backupCounter = 0;
+
+        // Backups from a previous run belong to stacks that no longer exist
+        fs.rmSync(this.backupDir, { recursive: true, force: true });
+    }
+
+    /**
+     * Captures the current state of a record, before it is changed
+     * @param {string} kind - 'item', 'tag', 'story', 'picture' or 'character'
+     * @param {string|number} id - The record's id
+     * @returns {Object} A state for push(): { kind, id, record }
+     */
+    capture(kind, id) {
+        const record = UndoManager.KINDS[kind].capture(id);
+        this.backupFiles(record);
+        return { kind, id, record };
+    }
+
+    /**
+     * Adds a command to the undo stack and clears the redo stack
+     * @param {string} label - Shown to the user, e.g. 'Delete item'
+     * @param {Array} states - States from capture(); use { kind, id, record: null }
+     *   for records the command creates
+     */
+    push(label, states) {
+        this.undoStack.push({ label, states });
+        this.redoStack.forEach(command => this.releaseCommand(command));
+        this.redoStack = [];
+
+        if (this.undoStack.length > UndoManager.MAX_COMMANDS) {
+            this.releaseCommand(this.undoStack.shift());
+        }
+    }
+
+    /**
+     * Undoes the most recent command
+     * @returns {string|null} The command's label, or null if there was nothing to undo
+     */
+    undo() {
+        return this.move(this.undoStack, this.redoStack);
+    }
+
+    /**
+     * Redoes the most recently undone command
+     * @returns {string|null} The command's label, or null if there was nothing to redo
+     */
+    redo() {
+        return this.move(this.redoStack, this.undoStack);
+    }
+
+    /**
+     * Gets what undo and redo would do next
+     * @returns {Object} { undo, redo } labels, null when the stack is empty
+     */
+    getState() {
+        const last = stack => stack.length ? stack[stack.length - 1].label : null;
+        return { undo: last(this.undoStack), redo: last(this.redoStack) };
+    }
+
+    /**
+     * Empties both stacks
+     */
+    clear() {
+        [...this.undoStack, ...this.redoStack].forEach(command => this.releaseCommand(command));
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Swaps a command's stored states with the current ones and moves it to the other stack
+     *
+     * Possible errors:
+     * - Database failure while applying; the command is dropped so a half-applied
+     *   command is never replayed
+     */
+    move(fromStack, toStack) {
+        const command = fromStack.pop();
+        if (!command) return null;
+
+        try {
+            // Later states may depend on earlier ones (e.g. an item and its picture), so go backwards
+            for (const state of [...command.states].reverse()) {
+                const current = this.capture(state.kind, state.id);
+                this.restoreFiles(state.record);
+                UndoManager.KINDS[state.kind].apply(state.id, state.record);
+                this.releaseRecord(state.record);
+                state.record = current.record;
+            }
+        } catch (error) {
+            this.releaseCommand(command);
+            console.error(`[undoManager.js] Failed to apply "${command.label}":`, error);
+            throw error;
+        }
+
+        toStack.push(command);
+        return command.label;
+    }
+
+    // Links each picture file of a record into the backup folder
+    backupFiles(record) {
+        if (!record || !record.pictures) return;
+
+        for (const picture of record.pictures) {
+            if (!picture.file_path || !fs.existsSync(picture.file_path)) continue;
+
+            fs.mkdirSync(this.backupDir, { recursive: true });
+            const backupPath = path.join(this.backupDir, `${++this.backupCounter}_${path.basename(picture.file_path)}`);
+            try {
+                fs.linkSync(picture.file_path, backupPath);
+            } catch (error) {
+                fs.copyFileSync(picture.file_path, backupPath);
+            }
+            picture.backup_path = backupPath;
+        }
+    }
+
+    // Puts back picture files that were deleted since the record was captured
+    restoreFiles(record) {
+        if (!record || !record.pictures) return;
+
+        for (const picture of record.pictures) {
+            if (!picture.backup_path || fs.existsSync(picture.file_path)) continue;
+            fs.mkdirSync(path.dirname(picture.file_path), { recursive: true });
+            fs.copyFileSync(picture.backup_path, picture.file_path);
+        }
+    }
+
+    releaseRecord(record) {
+        if (!record || !record.pictures) return;
+        record.pictures.forEach(picture => {
+            if (picture.backup_path) {
+                fs.rmSync(picture.backup_path, { force: true });
+            }
+        });
+    }
+
+    releaseCommand(command) {
+        command.states.forEach(state => this.releaseRecord(state.record));
+    }
+}
+
+module.exports = new UndoManager();